@@ -16,7 +16,7 @@ class PDFRedactionApp {
     }
 
     initializePDFWorker() {
-        pdfjsLib.GlobalWorkerOptions.workerSrc = 'pdf.worker.min.js';
+        pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
     }
 
     initializeEventListeners() {
@@ -32,6 +32,7 @@ class PDFRedactionApp {
         document.getElementById('redactBtn').addEventListener('click', () => this.toggleRedactionMode());
         document.getElementById('clearBtn').addEventListener('click', () => this.clearRedactions());
         document.getElementById('saveBtn').addEventListener('click', () => this.savePDF());
+        document.getElementById('findBtn').addEventListener('click', () => this.findMatches());
 
         // Page navigation
         document.getElementById('prevPage').addEventListener('click', () => this.previousPage());
@@ -299,8 +300,9 @@ class PDFRedactionApp {
                 y: parseInt(this.currentRedactionBox.style.top) || 0,
                 width: width,
                 height: height,
-                viewportWidth: this.canvas.width,
-                viewportHeight: this.canvas.height
+                // Box coordinates are in CSS pixels, so send the displayed canvas size
+                viewportWidth: this.canvas.getBoundingClientRect().width,
+                viewportHeight: this.canvas.getBoundingClientRect().height
             };
             
             this.redactions.push(redaction);
@@ -412,6 +414,80 @@ class PDFRedactionApp {
         }
     }
 
+    async findMatches() {
+        if (!this.currentFilename) {
+            this.showStatus('No PDF loaded', 'error');
+            return;
+        }
+
+        const patterns = Array.from(document.querySelectorAll('input[name="redactPattern"]:checked'))
+            .map(input => input.value);
+        const customPattern = document.getElementById('customPattern').value.trim();
+
+        try {
+            this.showStatus('Searching document...', 'info');
+
+            const response = await fetch('/redact/search', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    filename: this.currentFilename,
+                    patterns: patterns,
+                    customPatterns: customPattern ? [{ pattern: customPattern }] : []
+                })
+            });
+
+            const result = await response.json();
+
+            if (!response.ok) {
+                this.showStatus(result.error || 'Search failed', 'error');
+                return;
+            }
+
+            // Matches come back as fractions of the page, so scale them to the displayed canvas
+            const displayed = this.canvas.getBoundingClientRect();
+            result.matches.forEach(match => {
+                match.boxes.forEach(box => {
+                    this.redactions.push({
+                        pageIndex: match.pageIndex,
+                        x: box.viewport.x * displayed.width,
+                        y: box.viewport.y * displayed.height,
+                        width: box.viewport.width * displayed.width,
+                        height: box.viewport.height * displayed.height,
+                        viewportWidth: displayed.width,
+                        viewportHeight: displayed.height,
+                        matchId: match.id
+                    });
+                });
+            });
+
+            this.renderMatchList(result.matches);
+            this.renderRedactions();
+            this.showStatus(`Found ${result.matches.length} match(es). Review the boxes, then apply redactions.`, 'success');
+        } catch (error) {
+            console.error('Search error:', error);
+            this.showStatus('Search failed. Please try again.', 'error');
+        }
+    }
+
+    renderMatchList(matches) {
+        const list = document.getElementById('matchList');
+        list.innerHTML = '';
+
+        matches.forEach(match => {
+            const item = document.createElement('li');
+            item.textContent = `Page ${match.pageIndex + 1} - ${match.label}: ${match.text}`;
+            item.addEventListener('click', () => {
+                this.currentPage = match.pageIndex + 1;
+                this.renderPage();
+                this.updatePageInfo();
+            });
+            list.appendChild(item);
+        });
+    }
+
     previousPage() {
         if (this.currentPage > 1) {
             this.currentPage--;
@@ -476,8 +552,16 @@ class PDFRedactionApp {
     }
 }
 
-// Initialize the app when the page loads
-document.addEventListener('DOMContentLoaded', () => {
+// Initialize the app when the page loads; redacting needs a signed in user
+// who can generate documents, everyone else is sent to the sign in page
+document.addEventListener('DOMContentLoaded', async () => {
+    const response = await fetch('/api/auth/me');
+    const user = response.ok ? await response.json() : null;
+    if (!user || !user.permissions.includes('documents:generate')) {
+        window.location.href = '/';
+        return;
+    }
+
     window.pdfApp = new PDFRedactionApp();
     console.log('PDF Redaction App initialized');
     console.log('Debug: You can access the app via window.pdfApp');
@@ -0,0 +1,380 @@
+// Local stand-in for the Salesforce endpoints the connector in server.js
+// uses, to try it without an org. Start it with `npm run salesforce-mock`
+// and point the app at it:
+//
+//   SALESFORCE_LOGIN_URL=http://localhost:4010 SALESFORCE_CLIENT_ID=mock \
+//   SALESFORCE_CLIENT_SECRET=mock npm start
+//
+// then connect from GET /api/salesforce/oauth/authorize, which the mock
+// approves straight away. The JWT bearer flow works too: its assertion is
+// decoded but the signature isn't checked. Describe calls and single-record
+// SOQL queries are answered from the sample org below; records can be
+// created (files uploaded as ContentVersion are linked to the record named by
+// FirstPublishLocationId) and updated, until the mock stops.
+// POST /mock/expire-tokens ends all access tokens, to try token renewal.
+
+const express = require('express');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.SALESFORCE_MOCK_PORT, 10) || 4010;
+const BASE_URL = `http://localhost:${PORT}`;
+
+// Objects of the sample org. Lookups name the objects they reference and
+// their relationship; children list the child relationships.
+const lookup = (relationshipName, ...referenceTo) => ({ type: 'reference', relationshipName, referenceTo });
+const schema = {
+  User: {
+    fields: { Name: 'string', Email: 'email', Title: 'string', Phone: 'phone' }
+  },
+  Account: {
+    fields: {
+      Name: 'string', Industry: 'picklist', Phone: 'phone', AnnualRevenue: 'currency',
+      BillingStreet: 'textarea', BillingCity: 'string', BillingState: 'string', BillingPostalCode: 'string', BillingCountry: 'string',
+      OwnerId: lookup('Owner', 'User', 'Group')
+    },
+    children: {
+      Contacts: ['Contact', 'AccountId'], Opportunities: ['Opportunity', 'AccountId'],
+      ContentDocumentLinks: ['ContentDocumentLink', 'LinkedEntityId'], Tasks: ['Task', 'WhatId']
+    }
+  },
+  Contact: {
+    fields: {
+      FirstName: 'string', LastName: 'string', Name: 'string', Email: 'email', Title: 'string', Phone: 'phone',
+      MailingStreet: 'textarea', MailingCity: 'string', MailingPostalCode: 'string', MailingCountry: 'string',
+      AccountId: lookup('Account', 'Account'),
+      OwnerId: lookup('Owner', 'User', 'Group')
+    },
+    children: { ContentDocumentLinks: ['ContentDocumentLink', 'LinkedEntityId'], Tasks: ['Task', 'WhoId'] }
+  },
+  Opportunity: {
+    fields: {
+      Name: 'string', StageName: 'picklist', Amount: 'currency', CloseDate: 'date', Description: 'textarea',
+      Quote_Generated__c: 'boolean',
+      AccountId: lookup('Account', 'Account'),
+      OwnerId: lookup('Owner', 'User', 'Group')
+    },
+    children: {
+      OpportunityLineItems: ['OpportunityLineItem', 'OpportunityId'],
+      ContentDocumentLinks: ['ContentDocumentLink', 'LinkedEntityId'], Tasks: ['Task', 'WhatId']
+    }
+  },
+  OpportunityLineItem: {
+    nameField: null,
+    fields: {
+      Quantity: 'double', UnitPrice: 'currency', TotalPrice: 'currency',
+      OpportunityId: lookup('Opportunity', 'Opportunity'),
+      Product2Id: lookup('Product2', 'Product2')
+    }
+  },
+  Product2: {
+    fields: { Name: 'string', ProductCode: 'string' }
+  },
+  ContentVersion: {
+    nameField: 'Title',
+    fields: {
+      Title: 'string', PathOnClient: 'string', VersionData: 'base64', ContentSize: 'int',
+      ContentDocumentId: lookup('ContentDocument', 'ContentDocument'),
+      FirstPublishLocationId: lookup('FirstPublishLocation', 'Account', 'Contact', 'Opportunity')
+    }
+  },
+  ContentDocument: {
+    nameField: 'Title',
+    fields: { Title: 'string', LatestPublishedVersionId: lookup('LatestPublishedVersion', 'ContentVersion') }
+  },
+  ContentDocumentLink: {
+    nameField: null,
+    fields: {
+      ContentDocumentId: lookup('ContentDocument', 'ContentDocument'),
+      LinkedEntityId: lookup('LinkedEntity', 'Account', 'Contact', 'Opportunity'),
+      ShareType: 'picklist', Visibility: 'picklist'
+    }
+  },
+  Task: {
+    nameField: 'Subject',
+    fields: {
+      Subject: 'combobox', Status: 'picklist', Description: 'textarea', ActivityDate: 'date',
+      WhatId: lookup('What', 'Account', 'Opportunity'),
+      WhoId: lookup('Who', 'Contact', 'Lead')
+    }
+  }
+};
+
+// Key prefixes of the IDs of records the mock creates
+const keyPrefixes = { ContentVersion: '068', ContentDocument: '069', ContentDocumentLink: '06A', Task: '00T' };
+let createdCount = 0;
+
+const records = {
+  '005000000000001AAA': { type: 'User', Name: 'Riley Chen', Email: 'riley.chen@example.com', Title: 'Account Executive', Phone: '(555) 010-2000' },
+  '001000000000001AAA': {
+    type: 'Account', Name: 'Acme Corporation', Industry: 'Manufacturing', Phone: '(555) 010-1000', AnnualRevenue: 48000000,
+    BillingStreet: '123 Main Street', BillingCity: 'Anytown', BillingState: 'CA', BillingPostalCode: '94000', BillingCountry: 'USA',
+    OwnerId: '005000000000001AAA'
+  },
+  '003000000000001AAA': {
+    type: 'Contact', FirstName: 'Jane', LastName: 'Doe', Name: 'Jane Doe', Email: 'jane.doe@acme.example', Title: 'Head of Purchasing',
+    Phone: '(555) 010-1001', MailingStreet: '123 Main Street', MailingCity: 'Anytown', MailingPostalCode: '94000', MailingCountry: 'USA',
+    AccountId: '001000000000001AAA', OwnerId: '005000000000001AAA'
+  },
+  '006000000000001AAA': {
+    type: 'Opportunity', Name: 'Acme - Fleet renewal', StageName: 'Negotiation/Review', Amount: 125000, CloseDate: '2026-12-15',
+    Description: 'Renewal of 40 vehicle trackers with two years of service', AccountId: '001000000000001AAA', OwnerId: '005000000000001AAA'
+  },
+  '00k000000000001AAA': { type: 'OpportunityLineItem', Quantity: 40, UnitPrice: 2500, TotalPrice: 100000, OpportunityId: '006000000000001AAA', Product2Id: '01t000000000001AAA' },
+  '00k000000000002AAA': { type: 'OpportunityLineItem', Quantity: 2, UnitPrice: 12500, TotalPrice: 25000, OpportunityId: '006000000000001AAA', Product2Id: '01t000000000002AAA' },
+  '01t000000000001AAA': { type: 'Product2', Name: 'Vehicle tracker', ProductCode: 'VT-200' },
+  '01t000000000002AAA': { type: 'Product2', Name: 'Service plan (1 year)', ProductCode: 'SP-1Y' }
+};
+
+const authorizationCodes = new Set();
+const refreshTokens = new Set();
+const accessTokens = new Set();
+
+function createRecord(type, values) {
+  createdCount++;
+  const id = `${keyPrefixes[type] || 'a00'}${String(createdCount).padStart(12, '0')}AAA`;
+  records[id] = { type, ...values };
+  return id;
+}
+
+// Names of fields the object doesn't have
+function unknownFields(type, values) {
+  return Object.keys(values).filter(field => !schema[type].fields[field]);
+}
+
+function issueAccessToken() {
+  const token = `00Dmock!${crypto.randomBytes(24).toString('hex')}`;
+  accessTokens.add(token);
+  return token;
+}
+
+// Salesforce sends REST API errors as a list of { message, errorCode }
+function sendError(res, status, errorCode, message) {
+  res.status(status).json([{ message, errorCode }]);
+}
+
+function describeObject(name) {
+  const object = schema[name];
+  const nameField = object.nameField === undefined ? 'Name' : object.nameField;
+  return {
+    name,
+    fields: [{ name: 'Id', type: 'id', nameField: false, relationshipName: null, referenceTo: [] }].concat(
+      Object.entries(object.fields).map(([field, definition]) => ({
+        name: field,
+        type: typeof definition === 'string' ? definition : definition.type,
+        nameField: field === nameField,
+        relationshipName: definition.relationshipName || null,
+        referenceTo: definition.referenceTo || []
+      }))
+    ),
+    childRelationships: Object.entries(object.children || {}).map(([relationshipName, [childSObject, field]]) => ({
+      relationshipName, childSObject, field
+    }))
+  };
+}
+
+// Split a field list on the commas that aren't inside a subquery
+function splitFields(text) {
+  const fields = [];
+  let depth = 0;
+  let current = '';
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) fields.push(current.trim());
+  return fields;
+}
+
+function recordAttributes(id) {
+  return { type: records[id].type, url: `/services/data/v59.0/sobjects/${records[id].type}/${id}` };
+}
+
+// Put the value of a field path such as Account.Owner.Name into a result
+// record the way the REST API nests lookups
+function selectField(id, parts, result) {
+  const record = records[id];
+  const object = schema[record.type];
+  const [part, ...rest] = parts;
+  if (rest.length === 0) {
+    if (part !== 'Id' && !object.fields[part]) throw new Error(`No such column '${part}' on entity '${record.type}'`);
+    result[part] = part === 'Id' ? id : record[part] === undefined ? null : record[part];
+    return;
+  }
+
+  const lookupField = Object.keys(object.fields).find(field => object.fields[field].relationshipName === part);
+  if (!lookupField) throw new Error(`Didn't understand relationship '${part}' on entity '${record.type}'`);
+  const targetId = record[lookupField];
+  if (!targetId || !records[targetId]) {
+    result[part] = null;
+    return;
+  }
+  result[part] = result[part] || { attributes: recordAttributes(targetId) };
+  selectField(targetId, rest, result[part]);
+}
+
+// Answer SELECT <fields, (SELECT <fields> FROM <children>)> FROM <object> WHERE Id = '<id>'
+function runQuery(soql) {
+  const match = /^SELECT\s+(.+)\s+FROM\s+(\w+)\s+WHERE\s+Id\s*=\s*'(\w+)'(?:\s+LIMIT\s+\d+)?$/is.exec(soql.trim());
+  if (!match) throw new Error('The mock only answers single-record queries by Id');
+  const [, fieldList, objectName, id] = match;
+  if (!schema[objectName]) throw new Error(`sObject type '${objectName}' is not supported`);
+  if (!records[id] || records[id].type !== objectName) return { totalSize: 0, done: true, records: [] };
+
+  const result = { attributes: recordAttributes(id) };
+  splitFields(fieldList).forEach(field => {
+    const subquery = /^\(SELECT\s+(.+)\s+FROM\s+(\w+)\)$/is.exec(field);
+    if (!subquery) {
+      selectField(id, field.split('.'), result);
+      return;
+    }
+
+    const relationship = (schema[objectName].children || {})[subquery[2]];
+    if (!relationship) throw new Error(`Didn't understand relationship '${subquery[2]}' in FROM part of query call`);
+    const [childType, foreignKey] = relationship;
+    const children = Object.keys(records)
+      .filter(childId => records[childId].type === childType && records[childId][foreignKey] === id)
+      .map(childId => {
+        const child = { attributes: recordAttributes(childId) };
+        splitFields(subquery[1]).forEach(childField => selectField(childId, childField.split('.'), child));
+        return child;
+      });
+    result[subquery[2]] = children.length > 0 ? { totalSize: children.length, done: true, records: children } : null;
+  });
+  return { totalSize: 1, done: true, records: [result] };
+}
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+app.use(express.json({ limit: '50mb' }));
+
+// The login page approves every request and returns to the app with a code
+app.get('/services/oauth2/authorize', (req, res) => {
+  const { redirect_uri: redirectUri, state } = req.query;
+  if (req.query.response_type !== 'code' || !redirectUri) {
+    return res.status(400).send('response_type=code and redirect_uri are required');
+  }
+  const code = crypto.randomBytes(16).toString('hex');
+  authorizationCodes.add(code);
+  const params = new URLSearchParams({ code, ...(state && { state }) });
+  res.redirect(`${redirectUri}${redirectUri.includes('?') ? '&' : '?'}${params}`);
+});
+
+app.post('/services/oauth2/token', (req, res) => {
+  const grant = req.body;
+  const invalid = description => res.status(400).json({ error: 'invalid_grant', error_description: description });
+  const token = { access_token: issueAccessToken(), instance_url: BASE_URL, token_type: 'Bearer', issued_at: String(Date.now()) };
+
+  if (grant.grant_type === 'authorization_code') {
+    if (!authorizationCodes.delete(grant.code)) return invalid('invalid authorization code');
+    const refreshToken = crypto.randomBytes(24).toString('hex');
+    refreshTokens.add(refreshToken);
+    return res.json({ ...token, refresh_token: refreshToken });
+  }
+  if (grant.grant_type === 'refresh_token') {
+    if (!refreshTokens.has(grant.refresh_token)) return invalid('expired access/refresh token');
+    return res.json(token);
+  }
+  if (grant.grant_type === 'urn:ietf:params:oauth:grant-type:jwt-bearer') {
+    try {
+      const claims = JSON.parse(Buffer.from(String(grant.assertion).split('.')[1], 'base64url').toString('utf8'));
+      if (!claims.sub || !claims.iss || !(claims.exp * 1000 > Date.now())) return invalid('invalid assertion');
+    } catch (error) {
+      return invalid('invalid assertion');
+    }
+    return res.json(token);
+  }
+  res.status(400).json({ error: 'unsupported_grant_type', error_description: 'grant type not supported' });
+});
+
+// Data endpoints need an access token the mock issued
+app.use('/services/data/:version', (req, res, next) => {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  if (!bearer || !accessTokens.has(bearer[1])) {
+    return sendError(res, 401, 'INVALID_SESSION_ID', 'Session expired or invalid');
+  }
+  next();
+});
+
+app.get('/services/data/:version/sobjects/:objectType/describe', (req, res) => {
+  if (!schema[req.params.objectType]) {
+    return sendError(res, 404, 'NOT_FOUND', 'The requested resource does not exist');
+  }
+  res.json(describeObject(req.params.objectType));
+});
+
+app.post('/services/data/:version/sobjects/:objectType', (req, res) => {
+  const type = req.params.objectType;
+  if (!schema[type]) {
+    return sendError(res, 404, 'NOT_FOUND', 'The requested resource does not exist');
+  }
+  const values = req.body || {};
+  const unknown = unknownFields(type, values);
+  if (unknown.length > 0) {
+    return sendError(res, 400, 'INVALID_FIELD', `No such column '${unknown[0]}' on sobject of type ${type}`);
+  }
+  for (const field of Object.keys(values)) {
+    const target = values[field];
+    if (schema[type].fields[field].type === 'reference' && target !== null && !records[target]) {
+      return sendError(res, 400, 'INVALID_CROSS_REFERENCE_KEY', `invalid cross reference id: ${field}`);
+    }
+  }
+
+  if (type !== 'ContentVersion') {
+    return res.status(201).json({ id: createRecord(type, values), success: true, errors: [] });
+  }
+
+  // A new file: the version gets a document, linked to the record it's published to
+  if (!values.VersionData || !values.PathOnClient) {
+    return sendError(res, 400, 'REQUIRED_FIELD_MISSING', 'Required fields are missing: [VersionData, PathOnClient]');
+  }
+  const { VersionData: versionData, ...rest } = values;
+  const title = rest.Title || rest.PathOnClient;
+  const documentId = createRecord('ContentDocument', { Title: title });
+  const versionId = createRecord('ContentVersion', {
+    ...rest, Title: title, ContentSize: Buffer.from(versionData, 'base64').length, ContentDocumentId: documentId
+  });
+  records[documentId].LatestPublishedVersionId = versionId;
+  if (rest.FirstPublishLocationId) {
+    createRecord('ContentDocumentLink', {
+      ContentDocumentId: documentId, LinkedEntityId: rest.FirstPublishLocationId, ShareType: 'V', Visibility: 'AllUsers'
+    });
+  }
+  res.status(201).json({ id: versionId, success: true, errors: [] });
+});
+
+app.patch('/services/data/:version/sobjects/:objectType/:recordId', (req, res) => {
+  const { objectType, recordId } = req.params;
+  if (!records[recordId] || records[recordId].type !== objectType) {
+    return sendError(res, 404, 'NOT_FOUND', 'The requested resource does not exist');
+  }
+  const unknown = unknownFields(objectType, req.body || {});
+  if (unknown.length > 0) {
+    return sendError(res, 400, 'INVALID_FIELD', `No such column '${unknown[0]}' on sobject of type ${objectType}`);
+  }
+  Object.assign(records[recordId], req.body);
+  res.status(204).end();
+});
+
+app.get('/services/data/:version/query', (req, res) => {
+  try {
+    res.json(runQuery(String(req.query.q || '')));
+  } catch (error) {
+    sendError(res, 400, 'MALFORMED_QUERY', error.message);
+  }
+});
+
+app.post('/mock/expire-tokens', (req, res) => {
+  accessTokens.clear();
+  res.json({ success: true });
+});
+
+app.listen(PORT, () => {
+  console.log(`Salesforce mock running on ${BASE_URL}`);
+  console.log('Sample records: Account 001000000000001AAA, Contact 003000000000001AAA, Opportunity 006000000000001AAA');
+});
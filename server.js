@@ -1,15 +1,15 @@
 // Generate basic DOCX
 async function generateBasicDocx(content, outputPath) {
-  const paragraphs = content.split('\n').map(line => 
-    new Paragraph({
-      children: [new TextRun(line)]
-    })
-  );
+  const children = splitTableTokens(content).flatMap(piece => (typeof piece === 'string'
+    ? piece.split('\n').map(line => new Paragraph({
+      children: splitImageTokens(line).map(part => (typeof part === 'string' ? new TextRun(part) : docxImageRun(part)))
+    }))
+    : [markdownTableToDocx(tableToMarkdownBlock(piece))]));
   
   const doc = new Document({
     sections: [{
       properties: {},
-      children: paragraphs
+      children: children
     }]
   });
   
@@ -17,32 +17,75 @@ async function generateBasicDocx(content, outputPath) {
   fs.writeFileSync(outputPath, buffer);
 }
 
-// Generate basic PDF
-async function generateBasicPdf(content, outputPath) {
+// Write a PDF laid out with the template's page setup. `draw` lays out the
+// content; the running header, footer, letterhead and watermark are added
+// to every page afterwards.
+async function writePagedPdf(outputPath, pageSetup, variables, draw) {
   return new Promise((resolve, reject) => {
-    const doc = new PDFDocument();
-    doc.pipe(fs.createWriteStream(outputPath));
-    
-    // Split content into lines and add to PDF
-    const lines = content.split('\n');
-    lines.forEach((line, index) => {
-      if (index > 0) doc.moveDown();
-      doc.text(line, {
-        width: 500,
-        align: 'left'
-      });
+    const doc = new PDFDocument({
+      size: PAGE_SIZES[pageSetup.size],
+      layout: pageSetup.orientation,
+      margins: pageSetup.margins,
+      bufferPages: true
     });
-    
+    const stream = fs.createWriteStream(outputPath);
+    doc.pipe(stream);
+
+    try {
+      draw(doc);
+      decoratePdfPages(doc, pageSetup, variables);
+    } catch (error) {
+      stream.destroy();
+      reject(error);
+      return;
+    }
     doc.end();
     
-    doc.on('end', () => {
+    // The file is only complete once the write stream has flushed
+    stream.on('finish', () => {
       resolve();
     });
     
+    stream.on('error', reject);
     doc.on('error', (err) => {
       reject(err);
     });
   });
+}
+
+// Generate basic PDF
+async function generateBasicPdf(content, outputPath, pageSetup = DEFAULT_PAGE_SETUP, variables = {}) {
+  await writePagedPdf(outputPath, pageSetup, variables, doc => {
+    // Split content into lines and add to PDF; images get a block of their own
+    // and tables are drawn between the lines
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    let spaced = false;
+    splitTableTokens(content).forEach(piece => {
+      if (typeof piece !== 'string') {
+        if (spaced) doc.moveDown(0.5);
+        drawMarkdownPdfTable(doc, tableToMarkdownBlock(piece), doc.page.margins.left, width);
+        doc.font('Helvetica').fontSize(12).fillColor('black');
+        spaced = false;
+        return;
+      }
+
+      piece.split('\n').forEach(line => {
+        if (spaced) doc.moveDown();
+        spaced = true;
+        if (!line.includes('\uE000')) {
+          doc.text(line, doc.page.margins.left, doc.y, { width, align: 'left' });
+          return;
+        }
+        splitImageTokens(line).forEach(part => {
+          if (typeof part !== 'string') {
+            drawPdfImage(doc, part, doc.page.margins.left, width);
+          } else if (part.trim()) {
+            doc.text(part.trim(), doc.page.margins.left, doc.y, { width, align: 'left' });
+          }
+        });
+      });
+    });
+  });
 }// server.js
 const express = require('express');
 const multer = require('multer');
@@ -53,10 +96,60 @@ const mammoth = require('mammoth');
 const officegen = require('officegen');
 const PDFDocument = require('pdfkit');
 const pdfParse = require('pdf-parse');
-const { PDFDocument: PDFLib, rgb, StandardFonts } = require('pdf-lib');
-const { Document, Packer, Paragraph, TextRun } = require('docx');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const os = require('os');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { pathToFileURL } = require('url');
+const vm = require('vm');
+const {
+  PDFDocument: PDFLib,
+  rgb,
+  StandardFonts,
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFNumber,
+  PDFRef,
+  PDFStream,
+  PDFRawStream,
+  PDFString,
+  PDFHexString,
+  PDFTextField,
+  PDFCheckBox,
+  PDFRadioGroup,
+  PDFDropdown,
+  PDFOptionList,
+  PageSizes,
+  degrees,
+  decodePDFRawStream
+} = require('pdf-lib');
+const { Font: StandardFont, FontNames: StandardFontNames, Encodings: StandardEncodings } = require('@pdf-lib/standard-fonts');
+const jpeg = require('jpeg-js');
+const {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  ImageRun,
+  ExternalHyperlink,
+  HeadingLevel,
+  LevelFormat,
+  AlignmentType,
+  BorderStyle,
+  ShadingType,
+  Table,
+  TableRow,
+  TableCell,
+  WidthType
+} = require('docx');
 const PizZip = require('pizzip');
+const JSZip = require('jszip');
 const Docxtemplater = require('docxtemplater');
+const { diffLines } = require('diff');
+const { fromBuffer: pdfToImages } = require('pdf2pic');
+const { DOMParser } = require('@xmldom/xmldom');
 
 const app = express();
 const PORT = 3000;
@@ -72,8 +165,14 @@ app.use(cors({
   ],
   credentials: true
 }));
-app.use(express.json());
+// Image variables arrive as data URLs, so bodies may be larger than the default
+app.use(express.json({ limit: '25mb' }));
 app.use(express.static('public'));
+// Browser builds of docx-preview and the JSZip it needs, for DOCX previews
+app.use('/vendor/docx-preview', express.static(path.join('node_modules', 'docx-preview', 'dist')));
+app.use('/vendor/jszip', express.static(path.join('node_modules', 'jszip', 'dist')));
+// Find out who is calling; routes check permissions with requirePermission
+app.use(authenticate);
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -84,8 +183,9 @@ const storage = multer.diskStorage({
     }
     cb(null, uploadDir);
   },
+  // Only the last part of the client's file name is kept, so it can't point elsewhere
   filename: (req, file, cb) => {
-    cb(null, Date.now() + '-' + file.originalname);
+    cb(null, Date.now() + '-' + path.basename(file.originalname.replace(/\\/g, '/')));
   }
 });
 
@@ -103,9 +203,231 @@ const upload = multer({
   }
 });
 
+// Static packet sections share the upload directory but accept PDFs only
+const pdfUpload = multer({
+  storage: storage,
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.pdf') {
+      cb(null, true);
+    } else {
+      cb(new Error('Unsupported file type. Please upload a .pdf file.'));
+    }
+  }
+});
+
+// PDFs for the redaction tool are kept apart from template originals, in
+// redactions/, and their names start with the uploader's user ID so only
+// they can open them again
+const REDACTION_DIR = 'redactions';
+const redactionUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      if (!fs.existsSync(REDACTION_DIR)) {
+        fs.mkdirSync(REDACTION_DIR);
+      }
+      cb(null, REDACTION_DIR);
+    },
+    filename: (req, file, cb) => {
+      cb(null, `${req.user.id}.${Date.now()}-${path.basename(file.originalname.replace(/\\/g, '/'))}`);
+    }
+  }),
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.pdf') {
+      cb(null, true);
+    } else {
+      cb(new Error('Unsupported file type. Please upload a .pdf file.'));
+    }
+  }
+});
+
+// Letterhead images for page setups are kept next to the templates
+const letterheadUpload = multer({
+  storage: storage,
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (['.png', '.jpg', '.jpeg'].includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Unsupported image type. Please upload a .png or .jpg letterhead.'));
+    }
+  }
+});
+
+// Images for image variables are read in memory and passed on as data URLs
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (['.png', '.jpg', '.jpeg'].includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Unsupported image type. Please upload a .png or .jpg image.'));
+    }
+  }
+});
+
+// Datasets for batch generation are parsed in memory and not kept
+const datasetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (['.csv', '.tsv', '.xlsx', '.json'].includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Unsupported dataset type. Please upload a .csv, .tsv, .xlsx or .json file.'));
+    }
+  }
+});
+
 // Store templates and their variables
 let templates = {};
 
+// Template store: the metadata index lives on disk, originals stay in uploads/
+const DATA_DIR = 'data';
+const TEMPLATE_INDEX_PATH = path.join(DATA_DIR, 'templates.json');
+
+// Write the template index, keeping only what is needed to rebuild a template
+function saveTemplateIndex() {
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR);
+  }
+
+  const index = Object.values(templates).map(t => ({
+    id: t.id,
+    name: t.name,
+    createdAt: t.createdAt,
+    ownerId: t.ownerId || null,
+    visibility: t.visibility || 'private',
+    team: t.team || null,
+    currentVersion: t.currentVersion,
+    pageSetup: t.pageSetup,
+    salesforceMappings: t.salesforceMappings,
+    versions: t.versions.map(v => ({
+      version: v.version,
+      name: v.name,
+      filePath: v.filePath,
+      originalFormat: v.originalFormat,
+      uploadedAt: v.uploadedAt,
+      fields: v.fields
+    }))
+  }));
+
+  // Write to a temp file first so a crash mid-write can't corrupt the index
+  const tempPath = TEMPLATE_INDEX_PATH + '.tmp';
+  fs.writeFileSync(tempPath, JSON.stringify(index, null, 2));
+  fs.renameSync(tempPath, TEMPLATE_INDEX_PATH);
+}
+
+// Rebuild the in-memory templates from the index and the stored originals
+async function loadTemplatesFromDisk() {
+  if (!fs.existsSync(TEMPLATE_INDEX_PATH)) {
+    return;
+  }
+
+  let index;
+  try {
+    index = JSON.parse(fs.readFileSync(TEMPLATE_INDEX_PATH, 'utf8'));
+  } catch (error) {
+    console.error('Failed to read template index:', error);
+    return;
+  }
+
+  for (const entry of index) {
+    // Older index entries describe a single unversioned file
+    const versionEntries = entry.versions || [{
+      version: 1,
+      name: entry.name,
+      filePath: entry.filePath,
+      originalFormat: entry.originalFormat,
+      uploadedAt: entry.createdAt
+    }];
+
+    const versions = [];
+    for (const versionEntry of versionEntries) {
+      if (!fs.existsSync(versionEntry.filePath)) {
+        console.warn(`Skipping template ${entry.id} v${versionEntry.version}: original file ${versionEntry.filePath} is missing`);
+        continue;
+      }
+
+      try {
+        const contentData = await extractContentFromFile(versionEntry.filePath, versionEntry.name);
+        const variables = extractTemplateVariables(contentData);
+        const schema = extractTemplateSchema(contentData);
+        versions.push({
+          ...versionEntry,
+          contentData: contentData,
+          variables: variables,
+          schema: schema,
+          fields: mergeFieldDefinitions(inferFieldDefinitions(variables, schema, contentData.formFields), versionEntry.fields)
+        });
+      } catch (error) {
+        console.error(`Failed to restore template ${entry.id} v${versionEntry.version}:`, error.message);
+      }
+    }
+
+    if (versions.length === 0) {
+      continue;
+    }
+
+    // Templates saved before they had owners stay private to template admins
+    const template = {
+      id: entry.id,
+      name: entry.name,
+      createdAt: entry.createdAt,
+      ownerId: entry.ownerId || null,
+      visibility: entry.visibility || 'private',
+      team: entry.team || null,
+      versions: versions
+    };
+    if (entry.pageSetup) {
+      template.pageSetup = entry.pageSetup;
+      if (entry.pageSetup.letterhead && !fs.existsSync(entry.pageSetup.letterhead.filePath)) {
+        console.warn(`Template ${entry.id}: letterhead ${entry.pageSetup.letterhead.filePath} is missing and was dropped`);
+        template.pageSetup = { ...entry.pageSetup, letterhead: null };
+      }
+    }
+    if (entry.salesforceMappings) {
+      template.salesforceMappings = entry.salesforceMappings;
+    }
+    const current = versions.find(v => v.version === entry.currentVersion) || versions[versions.length - 1];
+    setCurrentVersion(template, current);
+    templates[entry.id] = template;
+  }
+
+  console.log(`Restored ${Object.keys(templates).length} template(s) from ${TEMPLATE_INDEX_PATH}`);
+}
+
+// Look up a template version; falls back to the current one when no version is given
+function getTemplateVersion(template, version) {
+  if (version === undefined || version === null || version === '') {
+    return template.versions.find(v => v.version === template.currentVersion);
+  }
+  return template.versions.find(v => v.version === parseInt(version, 10)) || null;
+}
+
+// Point the template's top-level fields at the given version
+function setCurrentVersion(template, versionData) {
+  template.currentVersion = versionData.version;
+  template.contentData = versionData.contentData;
+  template.variables = versionData.variables;
+  template.schema = versionData.schema;
+  template.fields = versionData.fields;
+  template.filePath = versionData.filePath;
+  template.originalFormat = versionData.originalFormat;
+}
+
+// Version listing without the extracted content
+function toVersionSummary(template, versionData) {
+  return {
+    version: versionData.version,
+    name: versionData.name,
+    originalFormat: versionData.originalFormat,
+    uploadedAt: versionData.uploadedAt,
+    variables: versionData.variables,
+    isCurrent: versionData.version === template.currentVersion
+  };
+}
+
 // Extract text content and formatting from various file types
 async function extractContentFromFile(filePath, originalName) {
   const fileExt = path.extname(originalName).toLowerCase();
@@ -118,8 +440,9 @@ async function extractContentFromFile(filePath, originalName) {
         return {
           text: textContent,
           formatting: null,
-          type: 'text',
-          originalPath: filePath
+          type: fileExt === '.md' ? 'markdown' : 'text',
+          originalPath: filePath,
+          hasRichFormatting: fileExt === '.md'
         };
         
       case '.doc':
@@ -130,6 +453,7 @@ async function extractContentFromFile(filePath, originalName) {
         // Store original file for template-based processing
         return {
           text: textResult.value,
+          headerFooterText: readDocxHeaderFooterText(filePath),
           formatting: 'docx',
           type: 'docx',
           originalPath: filePath,
@@ -138,7 +462,7 @@ async function extractContentFromFile(filePath, originalName) {
         
       case '.pdf':
         const pdfBuffer = fs.readFileSync(filePath);
-        const pdfData = await pdfParse(pdfBuffer);
+        const pdfData = await parsePdfText(pdfBuffer);
         
         // Store the original PDF for format preservation
         return {
@@ -147,6 +471,7 @@ async function extractContentFromFile(filePath, originalName) {
           formatting: 'pdf',
           type: 'pdf',
           metadata: pdfData.info,
+          formFields: await extractPdfFormFields(pdfBuffer),
           hasRichFormatting: true
         };
         
@@ -158,355 +483,9842 @@ async function extractContentFromFile(filePath, originalName) {
   }
 }
 
-// Generate document with preserved formatting using template approach
-async function generateFormattedDocument(templateData, variables, format, outputPath) {
-  return new Promise(async (resolve, reject) => {
-    try {
-      switch (templateData.type) {
-        case 'docx':
-          if (format === 'docx') {
-            // Use docxtemplater for true format preservation
-            await generateDocxWithTemplating(templateData.originalPath, variables, outputPath);
-          } else if (format === 'pdf') {
-            // Convert formatted DOCX to PDF
-            await generatePdfFromDocx(templateData.originalPath, variables, outputPath);
-          } else {
-            // Fallback to text
-            const content = replaceVariables(templateData.text, variables);
-            fs.writeFileSync(outputPath, content);
-          }
-          break;
-          
-        case 'pdf':
-          if (format === 'pdf') {
-            // Use advanced PDF templating
-            await generatePdfWithTemplating(templateData.originalPath, variables, outputPath);
-          } else if (format === 'docx') {
-            // Convert PDF template to DOCX with variables
-            await generateDocxFromPdf(templateData.text, variables, outputPath);
-          } else {
-            // Text output
-            const content = replaceVariables(templateData.text, variables);
-            fs.writeFileSync(outputPath, content);
-          }
-          break;
-          
-        case 'text':
-        default:
-          const content = replaceVariables(templateData.text, variables);
-          if (format === 'docx') {
-            await generateBasicDocx(content, outputPath);
-          } else if (format === 'pdf') {
-            await generateBasicPdf(content, outputPath);
-          } else {
-            fs.writeFileSync(outputPath, content);
-          }
-          break;
-      }
-      resolve();
-    } catch (error) {
-      reject(error);
-    }
-  });
-}
-
-// Generate DOCX with preserved formatting using docxtemplater
-async function generateDocxWithTemplating(templatePath, variables, outputPath) {
+// Text of a Word file's headers and footers, a line per paragraph. mammoth
+// reads only the body, but their tags are filled like the body's.
+function readDocxHeaderFooterText(filePath) {
+  let zip;
   try {
-    // Read the template file
-    const content = fs.readFileSync(templatePath, 'binary');
-    const zip = new PizZip(content);
-    
-    // Create docxtemplater instance
-    const doc = new Docxtemplater(zip, {
-      paragraphLoop: true,
-      linebreaks: true,
-    });
-    
-    // Set template variables
-    doc.setData(variables);
-    
-    try {
-      // Render the document
-      doc.render();
-    } catch (error) {
-      // If templater fails, fall back to text replacement approach
-      console.warn('Docxtemplater failed, falling back to text replacement:', error);
-      await generateDocxFallback(templatePath, variables, outputPath);
-      return;
-    }
-    
-    // Generate and save the document
-    const buf = doc.getZip().generate({ type: 'nodebuffer' });
-    fs.writeFileSync(outputPath, buf);
-    
+    zip = new PizZip(fs.readFileSync(filePath));
   } catch (error) {
-    console.error('DOCX templating failed:', error);
-    // Fallback to basic DOCX generation
-    const content = replaceVariables(fs.readFileSync(templatePath, 'utf8'), variables);
-    await generateBasicDocx(content, outputPath);
+    // Old .doc files aren't zip packages
+    return '';
   }
+  return zip.file(/^word\/(header|footer)\d*\.xml$/).map(file => {
+    const xml = readZipXml(zip, file.name);
+    return Array.from(xml.getElementsByTagName('w:p'))
+      .map(paragraph => Array.from(paragraph.getElementsByTagName('w:t')).map(node => node.textContent).join(''))
+      .join('\n');
+  }).join('\n');
 }
 
-// Fallback DOCX generation when templating fails
-async function generateDocxFallback(templatePath, variables, outputPath) {
+// Read a PDF's text with pdf-parse, falling back to our own glyph walk for the
+// files its bundled pdf.js can't read (including many pdf-lib and PDFKit outputs)
+async function parsePdfText(pdfBuffer) {
   try {
-    // Extract text and replace variables
-    const result = await mammoth.extractRawText({ path: templatePath });
-    const content = replaceVariables(result.value, variables);
-    
-    // Generate new DOCX with the content
-    await generateBasicDocx(content, outputPath);
+    return await pdfParse(pdfBuffer);
   } catch (error) {
-    throw new Error('Failed to generate DOCX document: ' + error.message);
+    const pdfDoc = await PDFLib.load(pdfBuffer);
+    const pages = pdfDoc.getPages().map(page => buildPageText(collectPageGlyphs(pdfDoc.context, page)).text);
+    return {
+      text: pages.join('\n\n'),
+      numpages: pages.length,
+      info: { Title: pdfDoc.getTitle(), Author: pdfDoc.getAuthor() }
+    };
   }
 }
 
-// Generate PDF with advanced templating
-async function generatePdfWithTemplating(templatePath, variables, outputPath) {
+// Describe a PDF's fillable form fields so they can be used as template
+// variables. Buttons, signatures and read-only fields can't be filled and are left out.
+async function extractPdfFormFields(pdfBuffer) {
+  let form;
   try {
-    // Read the original PDF
-    const existingPdfBytes = fs.readFileSync(templatePath);
-    const pdfDoc = await PDFLib.load(existingPdfBytes);
-    
-    // Get all pages
-    const pages = pdfDoc.getPages();
-    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
-    
-    // Extract text to find variable positions
-    const pdfBuffer = fs.readFileSync(templatePath);
-    const pdfData = await pdfParse(pdfBuffer);
-    let textContent = pdfData.text;
-    
-    // Replace variables in text content
-    for (const [key, value] of Object.entries(variables)) {
-      const regex = new RegExp(`\\{\\{${key}\\}\\}`, 'g');
-      textContent = textContent.replace(regex, value || '');
-    }
-    
-    // Create a new PDF with the processed content overlaid on original
-    // This preserves the background formatting while updating text
-    for (let i = 0; i < pages.length; i++) {
-      const page = pages[i];
-      const { width, height } = page.getSize();
-      
-      // Find and replace variables on each page
-      for (const [key, value] of Object.entries(variables)) {
-        // This is a simplified approach - in production you'd want more sophisticated text detection
-        const variablePattern = `{{${key}}}`;
-        
-        // For demo purposes, we'll overlay text at common positions
-        // In a real implementation, you'd parse the PDF structure to find exact positions
-        page.drawText(String(value || ''), {
-          x: 50,
-          y: height - 100 - (Object.keys(variables).indexOf(key) * 25),
-          size: 12,
-          font: font,
-          color: rgb(0, 0, 0),
-        });
-      }
-    }
-    
-    // Save the modified PDF
-    const pdfBytes = await pdfDoc.save();
-    fs.writeFileSync(outputPath, pdfBytes);
-    
+    const pdfDoc = await PDFLib.load(pdfBuffer, { ignoreEncryption: true });
+    form = pdfDoc.getForm();
   } catch (error) {
-    console.error('PDF templating failed, using fallback:', error);
-    // Fallback to creating a new PDF
-    const content = replaceVariables('Original PDF content:\n\n' + Object.entries(variables).map(([k, v]) => `${k}: ${v}`).join('\n'), {});
-    await generateBasicPdf(content, outputPath);
+    console.warn('Could not read PDF form fields:', error.message);
+    return [];
   }
+
+  const fields = [];
+  form.getFields().forEach(field => {
+    if (field.isReadOnly()) return;
+
+    const descriptor = { name: field.getName(), required: field.isRequired() };
+    if (field instanceof PDFTextField) {
+      const dateFormat = getPdfFieldDateFormat(field);
+      descriptor.type = dateFormat ? 'date' : 'text';
+      if (dateFormat) descriptor.format = dateFormat;
+      if (field.getMaxLength() !== undefined) descriptor.maxLength = field.getMaxLength();
+      descriptor.multiline = field.isMultiline();
+      descriptor.value = field.getText() || '';
+    } else if (field instanceof PDFCheckBox) {
+      descriptor.type = 'checkbox';
+      descriptor.value = field.isChecked();
+    } else if (field instanceof PDFRadioGroup) {
+      descriptor.type = 'radio';
+      descriptor.options = field.getOptions();
+      descriptor.value = field.getSelected() || '';
+    } else if (field instanceof PDFDropdown || field instanceof PDFOptionList) {
+      descriptor.type = 'dropdown';
+      descriptor.options = field.getOptions();
+      descriptor.multiSelect = field instanceof PDFOptionList || field.isMultiselect();
+      descriptor.value = descriptor.multiSelect ? field.getSelected() : field.getSelected()[0] || '';
+    } else {
+      return;
+    }
+    fields.push(descriptor);
+  });
+
+  return fields;
 }
 
-// Generate PDF from DOCX template
-async function generatePdfFromDocx(templatePath, variables, outputPath) {
-  try {
-    // First generate DOCX with variables
-    const tempDocxPath = outputPath.replace('.pdf', '.temp.docx');
-    await generateDocxWithTemplating(templatePath, variables, tempDocxPath);
-    
-    // Convert DOCX to PDF (this would require additional libraries like libreoffice-convert)
-    // For now, we'll extract text and create a PDF
-    const result = await mammoth.extractRawText({ path: tempDocxPath });
-    await generateBasicPdf(result.value, outputPath);
-    
-    // Clean up temp file
-    if (fs.existsSync(tempDocxPath)) {
-      fs.unlinkSync(tempDocxPath);
+// Date fields are text fields whose format action calls AFDate_FormatEx;
+// returns the date format it uses, e.g. "mm/dd/yyyy"
+function getPdfFieldDateFormat(field) {
+  const dicts = [field.acroField.dict, ...field.acroField.getWidgets().map(widget => widget.dict)];
+
+  for (const dict of dicts) {
+    const actions = dict.lookupMaybe(PDFName.of('AA'), PDFDict);
+    const format = actions && actions.lookupMaybe(PDFName.of('F'), PDFDict);
+    const js = format && format.lookup(PDFName.of('JS'));
+
+    let script = '';
+    if (js instanceof PDFString || js instanceof PDFHexString) {
+      script = js.decodeText();
+    } else if (js instanceof PDFStream) {
+      script = Buffer.from(decodeStreamContents(js)).toString('latin1');
     }
-    
-  } catch (error) {
-    console.error('DOCX to PDF conversion failed:', error);
-    // Fallback
-    const content = replaceVariables('Template content with variables:\n\n' + Object.entries(variables).map(([k, v]) => `${k}: ${v}`).join('\n'), {});
-    await generateBasicPdf(content, outputPath);
+
+    const match = script.match(/AFDate_Format(Ex)?\(\s*["']([^"']*)["']/);
+    if (match) return match[2];
+    if (/AFDate_Format/.test(script)) return 'mm/dd/yyyy';
   }
+
+  // Fall back to the field's name for forms without format actions
+  return /(^|[^a-z])(date|dob)([^a-z]|$)/i.test(field.getName()) ? 'mm/dd/yyyy' : null;
 }
 
-// Generate DOCX from PDF template
-async function generateDocxFromPdf(textContent, variables, outputPath) {
-  const content = replaceVariables(textContent, variables);
-  await generateBasicDocx(content, outputPath);
+// Format a date value with an Acrobat date format (yyyy, yy, mmmm, mmm, mm, m, dd, d).
+// Values that aren't dates are returned unchanged.
+function formatPdfDate(value, format) {
+  const date = parseTemplateDate(value);
+  if (!format || !date) return String(value);
+
+  const acrobatTokens = { yyyy: 'YYYY', yy: 'YY', mmmm: 'MMMM', mmm: 'MMM', mm: 'MM', m: 'M', dd: 'DD', d: 'D' };
+  return formatTemplateDate(date, format.replace(/\[|\]/g, '')
+    .replace(/yyyy|yy|mmmm|mmm|mm|m|dd|d|([^ymd]+)/g, (token, literal) => (literal ? `[${literal}]` : acrobatTokens[token])));
 }
 
-// Extract variables from template content
-function extractVariables(content) {
-  const variableRegex = /\{\{(\w+)\}\}/g;
-  const variables = [];
-  let match;
-  
-  while ((match = variableRegex.exec(content)) !== null) {
-    if (!variables.includes(match[1])) {
-      variables.push(match[1]);
+// Fill a PDF's form fields from the variables named after them; returns how
+// many fields were set
+function fillPdfFormFields(pdfDoc, variables) {
+  const form = pdfDoc.getForm();
+  let filled = 0;
+
+  form.getFields().forEach(field => {
+    const name = field.getName();
+    const value = variables[name];
+    if (value === undefined || value === null || field.isReadOnly()) return;
+
+    try {
+      if (field instanceof PDFTextField) {
+        const dateFormat = getPdfFieldDateFormat(field);
+        let text = toWinAnsiText(dateFormat ? formatPdfDate(value, dateFormat) : String(value));
+        const maxLength = field.getMaxLength();
+        if (maxLength !== undefined && text.length > maxLength) {
+          console.warn(`Value for form field "${name}" truncated to its maximum length of ${maxLength}`);
+          text = text.substring(0, maxLength);
+        }
+        field.setText(text);
+      } else if (field instanceof PDFCheckBox) {
+        const checked = value === true || /^(true|yes|y|on|1|x|checked)$/i.test(String(value).trim());
+        if (checked) {
+          field.check();
+        } else {
+          field.uncheck();
+        }
+      } else if (field instanceof PDFRadioGroup) {
+        const option = matchFormOption(field.getOptions(), value);
+        if (option) {
+          field.select(option);
+        } else if (String(value) === '') {
+          field.clear();
+        } else {
+          console.warn(`"${value}" is not an option of radio group "${name}"`);
+          return;
+        }
+      } else if (field instanceof PDFDropdown || field instanceof PDFOptionList) {
+        const values = (Array.isArray(value) ? value : [value]).filter(v => String(v) !== '');
+        const options = values.map(v => matchFormOption(field.getOptions(), v));
+        if (values.length === 0) {
+          field.clear();
+        } else if (field instanceof PDFDropdown) {
+          // Dropdowns accept custom values; pdf-lib makes the field editable for them
+          field.select(values.map((v, i) => options[i] || toWinAnsiText(String(v))));
+        } else if (options.every(Boolean)) {
+          field.select(options);
+        } else {
+          console.warn(`"${values.join(', ')}" contains values that are not options of list "${name}"`);
+          return;
+        }
+      } else {
+        return;
+      }
+      filled++;
+    } catch (error) {
+      console.warn(`Could not fill form field "${name}":`, error.message);
     }
+  });
+
+  // An XFA form would take precedence over the AcroForm values in most viewers
+  if (filled > 0 && form.hasXFA()) {
+    form.deleteXFA();
   }
-  
-  return variables;
+
+  return filled;
 }
 
-// Replace variables in template with actual values
-function replaceVariables(template, variables) {
-  let result = template;
-  
-  for (const [key, value] of Object.entries(variables)) {
-    const regex = new RegExp(`\\{\\{${key}\\}\\}`, 'g');
-    result = result.replace(regex, value);
-  }
-  
+// Find a form option matching a value, ignoring case when there's no exact match
+function matchFormOption(options, value) {
+  const text = String(value);
+  return options.find(option => option === text) ||
+    options.find(option => option.toLowerCase() === text.toLowerCase()) ||
+    null;
+}
+
+// Text a template's tags are read from: its text, plus the headers and
+// footers of Word templates
+function templateTagText(contentData) {
+  return contentData.headerFooterText ? `${contentData.text}\n${contentData.headerFooterText}` : contentData.text;
+}
+
+// Template variables: the {{placeholders}} in the text plus any PDF form
+// fields and Word image tags
+function extractTemplateVariables(contentData) {
+  const text = templateTagText(contentData);
+  const variables = extractVariables(text);
+  if (contentData.type === 'docx') {
+    extractDocxImageTags(text).forEach(tag => {
+      if (!variables.includes(tag.path)) variables.push(tag.path);
+    });
+  }
+  (contentData.formFields || []).forEach(field => {
+    if (!variables.includes(field.name)) {
+      variables.push(field.name);
+    }
+  });
+  return variables;
+}
+
+// Schema of the data a template expects; PDF form fields are top-level
+// properties named after the field
+function extractTemplateSchema(contentData) {
+  const text = templateTagText(contentData);
+  const schema = extractVariableSchema(text);
+  if (contentData.type === 'docx') {
+    // Image tags hold a picture, or the value a code is drawn from
+    extractDocxImageTags(text).forEach(tag => {
+      if (schema[tag.path]) return;
+      const drawsCode = tag.filters.some(filter => ['qrcode', 'barcode'].includes(filter.name));
+      schema[tag.path] = drawsCode ? { type: 'string' } : { type: 'string', format: 'image' };
+    });
+  }
+  (contentData.formFields || []).forEach(field => {
+    if (schema[field.name]) return;
+    schema[field.name] = field.type === 'checkbox' ? { type: 'boolean' }
+      : field.multiSelect ? { type: 'array', items: { type: 'string', enum: field.options } }
+      : assignDefined({ type: 'string' }, { format: field.type === 'date' ? 'date' : undefined, enum: field.options });
+  });
+  return schema;
+}
+
+// Field definitions describe how each variable of a template is filled in:
+// { type, required, default, pattern, enum, min, max, description }, plus
+// the columns of table fields. They're
+// inferred from the template and can then be edited; generation is refused
+// when the variables don't satisfy them.
+const FIELD_TYPES = ['string', 'number', 'boolean', 'date', 'email', 'array', 'image', 'table'];
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Schema node of a variable path, by flat key or through nested properties
+function findSchemaNode(schema, variable) {
+  if (schema[variable]) return schema[variable];
+  return variable.split('.').reduce((node, part) => (
+    node && node.properties ? node.properties[part] : undefined
+  ), { properties: schema });
+}
+
+// Default field definitions for a template's variables
+function inferFieldDefinitions(variables, schema, formFields = []) {
+  const fields = {};
+  variables.forEach(variable => {
+    const node = findSchemaNode(schema, variable) || { type: 'string' };
+    const formField = formFields.find(f => f.name === variable);
+
+    let type = FIELD_TYPES.includes(node.type) ? node.type : 'string';
+    if (type === 'string' && node.format === 'date') type = 'date';
+    if (type === 'string' && node.format === 'image') type = 'image';
+    if (type === 'array' && node.format === 'table') type = 'table';
+    if (type === 'string' && /(^|[^a-z])e-?mail/i.test(variable)) type = 'email';
+
+    // Conditions, loops and variables with a default in the template can be left out
+    const required = formField
+      ? formField.required
+      : !['boolean', 'array', 'table'].includes(type) && node.default === undefined;
+
+    // Loops over objects describe the properties each item needs
+    const itemProperties = type === 'array' && node.items && node.items.type === 'object' ? node.items.properties : {};
+    fields[variable] = assignDefined({ type, required }, {
+      enum: node.enum || (node.items && node.items.enum),
+      max: formField && formField.maxLength,
+      items: Object.keys(itemProperties).length > 0
+        ? inferFieldDefinitions(listSchemaPaths(itemProperties), itemProperties)
+        : undefined
+    });
+  });
+  return fields;
+}
+
+// Check a field definition sent by a client and return a clean copy; throws
+// with a message naming the variable when it's invalid
+function normalizeFieldDefinition(variable, definition) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error(`Definition of "${variable}" must be an object`);
+  }
+
+  const type = definition.type || 'string';
+  if (!FIELD_TYPES.includes(type)) {
+    throw new Error(`"${variable}" has unknown type "${type}"; expected one of ${FIELD_TYPES.join(', ')}`);
+  }
+
+  const normalized = { type, required: definition.required === true };
+  if (definition.description !== undefined && definition.description !== '') {
+    normalized.description = String(definition.description);
+  }
+
+  if (definition.pattern !== undefined && definition.pattern !== '') {
+    try {
+      new RegExp(definition.pattern);
+    } catch (error) {
+      throw new Error(`"${variable}" has an invalid pattern: ${error.message}`);
+    }
+    normalized.pattern = String(definition.pattern);
+  }
+
+  if (definition.enum !== undefined && definition.enum !== null) {
+    if (!Array.isArray(definition.enum) || definition.enum.length === 0) {
+      throw new Error(`"${variable}" enum must be a non-empty list`);
+    }
+    normalized.enum = definition.enum.map(String);
+  }
+
+  if (type === 'table' && definition.columns !== undefined && definition.columns !== null) {
+    let columns;
+    try {
+      columns = normalizeTableColumns(definition.columns);
+    } catch (error) {
+      throw new Error(`"${variable}" ${error.message}`);
+    }
+    if (columns.length > 0) normalized.columns = columns;
+  }
+
+  if (type === 'array' && definition.items !== undefined && definition.items !== null) {
+    if (typeof definition.items !== 'object' || Array.isArray(definition.items)) {
+      throw new Error(`"${variable}" items must be an object keyed by property name`);
+    }
+    const items = {};
+    Object.entries(definition.items).forEach(([property, itemDefinition]) => {
+      items[property] = normalizeFieldDefinition(`${variable}.${property}`, itemDefinition);
+    });
+    if (Object.keys(items).length > 0) normalized.items = items;
+  }
+
+  ['min', 'max'].forEach(bound => {
+    const value = definition[bound];
+    if (value === undefined || value === null || value === '') return;
+    if (type === 'date') {
+      if (!parseTemplateDate(value)) throw new Error(`"${variable}" ${bound} must be a date`);
+      normalized[bound] = String(value);
+    } else {
+      if (isNaN(toTemplateNumber(value))) throw new Error(`"${variable}" ${bound} must be a number`);
+      normalized[bound] = toTemplateNumber(value);
+    }
+  });
+  if (normalized.min !== undefined && normalized.max !== undefined) {
+    const [min, max] = type === 'date'
+      ? [parseTemplateDate(normalized.min), parseTemplateDate(normalized.max)]
+      : [normalized.min, normalized.max];
+    if (min > max) throw new Error(`"${variable}" min is greater than max`);
+  }
+
+  if (definition.default !== undefined && definition.default !== null && definition.default !== '') {
+    const checked = checkFieldValue(normalized, definition.default);
+    if (checked.error) throw new Error(`"${variable}" default is invalid: ${checked.error.message}`);
+    normalized.default = checked.value;
+  }
+
+  return normalized;
+}
+
+// Definitions for the given variables: saved ones where they still apply,
+// inferred ones for the rest
+function mergeFieldDefinitions(inferred, saved) {
+  const fields = {};
+  Object.keys(inferred).forEach(variable => {
+    fields[variable] = saved && saved[variable] ? saved[variable] : inferred[variable];
+  });
+  return fields;
+}
+
+// The definitions of a version that were edited rather than inferred
+function editedFieldDefinitions(versionData) {
+  const inferred = inferFieldDefinitions(versionData.variables, versionData.schema, versionData.contentData.formFields);
+  const edited = {};
+  Object.entries(versionData.fields || {}).forEach(([variable, definition]) => {
+    if (JSON.stringify(definition) !== JSON.stringify(inferred[variable])) {
+      edited[variable] = definition;
+    }
+  });
+  return edited;
+}
+
+// Missing means not given, empty, or still an unfilled {{placeholder}}
+function isMissingFieldValue(value) {
+  return value === undefined || value === null || value === ''
+    || (Array.isArray(value) && value.length === 0)
+    || (typeof value === 'string' && /^\{\{[^{}]*\}\}$/.test(value.trim()));
+}
+
+// Check a present value against a definition. Returns the value converted to
+// the field's type, or the rule it breaks and why.
+function checkFieldValue(definition, value) {
+  const fail = (rule, message) => ({ error: { rule, message } });
+  let converted = value;
+
+  switch (definition.type) {
+    case 'number':
+      converted = toTemplateNumber(value);
+      if (isNaN(converted)) return fail('type', 'must be a number');
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        if (!/^(true|false|yes|no|on|off|1|0)$/i.test(String(value).trim())) return fail('type', 'must be true or false');
+        converted = isTemplateTruthy(String(value));
+      }
+      break;
+    case 'date':
+      if (!parseTemplateDate(value)) return fail('type', 'must be a date');
+      break;
+    case 'email':
+      if (typeof value !== 'string' || !EMAIL_REGEX.test(value.trim())) return fail('type', 'must be an email address');
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return fail('type', 'must be a list');
+      break;
+    case 'image': {
+      // Images are kept as data URLs; the other rules don't apply to them
+      const image = parseImageData(value);
+      if (!image) return fail('type', `must be a PNG or JPEG image of at most ${MAX_IMAGE_BYTES / 1024 / 1024} MB`);
+      return { value: toImageDataUrl(image) };
+    }
+    case 'table':
+      // Tables are kept as { columns, rows } with the field's columns filled in
+      try {
+        converted = normalizeTemplateTable(value, definition.columns);
+      } catch (error) {
+        return fail('type', error.message);
+      }
+      break;
+    default:
+      if (typeof value === 'object') return fail('type', 'must be text');
+  }
+
+  if (definition.enum && !(Array.isArray(converted) ? converted : [converted]).every(item => definition.enum.includes(String(item)))) {
+    return fail('enum', `must be one of ${definition.enum.join(', ')}`);
+  }
+  if (definition.pattern && !new RegExp(definition.pattern).test(String(converted))) {
+    return fail('pattern', `does not match the pattern ${definition.pattern}`);
+  }
+
+  // Bounds apply to numbers, dates, the length of lists and the length of text
+  const measure = definition.type === 'number' ? converted
+    : definition.type === 'date' ? parseTemplateDate(value).getTime()
+    : definition.type === 'table' ? converted.rows.length
+    : Array.isArray(converted) ? converted.length
+    : String(converted).length;
+  const bound = limit => (definition.type === 'date' ? parseTemplateDate(limit).getTime() : limit);
+  const unit = { array: 'items', table: 'rows' }[definition.type] || 'characters';
+  const comparable = ['number', 'date'].includes(definition.type);
+  if (definition.min !== undefined && measure < bound(definition.min)) {
+    return fail('min', comparable
+      ? `must be ${definition.type === 'date' ? 'on or after' : 'at least'} ${definition.min}`
+      : `must have at least ${definition.min} ${unit}`);
+  }
+  if (definition.max !== undefined && measure > bound(definition.max)) {
+    return fail('max', comparable
+      ? `must be ${definition.type === 'date' ? 'on or before' : 'at most'} ${definition.max}`
+      : `must have at most ${definition.max} ${unit}`);
+  }
+
+  return { value: converted };
+}
+
+// Validate variables against field definitions. Defaults are filled in,
+// missing optional values blanked and values converted to their field's
+// type; every failing field is reported. The items of lists with item
+// definitions are validated the same way, reported as list[n].property.
+function validateTemplateVariables(fields, variables, prefix = '') {
+  const values = { ...(variables || {}) };
+  const errors = [];
+
+  Object.entries(fields || {}).forEach(([variable, definition]) => {
+    const field = prefix + variable;
+    let value = lookupTemplatePath([{ value: values }], variable);
+    if (isMissingFieldValue(value)) {
+      if (definition.default !== undefined) {
+        values[variable] = definition.default;
+      } else if (definition.required) {
+        errors.push({ field, rule: 'required', message: `${field} is required` });
+      } else {
+        // Optional fields are blanked rather than left as {{placeholders}}
+        values[variable] = definition.type === 'array' ? []
+          : definition.type === 'table' ? { columns: definition.columns || [], rows: [] }
+          : definition.type === 'boolean' ? false
+          : '';
+      }
+      return;
+    }
+
+    const checked = checkFieldValue(definition, value);
+    if (checked.error) {
+      errors.push({ field, rule: checked.error.rule, message: `${field} ${checked.error.message}` });
+      return;
+    }
+
+    let converted = checked.value;
+    if (definition.type === 'array' && definition.items) {
+      converted = converted.map((item, index) => {
+        const itemField = `${field}[${index + 1}]`;
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+          errors.push({ field: itemField, rule: 'type', message: `${itemField} must be an object` });
+          return item;
+        }
+        const result = validateTemplateVariables(definition.items, item, `${itemField}.`);
+        errors.push(...result.errors);
+        return result.values;
+      });
+    }
+    if (converted !== value) {
+      // Flat keys take precedence over nested objects when paths are looked up
+      values[variable] = converted;
+    }
+  });
+
+  return { values, errors };
+}
+
+// Validate variables for a template version: against its field definitions
+// and, for PDF forms, whether the form's standard fonts can show the text
+// going into its fields. pdf-lib can only draw WinAnsi characters there.
+function validateVersionVariables(versionData, variables) {
+  const { values, errors } = validateTemplateVariables(versionData.fields, variables);
+
+  (versionData.contentData.formFields || []).forEach(formField => {
+    if (!['text', 'dropdown'].includes(formField.type) || errors.some(error => error.field === formField.name)) return;
+    const value = values[formField.name];
+    if (value === undefined || value === null) return;
+
+    (Array.isArray(value) ? value : [value]).forEach(item => {
+      const text = String(item);
+      const unsupported = [...new Set(Array.from(text).filter(ch => (
+        ch !== '\n' && !StandardEncodings.WinAnsi.canEncodeUnicodeCodePoint(ch.codePointAt(0))
+      )))];
+      if (unsupported.length > 0) {
+        errors.push({
+          field: formField.name,
+          rule: 'encoding',
+          message: `${formField.name} value "${text}" has characters the PDF form can't show: ${unsupported.join(' ')}`
+        });
+      }
+    });
+  });
+
+  return { values, errors };
+}
+
+// File extension of each output format
+const OUTPUT_EXTENSIONS = {
+  'txt': '.txt',
+  'docx': '.docx',
+  'pdf': '.pdf',
+  'html': '.html',
+  'md': '.md'
+};
+
+// Whether a requested output format is one of OUTPUT_EXTENSIONS
+function isOutputFormat(format) {
+  return typeof format === 'string' && Object.prototype.hasOwnProperty.call(OUTPUT_EXTENSIONS, format);
+}
+
+// Generate document with preserved formatting using template approach
+async function generateFormattedDocument(templateData, variables, format, outputPath, options = {}) {
+  return new Promise(async (resolve, reject) => {
+    try {
+      switch (templateData.type) {
+        case 'docx':
+          if (format === 'docx') {
+            // Use docxtemplater for true format preservation
+            await generateDocxWithTemplating(templateData.originalPath, variables, outputPath, options);
+          } else if (format === 'pdf') {
+            // Convert formatted DOCX to PDF
+            await generatePdfFromDocx(templateData.originalPath, variables, outputPath, options);
+          } else if (format === 'html' || format === 'md') {
+            await generateWebDocumentFromDocx(templateData.originalPath, variables, format, outputPath, options);
+          } else {
+            // Fallback to text
+            const content = replaceVariables(templateData.text, variables);
+            fs.writeFileSync(outputPath, toPlainText(content));
+          }
+          break;
+          
+        case 'pdf':
+          if (format === 'pdf') {
+            // Use advanced PDF templating
+            await generatePdfWithTemplating(templateData.originalPath, variables, outputPath, options);
+          } else if (format === 'docx') {
+            // Convert PDF template to DOCX with variables
+            await generateDocxFromPdf(templateData.text, variables, outputPath);
+          } else if (format === 'html' || format === 'md') {
+            generateWebDocumentFromText(replaceVariables(templateData.text, variables), format, outputPath);
+          } else {
+            // Text output
+            const content = replaceVariables(templateData.text, variables);
+            fs.writeFileSync(outputPath, toPlainText(content));
+          }
+          break;
+          
+        case 'markdown': {
+          // Values are filled in first so Markdown inside them is formatted;
+          // tables become Markdown tables
+          const markdown = tableTokensToMarkdown(isolateTableTokens(replaceVariables(templateData.text, variables)));
+          const blocks = parseMarkdown(markdown);
+          if (format === 'docx') {
+            await generateMarkdownDocx(blocks, outputPath);
+          } else if (format === 'pdf') {
+            await generateMarkdownPdf(blocks, outputPath, options.pageSetup || DEFAULT_PAGE_SETUP, variables);
+          } else if (format === 'html') {
+            generateMarkdownHtml(blocks, outputPath);
+          } else if (format === 'md') {
+            // Markdown output is the filled-in Markdown itself
+            fs.writeFileSync(outputPath, imageTokensToMarkdown(markdown));
+          } else {
+            fs.writeFileSync(outputPath, toPlainText(markdown));
+          }
+          break;
+        }
+
+        case 'text':
+        default:
+          const content = replaceVariables(templateData.text, variables);
+          if (format === 'docx') {
+            await generateBasicDocx(content, outputPath);
+          } else if (format === 'pdf') {
+            await generateBasicPdf(content, outputPath, options.pageSetup, variables);
+          } else if (format === 'html' || format === 'md') {
+            generateWebDocumentFromText(content, format, outputPath);
+          } else {
+            fs.writeFileSync(outputPath, toPlainText(content));
+          }
+          break;
+      }
+      resolve();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+// Docxtemplater parser for the same paths and filters as text templates, so
+// {amount | currency:EUR} works in Word templates. Paths are resolved across
+// all of docxtemplater's scopes so a default only applies when nothing matches.
+function docxTemplateParser(tag) {
+  const expression = parseTemplateExpression(tag.trim());
+  return {
+    get(scope, context) {
+      if (!expression) return undefined;
+      const scopes = context.scopeList.slice(0, context.num + 1).map(value => ({ value }));
+      const value = evaluateTemplateExpression(scopes.reverse(), expression);
+      // Tables can't be placed inside a run of text, so they come out as aligned text
+      return typeof value === 'string' ? tableTokensToText(value) : value;
+    }
+  };
+}
+
+// Generate DOCX with preserved formatting using docxtemplater. Tags without
+// a value come out empty and are logged; with `keepUnfilled` set they come
+// out as {{placeholders}}, as previews show them.
+async function generateDocxWithTemplating(templatePath, variables, outputPath, options = {}) {
+  try {
+    // Read the template file
+    const content = fs.readFileSync(templatePath, 'binary');
+    const zip = new PizZip(content);
+    
+    // Create docxtemplater instance
+    const imageModule = createDocxImageModule();
+    const unfilled = new Set();
+    const doc = new Docxtemplater(zip, {
+      // The same {{placeholders}} as text and PDF templates
+      delimiters: { start: '{{', end: '}}' },
+      paragraphLoop: true,
+      linebreaks: true,
+      parser: docxTemplateParser,
+      modules: [imageModule],
+      nullGetter: part => {
+        if (part.module) return '';
+        if (options.keepUnfilled) return `{{${part.value}}}`;
+        unfilled.add(part.value);
+        return '';
+      }
+    });
+    
+    // Set template variables
+    doc.setData(variables);
+    
+    try {
+      // Render the document
+      doc.render();
+    } catch (error) {
+      // If templater fails, fall back to text replacement approach
+      console.warn('Docxtemplater failed, falling back to text replacement:', error);
+      await generateDocxFallback(templatePath, variables, outputPath);
+      return;
+    }
+    
+    if (unfilled.size > 0) {
+      console.warn(`Word template ${path.basename(templatePath)} has no value for ${[...unfilled].join(', ')}; left empty`);
+    }
+
+    // Generate and save the document
+    addDocxImages(doc.getZip(), imageModule.images);
+    const buf = doc.getZip().generate({ type: 'nodebuffer' });
+    fs.writeFileSync(outputPath, buf);
+    
+  } catch (error) {
+    console.error('DOCX templating failed:', error);
+    // Fall back to the template's text in a plain DOCX
+    await generateDocxFallback(templatePath, variables, outputPath);
+  }
+}
+
+// Fallback DOCX generation when templating fails
+async function generateDocxFallback(templatePath, variables, outputPath) {
+  try {
+    // Extract text and replace variables
+    const result = await mammoth.extractRawText({ path: templatePath });
+    const content = replaceVariables(result.value, variables);
+    
+    // Generate new DOCX with the content
+    await generateBasicDocx(content, outputPath);
+  } catch (error) {
+    throw new Error('Failed to generate DOCX document: ' + error.message);
+  }
+}
+
+// Generate PDF with advanced templating: form fields are filled by name, and
+// each {{key}} placeholder is located on its page, its glyphs are removed and
+// the value is drawn in the same place, size and colour. With `flatten` set
+// the form fields are merged into the page content.
+async function generatePdfWithTemplating(templatePath, variables, outputPath, options = {}) {
+  try {
+    // Read the original PDF
+    const existingPdfBytes = fs.readFileSync(templatePath);
+    const pdfDoc = await PDFLib.load(existingPdfBytes);
+    const fonts = {};
+    let filled = fillPdfFormFields(pdfDoc, variables);
+
+    for (const page of pdfDoc.getPages()) {
+      const placeholders = findPdfPlaceholders(pdfDoc.context, page)
+        .map(placeholder => ({ ...placeholder, value: evaluateTemplateExpression([{ value: variables }], placeholder.expression) }))
+        .filter(placeholder => placeholder.value !== undefined && placeholder.value !== null);
+      if (placeholders.length === 0) continue;
+
+      const layouts = [];
+      for (const placeholder of placeholders) {
+        if (parseImageToken(placeholder.value)) {
+          layouts.push(await layoutPlaceholderImage(pdfDoc, placeholder));
+          continue;
+        }
+        const font = await getPlaceholderFont(pdfDoc, fonts, placeholder.fontName);
+        layouts.push(layoutPlaceholderValue(placeholder, tableTokensToText(formatTemplateValue(placeholder.value)), font));
+      }
+
+      // Blank out the placeholder tokens; a small inset keeps neighbouring glyphs
+      // intact. Inline placeholders open a gap as wide as their value, which moves
+      // the rest of the text operation along and so shifts later placeholders in it.
+      const shifts = new Map();
+      const rects = placeholders.map((placeholder, index) => {
+        const { box, op, reflow } = placeholder;
+        const shift = shifts.get(op) || 0;
+        layouts[index].x = placeholder.origin.x + shift;
+        if (reflow) shifts.set(op, shift + layouts[index].width - (box.x2 - box.x1));
+
+        return {
+          x1: box.x1 + 0.5,
+          y1: box.y1,
+          x2: box.x2 - 0.5,
+          y2: box.y2,
+          insertWidth: reflow ? layouts[index].width : undefined
+        };
+      });
+      redactPageContent(pdfDoc.context, page, rects, { glyphs: 0, images: 0 }, true);
+
+      placeholders.forEach((placeholder, index) => {
+        drawPlaceholderValue(page, placeholder, layouts[index]);
+        filled++;
+      });
+    }
+
+    if (filled === 0) {
+      console.warn('No form fields or {{placeholders}} could be filled in the PDF template; output is unchanged');
+    }
+
+    if (options.flatten) {
+      flattenPdfForm(pdfDoc);
+    }
+
+    // Drop the original content streams that still contain the placeholder text
+    removeUnreachableObjects(pdfDoc.context);
+
+    // Save the modified PDF
+    const pdfBytes = await pdfDoc.save();
+    fs.writeFileSync(outputPath, pdfBytes);
+    
+  } catch (error) {
+    console.error('PDF templating failed, using fallback:', error);
+    // Fallback to creating a new PDF
+    const content = replaceVariables('Original PDF content:\n\n' + Object.entries(variables).map(([k, v]) => `${k}: ${v}`).join('\n'), {});
+    await generateBasicPdf(content, outputPath);
+  }
+}
+
+// Flatten a PDF's form fields into its page content
+function flattenPdfForm(pdfDoc) {
+  pdfDoc.getForm().flatten();
+
+  // pdf-lib deletes the flattened widgets but leaves references to them in the pages' annotations
+  pdfDoc.getPages().forEach(page => {
+    const annots = page.node.Annots();
+    if (!annots) return;
+    for (let i = annots.size() - 1; i >= 0; i--) {
+      const ref = annots.get(i);
+      if (ref instanceof PDFRef && !pdfDoc.context.lookup(ref)) annots.remove(i);
+    }
+    if (annots.size() === 0) page.node.delete(PDFName.of('Annots'));
+  });
+}
+
+// Locate {{key}} and {{key | filter}} placeholders on a PDF page with their
+// position, size, font and colour, and how far to the right a value may extend
+function findPdfPlaceholders(context, page) {
+  const glyphs = collectPageGlyphs(context, page);
+  const { text, owners } = buildPageText(glyphs);
+  const crop = page.getCropBox();
+  const placeholders = [];
+
+  const placeholderRegex = /\{\{([^{}\n]*)\}\}/g;
+  let match;
+  while ((match = placeholderRegex.exec(text)) !== null) {
+    let expression;
+    try {
+      expression = parseTemplateExpression(match[1].trim());
+    } catch (error) {
+      console.warn(`Skipping PDF placeholder ${match[0]}: ${error.message}`);
+    }
+    // Loop variables mean nothing outside a loop
+    if (!expression || !/^\w+(\.\w+)*$/.test(expression.path) || expression.path === 'this') continue;
+
+    const start = match.index;
+    const end = start + match[0].length;
+    const tokenGlyphs = owners.slice(start, end).filter(owner => owner !== null).map(owner => glyphs[owner]);
+    if (tokenGlyphs.length === 0) continue;
+
+    const box = {
+      x1: Math.min(...tokenGlyphs.map(g => g.box.x1)),
+      y1: Math.min(...tokenGlyphs.map(g => g.box.y1)),
+      x2: Math.max(...tokenGlyphs.map(g => g.box.x2)),
+      y2: Math.max(...tokenGlyphs.map(g => g.box.y2))
+    };
+    const first = tokenGlyphs[0];
+    const last = tokenGlyphs[tokenGlyphs.length - 1];
+
+    let lineStart = start;
+    while (lineStart > 0 && text[lineStart - 1] !== '\n') lineStart--;
+    let lineEnd = end;
+    while (lineEnd < text.length && text[lineEnd] !== '\n') lineEnd++;
+    const lineGlyphs = owners.slice(lineStart, lineEnd).filter(owner => owner !== null).map(owner => glyphs[owner]);
+    const next = owners.slice(end, lineEnd)
+      .filter(owner => owner !== null)
+      .map(owner => glyphs[owner])
+      .find(glyph => glyph.text.trim());
+
+    // Values may run to the right margin, mirroring the line's left margin.
+    // Text drawn by the same operation moves along with the value; any other
+    // text following on the line limits the width.
+    const leftMargin = Math.max(lineGlyphs[0].box.x1 - crop.x, 36);
+    const rightEdge = crop.x + crop.width - leftMargin;
+    const reflow = Boolean(next) && next.op === last.op;
+    let limitX = rightEdge;
+    if (reflow) {
+      limitX = rightEdge - (Math.max(...lineGlyphs.map(g => g.box.x2)) - next.box.x1);
+    } else if (next) {
+      limitX = next.box.x1 - first.size * 0.25;
+    }
+
+    placeholders.push({
+      key: expression.path,
+      expression,
+      box,
+      origin: first.origin,
+      size: first.size,
+      fontName: first.fontName,
+      color: first.color,
+      op: last.op,
+      reflow,
+      maxWidth: Math.max(limitX - first.origin.x, box.x2 - box.x1)
+    });
+  }
+
+  return placeholders;
+}
+
+// Pick the standard font closest to the placeholder's own font
+async function getPlaceholderFont(pdfDoc, cache, fontName) {
+  const name = (fontName || '').replace(/^[A-Z]{6}\+/, '');
+  const bold = /bold|black|heavy|semibold/i.test(name);
+  const italic = /italic|oblique/i.test(name);
+
+  let standardFont;
+  if (/times|serif|georgia|garamond|roman|cambria/i.test(name) && !/sans/i.test(name)) {
+    standardFont = bold && italic ? StandardFonts.TimesRomanBoldItalic
+      : bold ? StandardFonts.TimesRomanBold
+      : italic ? StandardFonts.TimesRomanItalic
+      : StandardFonts.TimesRoman;
+  } else if (/courier|mono|consol/i.test(name)) {
+    standardFont = bold && italic ? StandardFonts.CourierBoldOblique
+      : bold ? StandardFonts.CourierBold
+      : italic ? StandardFonts.CourierOblique
+      : StandardFonts.Courier;
+  } else {
+    standardFont = bold && italic ? StandardFonts.HelveticaBoldOblique
+      : bold ? StandardFonts.HelveticaBold
+      : italic ? StandardFonts.HelveticaOblique
+      : StandardFonts.Helvetica;
+  }
+
+  if (!cache[standardFont]) {
+    cache[standardFont] = await pdfDoc.embedFont(standardFont);
+  }
+  return cache[standardFont];
+}
+
+// Fit a value into its placeholder's width. Values that don't fit are first
+// shrunk slightly, then wrapped onto following lines; inline values stay on
+// one line since the text after them can't move down.
+function layoutPlaceholderValue(placeholder, value, font) {
+  const encodable = toWinAnsiText(value);
+  let size = placeholder.size;
+
+  const singleLine = !encodable.includes('\n');
+  const width = font.widthOfTextAtSize(encodable, size);
+  if (singleLine && width > placeholder.maxWidth && width * 0.7 <= placeholder.maxWidth) {
+    size = size * placeholder.maxWidth / width;
+  }
+
+  const lines = [];
+  encodable.split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(' ').forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && !placeholder.reflow && font.widthOfTextAtSize(candidate, size) > placeholder.maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    lines.push(line);
+  });
+
+  return {
+    lines,
+    size,
+    font,
+    x: placeholder.origin.x,
+    width: font.widthOfTextAtSize(lines[0], size)
+  };
+}
+
+// Embed an image, QR code or barcode value, scaled down to the placeholder's
+// width. It sits on the placeholder's line and extends upwards from there.
+async function layoutPlaceholderImage(pdfDoc, placeholder) {
+  const image = resolveTemplateImage(placeholder.value);
+  const embedded = image.format === 'png' ? await pdfDoc.embedPng(image.buffer) : await pdfDoc.embedJpg(image.buffer);
+  const scale = Math.min(1, placeholder.maxWidth / image.width);
+
+  return {
+    image: embedded,
+    x: placeholder.origin.x,
+    width: image.width * scale,
+    height: image.height * scale
+  };
+}
+
+// Standard fonts only cover WinAnsi; anything else would make pdf-lib throw
+function toWinAnsiText(value) {
+  return value.replace(/[^\n]/gu, ch => (
+    StandardEncodings.WinAnsi.canEncodeUnicodeCodePoint(ch.codePointAt(0)) ? ch : '?'
+  ));
+}
+
+// Draw a laid out value where its placeholder was
+function drawPlaceholderValue(page, placeholder, layout) {
+  if (layout.image) {
+    page.drawImage(layout.image, {
+      x: layout.x,
+      y: placeholder.box.y1,
+      width: layout.width,
+      height: layout.height
+    });
+    return;
+  }
+
+  const color = rgb(...placeholder.color.map(c => Math.min(Math.max(c, 0), 1)));
+
+  layout.lines.forEach((line, index) => {
+    page.drawText(line, {
+      x: layout.x,
+      y: placeholder.origin.y - index * layout.size * 1.2,
+      size: layout.size,
+      font: layout.font,
+      color: color
+    });
+  });
+}
+
+// Generate PDF from DOCX template
+async function generatePdfFromDocx(templatePath, variables, outputPath, options = {}) {
+  const tempDocxPath = outputPath.replace('.pdf', '.temp.docx');
+  try {
+    // First generate DOCX with variables
+    await generateDocxWithTemplating(templatePath, variables, tempDocxPath, options);
+    
+    // Convert with a layout-preserving backend so the PDF looks like the Word document
+    await convertDocxToPdf(tempDocxPath, outputPath);
+    
+  } catch (error) {
+    console.error('DOCX to PDF conversion failed:', error);
+    // Fallback
+    const content = replaceVariables('Template content with variables:\n\n' + Object.entries(variables).map(([k, v]) => `${k}: ${v}`).join('\n'), {});
+    await generateBasicPdf(content, outputPath);
+  } finally {
+    // Clean up temp file
+    if (fs.existsSync(tempDocxPath)) {
+      fs.unlinkSync(tempDocxPath);
+    }
+  }
+}
+
+// Generate DOCX from PDF template
+async function generateDocxFromPdf(textContent, variables, outputPath) {
+  const content = replaceVariables(textContent, variables);
+  await generateBasicDocx(content, outputPath);
+}
+
+// ---------------------------------------------------------------------------
+// Text template language
+//
+// {{path}} inserts a value; paths may be dotted (client.address.city), and
+// inside loops "this" or "." is the current item and @index, @number, @first
+// and @last describe its position. {{#name}}...{{/name}} repeats its content
+// for each item of an array, renders it once with an object as the new scope,
+// and once or not at all for other values; {{^name}} is its inverse.
+// {{#each path}}, {{#if path}} and {{#unless path}} are the explicit forms, and
+// any section may have an {{else}} part. Tags that stand alone on a line take
+// the whole line with them, so loops don't leave blank lines behind.
+// Variables may be piped through filters, e.g. {{amount | currency:EUR}} or
+// {{startDate | date:"MMMM D, YYYY"}}; numbers and dates are formatted for
+// TEMPLATE_LOCALE.
+// ---------------------------------------------------------------------------
+
+const TEMPLATE_TAG_REGEX = /\{\{\s*([#^/]?)\s*([^{}]*?)\s*\}\}/g;
+const TEMPLATE_PATH_REGEX = /^(\.|this(\.\w+)*|@(index|number|first|last)|\w+(\.\w+)*)$/;
+
+const TEMPLATE_LOCALE = process.env.TEMPLATE_LOCALE || 'en-US';
+const TEMPLATE_CURRENCY = process.env.TEMPLATE_CURRENCY || 'USD';
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Read a number from a raw value; strings may contain thousands separators
+function toTemplateNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string' || !/^[-+]?[\d,]*\.?\d+$/.test(value.trim())) return NaN;
+  return Number(value.trim().replace(/,/g, ''));
+}
+
+// Read a date from a Date, a timestamp or a date string. Plain ISO dates have
+// no time zone; they're read as local dates so they don't shift a day.
+function parseTemplateDate(value) {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+  if (typeof value !== 'number' && typeof value !== 'string') return null;
+
+  const isoDate = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const date = isoDate
+    ? new Date(Number(isoDate[1]), Number(isoDate[2]) - 1, Number(isoDate[3]))
+    : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Format a date with YYYY, YY, MMMM, MMM, MM, M, DD, D, dddd, ddd, HH, H, hh,
+// h, mm, ss and A/a tokens; text in [brackets] is copied as is
+function formatTemplateDate(date, format) {
+  const pad = number => String(number).padStart(2, '0');
+  const hours12 = date.getHours() % 12 || 12;
+  const tokens = {
+    YYYY: String(date.getFullYear()),
+    YY: pad(date.getFullYear() % 100),
+    MMMM: MONTH_NAMES[date.getMonth()],
+    MMM: MONTH_NAMES[date.getMonth()].substring(0, 3),
+    MM: pad(date.getMonth() + 1),
+    M: String(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    D: String(date.getDate()),
+    dddd: DAY_NAMES[date.getDay()],
+    ddd: DAY_NAMES[date.getDay()].substring(0, 3),
+    HH: pad(date.getHours()),
+    H: String(date.getHours()),
+    hh: pad(hours12),
+    h: String(hours12),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds()),
+    A: date.getHours() < 12 ? 'AM' : 'PM',
+    a: date.getHours() < 12 ? 'am' : 'pm'
+  };
+  return format.replace(/\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|ss|A|a/g,
+    (token, literal) => (literal !== undefined ? literal : tokens[token]));
+}
+
+function formatTemplateNumber(value, options) {
+  const number = toTemplateNumber(value);
+  return isNaN(number) ? value : new Intl.NumberFormat(TEMPLATE_LOCALE, options).format(number);
+}
+
+function decimalsOption(decimals) {
+  if (decimals === undefined || decimals === '') return {};
+  const digits = Math.min(Math.max(parseInt(decimals, 10) || 0, 0), 20);
+  return { minimumFractionDigits: digits, maximumFractionDigits: digits };
+}
+
+// Filters take the value and the filter's arguments. `check` validates the
+// arguments when the template is parsed so mistakes surface on upload.
+const TEMPLATE_FILTERS = {
+  upper: { apply: value => formatTemplateValue(value).toUpperCase() },
+  lower: { apply: value => formatTemplateValue(value).toLowerCase() },
+  capitalize: {
+    apply: value => {
+      const text = formatTemplateValue(value);
+      return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+  },
+  title: { apply: value => formatTemplateValue(value).toLowerCase().replace(/(^|[\s-])(\p{L})/gu, (all, space, letter) => space + letter.toUpperCase()) },
+  trim: { apply: value => formatTemplateValue(value).trim() },
+  default: { apply: (value, fallback = '') => (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0) ? fallback : value) },
+  currency: {
+    apply: (value, currency = TEMPLATE_CURRENCY, decimals) => formatTemplateNumber(value, {
+      style: 'currency',
+      currency: currency.toUpperCase(),
+      ...decimalsOption(decimals)
+    }),
+    check: (currency = TEMPLATE_CURRENCY) => {
+      if (!/^[A-Za-z]{3}$/.test(currency)) throw new Error(`"${currency}" is not a currency code`);
+    }
+  },
+  number: { apply: (value, decimals) => formatTemplateNumber(value, decimalsOption(decimals)) },
+  percent: { apply: (value, decimals) => formatTemplateNumber(value, { style: 'percent', ...decimalsOption(decimals) }) },
+  date: {
+    apply: (value, format) => {
+      const date = parseTemplateDate(value);
+      if (!date) return value;
+      return format
+        ? formatTemplateDate(date, format)
+        : date.toLocaleDateString(TEMPLATE_LOCALE, { year: 'numeric', month: 'long', day: 'numeric' });
+    }
+  },
+  // Keeps the first `length` characters and marks the cut with the ending
+  truncate: {
+    apply: (value, length, ending = '...') => {
+      const text = formatTemplateValue(value);
+      const limit = parseInt(length, 10);
+      return text.length > limit ? text.substring(0, limit) + ending : text;
+    },
+    check: length => {
+      if (!/^[1-9]\d*$/.test(length || '')) throw new Error('needs a length of at least 1');
+    }
+  },
+  join: { apply: (value, separator = ', ') => (Array.isArray(value) ? value.map(formatTemplateValue).join(separator) : value) },
+  // Images, QR codes and barcodes; see makeImageToken
+  image: {
+    apply: (value, width, height) => (value === '' ? '' : makeImageToken({
+      kind: 'image',
+      source: formatTemplateValue(value),
+      width: toImageSize(width),
+      height: toImageSize(height)
+    })),
+    check: checkImageSizeArguments
+  },
+  qrcode: {
+    apply: (value, size) => (value === '' ? '' : makeImageToken({ kind: 'qrcode', text: formatTemplateValue(value), width: toImageSize(size) })),
+    check: checkImageSizeArguments
+  },
+  barcode: {
+    apply: (value, width, height) => (value === '' ? '' : makeImageToken({
+      kind: 'barcode',
+      text: formatTemplateValue(value),
+      width: toImageSize(width),
+      height: toImageSize(height)
+    })),
+    check: checkImageSizeArguments
+  },
+  // Tables of rows; see makeTableToken
+  table: {
+    apply: value => {
+      if (value === '') return '';
+      const table = normalizeTemplateTable(value);
+      return table.columns.length === 0 ? '' : makeTableToken(table);
+    }
+  }
+};
+
+// Split text on a separator, ignoring separators inside quotes
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && i + 1 < text.length) {
+        current += char + text[++i];
+        continue;
+      }
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === separator) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  if (quote) throw new Error('unterminated quote');
+  parts.push(current);
+  return parts;
+}
+
+// Parse the inside of a variable tag, "path | filter:arg, arg | filter", into
+// its path and filters. Returns null when it isn't a variable at all and
+// throws for unknown filters or bad arguments.
+function parseTemplateExpression(body) {
+  const [path, ...segments] = splitOutsideQuotes(body, '|').map(part => part.trim());
+  if (!TEMPLATE_PATH_REGEX.test(path)) return null;
+
+  const filters = segments.map(segment => {
+    const colon = segment.indexOf(':');
+    const name = (colon === -1 ? segment : segment.substring(0, colon)).trim();
+    const filter = TEMPLATE_FILTERS[name];
+    if (!filter) throw new Error(`unknown filter "${name}"`);
+
+    const args = colon === -1 ? [] : splitOutsideQuotes(segment.substring(colon + 1), ',').map(arg => {
+      const text = arg.trim();
+      const quoted = text.match(/^(["'])(.*)\1$/s);
+      return quoted ? quoted[2].replace(/\\(.)/g, '$1') : text;
+    });
+    if (filter.check) {
+      try {
+        filter.check(...args);
+      } catch (error) {
+        throw new Error(`${name}: ${error.message}`);
+      }
+    }
+    return { name, args };
+  });
+
+  return { path, filters };
+}
+
+// Run a value through its filters. Only `default` sees missing values; the
+// other filters pass them through.
+function applyTemplateFilters(value, filters) {
+  return filters.reduce((result, { name, args }) => {
+    if ((result === undefined || result === null) && name !== 'default') return result;
+    return TEMPLATE_FILTERS[name].apply(result, ...args);
+  }, value);
+}
+
+// Resolve a variable tag; undefined when the path is unknown and the tag has
+// no default
+function evaluateTemplateExpression(scopes, expression) {
+  const value = lookupTemplatePath(scopes, expression.path);
+  if (value === undefined && !expression.filters.some(filter => filter.name === 'default')) return undefined;
+  return applyTemplateFilters(value, expression.filters);
+}
+
+// Parse template text into a tree of text, variable and section nodes
+function parseTemplate(source) {
+  const root = [];
+  const stack = [];
+  let current = root;
+  let lastIndex = 0;
+  let match;
+
+  const lineOf = index => source.slice(0, index).split('\n').length;
+  const syntaxError = (message, index) => new Error(`Template syntax error on line ${lineOf(index)}: ${message}`);
+  const pushText = text => {
+    if (text) current.push({ type: 'text', value: text });
+  };
+
+  const tagRegex = new RegExp(TEMPLATE_TAG_REGEX.source, 'g');
+  while ((match = tagRegex.exec(source)) !== null) {
+    const [raw, sigil, body] = match;
+    let start = match.index;
+    let end = start + raw.length;
+
+    if (!sigil && body !== 'else') {
+      // Anything that isn't a valid path is left as literal text
+      let expression;
+      try {
+        expression = parseTemplateExpression(body);
+      } catch (error) {
+        throw syntaxError(`${error.message} in ${raw}`, match.index);
+      }
+      if (!expression) continue;
+      pushText(source.slice(lastIndex, start));
+      current.push({ type: 'variable', path: expression.path, filters: expression.filters, raw });
+      lastIndex = end;
+      continue;
+    }
+
+    // Block tags alone on their line remove the line
+    const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+    let lineEnd = source.indexOf('\n', end);
+    if (lineEnd === -1) lineEnd = source.length;
+    if (lineStart >= lastIndex && /^[ \t]*$/.test(source.slice(lineStart, start)) && /^[ \t]*\r?$/.test(source.slice(end, lineEnd))) {
+      start = lineStart;
+      end = Math.min(lineEnd + 1, source.length);
+      tagRegex.lastIndex = end;
+    }
+    pushText(source.slice(lastIndex, start));
+    lastIndex = end;
+
+    const top = stack[stack.length - 1];
+    if (sigil === '#' || sigil === '^') {
+      const [keyword, ...rest] = body.split(/\s+/);
+      const explicit = sigil === '#' && ['if', 'unless', 'each'].includes(keyword);
+      const path = explicit ? rest.join(' ') : body;
+      if (!TEMPLATE_PATH_REGEX.test(path)) {
+        throw syntaxError(`invalid tag ${raw}`, match.index);
+      }
+
+      const node = {
+        type: 'section',
+        kind: explicit ? keyword : sigil === '^' ? 'inverted' : 'section',
+        path,
+        children: [],
+        inverse: [],
+        line: lineOf(match.index)
+      };
+      current.push(node);
+      stack.push({ node, inElse: false });
+      current = node.children;
+    } else if (body === 'else') {
+      if (!top || top.inElse) {
+        throw syntaxError(top ? 'a section can only have one {{else}}' : '{{else}} outside of a section', match.index);
+      }
+      top.inElse = true;
+      current = top.node.inverse;
+    } else {
+      const expected = ['if', 'unless', 'each'].includes(top && top.node.kind) ? top.node.kind : top && top.node.path;
+      if (!top || body !== expected) {
+        throw syntaxError(top ? `${raw} does not close the section opened on line ${top.node.line}` : `${raw} has no matching opening tag`, match.index);
+      }
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      current = parent ? (parent.inElse ? parent.node.inverse : parent.node.children) : root;
+    }
+  }
+
+  pushText(source.slice(lastIndex));
+  if (stack.length > 0) {
+    const { node } = stack[stack.length - 1];
+    throw new Error(`Template syntax error on line ${node.line}: section {{#${node.kind === 'section' || node.kind === 'inverted' ? '' : node.kind + ' '}${node.path}}} is never closed`);
+  }
+  return root;
+}
+
+// Look a path up in the scopes, innermost first. Flat keys such as
+// "client.address.city" are accepted as well as nested objects.
+function lookupTemplatePath(scopes, path) {
+  const scope = scopes[0];
+  if (path === '.' || path === 'this') return scope.value;
+  if (path.startsWith('@')) {
+    const loop = scopes.find(s => s.loop);
+    return loop ? loop.loop[path.substring(1)] : undefined;
+  }
+
+  const inCurrentScope = path.startsWith('this.');
+  const parts = (inCurrentScope ? path.substring(5) : path).split('.');
+  const key = parts.join('.');
+  for (const { value } of inCurrentScope ? [scope] : scopes) {
+    if (value === null || typeof value !== 'object') continue;
+    if (key in value) return value[key];
+    if (parts[0] in value) {
+      return parts.reduce((target, part) => (target !== null && target !== undefined ? target[part] : undefined), value);
+    }
+  }
+  return undefined;
+}
+
+// Truthiness for conditions. Form inputs arrive as strings, so "false", "no",
+// "off" and "0" count as false, as do empty strings and empty arrays.
+function isTemplateTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'string') return !/^(false|no|off|0)?$/i.test(value.trim());
+  return Boolean(value);
+}
+
+function formatTemplateValue(value) {
+  if (value === null) return '';
+  if (Array.isArray(value)) return value.map(formatTemplateValue).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function renderTemplateNodes(nodes, scopes) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.value;
+
+    if (node.type === 'variable') {
+      // Unknown variables are left in place
+      const value = evaluateTemplateExpression(scopes, node);
+      return value === undefined ? node.raw : formatTemplateValue(value);
+    }
+
+    const value = lookupTemplatePath(scopes, node.path);
+
+    const renderItems = items => items.map((item, index) => renderTemplateNodes(node.children, [{
+      value: item,
+      loop: { index, number: index + 1, first: index === 0, last: index === items.length - 1 }
+    }, ...scopes])).join('');
+
+    switch (node.kind) {
+      case 'if':
+        return renderTemplateNodes(isTemplateTruthy(value) ? node.children : node.inverse, scopes);
+      case 'unless':
+      case 'inverted':
+        return renderTemplateNodes(isTemplateTruthy(value) ? node.inverse : node.children, scopes);
+      case 'each':
+        if (Array.isArray(value) && value.length > 0) return renderItems(value);
+        if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0) {
+          return renderItems(Object.values(value));
+        }
+        return renderTemplateNodes(node.inverse, scopes);
+      default:
+        if (!isTemplateTruthy(value)) return renderTemplateNodes(node.inverse, scopes);
+        if (Array.isArray(value)) return renderItems(value);
+        if (typeof value === 'object') return renderTemplateNodes(node.children, [{ value }, ...scopes]);
+        return renderTemplateNodes(node.children, scopes);
+    }
+  }).join('');
+}
+
+// Describe the data a template expects as a nested schema: objects list
+// their properties, arrays describe their items, values used only as
+// conditions are booleans, values with number filters are numbers, joined
+// values are lists and everything else is a string
+function extractVariableSchema(content) {
+  const root = { type: 'object', properties: {} };
+  const rank = { boolean: 0, string: 1, number: 2, object: 3, array: 4 };
+  const create = type => (type === 'array' ? { type, items: { type: 'object', properties: {} } }
+    : type === 'object' ? { type, properties: {} }
+    : { type });
+
+  // Find or create the schema node for a path. Paths belong to the innermost
+  // scope unless only an outer scope already knows their first segment.
+  // A more structured type replaces a plainer one the path was seen with.
+  const ensure = (scopes, path, type) => {
+    const parts = path.replace(/^this\./, '').split('.');
+    let node = scopes[0];
+    if (!path.startsWith('this.') && !(parts[0] in node.properties)) {
+      node = scopes.find(scope => parts[0] in scope.properties) || node;
+    }
+
+    for (let index = 0; index < parts.length; index++) {
+      const last = index === parts.length - 1;
+      const wanted = last ? type : 'object';
+      let child = node.properties[parts[index]];
+      if (!child || rank[wanted] > rank[child.type]) {
+        child = node.properties[parts[index]] = create(wanted);
+      }
+      if (!last && child.type === 'array') return child;
+      node = child;
+    }
+    return node;
+  };
+
+  const walk = (nodes, scopes) => {
+    nodes.forEach(node => {
+      if (node.type === 'text' || node.path.startsWith('@')) return;
+
+      if (node.path === '.' || node.path === 'this') {
+        // The items of the enclosing loop are plain values
+        const scope = scopes[0];
+        if (scope !== root && Object.keys(scope.properties).length === 0) {
+          scope.plain = true;
+        }
+        return;
+      }
+
+      if (node.type === 'variable') {
+        const filterNames = node.filters.map(filter => filter.name);
+        const numeric = filterNames.some(name => ['currency', 'number', 'percent'].includes(name));
+        const isList = filterNames.includes('join') || filterNames.includes('table');
+        const schema = ensure(scopes, node.path, isList ? 'array' : numeric ? 'number' : 'string');
+        if (filterNames.includes('date') && schema.type === 'string') schema.format = 'date';
+        if (filterNames.includes('image') && schema.type === 'string') schema.format = 'image';
+        if (filterNames.includes('table') && schema.type === 'array') schema.format = 'table';
+        const fallback = node.filters.find(filter => filter.name === 'default');
+        if (fallback) schema.default = fallback.args[0] !== undefined ? fallback.args[0] : '';
+        if (schema.type === 'array' && schema.format !== 'table' && schema.items.type === 'object' && Object.keys(schema.items.properties).length === 0) {
+          schema.items.plain = true;
+        }
+      } else if (node.kind === 'each' || node.kind === 'section') {
+        // A section over something already known to be an object opens its scope
+        const known = ensure(scopes, node.path, node.kind === 'each' ? 'array' : 'object');
+        const target = known.type === 'object' && node.kind === 'section' && Object.keys(known.properties).length > 0
+          ? known
+          : ensure(scopes, node.path, 'array');
+        const scope = target.type === 'array' ? target.items : target;
+        walk(node.children, [scope, ...scopes]);
+        walk(node.inverse, scopes);
+      } else {
+        ensure(scopes, node.path, 'boolean');
+        walk(node.children, scopes);
+        walk(node.inverse, scopes);
+      }
+    });
+  };
+
+  walk(parseTemplate(content), [root]);
+
+  // Loops over plain values have string items
+  const finish = schema => {
+    if (schema.type === 'array') {
+      if (schema.items.plain && Object.keys(schema.items.properties).length === 0) {
+        schema.items = { type: 'string' };
+      } else {
+        delete schema.items.plain;
+        finish(schema.items);
+      }
+    } else if (schema.type === 'object') {
+      delete schema.plain;
+      Object.values(schema.properties).forEach(finish);
+    }
+  };
+  finish(root);
+  return root.properties;
+}
+
+// Extract variables from template content: the dotted paths of plain values
+// and the names of loops and conditions
+function extractVariables(content) {
+  return listSchemaPaths(extractVariableSchema(content));
+}
+
+// The dotted paths of the values in a schema's properties; objects are
+// followed into, everything else is a path of its own
+function listSchemaPaths(properties) {
+  const paths = [];
+  const collect = (nodes, prefix) => {
+    Object.entries(nodes).forEach(([name, schema]) => {
+      const path = prefix + name;
+      if (schema.type === 'object') {
+        collect(schema.properties, path + '.');
+      } else if (!paths.includes(path)) {
+        paths.push(path);
+      }
+    });
+  };
+  collect(properties, '');
+  return paths;
+}
+
+// Replace variables in template with actual values. Word image tags become
+// the image filters, so text output drops the picture and keeps a code's value.
+function replaceVariables(template, variables) {
+  return renderTemplateNodes(parseTemplate(docxImageTagsToFilters(template)), [{ value: variables || {} }]);
+}
+
+// Rewrite {{%logo}} as {{logo | image}}; tags with filters such as
+// {{%paymentUrl | qrcode}} already draw an image and only lose the %
+function docxImageTagsToFilters(template) {
+  return template.replace(/\{\{%\s*([^{}]+?)\s*\}\}/g, (tag, body) => {
+    let expression;
+    try {
+      expression = parseTemplateExpression(body);
+    } catch (error) {
+      return tag;
+    }
+    if (!expression) return tag;
+    return expression.filters.length > 0 ? `{{${body}}}` : `{{${body} | image}}`;
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Images, QR codes and barcodes
+//
+// Image variables hold a PNG or JPEG as a data URL or plain base64; the form
+// and multipart requests may upload the file instead. Text and Markdown
+// templates place them with {{logo | image}}, sized in points with
+// {{logo | image:120}} or fitted into a box with {{logo | image:120,60}}, and
+// draw a QR code or a Code 128 barcode from any value with
+// {{paymentUrl | qrcode:96}} or {{sku | barcode:200,50}}. PDF templates take
+// the same placeholders and draw the image standing on the placeholder's
+// line, scaled down to the room it has. Word templates use docxtemplater's
+// image tag syntax, {{%logo}} or {{%paymentUrl | qrcode}}.
+//
+// The filters leave a token in the rendered text which each output format
+// turns into an image; plain text drops images and keeps the encoded value
+// of codes.
+// ---------------------------------------------------------------------------
+
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_IMAGE_SIZE = 2000;
+const IMAGE_TOKEN_REGEX = /\uE000([A-Za-z0-9+/=]*)\uE001/g;
+const DEFAULT_QR_SIZE = 96;
+const DEFAULT_BARCODE_HEIGHT = 48;
+const DOCX_IMAGE_MODULE = 'docgen-image';
+const DOCX_MAX_IMAGE_WIDTH = 450;
+const EMU_PER_POINT = 12700;
+
+// Sizes given to the image filters, in points
+function checkImageSizeArguments(...sizes) {
+  sizes.forEach(size => {
+    if (size === undefined || size === '') return;
+    const number = Number(size);
+    if (!(number > 0 && number <= MAX_IMAGE_SIZE)) {
+      throw new Error(`size must be a number of points up to ${MAX_IMAGE_SIZE}`);
+    }
+  });
+}
+
+function toImageSize(size) {
+  return size === undefined || size === '' ? undefined : Number(size);
+}
+
+// Token standing in for an image in rendered text
+function makeImageToken(spec) {
+  return '\uE000' + Buffer.from(JSON.stringify(spec)).toString('base64') + '\uE001';
+}
+
+function parseImageToken(value) {
+  if (typeof value !== 'string') return null;
+  const match = value.match(/^\uE000([A-Za-z0-9+/=]*)\uE001$/);
+  return match ? JSON.parse(Buffer.from(match[1], 'base64').toString('utf8')) : null;
+}
+
+// Read a PNG or JPEG from a data URL or base64 text. Returns the bytes, the
+// format and the size in pixels, or null when it isn't a supported image.
+function parseImageData(value) {
+  if (typeof value !== 'string') return null;
+  const dataUrl = value.trim().match(/^data:image\/[\w.+-]+;base64,(.*)$/s);
+  const base64 = (dataUrl ? dataUrl[1] : value).replace(/\s+/g, '');
+  if (!base64 || base64.length > MAX_IMAGE_BYTES * 4 / 3 + 4 || !/^[A-Za-z0-9+/]+={0,2}$/.test(base64)) return null;
+
+  const buffer = Buffer.from(base64, 'base64');
+  const format = buffer.length > 24 && buffer.toString('hex', 0, 8) === '89504e470d0a1a0a' ? 'png'
+    : buffer.length > 4 && buffer[0] === 0xff && buffer[1] === 0xd8 ? 'jpeg'
+    : null;
+  if (!format) return null;
+
+  const size = format === 'png'
+    ? { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) }
+    : readJpegSize(buffer);
+  if (!size || !size.width || !size.height) return null;
+  return { buffer, format, pixelWidth: size.width, pixelHeight: size.height };
+}
+
+// Pixel size of a JPEG from its start of frame marker
+function readJpegSize(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+function toImageDataUrl(image) {
+  return `data:image/${image.format};base64,${image.buffer.toString('base64')}`;
+}
+
+// The image a token or an image value stands for, with the size it is drawn
+// at in points. Pictures default to their size at 96 dpi.
+function resolveTemplateImage(value) {
+  const spec = parseImageToken(value) || { kind: 'image', source: value };
+
+  if (spec.kind === 'qrcode') {
+    const size = spec.width || DEFAULT_QR_SIZE;
+    return { ...renderQrCodePng(encodeQrCode(spec.text)), width: size, height: size };
+  }
+
+  if (spec.kind === 'barcode') {
+    const bars = encodeCode128(spec.text);
+    const modules = bars.reduce((sum, bar) => sum + bar, 0) + 20;
+    const width = spec.width || modules;
+    const height = spec.height || DEFAULT_BARCODE_HEIGHT;
+    return { ...renderBarcodePng(bars, height / width), width, height };
+  }
+
+  const image = parseImageData(spec.source);
+  if (!image) {
+    throw new Error('Image variables must be PNG or JPEG images given as a data URL or base64');
+  }
+  const natural = { width: image.pixelWidth * 0.75, height: image.pixelHeight * 0.75 };
+  const scale = spec.width && spec.height ? Math.min(spec.width / natural.width, spec.height / natural.height)
+    : spec.width ? spec.width / natural.width
+    : spec.height ? spec.height / natural.height
+    : 1;
+  return { ...image, width: natural.width * scale, height: natural.height * scale };
+}
+
+// Split rendered text around its image tokens into strings and images;
+// empty strings are left out
+function splitImageTokens(text) {
+  if (!text.includes('\uE000')) return text ? [text] : [];
+  const pieces = [];
+  let lastIndex = 0;
+  for (const match of text.matchAll(IMAGE_TOKEN_REGEX)) {
+    if (match.index > lastIndex) pieces.push(text.substring(lastIndex, match.index));
+    pieces.push(resolveTemplateImage(match[0]));
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < text.length) pieces.push(text.substring(lastIndex));
+  return pieces;
+}
+
+// Plain text of rendered text: images are dropped, codes keep their value
+function stripImageTokens(text) {
+  return text.replace(IMAGE_TOKEN_REGEX, token => {
+    const spec = parseImageToken(token);
+    return spec.kind === 'image' ? '' : spec.text;
+  });
+}
+
+// Replace image tokens in escaped HTML with embedded images
+function imageTokensToHtml(html) {
+  return html.replace(IMAGE_TOKEN_REGEX, token => {
+    const image = resolveTemplateImage(token);
+    const spec = parseImageToken(token);
+    const alt = spec.kind === 'image' ? '' : escapeHtml(spec.text);
+    return `<img src="${toImageDataUrl(image)}" alt="${alt}" width="${Math.round(image.width * 4 / 3)}" ` +
+      `height="${Math.round(image.height * 4 / 3)}" style="max-width: 100%; height: auto">`;
+  });
+}
+
+// Replace image tokens in Markdown with images embedded as data URLs
+function imageTokensToMarkdown(markdown) {
+  return markdown.replace(IMAGE_TOKEN_REGEX, token => {
+    const spec = parseImageToken(token);
+    const alt = spec.kind === 'image' ? '' : spec.text.replace(/[[\]\\]/g, '\\$&');
+    return `![${alt}](${toImageDataUrl(resolveTemplateImage(token))})`;
+  });
+}
+
+// Draw an image as a block at the current position, scaled down to fit
+// `maxWidth` and the page, and moved to a new page when it doesn't fit on
+// this one
+function drawPdfImage(doc, image, x, maxWidth) {
+  const pageSpace = doc.page.height - doc.page.margins.top - doc.page.margins.bottom;
+  const scale = Math.min(1, maxWidth / image.width, pageSpace / image.height);
+  const width = image.width * scale;
+  const height = image.height * scale;
+  ensurePdfSpace(doc, height);
+  const top = doc.y;
+  doc.image(image.buffer, x, top, { width, height });
+  doc.x = x;
+  doc.y = top + height;
+}
+
+// Inline image for the docx package, which sizes images in pixels
+function docxImageRun(image) {
+  const scale = Math.min(1, DOCX_MAX_IMAGE_WIDTH / image.width);
+  return new ImageRun({
+    data: image.buffer,
+    transformation: {
+      width: Math.round(image.width * scale * 4 / 3),
+      height: Math.round(image.height * scale * 4 / 3)
+    }
+  });
+}
+
+// --- PNG --------------------------------------------------------------------
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Black and white PNG of the given size; isDark(x, y) picks each pixel
+function encodeMonochromePng(width, height, isDark) {
+  const raw = Buffer.alloc((width + 1) * height, 0xff);
+  for (let y = 0; y < height; y++) {
+    raw[y * (width + 1)] = 0;
+    for (let x = 0; x < width; x++) {
+      if (isDark(x, y)) raw[y * (width + 1) + 1 + x] = 0;
+    }
+  }
+
+  const chunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+  };
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // 8-bit greyscale
+  return Buffer.concat([
+    Buffer.from('89504e470d0a1a0a', 'hex'),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// QR code as a PNG with a four module quiet zone
+function renderQrCodePng(modules) {
+  const scale = 8;
+  const quiet = 4;
+  const size = (modules.length + quiet * 2) * scale;
+  const buffer = encodeMonochromePng(size, size, (x, y) => {
+    const row = modules[Math.floor(y / scale) - quiet];
+    return Boolean(row && row[Math.floor(x / scale) - quiet]);
+  });
+  return { buffer, format: 'png', pixelWidth: size, pixelHeight: size };
+}
+
+// Barcode as a PNG with a ten module quiet zone on each side; `aspect` is
+// its height over its width
+function renderBarcodePng(bars, aspect) {
+  const scale = 3;
+  const dark = [];
+  dark.push(...new Array(10).fill(false));
+  bars.forEach((width, index) => dark.push(...new Array(width).fill(index % 2 === 0)));
+  dark.push(...new Array(10).fill(false));
+
+  const width = dark.length * scale;
+  const height = Math.max(Math.round(width * aspect), 1);
+  const buffer = encodeMonochromePng(width, height, x => dark[Math.floor(x / scale)]);
+  return { buffer, format: 'png', pixelWidth: width, pixelHeight: height };
+}
+
+// --- Code 128 ---------------------------------------------------------------
+
+// Bar and space widths of each symbol, in modules
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+const CODE128_START_B = 104;
+const CODE128_START_C = 105;
+const CODE128_STOP = 106;
+
+// Encode a value as Code 128 bar widths, starting with a bar. Values of
+// digits only are packed two to a symbol with code set C.
+function encodeCode128(text) {
+  const value = String(text);
+  if (!/^[\x20-\x7e]+$/.test(value)) {
+    throw new Error('Barcodes can only hold printable ASCII characters');
+  }
+
+  const codes = /^(\d\d)+$/.test(value)
+    ? [CODE128_START_C, ...value.match(/\d\d/g).map(Number)]
+    : [CODE128_START_B, ...[...value].map(ch => ch.charCodeAt(0) - 32)];
+  const checksum = codes.reduce((sum, code, index) => sum + code * Math.max(index, 1), 0) % 103;
+  codes.push(checksum, CODE128_STOP);
+  return codes.flatMap(code => CODE128_PATTERNS[code].split('').map(Number));
+}
+
+// --- QR codes ---------------------------------------------------------------
+
+// Error correction codewords per block and number of blocks for each
+// version at level M
+const QR_ECC_CODEWORDS_PER_BLOCK = [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26,
+  26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+const QR_ECC_BLOCKS = [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14,
+  16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+const QR_FORMAT_LEVEL_M = 0;
+
+// Encode text as a QR code in byte mode at error correction level M, in the
+// smallest version it fits. Returns the modules as rows of booleans.
+function encodeQrCode(text) {
+  const data = Buffer.from(String(text), 'utf8');
+  let version = 1;
+  while (version <= 40 && 4 + (version < 10 ? 8 : 16) + data.length * 8 > qrDataCodewords(version) * 8) {
+    version++;
+  }
+  if (version > 40) {
+    throw new Error(`Value is too long for a QR code (${data.length} bytes)`);
+  }
+
+  // Mode, length and data, then a terminator and padding to the capacity
+  const capacity = qrDataCodewords(version) * 8;
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  push(0b0100, 4);
+  push(data.length, version < 10 ? 8 : 16);
+  data.forEach(byte => push(byte, 8));
+  push(0, Math.min(4, capacity - bits.length));
+  push(0, (8 - bits.length % 8) % 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  for (let pad = 0xec; codewords.length < capacity / 8; pad ^= 0xec ^ 0x11) {
+    codewords.push(pad);
+  }
+
+  const qr = createQrMatrix(version);
+  placeQrCodewords(qr, addQrErrorCorrection(codewords, version));
+
+  // Use the mask that leaves the fewest patterns readers find confusing
+  let best = null;
+  for (let mask = 0; mask < 8; mask++) {
+    const modules = applyQrMask(qr, mask);
+    const penalty = qrPenalty(modules);
+    if (!best || penalty < best.penalty) best = { modules, penalty };
+  }
+  return best.modules;
+}
+
+function qrRawCodewords(version) {
+  let modules = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignments = Math.floor(version / 7) + 2;
+    modules -= (25 * alignments - 10) * alignments - 55;
+    if (version >= 7) modules -= 36;
+  }
+  return Math.floor(modules / 8);
+}
+
+function qrDataCodewords(version) {
+  return qrRawCodewords(version) - QR_ECC_CODEWORDS_PER_BLOCK[version] * QR_ECC_BLOCKS[version];
+}
+
+function qrAlignmentPositions(version) {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+  const positions = [6];
+  for (let position = version * 4 + 10; positions.length < count; position -= step) {
+    positions.splice(1, 0, position);
+  }
+  return positions;
+}
+
+// Modules of a version with its finder, timing and alignment patterns and
+// version information drawn, and which of them are function patterns
+function createQrMatrix(version) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  });
+
+  const positions = qrAlignmentPositions(version);
+  const last = positions.length - 1;
+  positions.forEach((cx, i) => positions.forEach((cy, j) => {
+    // Alignment patterns don't overlap the finder patterns
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }));
+
+  drawQrFormatBits(set, size, 0);
+
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      set(a, b, dark);
+      set(b, a, dark);
+    }
+  }
+
+  return { size, modules, reserved };
+}
+
+// Error correction level and mask, drawn twice around the finder patterns
+function drawQrFormatBits(set, size, mask) {
+  const data = (QR_FORMAT_LEVEL_M << 3) | mask;
+  let remainder = data;
+  for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  const bits = ((data << 10) | remainder) ^ 0x5412;
+  const bit = i => ((bits >>> i) & 1) === 1;
+
+  for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+  set(8, 7, bit(6));
+  set(8, 8, bit(7));
+  set(7, 8, bit(8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+  set(8, size - 8, true);
+}
+
+// Split data codewords into blocks, add Reed-Solomon error correction to
+// each and interleave them
+function addQrErrorCorrection(data, version) {
+  const blockCount = QR_ECC_BLOCKS[version];
+  const eccLength = QR_ECC_CODEWORDS_PER_BLOCK[version];
+  const raw = qrRawCodewords(version);
+  const shortBlocks = blockCount - raw % blockCount;
+  const shortLength = Math.floor(raw / blockCount);
+  const divisor = reedSolomonDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const block = data.slice(offset, offset + shortLength - eccLength + (i < shortBlocks ? 0 : 1));
+    offset += block.length;
+    const ecc = reedSolomonRemainder(block, divisor);
+    if (i < shortBlocks) block.push(0);
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // Short blocks have a placeholder where long blocks have their last data codeword
+      if (i !== shortLength - eccLength || j >= shortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
   return result;
 }
 
-// Routes
+function reedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  data.forEach(byte => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  });
+  return result;
+}
+
+// Fill the data modules in the standard zigzag, two columns at a time from
+// the bottom right
+function placeQrCodewords(qr, codewords) {
+  const { size, modules, reserved } = qr;
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vertical = 0; vertical < size; vertical++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vertical : vertical;
+        if (!reserved[y][x] && i < codewords.length * 8) {
+          modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+          i++;
+        }
+      }
+    }
+  }
+}
+
+const QR_MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+// Copy of the modules with a mask applied to the data and its format bits drawn
+function applyQrMask(qr, mask) {
+  const modules = qr.modules.map((row, y) => row.map((dark, x) => (
+    qr.reserved[y][x] ? dark : dark !== QR_MASKS[mask](x, y)
+  )));
+  drawQrFormatBits((x, y, dark) => {
+    modules[y][x] = dark;
+  }, qr.size, mask);
+  return modules;
+}
+
+// Penalty score of a masked symbol: long runs, 2x2 blocks, finder-like
+// patterns and an uneven balance of dark and light modules
+function qrPenalty(modules) {
+  const size = modules.length;
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i]);
+    lines.push(modules.map(row => row[i]));
+  }
+
+  let penalty = 0;
+  lines.forEach(line => {
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+      } else {
+        if (run >= 5) penalty += run - 2;
+        run = 1;
+      }
+    }
+    const text = '0000' + line.map(dark => (dark ? '1' : '0')).join('') + '0000';
+    for (let index = text.indexOf('1011101'); index !== -1; index = text.indexOf('1011101', index + 1)) {
+      if (text.substring(index - 4, index) === '0000' || text.substring(index + 7, index + 11) === '0000') penalty += 40;
+    }
+  });
+
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (x < size - 1 && y < size - 1) {
+        const color = modules[y][x];
+        if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) penalty += 3;
+      }
+    }
+  }
+  const total = size * size;
+  penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return penalty;
+}
+
+// --- Word templates -----------------------------------------------------------
+
+// Docxtemplater module for {{%name}} image tags. The image is drawn inline in
+// the tag's run; the pictures themselves are added to the package with
+// addDocxImages once the document has been rendered.
+function createDocxImageModule() {
+  const images = [];
+  return {
+    name: 'DocxImageModule',
+    images: images,
+    matchers() {
+      return [['%', DOCX_IMAGE_MODULE]];
+    },
+    render(part, options) {
+      if (part.module !== DOCX_IMAGE_MODULE) return null;
+      const value = options.scopeManager.getValue(part.value, { part });
+      if (value === undefined || value === null || value === '') return { value: '' };
+
+      const image = resolveTemplateImage(value);
+      const id = images.length + 1;
+      images.push({ ...image, id, part: options.filePath });
+
+      const scale = Math.min(1, DOCX_MAX_IMAGE_WIDTH / image.width);
+      const cx = Math.round(image.width * scale * EMU_PER_POINT);
+      const cy = Math.round(image.height * scale * EMU_PER_POINT);
+      const drawing = '<w:drawing>' +
+        '<wp:inline distT="0" distB="0" distL="0" distR="0" xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing">' +
+        `<wp:extent cx="${cx}" cy="${cy}"/>` +
+        `<wp:docPr id="${9000 + id}" name="Image ${id}"/>` +
+        '<wp:cNvGraphicFramePr><a:graphicFrameLocks xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" noChangeAspect="1"/></wp:cNvGraphicFramePr>' +
+        '<a:graphic xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">' +
+        '<a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture">' +
+        '<pic:pic xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture">' +
+        `<pic:nvPicPr><pic:cNvPr id="${id}" name="docgen-image-${id}.${image.format}"/><pic:cNvPicPr/></pic:nvPicPr>` +
+        `<pic:blipFill><a:blip r:embed="rIdDocgenImage${id}" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"/>` +
+        '<a:stretch><a:fillRect/></a:stretch></pic:blipFill>' +
+        `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>` +
+        '</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing>';
+
+      // The tag sits inside a text element, which is closed around the drawing
+      return { value: `</w:t>${drawing}<w:t xml:space="preserve">` };
+    }
+  };
+}
+
+// Add the pictures drawn by the image module to a rendered package, with a
+// relationship from the part that shows each one
+function addDocxImages(zip, images) {
+  if (images.length === 0) return;
+
+  images.forEach(image => {
+    const target = `docgen-image-${image.id}.${image.format}`;
+    zip.file(`word/media/${target}`, image.buffer);
+
+    const relsPath = path.posix.join(path.posix.dirname(image.part), '_rels', `${path.posix.basename(image.part)}.rels`);
+    const rels = zip.file(relsPath)
+      ? zip.file(relsPath).asText()
+      : '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"></Relationships>';
+    const relationship = `<Relationship Id="rIdDocgenImage${image.id}" ` +
+      'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/image" ' +
+      `Target="media/${target}"/>`;
+    zip.file(relsPath, rels.replace('</Relationships>', `${relationship}</Relationships>`));
+  });
+
+  let contentTypes = zip.file('[Content_Types].xml').asText();
+  [...new Set(images.map(image => image.format))].forEach(format => {
+    if (!new RegExp(`Extension="${format}"`, 'i').test(contentTypes)) {
+      contentTypes = contentTypes.replace(/<Types[^>]*>/, `$&<Default Extension="${format}" ContentType="image/${format}"/>`);
+    }
+  });
+  zip.file('[Content_Types].xml', contentTypes);
+}
+
+// Image tags of a Word template's text, as {{%path}} or {{%path | filter}}
+function extractDocxImageTags(text) {
+  const tags = [];
+  for (const match of text.matchAll(/\{\{%\s*([^{}]+?)\s*\}\}/g)) {
+    try {
+      const expression = parseTemplateExpression(match[1]);
+      if (expression && /^\w+(\.\w+)*$/.test(expression.path)) tags.push(expression);
+    } catch (error) {
+      console.warn(`Skipping image tag ${match[0]}: ${error.message}`);
+    }
+  }
+  return tags;
+}
+
+// ---------------------------------------------------------------------------
+// Table variables
+//
+// Table variables hold rows of values, either as a plain list of row objects
+// or as { columns, rows, totalLabel }. Columns can also come from the field
+// definition, so clients only send the rows; without either they are the
+// keys of the rows. Each column is
+//   { key, label, align: left|center|right, format, total: sum|average|count|min|max }
+// where `key` is a path into the row and `format` a filter chain such as
+// "currency:EUR" or "date:DD/MM/YYYY". Columns with a total add a totals row
+// labelled with `totalLabel` (default "Total").
+//
+// Templates place them with {{lineItems | table}} on a line of their own.
+// Like images, the filter leaves a token in the rendered text which each
+// output format turns into a table: a Word table whose header row repeats on
+// every page, a ruled PDF table that repeats its header when it breaks, an
+// HTML or Markdown table, and aligned columns in plain text.
+// ---------------------------------------------------------------------------
+
+const TABLE_TOKEN_REGEX = /\uE002([A-Za-z0-9+/=]*)\uE003/g;
+const TABLE_ALIGNMENTS = ['left', 'center', 'right'];
+const TABLE_TOTALS = ['sum', 'average', 'count', 'min', 'max'];
+const NUMBER_FILTERS = ['currency', 'number', 'percent'];
+
+// Check column definitions and return clean copies; a column can be given as
+// just its key
+function normalizeTableColumns(columns) {
+  if (!Array.isArray(columns)) throw new Error('columns must be a list');
+  return columns.map((column, index) => {
+    const definition = typeof column === 'string' ? { key: column } : column;
+    if (!definition || typeof definition.key !== 'string' || !/^\w+(\.\w+)*$/.test(definition.key)) {
+      throw new Error(`column ${index + 1} needs a "key" naming a value of the rows`);
+    }
+    if (definition.align !== undefined && !TABLE_ALIGNMENTS.includes(definition.align)) {
+      throw new Error(`column "${definition.key}" align must be one of ${TABLE_ALIGNMENTS.join(', ')}`);
+    }
+    if (definition.total !== undefined && !TABLE_TOTALS.includes(definition.total)) {
+      throw new Error(`column "${definition.key}" total must be one of ${TABLE_TOTALS.join(', ')}`);
+    }
+    if (definition.format !== undefined) {
+      try {
+        parseTemplateExpression(`value | ${definition.format}`);
+      } catch (error) {
+        throw new Error(`column "${definition.key}" has an invalid format: ${error.message}`);
+      }
+    }
+
+    return assignDefined({ key: definition.key, label: String(definition.label !== undefined ? definition.label : definition.key) }, {
+      align: definition.align,
+      format: definition.format,
+      total: definition.total
+    });
+  });
+}
+
+// A table value as { columns, rows, totalLabel }, with `columns` used when
+// the value doesn't bring its own; throws when it isn't a table
+function normalizeTemplateTable(value, columns) {
+  const table = Array.isArray(value) ? { rows: value } : value;
+  if (!table || typeof table !== 'object' || !Array.isArray(table.rows)) {
+    throw new Error('must be a list of rows or an object with "rows"');
+  }
+  table.rows.forEach((row, index) => {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) throw new Error(`row ${index + 1} must be an object`);
+  });
+
+  const keys = [];
+  table.rows.forEach(row => Object.keys(row).forEach(key => {
+    if (!keys.includes(key) && /^\w+$/.test(key)) keys.push(key);
+  }));
+
+  return assignDefined({
+    columns: normalizeTableColumns(table.columns || columns || keys),
+    rows: table.rows
+  }, { totalLabel: table.totalLabel !== undefined ? String(table.totalLabel) : undefined });
+}
+
+// Format a table's cells and compute its totals. Columns of numbers are
+// right-aligned unless they say otherwise.
+function layoutTemplateTable(table) {
+  const filters = table.columns.map(column => (column.format ? parseTemplateExpression(`value | ${column.format}`).filters : []));
+  const values = table.columns.map(column => table.rows.map(row => lookupTemplatePath([{ value: row }], column.key)));
+  const format = (value, index) => (value === undefined || value === null ? '' : formatTemplateValue(applyTemplateFilters(value, filters[index])));
+
+  const columns = table.columns.map((column, index) => {
+    const present = values[index].filter(value => value !== undefined && value !== null && value !== '');
+    const numeric = filters[index].some(filter => NUMBER_FILTERS.includes(filter.name))
+      || (present.length > 0 && present.every(value => typeof value === 'number'));
+    return { label: column.label, align: column.align || (numeric ? 'right' : 'left') };
+  });
+
+  let totals = null;
+  if (table.columns.some(column => column.total)) {
+    totals = table.columns.map((column, index) => {
+      if (!column.total) return '';
+      const present = values[index].filter(value => value !== undefined && value !== null && value !== '');
+      if (column.total === 'count') return String(present.length);
+
+      const numbers = present.map(toTemplateNumber).filter(number => !isNaN(number));
+      if (numbers.length === 0) return '';
+      const sum = numbers.reduce((total, number) => total + number, 0);
+      const result = column.total === 'sum' ? sum
+        : column.total === 'average' ? sum / numbers.length
+        : Math[column.total](...numbers);
+      // Keep sums of decimals such as 0.1 + 0.2 from showing float noise
+      return format(Number(result.toFixed(10)), index);
+    });
+    const labelColumn = table.columns.findIndex(column => !column.total);
+    if (labelColumn !== -1) totals[labelColumn] = table.totalLabel !== undefined ? table.totalLabel : 'Total';
+  }
+
+  return {
+    columns,
+    rows: table.rows.map((row, rowIndex) => table.columns.map((column, index) => format(values[index][rowIndex], index))),
+    totals
+  };
+}
+
+function makeTableToken(table) {
+  return '\uE002' + Buffer.from(JSON.stringify(layoutTemplateTable(table))).toString('base64') + '\uE003';
+}
+
+function parseTableToken(token) {
+  return JSON.parse(Buffer.from(token.slice(1, -1), 'base64').toString('utf8'));
+}
+
+// Split rendered text into text and laid out tables. The line breaks around
+// a table belong to it, so a table on its own line leaves no blank lines.
+function splitTableTokens(text) {
+  if (!text.includes('\uE002')) return [text];
+  const pieces = [];
+  let lastIndex = 0;
+  for (const match of text.matchAll(TABLE_TOKEN_REGEX)) {
+    const before = text.substring(lastIndex, match.index).replace(/\r?\n$/, '');
+    if (before) pieces.push(before);
+    pieces.push(parseTableToken(match[0]));
+    lastIndex = match.index + match[0].length;
+    if (text[lastIndex] === '\r') lastIndex++;
+    if (text[lastIndex] === '\n') lastIndex++;
+  }
+  if (lastIndex < text.length) pieces.push(text.substring(lastIndex));
+  return pieces;
+}
+
+// Give each table a paragraph of its own so paragraph based formats keep it whole
+function isolateTableTokens(text) {
+  return text.replace(/\n*(\uE002[A-Za-z0-9+/=]*\uE003)\n*/g, '\n\n$1\n\n');
+}
+
+// Plain text of rendered text: tables become padded columns under a ruled
+// header, with the totals below a second rule
+function tableTokensToText(text) {
+  return text.replace(TABLE_TOKEN_REGEX, token => {
+    const table = parseTableToken(token);
+    const lines = [...table.rows, ...(table.totals ? [table.totals] : [])];
+    const widths = table.columns.map((column, index) => Math.max(column.label.length, ...lines.map(cells => cells[index].length)));
+    const pad = (text, index, align) => {
+      const space = widths[index] - text.length;
+      if (align === 'right') return ' '.repeat(space) + text;
+      if (align === 'center') return ' '.repeat(Math.floor(space / 2)) + text + ' '.repeat(Math.ceil(space / 2));
+      return text + ' '.repeat(space);
+    };
+    const row = cells => cells.map((text, index) => pad(text, index, table.columns[index].align)).join('  ').trimEnd();
+    const rule = widths.map(width => '-'.repeat(width)).join('  ');
+
+    return [
+      row(table.columns.map(column => column.label)),
+      rule,
+      ...table.rows.map(row),
+      ...(table.totals ? [rule, row(table.totals)] : [])
+    ].join('\n');
+  });
+}
+
+// Rendered text as plain text, for text output and API responses
+function toPlainText(text) {
+  return tableTokensToText(stripImageTokens(text));
+}
+
+// Markdown pipe table for each table; totals are a bold last row
+function tableTokensToMarkdown(markdown) {
+  return markdown.replace(TABLE_TOKEN_REGEX, token => {
+    const table = parseTableToken(token);
+    const escape = text => text.replace(/[\\`*_[\]<>|~]/g, '\\$&').replace(/\n/g, ' ');
+    const row = cells => `| ${cells.join(' | ')} |`;
+    const markers = { left: ':---', center: ':---:', right: '---:' };
+
+    return [
+      row(table.columns.map(column => escape(column.label))),
+      row(table.columns.map(column => markers[column.align])),
+      ...table.rows.map(cells => row(cells.map(escape))),
+      ...(table.totals ? [row(table.totals.map(text => (text ? `**${escape(text)}**` : '')))] : [])
+    ].join('\n');
+  });
+}
+
+// A laid out table as a Markdown table block, so the Markdown renderers draw it
+function tableToMarkdownBlock(table) {
+  const runs = text => [{ text }];
+  return assignDefined({
+    type: 'table',
+    header: table.columns.map(column => runs(column.label)),
+    rows: table.rows.map(cells => cells.map(runs)),
+    align: table.columns.map(column => column.align)
+  }, { footer: table.totals ? table.totals.map(runs) : undefined });
+}
+
+// ---------------------------------------------------------------------------
+// Page setup
+//
+// Text templates rendered as PDF use their template's page setup: paper size
+// and orientation, margins, a letterhead image in the top margin, running
+// header and footer text, "Page X of Y" numbers and a diagonal watermark such
+// as DRAFT. Header and footer text is itself a template and may use the
+// document's variables plus {{page}} and {{pages}}. The defaults match plain
+// PDFKit output: Letter, portrait, one-inch margins and nothing else.
+// ---------------------------------------------------------------------------
+
+// Paper sizes in points, portrait
+const PAGE_SIZES = {
+  letter: [612, 792],
+  legal: [612, 1008],
+  a4: [595.28, 841.89],
+  a5: [419.53, 595.28]
+};
+const MAX_PAGE_MARGIN = 216;
+const MIN_CONTENT_SIZE = 144;
+const MAX_RUNNING_TEXT_LENGTH = 500;
+const MAX_WATERMARK_LENGTH = 40;
+const DEFAULT_PAGE_SETUP = {
+  size: 'letter',
+  orientation: 'portrait',
+  margins: { top: 72, right: 72, bottom: 72, left: 72 },
+  header: '',
+  footer: '',
+  pageNumbers: false,
+  watermark: '',
+  letterhead: null,
+  letterheadPages: 'first'
+};
+
+// Check page setup changes sent by a client and return the complete setup;
+// settings that aren't given keep their current value. Throws on invalid
+// settings. The letterhead itself is uploaded as a file, so only null (to
+// remove it) is accepted here.
+function normalizePageSetup(changes, current = DEFAULT_PAGE_SETUP) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw new Error('"pageSetup" must be an object');
+  }
+
+  const setup = { ...current, margins: { ...current.margins } };
+  Object.entries(changes).forEach(([key, value]) => {
+    switch (key) {
+      case 'size': {
+        const size = String(value).toLowerCase();
+        if (!PAGE_SIZES[size]) {
+          throw new Error(`Paper size must be one of ${Object.keys(PAGE_SIZES).join(', ')}`);
+        }
+        setup.size = size;
+        break;
+      }
+      case 'orientation':
+        if (!['portrait', 'landscape'].includes(value)) {
+          throw new Error('Orientation must be portrait or landscape');
+        }
+        setup.orientation = value;
+        break;
+      case 'margins': {
+        const margins = typeof value === 'number' ? { top: value, right: value, bottom: value, left: value } : value;
+        if (!margins || typeof margins !== 'object' || Array.isArray(margins)) {
+          throw new Error('"margins" must be a number or an object with top, right, bottom and left');
+        }
+        Object.entries(margins).forEach(([side, points]) => {
+          if (!(side in setup.margins)) {
+            throw new Error(`Unknown margin "${side}"`);
+          }
+          if (typeof points !== 'number' || !Number.isFinite(points) || points < 0 || points > MAX_PAGE_MARGIN) {
+            throw new Error(`The ${side} margin must be between 0 and ${MAX_PAGE_MARGIN} points`);
+          }
+          setup.margins[side] = points;
+        });
+        break;
+      }
+      case 'header':
+      case 'footer':
+        if (typeof value !== 'string') {
+          throw new Error(`"${key}" must be text`);
+        }
+        if (value.length > MAX_RUNNING_TEXT_LENGTH) {
+          throw new Error(`"${key}" can be at most ${MAX_RUNNING_TEXT_LENGTH} characters`);
+        }
+        try {
+          parseTemplate(value);
+        } catch (error) {
+          throw new Error(`Invalid ${key}: ${error.message}`);
+        }
+        setup[key] = value;
+        break;
+      case 'pageNumbers':
+        if (typeof value !== 'boolean') {
+          throw new Error('"pageNumbers" must be true or false');
+        }
+        setup.pageNumbers = value;
+        break;
+      case 'watermark':
+        if (typeof value !== 'string' || value.trim().length > MAX_WATERMARK_LENGTH) {
+          throw new Error(`"watermark" must be text of at most ${MAX_WATERMARK_LENGTH} characters`);
+        }
+        setup.watermark = value.trim();
+        break;
+      case 'letterheadPages':
+        if (!['first', 'all'].includes(value)) {
+          throw new Error('"letterheadPages" must be first or all');
+        }
+        setup.letterheadPages = value;
+        break;
+      case 'letterhead':
+        if (value !== null) {
+          throw new Error('Upload the letterhead as a "letterhead" image file, or send null to remove it');
+        }
+        setup.letterhead = null;
+        break;
+      default:
+        throw new Error(`Unknown page setup option "${key}"`);
+    }
+  });
+
+  const [width, height] = pageDimensions(setup);
+  if (width - setup.margins.left - setup.margins.right < MIN_CONTENT_SIZE ||
+      height - setup.margins.top - setup.margins.bottom < MIN_CONTENT_SIZE) {
+    throw new Error('The margins leave too little room for content on this paper size');
+  }
+  return setup;
+}
+
+// Page width and height in points for the setup's size and orientation
+function pageDimensions(setup) {
+  const [width, height] = PAGE_SIZES[setup.size];
+  return setup.orientation === 'landscape' ? [height, width] : [width, height];
+}
+
+// Page setup as shown to clients; where the letterhead is stored stays private
+function toPageSetupResponse(setup) {
+  return { ...setup, letterhead: setup.letterhead ? setup.letterhead.name : null };
+}
+
+// Draw the letterhead, header, footer, page numbers and watermark on every
+// page of a PDFKit document created with bufferPages
+function decoratePdfPages(doc, setup, variables) {
+  const range = doc.bufferedPageRange();
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+    const { width, height, margins } = doc.page;
+    const contentWidth = width - margins.left - margins.right;
+    const values = { ...variables, page: index + 1, pages: range.count };
+
+    // Text drawn below the bottom margin would otherwise start a new page
+    const bottomMargin = margins.bottom;
+    margins.bottom = 0;
+
+    if (setup.watermark) {
+      drawPdfWatermark(doc, setup.watermark);
+    }
+
+    doc.font('Helvetica').fontSize(9).fillColor('#555555');
+    const header = setup.header ? stripImageTokens(replaceVariables(setup.header, values)).trim() : '';
+    const headerHeight = header ? doc.heightOfString(header, { width: contentWidth }) : 0;
+    if (setup.letterhead && (setup.letterheadPages === 'all' || index === range.start)) {
+      const top = 18;
+      const boxHeight = margins.top - top - (header ? headerHeight + 12 : 6);
+      if (boxHeight >= 12) {
+        doc.image(setup.letterhead.filePath, margins.left, top, {
+          fit: [contentWidth, boxHeight],
+          align: 'center',
+          valign: 'center'
+        });
+      }
+    }
+    if (header) {
+      doc.text(header, margins.left, margins.top - headerHeight - 6, { width: contentWidth, align: 'center' });
+    }
+
+    const footerY = height - bottomMargin + 12;
+    const pageLabel = setup.pageNumbers ? `Page ${index + 1} of ${range.count}` : '';
+    const labelWidth = pageLabel ? doc.widthOfString(pageLabel) : 0;
+    const footer = setup.footer ? stripImageTokens(replaceVariables(setup.footer, values)).trim() : '';
+    if (footer) {
+      // Next to page numbers the footer moves to the left to make room
+      doc.text(footer, margins.left, footerY, {
+        width: pageLabel ? contentWidth - labelWidth - 12 : contentWidth,
+        align: pageLabel ? 'left' : 'center'
+      });
+    }
+    if (pageLabel) {
+      doc.text(pageLabel, width - margins.right - labelWidth, footerY, { lineBreak: false });
+    }
+
+    margins.bottom = bottomMargin;
+  }
+}
+
+// Large translucent text across the page's diagonal
+function drawPdfWatermark(doc, text) {
+  const { width, height } = doc.page;
+  doc.font('Helvetica-Bold').fontSize(1);
+  const size = Math.min(120, Math.hypot(width, height) * 0.6 / doc.widthOfString(text));
+  doc.fontSize(size);
+  const textWidth = doc.widthOfString(text);
+
+  doc.save();
+  doc.rotate(-Math.atan2(height, width) * 180 / Math.PI, { origin: [width / 2, height / 2] });
+  doc.fillColor('#888888').fillOpacity(0.2);
+  doc.text(text, (width - textWidth) / 2, height / 2 - size * 0.35, { lineBreak: false });
+  doc.restore();
+}
+
+// Whether a file starts like a PNG or JPEG image, the formats PDFKit can embed
+function isLetterheadImage(filePath) {
+  const header = Buffer.alloc(8);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    fs.readSync(fd, header, 0, 8, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return header.toString('hex') === '89504e470d0a1a0a' || (header[0] === 0xff && header[1] === 0xd8);
+}
+
+// ---------------------------------------------------------------------------
+// Markdown templates
+//
+// .md templates are filled in like text templates and the result is read as
+// Markdown: ATX and setext headings, paragraphs, bullet and numbered lists
+// (nested by indentation), block quotes, fenced code, rules and pipe tables,
+// with **bold**, *italic*, ~~strike~~, `code`, [links](url) and <autolinks>
+// inline. The parsed blocks become Word's built-in styles in DOCX, formatted
+// PDFKit output under the template's page setup, or a self-contained HTML
+// page. Values are filled in before parsing, so Markdown in a value is
+// formatted too.
+// ---------------------------------------------------------------------------
+
+const MARKDOWN_HEADING_REGEX = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const MARKDOWN_RULE_REGEX = /^ {0,3}([-*_])(?: *\1){2,} *$/;
+const MARKDOWN_FENCE_REGEX = /^ {0,3}(`{3,}|~{3,}) *([^`\s]*)/;
+const MARKDOWN_LIST_ITEM_REGEX = /^( {0,3})([-*+]|\d{1,9}[.)])( +|$)(.*)$/;
+const MARKDOWN_SETEXT_REGEX = /^ {0,3}(=+|-+) *$/;
+const MARKDOWN_TABLE_DIVIDER_REGEX = /^ *\|? *:?-+:? *(\| *:?-+:? *)*\|? *$/;
+const MARKDOWN_ESCAPABLE = '\\`*_{}[]()#+-.!|~<>"\'';
+const MARKDOWN_HEADING_SIZES = [24, 20, 16, 14, 12, 11];
+
+// Parse Markdown into a list of blocks:
+//   { type: 'heading', level, runs }      { type: 'paragraph', runs }
+//   { type: 'list', ordered, start, loose, items: [{ blocks }] }
+//   { type: 'blockquote', blocks }        { type: 'code', language, text }
+//   { type: 'table', align, header, rows } { type: 'rule' }
+// where runs are the inline text, see parseMarkdownInline.
+function parseMarkdown(source) {
+  return parseMarkdownBlocks(source.replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n'));
+}
+
+// Whether a line starts a block that ends the paragraph before it. Numbered
+// lists only interrupt a paragraph when they start at 1, so a sentence that
+// happens to begin with "2024." stays text.
+function isMarkdownBlockStart(line) {
+  if (MARKDOWN_FENCE_REGEX.test(line) || MARKDOWN_HEADING_REGEX.test(line) ||
+      MARKDOWN_RULE_REGEX.test(line) || /^ {0,3}>/.test(line)) {
+    return true;
+  }
+  const item = line.match(MARKDOWN_LIST_ITEM_REGEX);
+  return Boolean(item && item[4].trim() && (!/\d/.test(item[2]) || parseInt(item[2], 10) === 1));
+}
+
+function markdownIndent(line) {
+  return line.match(/^ */)[0].length;
+}
+
+function parseMarkdownBlocks(lines) {
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(MARKDOWN_FENCE_REGEX);
+    if (fence) {
+      const closing = new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},} *$`);
+      const code = [];
+      for (i++; i < lines.length && !closing.test(lines[i]); i++) {
+        code.push(lines[i]);
+      }
+      i++;
+      blocks.push({ type: 'code', language: fence[2], text: code.join('\n') });
+      continue;
+    }
+
+    const heading = line.match(MARKDOWN_HEADING_REGEX);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, runs: parseMarkdownInline(heading[2] || '') });
+      i++;
+      continue;
+    }
+
+    if (MARKDOWN_RULE_REGEX.test(line)) {
+      blocks.push({ type: 'rule' });
+      i++;
+      continue;
+    }
+
+    if (/^ {0,3}>/.test(line)) {
+      // Unmarked lines continue the quote's paragraph
+      const quoted = [];
+      while (i < lines.length && lines[i].trim() &&
+             (/^ {0,3}>/.test(lines[i]) || (quoted.length > 0 && !isMarkdownBlockStart(lines[i])))) {
+        quoted.push(lines[i].replace(/^ {0,3}> ?/, ''));
+        i++;
+      }
+      blocks.push({ type: 'blockquote', blocks: parseMarkdownBlocks(quoted) });
+      continue;
+    }
+
+    if (MARKDOWN_LIST_ITEM_REGEX.test(line)) {
+      const list = parseMarkdownList(lines, i);
+      blocks.push(list.block);
+      i = list.end;
+      continue;
+    }
+
+    // A pipe table is a header row followed by a divider with one cell per column
+    if (line.includes('|') && i + 1 < lines.length && MARKDOWN_TABLE_DIVIDER_REGEX.test(lines[i + 1])) {
+      const header = splitMarkdownTableRow(line);
+      const divider = splitMarkdownTableRow(lines[i + 1]);
+      if (divider.length === header.length) {
+        const rows = [];
+        for (i += 2; i < lines.length && lines[i].trim() && !isMarkdownBlockStart(lines[i]); i++) {
+          const cells = splitMarkdownTableRow(lines[i]);
+          rows.push(header.map((_, column) => parseMarkdownInline(cells[column] || '')));
+        }
+        blocks.push({
+          type: 'table',
+          align: divider.map(cell => (cell.startsWith(':') && cell.endsWith(':') ? 'center'
+            : cell.endsWith(':') ? 'right'
+            : cell.startsWith(':') ? 'left'
+            : null)),
+          header: header.map(cell => parseMarkdownInline(cell)),
+          rows: rows
+        });
+        continue;
+      }
+    }
+
+    const paragraph = [line];
+    for (i++; i < lines.length && lines[i].trim() && !isMarkdownBlockStart(lines[i]) && !MARKDOWN_SETEXT_REGEX.test(lines[i]); i++) {
+      paragraph.push(lines[i]);
+    }
+    const underline = i < lines.length && lines[i].match(MARKDOWN_SETEXT_REGEX);
+    if (underline) {
+      blocks.push({ type: 'heading', level: underline[1][0] === '=' ? 1 : 2, runs: parseMarkdownInline(paragraph.join('\n').trim()) });
+      i++;
+      continue;
+    }
+    blocks.push({ type: 'paragraph', runs: parseMarkdownInline(paragraph.map(text => text.replace(/^ +/, '')).join('\n')) });
+  }
+  return blocks;
+}
+
+// Parse the list starting at lines[start]. An item holds the lines indented
+// past its marker; a blank line between items makes the list loose.
+function parseMarkdownList(lines, start) {
+  const first = lines[start].match(MARKDOWN_LIST_ITEM_REGEX);
+  const ordered = /\d/.test(first[2]);
+  const delimiter = first[2].slice(-1);
+  const sameList = match => match && /\d/.test(match[2]) === ordered && match[2].slice(-1) === delimiter;
+  const block = { type: 'list', ordered, start: ordered ? parseInt(first[2], 10) : 1, loose: false, items: [] };
+
+  let i = start;
+  while (i < lines.length) {
+    const match = lines[i].match(MARKDOWN_LIST_ITEM_REGEX);
+    if (!sameList(match)) break;
+
+    const contentIndent = match[1].length + match[2].length + Math.max(Math.min(match[3].length, 4), 1);
+    const itemLines = [match[4]];
+    for (i++; i < lines.length; i++) {
+      const next = lines[i];
+      if (!next.trim()) {
+        let following = i;
+        while (following < lines.length && !lines[following].trim()) following++;
+        if (following === lines.length || markdownIndent(lines[following]) < contentIndent) break;
+        itemLines.push('');
+        continue;
+      }
+      if (markdownIndent(next) >= contentIndent) {
+        itemLines.push(next.substring(contentIndent));
+      } else if (!MARKDOWN_LIST_ITEM_REGEX.test(next) && !isMarkdownBlockStart(next) && itemLines[itemLines.length - 1].trim()) {
+        itemLines.push(next.trim());
+      } else {
+        break;
+      }
+    }
+    block.items.push({ blocks: parseMarkdownBlocks(itemLines) });
+    if (itemLines.some((text, index) => !text.trim() && index < itemLines.length - 1)) {
+      block.loose = true;
+    }
+
+    let following = i;
+    while (following < lines.length && !lines[following].trim()) following++;
+    if (following > i) {
+      if (following === lines.length || !sameList(lines[following].match(MARKDOWN_LIST_ITEM_REGEX))) break;
+      block.loose = true;
+      i = following;
+    }
+  }
+  return { block, end: i };
+}
+
+// Cells of a table row; "\|" is a literal pipe
+function splitMarkdownTableRow(line) {
+  let row = line.trim();
+  if (row.startsWith('|')) row = row.substring(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.substring(0, row.length - 1);
+  return row.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+// Links may point to web pages, mail addresses, phone numbers, anchors and
+// relative paths; other schemes such as javascript: are dropped
+function isSafeMarkdownUrl(url) {
+  return /^(https?:|mailto:|tel:|#|\/|\.)/i.test(url) || !/^[a-z][a-z0-9+.-]*:/i.test(url);
+}
+
+// Parse inline Markdown into runs of text sharing one style:
+// { text, bold, italic, strike, code, link }. Hard line breaks are kept as
+// "\n" in the text; other line breaks become spaces.
+function parseMarkdownInline(text, style = {}) {
+  const runs = [];
+  let buffer = '';
+  const flush = () => {
+    if (buffer) runs.push({ ...style, text: buffer });
+    buffer = '';
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    const rest = text.substring(i);
+
+    if (ch === '\\' && text[i + 1] === '\n') {
+      buffer += '\n';
+      i += 2;
+      continue;
+    }
+    if (ch === '\\' && i + 1 < text.length && MARKDOWN_ESCAPABLE.includes(text[i + 1])) {
+      buffer += text[i + 1];
+      i += 2;
+      continue;
+    }
+
+    // Two trailing spaces make a hard break
+    if (ch === '\n') {
+      const hard = / {2,}$/.test(buffer);
+      buffer = buffer.replace(/ +$/, '') + (hard ? '\n' : ' ');
+      for (i++; text[i] === ' '; i++);
+      continue;
+    }
+
+    if (ch === '`') {
+      const ticks = rest.match(/^`+/)[0];
+      const end = text.indexOf(ticks, i + ticks.length);
+      if (end !== -1) {
+        flush();
+        runs.push({ ...style, text: text.substring(i + ticks.length, end).replace(/\n/g, ' ').replace(/^ (.+) $/, '$1'), code: true });
+        i = end + ticks.length;
+      } else {
+        buffer += ticks;
+        i += ticks.length;
+      }
+      continue;
+    }
+
+    if (ch === '[') {
+      const link = matchMarkdownLink(text, i);
+      if (link) {
+        flush();
+        const linkStyle = isSafeMarkdownUrl(link.url) ? { ...style, link: link.url } : style;
+        runs.push(...parseMarkdownInline(link.label, linkStyle));
+        i = link.end;
+        continue;
+      }
+    }
+
+    if (ch === '<') {
+      const auto = rest.match(/^<((?:https?|mailto):[^\s<>]+|[^\s<>@]+@[^\s<>@]+\.[^\s<>@]+)>/i);
+      if (auto) {
+        flush();
+        runs.push({ ...style, text: auto[1], link: auto[1].includes(':') ? auto[1] : 'mailto:' + auto[1] });
+        i += auto[0].length;
+        continue;
+      }
+    }
+
+    const delimiter = ['**', '__', '~~'].find(pair => rest.startsWith(pair)) || (ch === '*' || ch === '_' ? ch : null);
+    if (delimiter && canOpenMarkdownEmphasis(text, i, delimiter)) {
+      const end = findMarkdownEmphasisEnd(text, i + delimiter.length, delimiter);
+      if (end !== -1) {
+        flush();
+        const emphasis = delimiter === '~~' ? { strike: true } : delimiter.length === 2 ? { bold: true } : { italic: true };
+        runs.push(...parseMarkdownInline(text.substring(i + delimiter.length, end), { ...style, ...emphasis }));
+        i = end + delimiter.length;
+        continue;
+      }
+    }
+
+    buffer += ch;
+    i++;
+  }
+  flush();
+  return runs;
+}
+
+// Emphasis opens before non-space text; underscores only at word starts so
+// snake_case names and addresses stay as they are
+function canOpenMarkdownEmphasis(text, index, delimiter) {
+  const next = text[index + delimiter.length];
+  if (!next || /\s/.test(next)) return false;
+  return delimiter[0] !== '_' || !/[\p{L}\p{N}]/u.test(text[index - 1] || '');
+}
+
+// Index of the delimiter closing emphasis opened just before `from`, or -1
+function findMarkdownEmphasisEnd(text, from, delimiter) {
+  const ch = delimiter[0];
+  for (let index = text.indexOf(delimiter, from); index !== -1; index = text.indexOf(delimiter, index + 1)) {
+    if (text[index - 1] === '\\') continue;
+    // A single * or _ doesn't close on a double one, which is nested emphasis
+    if (delimiter.length === 1 && text[index + 1] === ch) {
+      index++;
+      continue;
+    }
+    let end = index;
+    if (delimiter.length === 2) {
+      while (text[end + 2] === ch) end++;
+    }
+    if (end === from || /\s/.test(text[end - 1])) continue;
+    if (ch === '_' && /[\p{L}\p{N}]/u.test(text[end + delimiter.length] || '')) continue;
+    return end;
+  }
+  return -1;
+}
+
+// Match [label](url "title") at text[start]
+function matchMarkdownLink(text, start) {
+  let depth = 0;
+  for (let index = start; index < text.length; index++) {
+    if (text[index] === '\\') {
+      index++;
+    } else if (text[index] === '[') {
+      depth++;
+    } else if (text[index] === ']' && --depth === 0) {
+      const target = text.substring(index + 1)
+        .match(/^\(\s*<?([^\s()<>]*(?:\([^\s()]*\)[^\s()<>]*)*)>?(?:\s+(?:"[^"]*"|'[^']*'))?\s*\)/);
+      return target ? { label: text.substring(start + 1, index), url: target[1], end: index + 1 + target[0].length } : null;
+    }
+  }
+  return null;
+}
+
+// Plain text of inline runs
+function markdownRunsText(runs) {
+  return stripImageTokens(runs.map(run => run.text).join(''));
+}
+
+// Split inline runs around the images in their text into segments of runs
+// and single images
+function markdownRunSegments(runs) {
+  const segments = [];
+  runs.forEach(run => {
+    splitImageTokens(run.text).forEach(piece => {
+      const last = segments[segments.length - 1];
+      if (typeof piece !== 'string') {
+        segments.push({ image: piece });
+      } else if (last && last.runs) {
+        last.runs.push({ ...run, text: piece });
+      } else {
+        segments.push({ runs: [{ ...run, text: piece }] });
+      }
+    });
+  });
+  return segments;
+}
+
+// --- HTML -------------------------------------------------------------------
+
+const HTML_DOCUMENT_STYLE = `
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; font-size: 15px; line-height: 1.5; color: #1b1b1b; max-width: 760px; margin: 32px auto; padding: 0 16px; }
+  h1, h2, h3, h4, h5, h6 { line-height: 1.25; margin: 1.4em 0 0.5em; }
+  p, ul, ol, table, pre, blockquote { margin: 0 0 1em; }
+  a { color: #0b5cad; }
+  code { font-family: Consolas, "Courier New", monospace; font-size: 0.9em; background: #f3f3f3; padding: 0.1em 0.3em; border-radius: 3px; }
+  pre { background: #f3f3f3; padding: 12px; overflow-x: auto; border-radius: 4px; }
+  pre code { background: none; padding: 0; }
+  blockquote { border-left: 4px solid #cccccc; padding-left: 12px; color: #555555; margin-left: 0; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #bbbbbb; padding: 4px 8px; text-align: left; }
+  th { background: #eeeeee; }
+  tfoot td { font-weight: 600; border-top: 3px double #555555; }
+  hr { border: none; border-top: 1px solid #bbbbbb; margin: 1.5em 0; }
+`;
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Wrap an HTML body into a standalone page with its styles embedded
+function wrapHtmlDocument(title, body) {
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(title)}</title>`,
+    `<style>${HTML_DOCUMENT_STYLE}</style>`,
+    '</head>',
+    '<body>',
+    body,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+function markdownRunsToHtml(runs) {
+  return runs.map(run => {
+    let html = imageTokensToHtml(escapeHtml(run.text)).replace(/\n/g, '<br>\n');
+    if (run.code) html = `<code>${html}</code>`;
+    if (run.strike) html = `<del>${html}</del>`;
+    if (run.italic) html = `<em>${html}</em>`;
+    if (run.bold) html = `<strong>${html}</strong>`;
+    if (run.link) html = `<a href="${escapeHtml(run.link)}">${html}</a>`;
+    return html;
+  }).join('');
+}
+
+// Items of tight lists hold their text without paragraph margins
+function markdownBlocksToHtml(blocks, tight = false) {
+  return blocks.map(block => {
+    switch (block.type) {
+      case 'heading':
+        return `<h${block.level}>${markdownRunsToHtml(block.runs)}</h${block.level}>`;
+      case 'paragraph':
+        return tight ? markdownRunsToHtml(block.runs) : `<p>${markdownRunsToHtml(block.runs)}</p>`;
+      case 'code':
+        return `<pre><code>${escapeHtml(stripImageTokens(block.text))}</code></pre>`;
+      case 'rule':
+        return '<hr>';
+      case 'blockquote':
+        return `<blockquote>\n${markdownBlocksToHtml(block.blocks)}\n</blockquote>`;
+      case 'list': {
+        const tag = block.ordered ? 'ol' : 'ul';
+        const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+        const items = block.items.map(item => `<li>${markdownBlocksToHtml(item.blocks, !block.loose)}</li>`);
+        return `<${tag}${start}>\n${items.join('\n')}\n</${tag}>`;
+      }
+      case 'table': {
+        const cell = (tag, runs, column) => {
+          const align = block.align[column] ? ` style="text-align: ${block.align[column]}"` : '';
+          return `<${tag}${align}>${markdownRunsToHtml(runs)}</${tag}>`;
+        };
+        return [
+          '<table>',
+          `<thead><tr>${block.header.map((runs, column) => cell('th', runs, column)).join('')}</tr></thead>`,
+          '<tbody>',
+          ...block.rows.map(row => `<tr>${row.map((runs, column) => cell('td', runs, column)).join('')}</tr>`),
+          '</tbody>',
+          ...(block.footer ? [`<tfoot><tr>${block.footer.map((runs, column) => cell('td', runs, column)).join('')}</tr></tfoot>`] : []),
+          '</table>'
+        ].join('\n');
+      }
+      default:
+        return '';
+    }
+  }).join('\n');
+}
+
+// Standalone HTML page titled after the first heading
+function generateMarkdownHtml(blocks, outputPath) {
+  const heading = blocks.find(block => block.type === 'heading');
+  const title = heading ? markdownRunsText(heading.runs) : 'Document';
+  fs.writeFileSync(outputPath, wrapHtmlDocument(title, markdownBlocksToHtml(blocks)));
+}
+
+// --- DOCX -------------------------------------------------------------------
+
+const DOCX_HEADING_LEVELS = [
+  HeadingLevel.HEADING_1,
+  HeadingLevel.HEADING_2,
+  HeadingLevel.HEADING_3,
+  HeadingLevel.HEADING_4,
+  HeadingLevel.HEADING_5,
+  HeadingLevel.HEADING_6
+];
+const DOCX_INDENT_STEP = 720;
+
+function markdownRunsToDocx(runs) {
+  return markdownRunSegments(runs).flatMap(segment => (segment.image
+    ? [docxImageRun(segment.image)]
+    : segment.runs.flatMap(markdownRunToDocx)));
+}
+
+function markdownRunToDocx(run) {
+  const textRuns = run.text.split('\n').map((part, index) => new TextRun({
+    text: part,
+    break: index > 0 ? 1 : undefined,
+    bold: run.bold,
+    italics: run.italic,
+    strike: run.strike,
+    font: run.code ? 'Courier New' : undefined,
+    style: run.link ? 'Hyperlink' : undefined
+  }));
+  return run.link ? [new ExternalHyperlink({ link: run.link, children: textRuns })] : textRuns;
+}
+
+// Word content for blocks nested `depth` levels into lists. Numbered lists
+// each get their own numbering instance so they restart; `state` collects the
+// start values that need a numbering definition.
+function markdownBlocksToDocx(blocks, state, depth = 0, quoted = false) {
+  const indent = depth > 0 || quoted ? { left: DOCX_INDENT_STEP * (depth + (quoted ? 1 : 0)) } : undefined;
+  const quoteBorder = quoted ? { left: { style: BorderStyle.SINGLE, size: 18, color: 'BBBBBB', space: 8 } } : undefined;
+  const children = [];
+
+  blocks.forEach(block => {
+    switch (block.type) {
+      case 'heading':
+        children.push(new Paragraph({ heading: DOCX_HEADING_LEVELS[block.level - 1], children: markdownRunsToDocx(block.runs) }));
+        break;
+      case 'paragraph':
+        children.push(new Paragraph({ children: markdownRunsToDocx(block.runs), indent, border: quoteBorder }));
+        break;
+      case 'code':
+        children.push(new Paragraph({
+          indent,
+          shading: { type: ShadingType.CLEAR, color: 'auto', fill: 'F3F3F3' },
+          children: stripImageTokens(block.text).split('\n').map((line, index) => new TextRun({
+            text: line,
+            break: index > 0 ? 1 : undefined,
+            font: 'Courier New',
+            size: 19
+          }))
+        }));
+        break;
+      case 'rule':
+        children.push(new Paragraph({ thematicBreak: true }));
+        break;
+      case 'blockquote':
+        children.push(...markdownBlocksToDocx(block.blocks, state, depth, true));
+        break;
+      case 'list': {
+        const instance = ++state.listCount;
+        if (block.ordered) state.orderedStarts.add(block.start);
+        block.items.forEach(item => {
+          const [first, ...rest] = item.blocks;
+          const numbering = block.ordered
+            ? { numbering: { reference: `markdown-ordered-${block.start}`, level: Math.min(depth, 8), instance } }
+            : { bullet: { level: Math.min(depth, 8) } };
+          const hasText = first && (first.type === 'paragraph' || first.type === 'heading');
+          children.push(new Paragraph({ ...numbering, children: hasText ? markdownRunsToDocx(first.runs) : [] }));
+          children.push(...markdownBlocksToDocx(hasText ? rest : item.blocks, state, depth + 1, quoted));
+        });
+        break;
+      }
+      case 'table':
+        children.push(markdownTableToDocx(block));
+        children.push(new Paragraph({ children: [] }));
+        break;
+    }
+  });
+  return children;
+}
+
+// Word table whose header row repeats on every page; a footer row, such as
+// totals, is bold below a double rule
+function markdownTableToDocx(block) {
+  const alignments = { left: AlignmentType.LEFT, center: AlignmentType.CENTER, right: AlignmentType.RIGHT };
+  const row = (cells, kind) => new TableRow({
+    tableHeader: kind === 'header' || undefined,
+    children: cells.map((runs, column) => new TableCell({
+      shading: kind === 'header' ? { type: ShadingType.CLEAR, color: 'auto', fill: 'EEEEEE' } : undefined,
+      borders: kind === 'footer' ? { top: { style: BorderStyle.DOUBLE, size: 4, color: '555555' } } : undefined,
+      children: [new Paragraph({
+        alignment: alignments[block.align[column]],
+        children: markdownRunsToDocx(kind === 'body' ? runs : runs.map(run => ({ ...run, bold: true })))
+      })]
+    }))
+  });
+
+  return new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    rows: [
+      row(block.header, 'header'),
+      ...block.rows.map(cells => row(cells, 'body')),
+      ...(block.footer ? [row(block.footer, 'footer')] : [])
+    ]
+  });
+}
+
+async function generateMarkdownDocx(blocks, outputPath) {
+  const state = { listCount: 0, orderedStarts: new Set() };
+  const children = markdownBlocksToDocx(blocks, state);
+
+  const doc = new Document({
+    numbering: {
+      config: [...state.orderedStarts].map(start => ({
+        reference: `markdown-ordered-${start}`,
+        levels: Array.from({ length: 9 }, (_, level) => ({
+          level,
+          format: LevelFormat.DECIMAL,
+          text: `%${level + 1}.`,
+          start: level === 0 ? start : 1,
+          alignment: AlignmentType.START,
+          style: { paragraph: { indent: { left: DOCX_INDENT_STEP * (level + 1), hanging: 360 } } }
+        }))
+      }))
+    },
+    sections: [{
+      properties: {},
+      children: children
+    }]
+  });
+
+  const buffer = await Packer.toBuffer(doc);
+  fs.writeFileSync(outputPath, buffer);
+}
+
+// --- PDF --------------------------------------------------------------------
+
+// Draw inline runs as one flowing paragraph starting at the current line
+function drawMarkdownRuns(doc, runs, x, width, options = {}) {
+  markdownRunSegments(runs).forEach(segment => {
+    if (segment.image) {
+      drawPdfImage(doc, segment.image, x, width);
+    } else {
+      drawMarkdownTextRuns(doc, segment.runs, x, width, options);
+    }
+  });
+}
+
+// Height that drawMarkdownRuns takes for the runs with the current font
+function measureMarkdownRuns(doc, runs, width) {
+  const segments = markdownRunSegments(runs);
+  if (segments.length === 0) return doc.heightOfString(' ', { width });
+  return segments.reduce((height, segment) => height + (segment.image
+    ? segment.image.height * Math.min(1, width / segment.image.width)
+    : doc.heightOfString(markdownRunsText(segment.runs) || ' ', { width })), 0);
+}
+
+// PDFKit drops a line break at the end of continued text, so each line of
+// a paragraph with hard breaks is drawn as its own run of text
+function drawMarkdownTextRuns(doc, runs, x, width, options) {
+  const lines = [[]];
+  runs.forEach(run => run.text.split('\n').forEach((text, index) => {
+    if (index > 0) lines.push([]);
+    lines[lines.length - 1].push({ ...run, text });
+  }));
+  lines.forEach(line => drawMarkdownLine(doc, line, x, width, options));
+}
+
+function drawMarkdownLine(doc, runs, x, width, options) {
+  const { size = 11, color = '#1b1b1b', bold = false, italic = false, align = 'left' } = options;
+  const pieces = runs.filter(run => run.text);
+  if (pieces.length === 0) pieces.push({ text: ' ' });
+  pieces.forEach((run, index) => {
+    const isBold = bold || run.bold;
+    const isItalic = italic || run.italic;
+    const font = run.code ? 'Courier'
+      : isBold && isItalic ? 'Helvetica-BoldOblique'
+      : isBold ? 'Helvetica-Bold'
+      : isItalic ? 'Helvetica-Oblique'
+      : 'Helvetica';
+    doc.font(font).fontSize(size).fillColor(run.link ? '#0b5cad' : color);
+
+    // PDFKit carries options over between continued calls, so each is set explicitly
+    const textOptions = {
+      continued: index < pieces.length - 1,
+      link: run.link || null,
+      underline: Boolean(run.link),
+      strike: Boolean(run.strike)
+    };
+    if (index === 0) {
+      doc.text(run.text, x, doc.y, { ...textOptions, width, align });
+    } else {
+      doc.text(run.text, textOptions);
+    }
+  });
+}
+
+// Move to a new page unless `height` fits below the current position
+function ensurePdfSpace(doc, height) {
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  const pageSpace = bottom - doc.page.margins.top;
+  if (doc.y + height > bottom && height <= pageSpace) {
+    doc.addPage();
+  }
+}
+
+function drawMarkdownPdfBlocks(doc, blocks, options = {}) {
+  const { indent = 0, tight = false, color } = options;
+  const left = doc.page.margins.left + indent;
+  const width = () => doc.page.width - doc.page.margins.right - left;
+
+  blocks.forEach(block => {
+    switch (block.type) {
+      case 'heading': {
+        const size = MARKDOWN_HEADING_SIZES[block.level - 1];
+        doc.fontSize(size).moveDown(0.3);
+        ensurePdfSpace(doc, size * 3);
+        drawMarkdownRuns(doc, block.runs, left, width(), { size, bold: true, color });
+        doc.moveDown(0.4);
+        break;
+      }
+      case 'paragraph':
+        drawMarkdownRuns(doc, block.runs, left, width(), { color });
+        doc.moveDown(tight ? 0.2 : 0.6);
+        break;
+      case 'code': {
+        const padding = 6;
+        doc.font('Courier').fontSize(9.5);
+        const text = stripImageTokens(block.text) || ' ';
+        const height = doc.heightOfString(text, { width: width() - padding * 2 }) + padding * 2;
+        ensurePdfSpace(doc, height);
+        const top = doc.y;
+        doc.rect(left, top, width(), Math.min(height, doc.page.height - doc.page.margins.bottom - top)).fill('#f3f3f3');
+        doc.fillColor('#1b1b1b').text(text, left + padding, top + padding, { width: width() - padding * 2 });
+        doc.y = Math.max(doc.y, top + height);
+        doc.moveDown(0.6);
+        break;
+      }
+      case 'rule': {
+        const y = doc.y + 4;
+        doc.moveTo(left, y).lineTo(left + width(), y).lineWidth(0.75).strokeColor('#bbbbbb').stroke();
+        doc.y = y + 12;
+        break;
+      }
+      case 'blockquote': {
+        const page = doc.page;
+        const top = doc.y;
+        drawMarkdownPdfBlocks(doc, block.blocks, { indent: indent + 16, color: '#555555' });
+        // The bar is only drawn beside the part of the quote on its first page
+        if (doc.page === page) {
+          doc.moveTo(left + 4, top).lineTo(left + 4, doc.y - 8).lineWidth(3).strokeColor('#cccccc').stroke();
+        }
+        break;
+      }
+      case 'list':
+        block.items.forEach((item, index) => {
+          const marker = block.ordered ? `${block.start + index}.` : '\u2022';
+          doc.font('Helvetica').fontSize(11);
+          ensurePdfSpace(doc, doc.currentLineHeight(true) * 2);
+          const top = doc.y;
+          doc.fillColor(color || '#1b1b1b').text(marker, left + 16 - doc.widthOfString(marker), top, { lineBreak: false });
+          doc.y = top;
+          drawMarkdownPdfBlocks(doc, item.blocks, { indent: indent + 22, tight: !block.loose, color });
+        });
+        // Nested tight lists already end on their item's spacing
+        doc.moveDown(block.loose || tight ? 0 : 0.4);
+        break;
+      case 'table':
+        drawMarkdownPdfTable(doc, block, left, width());
+        break;
+    }
+  });
+}
+
+// Columns are at least as wide as their longest word and share the rest of
+// the width in proportion to their longest cell; the header row is repeated
+// when the table continues on a new page. A footer row, such as totals, is
+// bold below a heavier rule.
+function drawMarkdownPdfTable(doc, table, left, width) {
+  const padding = 4;
+  const size = 10;
+  const bodyRows = table.footer ? [...table.rows, table.footer] : table.rows;
+  const lengths = table.header.map((runs, column) => Math.max(
+    3,
+    markdownRunsText(runs).length,
+    ...bodyRows.map(row => Math.min(markdownRunsText(row[column]).length, 60))
+  ));
+  const total = lengths.reduce((sum, length) => sum + length, 0);
+  doc.font('Helvetica-Bold').fontSize(size);
+  const minimums = table.header.map((runs, column) => Math.max(...[runs, ...bodyRows.map(row => row[column])]
+    .flatMap(cell => markdownRunsText(cell).split(/\s+/))
+    .map(word => Math.min(doc.widthOfString(word), width / table.header.length))) + padding * 2);
+  const spare = width - minimums.reduce((sum, minimum) => sum + minimum, 0);
+  const widths = spare > 0
+    ? minimums.map((minimum, column) => minimum + spare * lengths[column] / total)
+    : lengths.map(length => width * length / total);
+
+  const rowHeight = (cells, kind) => Math.max(...cells.map((runs, column) => {
+    doc.font(kind === 'body' ? 'Helvetica' : 'Helvetica-Bold').fontSize(size);
+    return measureMarkdownRuns(doc, runs, widths[column] - padding * 2);
+  })) + padding * 2;
+
+  const drawRow = (cells, kind) => {
+    const height = rowHeight(cells, kind);
+    const top = doc.y;
+    let x = left;
+    cells.forEach((runs, column) => {
+      if (kind === 'header') {
+        doc.rect(x, top, widths[column], height).fill('#eeeeee');
+      }
+      doc.rect(x, top, widths[column], height).lineWidth(0.5).strokeColor('#999999').stroke();
+      doc.y = top + padding;
+      drawMarkdownRuns(doc, runs, x + padding, widths[column] - padding * 2, {
+        size,
+        bold: kind !== 'body',
+        align: table.align[column] || 'left'
+      });
+      x += widths[column];
+    });
+    if (kind === 'footer') {
+      doc.moveTo(left, top).lineTo(x, top).lineWidth(1.5).strokeColor('#555555').stroke();
+    }
+    doc.y = top + height;
+  };
+
+  ensurePdfSpace(doc, rowHeight(table.header, 'header') + (bodyRows.length > 0 ? rowHeight(bodyRows[0], 'body') : 0));
+  drawRow(table.header, 'header');
+  bodyRows.forEach((row, index) => {
+    const kind = index === table.rows.length ? 'footer' : 'body';
+    const height = rowHeight(row, kind);
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      drawRow(table.header, 'header');
+    }
+    drawRow(row, kind);
+  });
+  doc.x = left;
+  doc.moveDown(0.6);
+}
+
+async function generateMarkdownPdf(blocks, outputPath, pageSetup, variables) {
+  await writePagedPdf(outputPath, pageSetup, variables, doc => drawMarkdownPdfBlocks(doc, blocks));
+}
+
+// ---------------------------------------------------------------------------
+// HTML and Markdown output
+//
+// Every template type can be generated as a standalone HTML page, with its
+// styles embedded so it can be pasted into an email or shown as a preview,
+// or as Markdown. Markdown templates render their own blocks; Word templates
+// are filled in and converted with mammoth, which keeps headings, lists,
+// tables, emphasis and links and embeds images as data URIs. Text and PDF
+// templates are plain text, escaped so it reads the same either way.
+// ---------------------------------------------------------------------------
+
+// Plain text as HTML: blank lines separate paragraphs, other line breaks are kept
+function textToHtml(text) {
+  return isolateTableTokens(text.replace(/\r\n?/g, '\n'))
+    .split(/\n[ \t]*\n/)
+    .filter(paragraph => paragraph.trim())
+    .map(paragraph => (paragraph.includes('\uE002')
+      ? markdownBlocksToHtml([tableToMarkdownBlock(parseTableToken(paragraph.trim()))])
+      : `<p>${imageTokensToHtml(escapeHtml(paragraph.trim())).replace(/\n/g, '<br>\n')}</p>`))
+    .join('\n');
+}
+
+// Plain text as Markdown that renders back to the same text. Characters with
+// a meaning in Markdown are escaped and line breaks inside a paragraph become
+// hard breaks; indentation is dropped as it would start a code block.
+function textToMarkdown(text) {
+  const paragraphs = isolateTableTokens(text.replace(/\r\n?/g, '\n'))
+    .split(/\n[ \t]*\n/)
+    .map(paragraph => paragraph.trim()
+      .split('\n')
+      .map(line => line.trim()
+        .replace(/[\\`*_[\]<>|~]/g, '\\$&')
+        .replace(/^([#+=-])/, '\\$1')
+        .replace(/^(\d+)([.)])/, '$1\\$2'))
+      .join('\\\n'))
+    .filter(paragraph => paragraph);
+  return tableTokensToMarkdown(imageTokensToMarkdown(paragraphs.join('\n\n') + '\n'));
+}
+
+// Page title from the first line of a document's text
+function firstLineTitle(text) {
+  return stripImageTokens(text).trim().split('\n')[0].trim().substring(0, 200) || 'Document';
+}
+
+// Text of the first heading in an HTML fragment, or null without one
+function htmlHeadingText(html) {
+  const heading = html.match(/<h[1-6][^>]*>([\s\S]*?)<\/h[1-6]>/i);
+  if (!heading) return null;
+  return heading[1].replace(/<[^>]*>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&')
+    .trim() || null;
+}
+
+// Write plain text, already filled in, as an HTML page or Markdown
+function generateWebDocumentFromText(content, format, outputPath) {
+  if (format === 'md') {
+    fs.writeFileSync(outputPath, textToMarkdown(content));
+  } else {
+    fs.writeFileSync(outputPath, wrapHtmlDocument(firstLineTitle(content), textToHtml(content)));
+  }
+}
+
+// Fill a Word template and convert it into an HTML page or Markdown
+async function generateWebDocumentFromDocx(templatePath, variables, format, outputPath, options = {}) {
+  const tempDocxPath = `${outputPath}.temp.docx`;
+  try {
+    await generateDocxWithTemplating(templatePath, variables, tempDocxPath, options);
+
+    const mammothOptions = { styleMap: ['u => u'] };
+    if (format === 'md') {
+      const result = await mammoth.convertToMarkdown({ path: tempDocxPath }, mammothOptions);
+      fs.writeFileSync(outputPath, result.value);
+    } else {
+      // Without a heading, the first line of text titles the page
+      const result = await mammoth.convertToHtml({ path: tempDocxPath }, mammothOptions);
+      const title = htmlHeadingText(result.value) ||
+        firstLineTitle((await mammoth.extractRawText({ path: tempDocxPath })).value);
+      fs.writeFileSync(outputPath, wrapHtmlDocument(title, result.value));
+    }
+  } finally {
+    if (fs.existsSync(tempDocxPath)) {
+      fs.unlinkSync(tempDocxPath);
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// DOCX to PDF conversion
+//
+// Converters are tried in the order set by DOCX_PDF_BACKEND: "auto" (the
+// default) uses a local LibreOffice in headless mode when one is installed and
+// the built-in renderer otherwise; "libreoffice", "builtin" or a comma-separated
+// list pick explicitly. The built-in renderer lays the document out itself
+// with PDFKit: paragraph, character and table styles, numbered and bulleted
+// lists, tabs, tables, inline images, page and section breaks, the section's
+// page size and margins, and headers and footers with page numbers.
+// ---------------------------------------------------------------------------
+
+const DOCX_PDF_BACKEND = process.env.DOCX_PDF_BACKEND || 'auto';
+const LIBREOFFICE_TIMEOUT_MS = 120000;
+const TWIPS_PER_POINT = 20;
+const EMUS_PER_POINT = 12700;
+const DEFAULT_TAB_STOP = 36;
+const DEFAULT_CELL_MARGIN = 5.4;
+const execFileAsync = promisify(execFile);
+
+const docxPdfConverters = {
+  libreoffice: convertDocxWithLibreOffice,
+  builtin: renderDocxToPdf
+};
+
+// Word's highlight colours are named; PDFKit only knows some of the names
+const HIGHLIGHT_COLORS = {
+  yellow: '#FFFF00', green: '#00FF00', cyan: '#00FFFF', magenta: '#FF00FF', blue: '#0000FF',
+  red: '#FF0000', darkBlue: '#000080', darkCyan: '#008080', darkGreen: '#008000',
+  darkMagenta: '#800080', darkRed: '#800000', darkYellow: '#808000', darkGray: '#808080',
+  lightGray: '#C0C0C0', black: '#000000', white: '#FFFFFF'
+};
+
+// Convert a DOCX file to PDF; returns the name of the backend that did it
+async function convertDocxToPdf(docxPath, outputPath) {
+  const backends = DOCX_PDF_BACKEND === 'auto'
+    ? ['libreoffice', 'builtin']
+    : DOCX_PDF_BACKEND.split(',').map(name => name.trim());
+
+  let lastError = null;
+  for (const backend of backends) {
+    const converter = docxPdfConverters[backend];
+    if (!converter) {
+      lastError = new Error(`Unknown DOCX to PDF backend "${backend}"`);
+      continue;
+    }
+    // In auto mode a missing LibreOffice is expected and not worth a warning
+    if (backend === 'libreoffice' && DOCX_PDF_BACKEND === 'auto' && !findLibreOffice()) {
+      continue;
+    }
+
+    try {
+      await converter(docxPath, outputPath);
+      return backend;
+    } catch (error) {
+      console.warn(`DOCX to PDF backend "${backend}" failed:`, error.message);
+      lastError = error;
+    }
+  }
+
+  throw lastError || new Error('No DOCX to PDF backend is available');
+}
+
+// Locate the LibreOffice executable: LIBREOFFICE_PATH, the PATH, then the
+// usual install locations
+let libreOfficePath;
+function findLibreOffice() {
+  if (libreOfficePath !== undefined) {
+    return libreOfficePath;
+  }
+
+  const names = process.platform === 'win32' ? ['soffice.exe'] : ['soffice', 'libreoffice'];
+  const candidates = [
+    process.env.LIBREOFFICE_PATH,
+    ...(process.env.PATH || '').split(path.delimiter).filter(Boolean)
+      .flatMap(dir => names.map(name => path.join(dir, name))),
+    '/usr/lib/libreoffice/program/soffice',
+    '/opt/libreoffice/program/soffice',
+    '/Applications/LibreOffice.app/Contents/MacOS/soffice',
+    'C:\\Program Files\\LibreOffice\\program\\soffice.exe'
+  ];
+
+  libreOfficePath = candidates.find(candidate => candidate && fs.existsSync(candidate)) || null;
+  return libreOfficePath;
+}
+
+// Convert with LibreOffice in headless mode
+async function convertDocxWithLibreOffice(docxPath, outputPath) {
+  const soffice = findLibreOffice();
+  if (!soffice) {
+    throw new Error('LibreOffice was not found; install it or set LIBREOFFICE_PATH');
+  }
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'docx-pdf-'));
+  try {
+    // A private profile lets conversions run while another LibreOffice instance is open
+    await execFileAsync(soffice, [
+      `-env:UserInstallation=${pathToFileURL(path.join(workDir, 'profile')).href}`,
+      '--headless',
+      '--norestore',
+      '--convert-to', 'pdf',
+      '--outdir', workDir,
+      path.resolve(docxPath)
+    ], { timeout: LIBREOFFICE_TIMEOUT_MS });
+
+    const producedPath = path.join(workDir, path.basename(docxPath, path.extname(docxPath)) + '.pdf');
+    if (!fs.existsSync(producedPath)) {
+      throw new Error('LibreOffice did not produce a PDF');
+    }
+    fs.copyFileSync(producedPath, outputPath);
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+// --- WordprocessingML helpers ----------------------------------------------
+
+// Element children of an XML node, optionally only those with the given name
+function xmlChildren(node, name) {
+  const children = [];
+  if (!node) return children;
+  for (let child = node.firstChild; child; child = child.nextSibling) {
+    if (child.nodeType === 1 && (!name || child.nodeName === name)) {
+      children.push(child);
+    }
+  }
+  return children;
+}
+
+function xmlChild(node, name) {
+  return xmlChildren(node, name)[0] || null;
+}
+
+function xmlAttr(node, name) {
+  return node && node.hasAttribute(name) ? node.getAttribute(name) : null;
+}
+
+function wordVal(node) {
+  return xmlAttr(node, 'w:val');
+}
+
+// Toggle properties such as <w:b/> are on unless their value turns them off
+function wordOn(node) {
+  if (!node) return undefined;
+  const val = wordVal(node);
+  return val === null || !['0', 'false', 'off', 'none'].includes(val);
+}
+
+function twipsAttr(node, name) {
+  const value = xmlAttr(node, name);
+  return value === null ? undefined : Number(value) / TWIPS_PER_POINT;
+}
+
+// Copy the defined values onto the target
+function assignDefined(target, values) {
+  Object.entries(values).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      target[key] = value;
+    }
+  });
+  return target;
+}
+
+function readZipXml(zip, name) {
+  const file = zip.file(name);
+  if (!file) return null;
+  return new DOMParser({ errorHandler: { warning: () => {} } }).parseFromString(file.asText(), 'text/xml');
+}
+
+// Relationships of a package part, with targets resolved to paths in the zip
+function readDocxRelationships(zip, partPath) {
+  const dir = path.posix.dirname(partPath);
+  const xml = readZipXml(zip, `${dir}/_rels/${path.posix.basename(partPath)}.rels`);
+  const relationships = {};
+  if (!xml) return relationships;
+
+  Array.from(xml.getElementsByTagName('Relationship')).forEach(rel => {
+    const target = rel.getAttribute('Target');
+    const external = rel.getAttribute('TargetMode') === 'External';
+    relationships[rel.getAttribute('Id')] = {
+      type: rel.getAttribute('Type').split('/').pop(),
+      target: external ? target
+        : target.startsWith('/') ? target.substring(1)
+        : path.posix.normalize(`${dir}/${target}`)
+    };
+  });
+  return relationships;
+}
+
+function readDocxTheme(zip) {
+  const theme = { major: 'Calibri Light', minor: 'Calibri' };
+  const xml = readZipXml(zip, 'word/theme/theme1.xml');
+  if (!xml) return theme;
+
+  ['major', 'minor'].forEach(kind => {
+    const fontNode = xml.getElementsByTagName(`a:${kind}Font`)[0];
+    const latin = fontNode && xmlChild(fontNode, 'a:latin');
+    if (latin && latin.getAttribute('typeface')) {
+      theme[kind] = latin.getAttribute('typeface');
+    }
+  });
+  return theme;
+}
+
+function parseRunProperties(rPr, theme) {
+  const props = {};
+  if (!rPr) return props;
+
+  const fonts = xmlChild(rPr, 'w:rFonts');
+  const themeFont = xmlAttr(fonts, 'w:asciiTheme') || xmlAttr(fonts, 'w:hAnsiTheme');
+  const size = wordVal(xmlChild(rPr, 'w:sz'));
+  const color = wordVal(xmlChild(rPr, 'w:color'));
+  const highlight = wordVal(xmlChild(rPr, 'w:highlight'));
+  const shading = xmlAttr(xmlChild(rPr, 'w:shd'), 'w:fill');
+  const vertAlign = wordVal(xmlChild(rPr, 'w:vertAlign'));
+  const strike = wordOn(xmlChild(rPr, 'w:strike'));
+
+  return assignDefined(props, {
+    bold: wordOn(xmlChild(rPr, 'w:b')),
+    italic: wordOn(xmlChild(rPr, 'w:i')),
+    underline: wordOn(xmlChild(rPr, 'w:u')),
+    strike: strike === undefined ? wordOn(xmlChild(rPr, 'w:dstrike')) : strike,
+    caps: wordOn(xmlChild(rPr, 'w:caps')),
+    hidden: wordOn(xmlChild(rPr, 'w:vanish')),
+    size: size !== null ? Number(size) / 2 : undefined,
+    color: color && color !== 'auto' ? '#' + color : undefined,
+    highlight: highlight && highlight !== 'none' ? HIGHLIGHT_COLORS[highlight]
+      : shading && shading !== 'auto' ? '#' + shading : undefined,
+    vertAlign: vertAlign === 'superscript' || vertAlign === 'subscript' ? vertAlign : undefined,
+    font: xmlAttr(fonts, 'w:ascii') || xmlAttr(fonts, 'w:hAnsi') ||
+      (themeFont && theme ? (themeFont.startsWith('major') ? theme.major : theme.minor) : undefined)
+  });
+}
+
+function parseParagraphProperties(pPr) {
+  const props = {};
+  if (!pPr) return props;
+
+  const spacing = xmlChild(pPr, 'w:spacing');
+  const ind = xmlChild(pPr, 'w:ind');
+  const numPr = xmlChild(pPr, 'w:numPr');
+  const tabs = xmlChildren(xmlChild(pPr, 'w:tabs'), 'w:tab').map(tab => ({
+    type: wordVal(tab),
+    pos: twipsAttr(tab, 'w:pos')
+  }));
+  const jc = wordVal(xmlChild(pPr, 'w:jc'));
+  const line = xmlAttr(spacing, 'w:line');
+
+  return assignDefined(props, {
+    styleId: wordVal(xmlChild(pPr, 'w:pStyle')),
+    align: jc ? ({ both: 'justify', distribute: 'justify', start: 'left', end: 'right' }[jc] || jc) : undefined,
+    spaceBefore: twipsAttr(spacing, 'w:before'),
+    spaceAfter: twipsAttr(spacing, 'w:after'),
+    line: line !== null ? Number(line) : undefined,
+    lineRule: line !== null ? (xmlAttr(spacing, 'w:lineRule') || 'auto') : undefined,
+    indLeft: twipsAttr(ind, 'w:left') ?? twipsAttr(ind, 'w:start'),
+    indRight: twipsAttr(ind, 'w:right') ?? twipsAttr(ind, 'w:end'),
+    firstLine: twipsAttr(ind, 'w:firstLine') ?? (ind && ind.hasAttribute('w:hanging') ? 0 : undefined),
+    hanging: twipsAttr(ind, 'w:hanging') ?? (ind && ind.hasAttribute('w:firstLine') ? 0 : undefined),
+    pageBreakBefore: wordOn(xmlChild(pPr, 'w:pageBreakBefore')),
+    numId: wordVal(xmlChild(numPr, 'w:numId')),
+    ilvl: wordVal(xmlChild(numPr, 'w:ilvl')),
+    tabs: tabs.length > 0 ? tabs : undefined
+  });
+}
+
+// Table borders by side; null means explicitly no border
+function parseBorders(node) {
+  const borders = {};
+  if (!node) return borders;
+
+  const sides = { top: 'w:top', left: 'w:left', bottom: 'w:bottom', right: 'w:right', insideH: 'w:insideH', insideV: 'w:insideV' };
+  Object.entries(sides).forEach(([side, name]) => {
+    const border = xmlChild(node, name) || (side === 'left' ? xmlChild(node, 'w:start') : side === 'right' ? xmlChild(node, 'w:end') : null);
+    if (!border) return;
+
+    const val = wordVal(border);
+    const color = xmlAttr(border, 'w:color');
+    borders[side] = val === 'none' || val === 'nil' ? null : {
+      width: Math.max(Number(xmlAttr(border, 'w:sz') || 4) / 8, 0.25),
+      color: color && color !== 'auto' ? '#' + color : '#000000'
+    };
+  });
+  return borders;
+}
+
+function parseDocxStyles(xml, theme) {
+  const styles = { defaults: { run: {}, paragraph: {} }, defaultIds: {}, byId: {} };
+  if (!xml) return styles;
+
+  const root = xml.documentElement;
+  const docDefaults = xmlChild(root, 'w:docDefaults');
+  if (docDefaults) {
+    styles.defaults.run = parseRunProperties(xmlChild(xmlChild(docDefaults, 'w:rPrDefault'), 'w:rPr'), theme);
+    styles.defaults.paragraph = parseParagraphProperties(xmlChild(xmlChild(docDefaults, 'w:pPrDefault'), 'w:pPr'));
+  }
+
+  xmlChildren(root, 'w:style').forEach(node => {
+    const id = xmlAttr(node, 'w:styleId');
+    const type = xmlAttr(node, 'w:type');
+    const tblPr = xmlChild(node, 'w:tblPr');
+    styles.byId[id] = {
+      basedOn: wordVal(xmlChild(node, 'w:basedOn')),
+      paragraph: parseParagraphProperties(xmlChild(node, 'w:pPr')),
+      run: parseRunProperties(xmlChild(node, 'w:rPr'), theme),
+      tableBorders: parseBorders(xmlChild(tblPr, 'w:tblBorders')),
+      cellMargins: parseCellMargins(xmlChild(tblPr, 'w:tblCellMar'))
+    };
+    if (['1', 'true', 'on'].includes(xmlAttr(node, 'w:default'))) {
+      styles.defaultIds[type] = id;
+    }
+  });
+  return styles;
+}
+
+function parseCellMargins(node) {
+  const margins = {};
+  if (!node) return margins;
+  return assignDefined(margins, {
+    top: twipsAttr(xmlChild(node, 'w:top'), 'w:w'),
+    bottom: twipsAttr(xmlChild(node, 'w:bottom'), 'w:w'),
+    left: twipsAttr(xmlChild(node, 'w:left') || xmlChild(node, 'w:start'), 'w:w'),
+    right: twipsAttr(xmlChild(node, 'w:right') || xmlChild(node, 'w:end'), 'w:w')
+  });
+}
+
+// Merge a style with the styles it is based on
+function resolveDocxStyle(styles, styleId, seen = new Set()) {
+  const style = styles.byId[styleId];
+  if (!style || seen.has(styleId)) {
+    return { paragraph: {}, run: {}, tableBorders: {}, cellMargins: {} };
+  }
+
+  seen.add(styleId);
+  const base = style.basedOn
+    ? resolveDocxStyle(styles, style.basedOn, seen)
+    : { paragraph: {}, run: {}, tableBorders: {}, cellMargins: {} };
+  return {
+    paragraph: { ...base.paragraph, ...style.paragraph },
+    run: { ...base.run, ...style.run },
+    tableBorders: { ...base.tableBorders, ...style.tableBorders },
+    cellMargins: { ...base.cellMargins, ...style.cellMargins }
+  };
+}
+
+function parseDocxNumbering(xml, theme) {
+  const numbering = { abstract: {}, nums: {} };
+  if (!xml) return numbering;
+
+  const root = xml.documentElement;
+  xmlChildren(root, 'w:abstractNum').forEach(node => {
+    const levels = {};
+    xmlChildren(node, 'w:lvl').forEach(lvl => {
+      levels[xmlAttr(lvl, 'w:ilvl')] = {
+        start: Number(wordVal(xmlChild(lvl, 'w:start')) || 1),
+        format: wordVal(xmlChild(lvl, 'w:numFmt')) || 'decimal',
+        text: wordVal(xmlChild(lvl, 'w:lvlText')) || '',
+        suffix: wordVal(xmlChild(lvl, 'w:suff')) || 'tab',
+        paragraph: parseParagraphProperties(xmlChild(lvl, 'w:pPr')),
+        run: parseRunProperties(xmlChild(lvl, 'w:rPr'), theme)
+      };
+    });
+    numbering.abstract[xmlAttr(node, 'w:abstractNumId')] = levels;
+  });
+  xmlChildren(root, 'w:num').forEach(node => {
+    numbering.nums[xmlAttr(node, 'w:numId')] = wordVal(xmlChild(node, 'w:abstractNumId'));
+  });
+  return numbering;
+}
+
+function formatListNumber(value, format) {
+  const toLetters = n => {
+    let letters = '';
+    for (; n > 0; n = Math.floor((n - 1) / 26)) {
+      letters = String.fromCharCode(97 + (n - 1) % 26) + letters;
+    }
+    return letters;
+  };
+  const toRoman = n => {
+    const numerals = [[1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+      [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']];
+    let roman = '';
+    numerals.forEach(([amount, numeral]) => {
+      for (; n >= amount; n -= amount) roman += numeral;
+    });
+    return roman;
+  };
+
+  switch (format) {
+    case 'lowerLetter': return toLetters(value);
+    case 'upperLetter': return toLetters(value).toUpperCase();
+    case 'lowerRoman': return toRoman(value);
+    case 'upperRoman': return toRoman(value).toUpperCase();
+    case 'decimalZero': return String(value).padStart(2, '0');
+    case 'none': return '';
+    default: return String(value);
+  }
+}
+
+// The label of a list paragraph, advancing its list's counters
+function nextListLabel(ctx, numId, ilvl) {
+  const levels = ctx.numbering.abstract[ctx.numbering.nums[numId]];
+  const level = levels && levels[ilvl];
+  if (!level) return null;
+
+  const counters = ctx.listCounters[numId] || (ctx.listCounters[numId] = []);
+  const index = Number(ilvl);
+  counters[index] = counters[index] === undefined ? level.start : counters[index] + 1;
+  counters.length = index + 1;
+
+  let text;
+  if (level.format === 'bullet') {
+    // Symbol and Wingdings bullets use private-use code points; those and
+    // other bullets the standard fonts can't show become a plain bullet
+    const encodable = Array.from(level.text).every(ch => StandardEncodings.WinAnsi.canEncodeUnicodeCodePoint(ch.codePointAt(0)));
+    text = encodable && level.text ? level.text : '\u2022';
+  } else {
+    text = level.text.replace(/%(\d)/g, (match, n) => {
+      const levelIndex = Number(n) - 1;
+      const value = counters[levelIndex] !== undefined ? counters[levelIndex] : (levels[levelIndex] || level).start;
+      return formatListNumber(value, (levels[levelIndex] || level).format);
+    });
+  }
+  return { text, level };
+}
+
+// --- Layout -------------------------------------------------------------------
+
+// The standard PDF font closest to a Word font
+function docxFontName(style) {
+  const family = style.font || '';
+  let base;
+  if (/courier|consolas|mono/i.test(family)) {
+    base = ['Courier', 'Courier-Bold', 'Courier-Oblique', 'Courier-BoldOblique'];
+  } else if (/times|georgia|garamond|cambria|palatino|antiqua|serif/i.test(family) && !/sans/i.test(family)) {
+    base = ['Times-Roman', 'Times-Bold', 'Times-Italic', 'Times-BoldItalic'];
+  } else {
+    base = ['Helvetica', 'Helvetica-Bold', 'Helvetica-Oblique', 'Helvetica-BoldOblique'];
+  }
+  return base[(style.bold ? 1 : 0) + (style.italic ? 2 : 0)];
+}
+
+function setDocxFont(ctx, style) {
+  const size = style.vertAlign ? style.size * 0.65 : style.size;
+  ctx.doc.font(docxFontName(style)).fontSize(size);
+  return size;
+}
+
+function measureDocxText(ctx, text, style) {
+  setDocxFont(ctx, style);
+  return ctx.doc.widthOfString(text);
+}
+
+// Ascent and descent of a text style, including the font's line gap
+function docxTextMetrics(ctx, style) {
+  const size = setDocxFont(ctx, style);
+  const font = ctx.doc._font;
+  const lineHeight = ctx.doc.currentLineHeight(true);
+  const descent = -font.descender / 1000 * size;
+  return { ascent: lineHeight - descent, descent };
+}
+
+// Collect a paragraph's content as a flat list of inline items
+function collectParagraphItems(ctx, paragraph, baseRun) {
+  const items = [];
+
+  const handleRun = (run, link) => {
+    const rPr = xmlChild(run, 'w:rPr');
+    const runStyleId = wordVal(xmlChild(rPr, 'w:rStyle'));
+    const style = {
+      ...baseRun,
+      ...(runStyleId ? resolveDocxStyle(ctx.styles, runStyleId).run : {}),
+      ...parseRunProperties(rPr, ctx.theme),
+      link
+    };
+    if (style.hidden) return;
+
+    xmlChildren(run).forEach(node => {
+      const field = ctx.field;
+      switch (node.nodeName) {
+        case 'w:fldChar': {
+          const type = xmlAttr(node, 'w:fldCharType');
+          if (type === 'begin') {
+            ctx.field = { instruction: '', showing: false, replaced: false };
+          } else if (type === 'separate' && field) {
+            field.showing = true;
+            const name = field.instruction.trim().split(/\s+/)[0].toUpperCase();
+            if (name === 'PAGE' || name === 'NUMPAGES') {
+              items.push({ type: 'field', field: name, style });
+              field.replaced = true;
+            }
+          } else if (type === 'end') {
+            ctx.field = null;
+          }
+          break;
+        }
+        case 'w:instrText':
+          if (field) field.instruction += node.textContent;
+          break;
+        case 'w:t': {
+          if (field && (!field.showing || field.replaced)) break;
+          // Tab characters in the text behave like <w:tab/>
+          const text = style.caps ? node.textContent.toUpperCase() : node.textContent;
+          text.split('\t').forEach((part, index) => {
+            if (index > 0) items.push({ type: 'tab', style });
+            if (part) items.push({ type: 'text', text: part, style });
+          });
+          break;
+        }
+        case 'w:tab':
+          items.push({ type: 'tab', style });
+          break;
+        case 'w:br':
+          items.push({ type: xmlAttr(node, 'w:type') === 'page' ? 'pageBreak' : 'lineBreak', style });
+          break;
+        case 'w:cr':
+          items.push({ type: 'lineBreak', style });
+          break;
+        case 'w:noBreakHyphen':
+          items.push({ type: 'text', text: '-', style });
+          break;
+        case 'w:drawing':
+        case 'w:pict': {
+          const image = readDocxImage(ctx, node);
+          if (image) items.push({ ...image, style });
+          break;
+        }
+      }
+    });
+  };
+
+  const walk = (node, link) => {
+    xmlChildren(node).forEach(child => {
+      switch (child.nodeName) {
+        case 'w:r':
+          handleRun(child, link);
+          break;
+        case 'w:hyperlink': {
+          const rel = ctx.rels[xmlAttr(child, 'r:id')];
+          walk(child, rel ? rel.target : link);
+          break;
+        }
+        case 'w:fldSimple': {
+          const name = (xmlAttr(child, 'w:instr') || '').trim().split(/\s+/)[0].toUpperCase();
+          if (name === 'PAGE' || name === 'NUMPAGES') {
+            const run = xmlChild(child, 'w:r');
+            items.push({ type: 'field', field: name, style: { ...baseRun, ...parseRunProperties(xmlChild(run, 'w:rPr'), ctx.theme) } });
+          } else {
+            walk(child, link);
+          }
+          break;
+        }
+        case 'w:sdt':
+          walk(xmlChild(child, 'w:sdtContent'), link);
+          break;
+        case 'w:ins':
+        case 'w:smartTag':
+        case 'w:customXml':
+          walk(child, link);
+          break;
+      }
+    });
+  };
+
+  walk(paragraph, null);
+  return items;
+}
+
+// Inline image from a DrawingML drawing or a VML picture. PDFKit can only
+// embed PNG and JPEG, so other formats are skipped.
+function readDocxImage(ctx, node) {
+  let relId = null;
+  let width = 0;
+  let height = 0;
+
+  if (node.nodeName === 'w:drawing') {
+    const container = xmlChild(node, 'wp:inline') || xmlChild(node, 'wp:anchor');
+    const extent = xmlChild(container, 'wp:extent');
+    const blip = container && container.getElementsByTagName('a:blip')[0];
+    relId = xmlAttr(blip, 'r:embed');
+    width = Number(xmlAttr(extent, 'cx')) / EMUS_PER_POINT;
+    height = Number(xmlAttr(extent, 'cy')) / EMUS_PER_POINT;
+  } else {
+    const shape = node.getElementsByTagName('v:shape')[0];
+    const imageData = node.getElementsByTagName('v:imagedata')[0];
+    relId = xmlAttr(imageData, 'r:id');
+    const style = xmlAttr(shape, 'style') || '';
+    const dimension = name => {
+      const match = style.match(new RegExp(`${name}:\\s*([\\d.]+)(pt|in|px)?`));
+      if (!match) return 0;
+      return Number(match[1]) * ({ in: 72, px: 0.75 }[match[2]] || 1);
+    };
+    width = dimension('width');
+    height = dimension('height');
+  }
+
+  const rel = relId && ctx.rels[relId];
+  const file = rel && ctx.zip.file(rel.target);
+  if (!file || !width || !height) return null;
+
+  const buffer = Buffer.from(file.asUint8Array());
+  const isPng = buffer.slice(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+  const isJpeg = buffer[0] === 0xff && buffer[1] === 0xd8;
+  if (!isPng && !isJpeg) return null;
+
+  return { type: 'image', buffer, width, height };
+}
+
+// Resolve a paragraph's properties: document defaults, then the table style,
+// paragraph style, list level and finally the paragraph's own properties
+function resolveParagraph(ctx, paragraph, tableStyle) {
+  const direct = parseParagraphProperties(xmlChild(paragraph, 'w:pPr'));
+  const styleId = direct.styleId || ctx.styles.defaultIds.paragraph;
+  const style = resolveDocxStyle(ctx.styles, styleId);
+  const base = tableStyle || { paragraph: {}, run: {} };
+
+  const props = { ...ctx.styles.defaults.paragraph, ...base.paragraph, ...style.paragraph };
+  const numId = direct.numId !== undefined ? direct.numId : props.numId;
+  const ilvl = direct.ilvl !== undefined ? direct.ilvl : (props.ilvl || '0');
+
+  let label = null;
+  if (numId && numId !== '0') {
+    label = nextListLabel(ctx, numId, ilvl);
+    if (label) Object.assign(props, label.level.paragraph);
+  }
+  Object.assign(props, direct);
+
+  const run = { size: 10, ...ctx.styles.defaults.run, ...base.run, ...style.run };
+  return {
+    props,
+    run,
+    label: label && label.text ? {
+      text: label.text,
+      suffix: label.level.suffix,
+      style: { ...run, ...label.level.run }
+    } : null
+  };
+}
+
+// Position of the next tab stop after x, relative to the paragraph's left edge
+function nextTabStop(props, x) {
+  const custom = (props.tabs || [])
+    .filter(tab => tab.type !== 'clear' && tab.pos > x + 0.5)
+    .sort((a, b) => a.pos - b.pos)[0];
+  // A hanging indent acts as a tab stop for the text after a list label
+  const indent = props.hanging && x < (props.indLeft || 0) - 0.5 ? { type: 'left', pos: props.indLeft } : null;
+
+  const candidates = [custom, indent].filter(Boolean);
+  if (!custom) {
+    candidates.push({ type: 'left', pos: (Math.floor(x / DEFAULT_TAB_STOP + 0.01) + 1) * DEFAULT_TAB_STOP });
+  }
+  return candidates.sort((a, b) => a.pos - b.pos)[0];
+}
+
+// Break a paragraph into lines. Each line lists its fragments with x
+// positions relative to the paragraph's left edge.
+function layoutParagraphLines(ctx, items, props, run, label, width) {
+  const indLeft = props.indLeft || 0;
+  const indRight = props.indRight || 0;
+  const lines = [];
+  let line = null;
+  let pendingTab = null;
+
+  const startLine = () => {
+    const first = lines.length === 0;
+    const x = first ? indLeft + (props.firstLine || 0) - (props.hanging || 0) : indLeft;
+    line = { fragments: [], x, end: width - indRight, pageBreakBefore: false, hard: false };
+  };
+
+  // Right and centre tabs align the text between them and the next tab or the line end
+  const resolveTab = () => {
+    if (!pendingTab) return;
+    const { stop, index, startX } = pendingTab;
+    const segmentWidth = line.x - startX;
+    const target = stop.type === 'right' ? stop.pos - segmentWidth
+      : stop.type === 'center' ? stop.pos - segmentWidth / 2
+      : startX;
+    const shift = Math.max(target - startX, 0);
+    line.fragments[index - 1].width = shift;
+    line.fragments.slice(index).forEach(fragment => { fragment.x += shift; });
+    line.x += shift;
+    pendingTab = null;
+  };
+
+  const finishLine = hard => {
+    resolveTab();
+    line.hard = hard;
+    lines.push(line);
+    startLine();
+  };
+
+  const place = (fragment, fragmentWidth) => {
+    line.fragments.push({ ...fragment, x: line.x, width: fragmentWidth });
+    line.x += fragmentWidth;
+  };
+
+  // Split text into words and the spaces between them; words wider than a
+  // whole line are broken into pieces that fit
+  const atoms = [];
+  if (label) {
+    atoms.push({ type: 'text', text: label.text, style: label.style, label: true });
+    atoms.push(label.suffix === 'space' ? { type: 'text', text: ' ', style: label.style, space: true }
+      : label.suffix === 'nothing' ? null : { type: 'tab', style: label.style });
+  }
+  items.forEach(item => {
+    if (item.type !== 'text') {
+      atoms.push(item);
+      return;
+    }
+    toWinAnsiText(item.text).split(/( +)/).filter(Boolean).forEach(text => {
+      atoms.push({ type: 'text', text, style: item.style, space: text.startsWith(' ') });
+    });
+  });
+
+  // Group atoms into unbreakable words, since a word may span several runs
+  const groups = [];
+  atoms.filter(Boolean).forEach(atom => {
+    const last = groups[groups.length - 1];
+    const joinable = atom.type === 'text' && !atom.space && !atom.label;
+    if (joinable && last && last.word && !last.closed) {
+      last.atoms.push(atom);
+    } else {
+      groups.push({ word: joinable || atom.type === 'image' || atom.type === 'field' || Boolean(atom.label), atoms: [atom], closed: atom.type !== 'text' || Boolean(atom.label) });
+    }
+  });
+
+  startLine();
+  groups.forEach(group => {
+    const atom = group.atoms[0];
+    if (atom.type === 'lineBreak') {
+      finishLine(true);
+      return;
+    }
+    if (atom.type === 'pageBreak') {
+      if (line.fragments.length > 0) finishLine(true);
+      line.pageBreakBefore = true;
+      return;
+    }
+    if (atom.type === 'tab') {
+      resolveTab();
+      let stop = nextTabStop(props, line.x);
+      if (stop.pos > line.end && line.fragments.length > 0) {
+        finishLine(false);
+        stop = nextTabStop(props, line.x);
+      }
+      // Text after a right or centre tab is laid out from the current position
+      // and moved into place once its width is known
+      const aligned = stop.type === 'right' || stop.type === 'center';
+      place({ kind: 'space', style: atom.style }, aligned ? 0 : Math.max(stop.pos - line.x, 0));
+      if (aligned) {
+        pendingTab = { stop, index: line.fragments.length, startX: line.x };
+      }
+      return;
+    }
+
+    if (!group.word) {
+      const text = atom.text;
+      if (line.fragments.length > 0 || lines.length === 0) {
+        place({ kind: 'space', text, style: atom.style }, measureDocxText(ctx, text, atom.style));
+      }
+      return;
+    }
+
+    // Measure the word, breaking it up when it can't fit on any line
+    const pieces = [];
+    group.atoms.forEach(wordAtom => {
+      if (wordAtom.type === 'image') {
+        pieces.push({ kind: 'image', buffer: wordAtom.buffer, width: wordAtom.width, height: wordAtom.height, style: wordAtom.style });
+      } else if (wordAtom.type === 'field') {
+        pieces.push({ kind: 'field', field: wordAtom.field, style: wordAtom.style, width: measureDocxText(ctx, '99', wordAtom.style) });
+      } else {
+        pieces.push({ kind: 'text', text: wordAtom.text, style: wordAtom.style, width: measureDocxText(ctx, wordAtom.text, wordAtom.style) });
+      }
+    });
+    const wordWidth = pieces.reduce((sum, piece) => sum + piece.width, 0);
+
+    if (line.x + wordWidth > line.end + 0.01 && line.fragments.some(fragment => fragment.kind !== 'space')) {
+      // Trailing spaces don't count against the line
+      finishLine(false);
+    }
+
+    const available = line.end - line.x;
+    pieces.forEach(piece => {
+      if (piece.kind === 'text' && wordWidth > available && piece.width > line.end - line.x) {
+        let chunk = '';
+        for (const ch of piece.text) {
+          if (chunk && line.x + measureDocxText(ctx, chunk + ch, piece.style) > line.end) {
+            place({ ...piece, text: chunk }, measureDocxText(ctx, chunk, piece.style));
+            finishLine(false);
+            chunk = '';
+          }
+          chunk += ch;
+        }
+        if (chunk) place({ ...piece, text: chunk }, measureDocxText(ctx, chunk, piece.style));
+      } else {
+        place(piece, piece.width);
+      }
+    });
+  });
+  resolveTab();
+  line.hard = true;
+  lines.push(line);
+
+  return lines.map((current, index) => finalizeLine(ctx, current, props, run, index === lines.length - 1));
+}
+
+// Work out a line's height and baseline, and apply alignment and justification
+function finalizeLine(ctx, line, props, run, last) {
+  let ascent = 0;
+  let descent = 0;
+  line.fragments.forEach(fragment => {
+    if (fragment.kind === 'image') {
+      ascent = Math.max(ascent, fragment.height);
+    } else {
+      const metrics = docxTextMetrics(ctx, fragment.style);
+      ascent = Math.max(ascent, metrics.ascent);
+      descent = Math.max(descent, metrics.descent);
+    }
+  });
+  if (ascent === 0) {
+    // An empty line takes the height of the paragraph mark
+    const metrics = docxTextMetrics(ctx, run);
+    ascent = metrics.ascent;
+    descent = metrics.descent;
+  }
+
+  let height = ascent + descent;
+  let baseline = ascent;
+  if (props.line !== undefined) {
+    const exact = props.line / TWIPS_PER_POINT;
+    if (props.lineRule === 'exact') {
+      baseline = ascent * exact / height;
+      height = exact;
+    } else if (props.lineRule === 'atLeast') {
+      height = Math.max(height, exact);
+      baseline = height - descent;
+    } else {
+      const factor = props.line / 240;
+      height = height * factor;
+      baseline = height - descent;
+    }
+  }
+
+  // Trailing spaces are not part of the visible line
+  const visible = line.fragments.slice();
+  while (visible.length > 0 && visible[visible.length - 1].kind === 'space') visible.pop();
+  const contentEnd = visible.length > 0 ? visible[visible.length - 1].x + visible[visible.length - 1].width : line.x;
+  const extra = line.end - contentEnd;
+
+  const align = props.align || 'left';
+  if (align === 'center' || align === 'right') {
+    const shift = align === 'center' ? extra / 2 : extra;
+    line.fragments.forEach(fragment => { fragment.x += shift; });
+  } else if (align === 'justify' && !last && !line.hard && extra > 0) {
+    const spaces = visible.filter(fragment => fragment.kind === 'space' && fragment.text);
+    if (spaces.length > 0) {
+      const gap = extra / spaces.length;
+      let shift = 0;
+      visible.forEach(fragment => {
+        fragment.x += shift;
+        if (spaces.includes(fragment)) shift += gap;
+      });
+    }
+  }
+
+  return { fragments: line.fragments, height, baseline, pageBreakBefore: line.pageBreakBefore };
+}
+
+function drawDocxLine(ctx, line, x, y, page) {
+  const doc = ctx.doc;
+  const baseline = y + line.baseline;
+
+  line.fragments.forEach(fragment => {
+    const fx = x + fragment.x;
+    if (fragment.kind === 'image') {
+      doc.image(fragment.buffer, fx, baseline - fragment.height, { width: fragment.width, height: fragment.height });
+      return;
+    }
+    if (fragment.kind === 'space' && !fragment.style.underline) {
+      return;
+    }
+
+    const style = fragment.style;
+    let text = fragment.text || '';
+    let width = fragment.width;
+    if (fragment.kind === 'field') {
+      text = String(fragment.field === 'NUMPAGES' ? page.count : page.number);
+      width = measureDocxText(ctx, text, style);
+    }
+
+    const size = setDocxFont(ctx, style);
+    const shift = style.vertAlign === 'superscript' ? -style.size * 0.33 : style.vertAlign === 'subscript' ? style.size * 0.14 : 0;
+    const color = style.color || '#000000';
+
+    if (style.highlight) {
+      doc.rect(fx, y, width, line.height).fill(style.highlight);
+    }
+    if (fragment.kind !== 'space') {
+      doc.fillColor(color).text(text, fx, baseline + shift, { lineBreak: false, baseline: 'alphabetic' });
+    }
+    if (style.underline) {
+      doc.moveTo(fx, baseline + size * 0.12).lineTo(fx + width, baseline + size * 0.12)
+        .lineWidth(Math.max(size / 18, 0.5)).stroke(color);
+    }
+    if (style.strike) {
+      doc.moveTo(fx, baseline - size * 0.28).lineTo(fx + width, baseline - size * 0.28)
+        .lineWidth(Math.max(size / 18, 0.5)).stroke(color);
+    }
+    if (style.link && /^(https?|mailto):/i.test(style.link)) {
+      doc.link(fx, y, width, line.height, style.link);
+    }
+  });
+}
+
+// Lay out block content (paragraphs and tables) into a list of items that
+// can be stacked or paginated. Each item has a height, optional spacing and
+// a draw(x, y, page) function.
+function layoutDocxBlocks(ctx, nodes, width, tableStyle) {
+  const blocks = [];
+  let breakBeforeNext = false;
+
+  nodes.forEach(node => {
+    switch (node.nodeName) {
+      case 'w:p': {
+        const { props, run, label } = resolveParagraph(ctx, node, tableStyle);
+        const items = collectParagraphItems(ctx, node, run);
+        const lines = layoutParagraphLines(ctx, items, props, run, label, width);
+
+        lines.forEach((line, index) => {
+          blocks.push({
+            height: line.height,
+            spaceBefore: index === 0 ? props.spaceBefore || 0 : 0,
+            spaceAfter: index === lines.length - 1 ? props.spaceAfter || 0 : 0,
+            pageBreakBefore: line.pageBreakBefore || (index === 0 && (props.pageBreakBefore || breakBeforeNext)),
+            draw: (x, y, page) => drawDocxLine(ctx, line, x, y, page)
+          });
+        });
+        breakBeforeNext = false;
+
+        // A section break inside a paragraph starts the next section on a new page
+        const sectPr = xmlChild(xmlChild(node, 'w:pPr'), 'w:sectPr');
+        if (sectPr && wordVal(xmlChild(sectPr, 'w:type')) !== 'continuous') {
+          breakBeforeNext = true;
+        }
+        break;
+      }
+      case 'w:tbl': {
+        const rows = layoutDocxTable(ctx, node, width);
+        if (rows.length > 0 && breakBeforeNext) {
+          rows[0].pageBreakBefore = true;
+          breakBeforeNext = false;
+        }
+        blocks.push(...rows);
+        break;
+      }
+      case 'w:sdt':
+        blocks.push(...layoutDocxBlocks(ctx, xmlChildren(xmlChild(node, 'w:sdtContent')), width, tableStyle));
+        break;
+      case 'w:customXml':
+        blocks.push(...layoutDocxBlocks(ctx, xmlChildren(node), width, tableStyle));
+        break;
+    }
+  });
+
+  return blocks;
+}
+
+function stackDocxBlocks(blocks) {
+  return blocks.reduce((sum, block) => sum + block.spaceBefore + block.height + block.spaceAfter, 0);
+}
+
+function drawDocxStack(blocks, x, y, page) {
+  blocks.forEach(block => {
+    y += block.spaceBefore;
+    block.draw(x, y, page);
+    y += block.height + block.spaceAfter;
+  });
+}
+
+// The widths each grid column's content needs: its widest word and its
+// widest unwrapped line, cell margins included. Cells spanning several
+// columns are left out. Measuring leaves list numbering and field state as
+// it was.
+function measureDocxTableColumns(ctx, rowNodes, count, cellStyle, margins) {
+  const saved = { field: ctx.field, listCounters: JSON.parse(JSON.stringify(ctx.listCounters)) };
+  const content = Array.from({ length: count }, () => ({ min: 0, max: 0 }));
+
+  rowNodes.forEach(row => {
+    let column = Number(wordVal(xmlChild(xmlChild(row, 'w:trPr'), 'w:gridBefore')) || 0);
+    xmlChildren(row, 'w:tc').forEach(cell => {
+      const span = Number(wordVal(xmlChild(xmlChild(cell, 'w:tcPr'), 'w:gridSpan')) || 1);
+      if (span === 1 && content[column]) {
+        xmlChildren(cell, 'w:p').forEach(paragraph => {
+          const { props, run, label } = resolveParagraph(ctx, paragraph, cellStyle);
+          const items = collectParagraphItems(ctx, paragraph, run);
+          const indents = (props.indLeft || 0) + (props.indRight || 0);
+          layoutParagraphLines(ctx, items, { ...props, align: 'left' }, run, label, Infinity).forEach(line => {
+            line.fragments.forEach(fragment => {
+              if (fragment.kind !== 'space') content[column].min = Math.max(content[column].min, fragment.width + indents);
+              content[column].max = Math.max(content[column].max, fragment.x + fragment.width + (props.indRight || 0));
+            });
+          });
+        });
+      }
+      column += span;
+    });
+  });
+
+  ctx.field = saved.field;
+  ctx.listCounters = saved.listCounters;
+  const padding = margins.left + margins.right;
+  return content.map(({ min, max }) => ({ min: min + padding, max: Math.max(min, max) + padding }));
+}
+
+// Column widths for a table sized by its content. A column keeps its grid
+// width when its words fit in it and otherwise wants its unwrapped width.
+// When those don't all fit, every column gets its widest word and a share of
+// the remaining width in proportion to how much more it wants.
+function fitDocxTableColumns(columns, content, available) {
+  const wanted = content.map((measure, index) => (columns[index] >= measure.min ? columns[index] : measure.max));
+  const total = wanted.reduce((sum, value) => sum + value, 0);
+  if (total <= available) return wanted;
+
+  const least = content.reduce((sum, measure) => sum + measure.min, 0);
+  const slack = total - least;
+  const extra = Math.max(available - least, 0);
+  return content.map((measure, index) => measure.min + (slack > 0 ? (wanted[index] - measure.min) * extra / slack : 0));
+}
+
+// Lay out a table as one block per row
+function layoutDocxTable(ctx, table, width) {
+  const tblPr = xmlChild(table, 'w:tblPr');
+  const styleId = wordVal(xmlChild(tblPr, 'w:tblStyle')) || ctx.styles.defaultIds.table;
+  const style = resolveDocxStyle(ctx.styles, styleId);
+  const borders = { ...style.tableBorders, ...parseBorders(xmlChild(tblPr, 'w:tblBorders')) };
+  const margins = { left: DEFAULT_CELL_MARGIN, right: DEFAULT_CELL_MARGIN, top: 0, bottom: 0, ...style.cellMargins, ...parseCellMargins(xmlChild(tblPr, 'w:tblCellMar')) };
+
+  let columns = xmlChildren(xmlChild(table, 'w:tblGrid'), 'w:gridCol').map(col => twipsAttr(col, 'w:w') || 0);
+  const rowNodes = xmlChildren(table, 'w:tr');
+  const indent = twipsAttr(xmlChild(tblPr, 'w:tblInd'), 'w:w') || 0;
+  const cellStyle = { paragraph: style.paragraph, run: style.run };
+  const autoWidth = xmlAttr(xmlChild(tblPr, 'w:tblW'), 'w:type') === 'auto';
+  const emptyGrid = columns.length === 0 || columns.every(column => column === 0);
+  if (emptyGrid && !autoWidth) {
+    const count = Math.max(1, ...rowNodes.map(row => xmlChildren(row, 'w:tc').length));
+    columns = new Array(count).fill(width / count);
+  } else {
+    // Auto-width tables and grids too narrow for their words are sized by
+    // their content within the available width
+    if (emptyGrid) columns = new Array(Math.max(1, ...rowNodes.map(row => xmlChildren(row, 'w:tc').length))).fill(0);
+    const content = measureDocxTableColumns(ctx, rowNodes, columns.length, cellStyle, margins);
+    if (autoWidth || content.some((measure, index) => columns[index] < measure.min - 0.5)) {
+      columns = fitDocxTableColumns(columns, content, width - indent);
+    }
+  }
+
+  let tableWidth = columns.reduce((sum, column) => sum + column, 0);
+  if (tableWidth > width - indent) {
+    const scale = (width - indent) / tableWidth;
+    columns = columns.map(column => column * scale);
+    tableWidth = width - indent;
+  }
+  const jc = wordVal(xmlChild(tblPr, 'w:jc'));
+  const offset = jc === 'center' ? (width - tableWidth) / 2 : jc === 'right' || jc === 'end' ? width - tableWidth : indent;
+
+  const headerRows = [];
+  const rows = rowNodes.map((row, rowIndex) => {
+    const trPr = xmlChild(row, 'w:trPr');
+    const cells = [];
+    let column = Number(wordVal(xmlChild(trPr, 'w:gridBefore')) || 0);
+
+    xmlChildren(row, 'w:tc').forEach(cell => {
+      const tcPr = xmlChild(cell, 'w:tcPr');
+      const span = Number(wordVal(xmlChild(tcPr, 'w:gridSpan')) || 1);
+      const x = offset + columns.slice(0, column).reduce((sum, w) => sum + w, 0);
+      const cellWidth = columns.slice(column, column + span).reduce((sum, w) => sum + w, 0);
+      const vMerge = xmlChild(tcPr, 'w:vMerge');
+      const shading = xmlAttr(xmlChild(tcPr, 'w:shd'), 'w:fill');
+      const lastColumn = column + span >= columns.length;
+
+      const cellBorders = parseBorders(xmlChild(tcPr, 'w:tcBorders'));
+      const side = (name, fallback) => (name in cellBorders ? cellBorders[name] : borders[fallback] || null);
+      const continued = vMerge && wordVal(vMerge) !== 'restart';
+
+      cells.push({
+        x,
+        width: cellWidth,
+        continued,
+        shading: shading && shading !== 'auto' ? '#' + shading : null,
+        vAlign: wordVal(xmlChild(tcPr, 'w:vAlign')),
+        blocks: continued ? [] : layoutDocxBlocks(ctx, xmlChildren(cell), Math.max(cellWidth - margins.left - margins.right, 1), cellStyle),
+        borders: {
+          top: continued ? null : side('top', rowIndex === 0 ? 'top' : 'insideH'),
+          bottom: side('bottom', rowIndex === rowNodes.length - 1 ? 'bottom' : 'insideH'),
+          left: side('left', column === 0 ? 'left' : 'insideV'),
+          right: side('right', lastColumn ? 'right' : 'insideV')
+        }
+      });
+      column += span;
+    });
+
+    // Cells that continue into the next row's merged cell have no bottom border
+    const nextRow = rowNodes[rowIndex + 1];
+    if (nextRow) {
+      xmlChildren(nextRow, 'w:tc').forEach((nextCell, index) => {
+        const vMerge = xmlChild(xmlChild(nextCell, 'w:tcPr'), 'w:vMerge');
+        if (vMerge && wordVal(vMerge) !== 'restart' && cells[index]) cells[index].borders.bottom = null;
+      });
+    }
+
+    const heightNode = xmlChild(trPr, 'w:trHeight');
+    const minHeight = twipsAttr(heightNode, 'w:val') || 0;
+    const contentHeight = Math.max(0, ...cells.map(cell => stackDocxBlocks(cell.blocks) + margins.top + margins.bottom));
+    const height = xmlAttr(heightNode, 'w:hRule') === 'exact' && minHeight ? minHeight : Math.max(contentHeight, minHeight);
+
+    const block = {
+      height,
+      spaceBefore: 0,
+      spaceAfter: 0,
+      pageBreakBefore: false,
+      isHeader: wordOn(xmlChild(trPr, 'w:tblHeader')) === true && headerRows.length === rowIndex,
+      headerRows,
+      draw: (x, y, page) => {
+        const doc = ctx.doc;
+        cells.forEach(cell => {
+          if (cell.shading) {
+            doc.rect(x + cell.x, y, cell.width, height).fill(cell.shading);
+          }
+        });
+        cells.forEach(cell => {
+          const cellHeight = stackDocxBlocks(cell.blocks) + margins.top + margins.bottom;
+          const shift = cell.vAlign === 'center' ? (height - cellHeight) / 2 : cell.vAlign === 'bottom' ? height - cellHeight : 0;
+          drawDocxStack(cell.blocks, x + cell.x + margins.left, y + margins.top + shift, page);
+        });
+        cells.forEach(cell => {
+          const x1 = x + cell.x;
+          const x2 = x1 + cell.width;
+          const edges = [
+            [cell.borders.top, x1, y, x2, y],
+            [cell.borders.bottom, x1, y + height, x2, y + height],
+            [cell.borders.left, x1, y, x1, y + height],
+            [cell.borders.right, x2, y, x2, y + height]
+          ];
+          edges.forEach(([border, ax, ay, bx, by]) => {
+            if (border) doc.moveTo(ax, ay).lineTo(bx, by).lineWidth(border.width).stroke(border.color);
+          });
+        });
+      }
+    };
+    if (block.isHeader) headerRows.push(block);
+    return block;
+  });
+
+  return rows;
+}
+
+// Place blocks on pages between the top and bottom of the body area
+function paginateDocxBlocks(blocks, top, bottom) {
+  const pages = [[]];
+  let y = top;
+
+  const newPage = () => {
+    pages.push([]);
+    y = top;
+  };
+  const place = block => {
+    pages[pages.length - 1].push({ block, y });
+    y += block.height;
+  };
+
+  blocks.forEach(block => {
+    if (block.pageBreakBefore && pages[pages.length - 1].length > 0) {
+      newPage();
+    }
+    if (y > top) {
+      y += block.spaceBefore;
+    }
+
+    if (y + block.height > bottom && y > top) {
+      newPage();
+      // Table header rows are repeated at the top of each page the table continues on
+      if (block.headerRows && !block.isHeader) {
+        block.headerRows.forEach(place);
+      }
+    }
+
+    place(block);
+    y += block.spaceAfter;
+  });
+
+  return pages;
+}
+
+// Page setup of a section: size, margins, and its header and footer parts
+function readDocxSection(sectPr) {
+  const pgSz = xmlChild(sectPr, 'w:pgSz');
+  const pgMar = xmlChild(sectPr, 'w:pgMar');
+  const parts = { header: {}, footer: {} };
+  ['header', 'footer'].forEach(kind => {
+    xmlChildren(sectPr, `w:${kind}Reference`).forEach(ref => {
+      parts[kind][xmlAttr(ref, 'w:type') || 'default'] = xmlAttr(ref, 'r:id');
+    });
+  });
+
+  return {
+    width: twipsAttr(pgSz, 'w:w') || 612,
+    height: twipsAttr(pgSz, 'w:h') || 792,
+    top: Math.abs(twipsAttr(pgMar, 'w:top') ?? 72),
+    bottom: Math.abs(twipsAttr(pgMar, 'w:bottom') ?? 72),
+    left: twipsAttr(pgMar, 'w:left') ?? 72,
+    right: twipsAttr(pgMar, 'w:right') ?? 72,
+    header: twipsAttr(pgMar, 'w:header') ?? 36,
+    footer: twipsAttr(pgMar, 'w:footer') ?? 36,
+    titlePage: wordOn(xmlChild(sectPr, 'w:titlePg')) === true,
+    parts
+  };
+}
+
+// Lay out a header or footer part
+function layoutDocxHeaderFooter(ctx, relId, width) {
+  const rel = relId && ctx.documentRels[relId];
+  const xml = rel && readZipXml(ctx.zip, rel.target);
+  if (!xml) return null;
+
+  ctx.rels = readDocxRelationships(ctx.zip, rel.target);
+  const blocks = layoutDocxBlocks(ctx, xmlChildren(xml.documentElement), width);
+  ctx.rels = ctx.documentRels;
+  return { blocks, height: stackDocxBlocks(blocks) };
+}
+
+// Built-in DOCX renderer
+async function renderDocxToPdf(docxPath, outputPath) {
+  const zip = new PizZip(fs.readFileSync(docxPath));
+  const documentXml = readZipXml(zip, 'word/document.xml');
+  const body = documentXml && xmlChild(documentXml.documentElement, 'w:body');
+  if (!body) {
+    throw new Error('The DOCX file has no document body');
+  }
+
+  const theme = readDocxTheme(zip);
+  const documentRels = readDocxRelationships(zip, 'word/document.xml');
+  const doc = new PDFDocument({ autoFirstPage: false, margin: 0 });
+  const ctx = {
+    doc,
+    zip,
+    theme,
+    styles: parseDocxStyles(readZipXml(zip, 'word/styles.xml'), theme),
+    numbering: parseDocxNumbering(readZipXml(zip, 'word/numbering.xml'), theme),
+    documentRels,
+    rels: documentRels,
+    listCounters: {},
+    field: null
+  };
+
+  const section = readDocxSection(xmlChild(body, 'w:sectPr'));
+  const contentWidth = section.width - section.left - section.right;
+
+  const headers = {};
+  const footers = {};
+  ['default', 'first', 'even'].forEach(type => {
+    headers[type] = layoutDocxHeaderFooter(ctx, section.parts.header[type], contentWidth);
+    footers[type] = layoutDocxHeaderFooter(ctx, section.parts.footer[type], contentWidth);
+  });
+  const partFor = (parts, number) => (number === 1 && section.titlePage ? parts.first : parts.default);
+
+  // The body starts below the tallest header and ends above the tallest footer
+  const headerHeight = Math.max(0, ...Object.values(headers).filter(Boolean).map(part => part.height));
+  const footerHeight = Math.max(0, ...Object.values(footers).filter(Boolean).map(part => part.height));
+  const top = Math.max(section.top, section.header + headerHeight);
+  const bottom = section.height - Math.max(section.bottom, section.footer + footerHeight);
+
+  const blocks = layoutDocxBlocks(ctx, xmlChildren(body), contentWidth);
+  const pages = paginateDocxBlocks(blocks, top, bottom);
+
+  const stream = fs.createWriteStream(outputPath);
+  const finished = new Promise((resolve, reject) => {
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+    doc.on('error', reject);
+  });
+  doc.pipe(stream);
+
+  pages.forEach((placements, index) => {
+    const page = { number: index + 1, count: pages.length };
+    doc.addPage({ size: [section.width, section.height], margin: 0 });
+
+    const header = partFor(headers, page.number);
+    if (header) {
+      drawDocxStack(header.blocks, section.left, section.header, page);
+    }
+    const footer = partFor(footers, page.number);
+    if (footer) {
+      drawDocxStack(footer.blocks, section.left, section.height - section.footer - footer.height, page);
+    }
+    placements.forEach(({ block, y }) => block.draw(section.left, y, page));
+  });
+
+  doc.end();
+  await finished;
+}
+
+// ---------------------------------------------------------------------------
+// PDF redaction
+//
+// Redaction rewrites each page's content streams: glyphs whose boxes fall
+// inside a redaction area are removed from the text operators (with a kerning
+// adjustment so the remaining text keeps its position), image pixels under the
+// area are painted black, and form XObjects are redacted recursively. Black
+// boxes are drawn on top afterwards, and objects no longer referenced by the
+// document (such as the original content streams) are dropped before saving so
+// the removed content does not survive in the file.
+// ---------------------------------------------------------------------------
+
+const IDENTITY_MATRIX = [1, 0, 0, 1, 0, 0];
+const PDF_WHITESPACE = '\x00\t\n\f\r ';
+const PDF_DELIMITERS = '()<>[]{}/%';
+const MAX_FORM_DEPTH = 10;
+
+function multiplyMatrix(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[1] * m2[2],
+    m1[0] * m2[1] + m1[1] * m2[3],
+    m1[2] * m2[0] + m1[3] * m2[2],
+    m1[2] * m2[1] + m1[3] * m2[3],
+    m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+    m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+  ];
+}
+
+function invertMatrix(m) {
+  const det = m[0] * m[3] - m[1] * m[2];
+  if (det === 0) return null;
+  return [
+    m[3] / det,
+    -m[1] / det,
+    -m[2] / det,
+    m[0] / det,
+    (m[2] * m[5] - m[3] * m[4]) / det,
+    (m[1] * m[4] - m[0] * m[5]) / det
+  ];
+}
+
+function transformPoint(m, x, y) {
+  return { x: m[0] * x + m[2] * y + m[4], y: m[1] * x + m[3] * y + m[5] };
+}
+
+// Bounding box of a rectangle after transformation by a matrix
+function transformBox(m, x1, y1, x2, y2) {
+  const points = [
+    transformPoint(m, x1, y1),
+    transformPoint(m, x2, y1),
+    transformPoint(m, x1, y2),
+    transformPoint(m, x2, y2)
+  ];
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  return { x1: Math.min(...xs), y1: Math.min(...ys), x2: Math.max(...xs), y2: Math.max(...ys) };
+}
+
+function boxesIntersect(a, b) {
+  return a.x1 < b.x2 && a.x2 > b.x1 && a.y1 < b.y2 && a.y2 > b.y1;
+}
+
+// A glyph is redacted when a meaningful part of it lies inside a redaction
+// area; returns the area that covers it
+function findRedactingRect(box, rects) {
+  const width = Math.max(box.x2 - box.x1, 0.001);
+  const height = Math.max(box.y2 - box.y1, 0.001);
+
+  return rects.find(rect => {
+    const overlapX = Math.min(box.x2, rect.x2) - Math.max(box.x1, rect.x1);
+    const overlapY = Math.min(box.y2, rect.y2) - Math.max(box.y1, rect.y1);
+    return overlapX > 0 && overlapY > 0 && overlapX >= width * 0.3 && overlapY >= height * 0.3;
+  });
+}
+
+function formatPdfNumber(value) {
+  const rounded = Math.round(value * 10000) / 10000;
+  return Object.is(rounded, -0) ? '0' : String(rounded);
+}
+
+function toHexString(bytes) {
+  return '<' + bytes.map(b => b.toString(16).padStart(2, '0')).join('') + '>';
+}
+
+// Tokenize a decoded content stream (as a latin1 string) into operations,
+// keeping source offsets so untouched operations can be copied verbatim
+function parseContentStream(src) {
+  const operations = [];
+  let pos = 0;
+  let operands = [];
+  let opStart = null;
+
+  const isWhitespace = ch => PDF_WHITESPACE.includes(ch);
+  const isDelimiter = ch => PDF_DELIMITERS.includes(ch);
+
+  function skipWhitespace() {
+    while (pos < src.length) {
+      const ch = src[pos];
+      if (isWhitespace(ch)) {
+        pos++;
+      } else if (ch === '%') {
+        while (pos < src.length && src[pos] !== '\n' && src[pos] !== '\r') pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  function readLiteralString() {
+    const bytes = [];
+    let depth = 1;
+    pos++; // opening paren
+    while (pos < src.length) {
+      const ch = src[pos++];
+      if (ch === '\\') {
+        const next = src[pos++];
+        const escapes = { n: 10, r: 13, t: 9, b: 8, f: 12, '(': 40, ')': 41, '\\': 92 };
+        if (next in escapes) {
+          bytes.push(escapes[next]);
+        } else if (next >= '0' && next <= '7') {
+          let octal = next;
+          while (octal.length < 3 && src[pos] >= '0' && src[pos] <= '7') octal += src[pos++];
+          bytes.push(parseInt(octal, 8) & 0xff);
+        } else if (next === '\r') {
+          if (src[pos] === '\n') pos++;
+        } else if (next !== '\n') {
+          bytes.push(next.charCodeAt(0));
+        }
+      } else if (ch === '(') {
+        depth++;
+        bytes.push(40);
+      } else if (ch === ')') {
+        depth--;
+        if (depth === 0) break;
+        bytes.push(41);
+      } else {
+        bytes.push(ch.charCodeAt(0));
+      }
+    }
+    return { type: 'string', bytes };
+  }
+
+  function readHexString() {
+    pos++; // opening angle bracket
+    let hex = '';
+    while (pos < src.length && src[pos] !== '>') {
+      if (!isWhitespace(src[pos])) hex += src[pos];
+      pos++;
+    }
+    pos++;
+    if (hex.length % 2 === 1) hex += '0';
+    const bytes = [];
+    for (let i = 0; i < hex.length; i += 2) bytes.push(parseInt(hex.substr(i, 2), 16));
+    return { type: 'string', bytes };
+  }
+
+  function readName() {
+    pos++; // slash
+    let name = '';
+    while (pos < src.length && !isWhitespace(src[pos]) && !isDelimiter(src[pos])) {
+      if (src[pos] === '#' && /^[0-9a-fA-F]{2}$/.test(src.substr(pos + 1, 2))) {
+        name += String.fromCharCode(parseInt(src.substr(pos + 1, 2), 16));
+        pos += 3;
+      } else {
+        name += src[pos++];
+      }
+    }
+    return { type: 'name', value: name };
+  }
+
+  function readRegular() {
+    const start = pos;
+    while (pos < src.length && !isWhitespace(src[pos]) && !isDelimiter(src[pos])) pos++;
+    return src.slice(start, pos);
+  }
+
+  // Read one object; returns an operator keyword as { type: 'operator' }
+  function readObject() {
+    skipWhitespace();
+    if (pos >= src.length) return null;
+    const ch = src[pos];
+
+    if (ch === '(') return readLiteralString();
+    if (ch === '/') return readName();
+    if (ch === '<' && src[pos + 1] === '<') {
+      const start = pos;
+      pos += 2;
+      const entries = [];
+      for (;;) {
+        skipWhitespace();
+        if (pos >= src.length) break;
+        if (src[pos] === '>' && src[pos + 1] === '>') {
+          pos += 2;
+          break;
+        }
+        const item = readObject();
+        if (!item) break;
+        entries.push(item);
+      }
+      return { type: 'dict', entries, raw: src.slice(start, pos) };
+    }
+    if (ch === '<') return readHexString();
+    if (ch === '[') {
+      pos++;
+      const items = [];
+      for (;;) {
+        skipWhitespace();
+        if (pos >= src.length) break;
+        if (src[pos] === ']') {
+          pos++;
+          break;
+        }
+        const item = readObject();
+        if (!item) break;
+        items.push(item);
+      }
+      return { type: 'array', items };
+    }
+    if (ch === ']' || ch === ')' || ch === '>' || ch === '{' || ch === '}') {
+      pos++;
+      return { type: 'operator', value: ch };
+    }
+
+    const word = readRegular();
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) return { type: 'number', value: parseFloat(word) };
+    if (word === 'true' || word === 'false') return { type: 'boolean', value: word === 'true' };
+    if (word === 'null') return { type: 'null' };
+    return { type: 'operator', value: word };
+  }
+
+  // Inline image data runs from after "ID" to an "EI" surrounded by whitespace
+  function skipInlineImageData() {
+    pos++; // single whitespace after ID
+    while (pos < src.length) {
+      if (
+        src[pos] === 'E' && src[pos + 1] === 'I' &&
+        isWhitespace(src[pos - 1]) &&
+        (pos + 2 >= src.length || isWhitespace(src[pos + 2]))
+      ) {
+        pos += 2;
+        return;
+      }
+      pos++;
+    }
+  }
+
+  for (;;) {
+    skipWhitespace();
+    if (pos >= src.length) break;
+    if (opStart === null) opStart = pos;
+
+    const token = readObject();
+    if (!token) break;
+
+    if (token.type !== 'operator') {
+      operands.push(token);
+      continue;
+    }
+
+    if (token.value === 'BI') {
+      const dictEntries = [];
+      for (;;) {
+        const item = readObject();
+        if (!item || (item.type === 'operator' && item.value === 'ID')) break;
+        dictEntries.push(item);
+      }
+      skipInlineImageData();
+      operations.push({ operator: 'BI', operands: dictEntries, start: opStart, end: pos });
+    } else {
+      operations.push({ operator: token.value, operands, start: opStart, end: pos });
+    }
+
+    operands = [];
+    opStart = null;
+  }
+
+  return operations;
+}
+
+// Read and concatenate the decoded content of a page (Contents may be a stream or an array)
+function readPageContent(context, pageNode) {
+  const contents = pageNode.Contents();
+  if (!contents) return '';
+
+  const streams = contents instanceof PDFArray
+    ? contents.asArray().map(ref => context.lookup(ref))
+    : [contents];
+
+  return streams
+    .filter(stream => stream instanceof PDFRawStream || stream instanceof PDFStream)
+    .map(stream => Buffer.from(decodeStreamContents(stream)).toString('latin1'))
+    .join('\n');
+}
+
+function decodeStreamContents(stream) {
+  if (stream instanceof PDFRawStream) {
+    return decodePDFRawStream(stream).decode();
+  }
+  return typeof stream.getUnencodedContents === 'function' ? stream.getUnencodedContents() : stream.getContents();
+}
+
+// Build a stream object with Flate-compressed contents
+function createFlateStream(context, dict, contents) {
+  dict.set(PDFName.of('Filter'), PDFName.of('FlateDecode'));
+  dict.delete(PDFName.of('DecodeParms'));
+  return PDFRawStream.of(dict, zlib.deflateSync(Buffer.from(contents)));
+}
+
+const standardFontMetrics = {};
+const STANDARD_FONT_ALIASES = {
+  Arial: 'Helvetica',
+  'Arial-Bold': 'Helvetica-Bold',
+  'Arial-Italic': 'Helvetica-Oblique',
+  'Arial-BoldItalic': 'Helvetica-BoldOblique',
+  ArialMT: 'Helvetica',
+  'Arial,Bold': 'Helvetica-Bold',
+  TimesNewRoman: 'Times-Roman',
+  'TimesNewRoman,Bold': 'Times-Bold',
+  'TimesNewRoman,Italic': 'Times-Italic',
+  CourierNew: 'Courier',
+  'CourierNew,Bold': 'Courier-Bold'
+};
+
+function getStandardFontMetrics(baseFont) {
+  const name = STANDARD_FONT_ALIASES[baseFont] || baseFont;
+  if (!Object.values(StandardFontNames).includes(name)) return null;
+
+  if (!standardFontMetrics[name]) {
+    const encoding = name === 'Symbol' ? StandardEncodings.Symbol
+      : name === 'ZapfDingbats' ? StandardEncodings.ZapfDingbats
+      : StandardEncodings.WinAnsi;
+    const glyphNames = {};
+    Object.values(encoding.unicodeMappings).forEach(([code, glyphName]) => {
+      glyphNames[code] = glyphName;
+    });
+    standardFontMetrics[name] = { font: StandardFont.load(name), glyphNames };
+  }
+  return standardFontMetrics[name];
+}
+
+// Collect what is needed to measure and read glyphs of a font: code length,
+// widths, vertical extent and the mapping from codes to Unicode
+function getFontInfo(context, fontDict) {
+  const lookupNumber = (dict, key) => {
+    const value = dict && dict.lookup(PDFName.of(key));
+    return value instanceof PDFNumber ? value.asNumber() : undefined;
+  };
+  const lookupName = (dict, key) => {
+    const value = dict && dict.lookup(PDFName.of(key));
+    return value instanceof PDFName ? value.decodeText() : undefined;
+  };
+
+  const info = {
+    twoByte: false,
+    widths: {},
+    defaultWidth: 500,
+    ascent: 0.8,
+    descent: -0.2,
+    scale: 1,
+    baseFont: '',
+    toUnicode: null,
+    differences: {}
+  };
+  if (!(fontDict instanceof PDFDict)) return info;
+
+  const toUnicode = fontDict.lookup(PDFName.of('ToUnicode'));
+  if (toUnicode instanceof PDFRawStream || toUnicode instanceof PDFStream) {
+    try {
+      info.toUnicode = parseToUnicodeCMap(Buffer.from(decodeStreamContents(toUnicode)).toString('latin1'));
+    } catch (error) {
+      info.toUnicode = null;
+    }
+  }
+
+  const encoding = fontDict.lookup(PDFName.of('Encoding'));
+  const differences = encoding instanceof PDFDict ? encoding.lookup(PDFName.of('Differences')) : null;
+  if (differences instanceof PDFArray) {
+    let code = 0;
+    differences.asArray().forEach(item => {
+      const value = context.lookup(item);
+      if (value instanceof PDFNumber) {
+        code = value.asNumber();
+      } else if (value instanceof PDFName) {
+        info.differences[code++] = value.decodeText();
+      }
+    });
+  }
+
+  const subtype = lookupName(fontDict, 'Subtype');
+  let descriptorOwner = fontDict;
+  info.baseFont = lookupName(fontDict, 'BaseFont') || '';
+
+  if (subtype === 'Type0') {
+    info.twoByte = true;
+    info.defaultWidth = 1000;
+    const descendants = fontDict.lookup(PDFName.of('DescendantFonts'));
+    const descendant = descendants instanceof PDFArray ? descendants.lookup(0) : null;
+    if (descendant instanceof PDFDict) {
+      descriptorOwner = descendant;
+      info.defaultWidth = lookupNumber(descendant, 'DW') || 1000;
+      const w = descendant.lookup(PDFName.of('W'));
+      if (w instanceof PDFArray) {
+        const items = w.asArray().map(item => context.lookup(item));
+        for (let i = 0; i < items.length;) {
+          const first = items[i].asNumber();
+          const next = items[i + 1];
+          if (next instanceof PDFArray) {
+            next.asArray().forEach((width, offset) => {
+              info.widths[first + offset] = context.lookup(width).asNumber();
+            });
+            i += 2;
+          } else {
+            const last = next.asNumber();
+            const width = items[i + 2].asNumber();
+            for (let code = first; code <= last; code++) info.widths[code] = width;
+            i += 3;
+          }
+        }
+      }
+    }
+  } else {
+    const firstChar = lookupNumber(fontDict, 'FirstChar') || 0;
+    const widths = fontDict.lookup(PDFName.of('Widths'));
+
+    // Type3 glyph widths are in glyph space and must be scaled by the font matrix
+    if (subtype === 'Type3') {
+      const fontMatrix = fontDict.lookup(PDFName.of('FontMatrix'));
+      if (fontMatrix instanceof PDFArray) {
+        info.scale = context.lookup(fontMatrix.get(0)).asNumber() * 1000;
+      }
+    }
+
+    if (widths instanceof PDFArray) {
+      widths.asArray().forEach((width, offset) => {
+        const value = context.lookup(width);
+        if (value instanceof PDFNumber) info.widths[firstChar + offset] = value.asNumber() * info.scale;
+      });
+    } else {
+      const metrics = getStandardFontMetrics(lookupName(fontDict, 'BaseFont'));
+      if (metrics) {
+        info.metrics = metrics;
+        info.ascent = (metrics.font.Ascender || 800) / 1000;
+        info.descent = (metrics.font.Descender || -200) / 1000;
+      }
+    }
+  }
+
+  const descriptor = descriptorOwner.lookup(PDFName.of('FontDescriptor'));
+  const ascent = lookupNumber(descriptor, 'Ascent');
+  const descent = lookupNumber(descriptor, 'Descent');
+  if (ascent) info.ascent = ascent / 1000;
+  if (descent) info.descent = -Math.abs(descent) / 1000;
+
+  return info;
+}
+
+// Parse the bfchar and bfrange sections of a ToUnicode CMap into a code -> text map
+function parseToUnicodeCMap(src) {
+  const map = new Map();
+  const hexToCode = hex => parseInt(hex, 16);
+  const hexToText = hex => {
+    let result = '';
+    for (let i = 0; i + 4 <= hex.length; i += 4) result += String.fromCharCode(parseInt(hex.substr(i, 4), 16));
+    if (hex.length === 2) result = String.fromCharCode(parseInt(hex, 16));
+    return result;
+  };
+
+  const charBlocks = src.match(/beginbfchar([\s\S]*?)endbfchar/g) || [];
+  charBlocks.forEach(block => {
+    const pairs = block.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g);
+    for (const [, code, text] of pairs) map.set(hexToCode(code), hexToText(text));
+  });
+
+  const rangeBlocks = src.match(/beginbfrange([\s\S]*?)endbfrange/g) || [];
+  rangeBlocks.forEach(block => {
+    const ranges = block.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g);
+    for (const [, low, high, target] of ranges) {
+      const first = hexToCode(low);
+      const last = hexToCode(high);
+      if (target.startsWith('[')) {
+        const texts = [...target.matchAll(/<([0-9a-fA-F]*)>/g)].map(m => hexToText(m[1]));
+        texts.forEach((text, offset) => map.set(first + offset, text));
+      } else {
+        // The last UTF-16 unit of the target increments across the range
+        const base = target.slice(1, -1);
+        const prefix = hexToText(base.slice(0, -4));
+        const start = parseInt(base.slice(-4), 16);
+        for (let code = first; code <= last && code - first < 65536; code++) {
+          map.set(code, prefix + String.fromCharCode(start + code - first));
+        }
+      }
+    }
+  });
+
+  return map;
+}
+
+// Unicode for standard glyph names, built from the standard font encodings
+let glyphNameUnicode = null;
+function glyphNameToText(name) {
+  if (!glyphNameUnicode) {
+    glyphNameUnicode = {};
+    Object.values(StandardEncodings).forEach(encoding => {
+      Object.entries(encoding.unicodeMappings).forEach(([codePoint, [, glyphName]]) => {
+        if (!(glyphName in glyphNameUnicode)) glyphNameUnicode[glyphName] = String.fromCodePoint(Number(codePoint));
+      });
+    });
+  }
+
+  if (glyphNameUnicode[name]) return glyphNameUnicode[name];
+  const uni = /^uni([0-9A-Fa-f]{4})/.exec(name) || /^u([0-9A-Fa-f]{4,6})$/.exec(name);
+  return uni ? String.fromCodePoint(parseInt(uni[1], 16)) : '';
+}
+
+// WinAnsi code -> Unicode, used for simple fonts without a ToUnicode map
+let winAnsiText = null;
+function decodeGlyphText(fontInfo, code) {
+  if (fontInfo.toUnicode && fontInfo.toUnicode.has(code)) return fontInfo.toUnicode.get(code);
+  if (fontInfo.differences[code]) return glyphNameToText(fontInfo.differences[code]);
+  if (fontInfo.twoByte) return '\uFFFD';
+
+  if (!winAnsiText) {
+    winAnsiText = {};
+    Object.entries(StandardEncodings.WinAnsi.unicodeMappings).forEach(([codePoint, [winAnsiCode]]) => {
+      winAnsiText[winAnsiCode] = String.fromCodePoint(Number(codePoint));
+    });
+  }
+  return winAnsiText[code] || String.fromCharCode(code);
+}
+
+function getGlyphWidth(fontInfo, code) {
+  if (fontInfo.widths[code] !== undefined) return fontInfo.widths[code] / 1000;
+  if (fontInfo.metrics) {
+    const glyphName = fontInfo.metrics.glyphNames[code];
+    if (glyphName) return fontInfo.metrics.font.getWidthOfGlyph(glyphName) / 1000;
+  }
+  return fontInfo.defaultWidth / 1000;
+}
+
+// Give the scope's owner its own copy of its resources and XObject
+// dictionary, so resources shared with other pages are left untouched
+function ensurePrivateXObjects(context, scope) {
+  if (scope.privateXObjects) return;
+
+  const resources = scope.resources instanceof PDFDict ? scope.resources.clone(context) : context.obj({});
+  const xObjects = resources.lookup(PDFName.of('XObject'));
+  scope.privateXObjects = xObjects instanceof PDFDict ? xObjects.clone(context) : context.obj({});
+  resources.set(PDFName.of('XObject'), scope.privateXObjects);
+  scope.owner.set(PDFName.of('Resources'), resources);
+  scope.resources = resources;
+}
+
+// Register an XObject under a fresh name in the scope's private resources
+function addPrivateXObject(context, scope, ref) {
+  ensurePrivateXObjects(context, scope);
+
+  let name;
+  do {
+    scope.nameCounter = (scope.nameCounter || 0) + 1;
+    name = `Redacted${scope.nameCounter}`;
+  } while (scope.privateXObjects.has(PDFName.of(name)));
+
+  scope.privateXObjects.set(PDFName.of(name), ref);
+  return name;
+}
+
+// Paint the given pixel areas black in an image XObject. Returns a new image
+// reference, or null when the image encoding can't be edited safely.
+function redactImagePixels(context, image, pixelRects) {
+  const dict = image.dict;
+  const width = dict.lookup(PDFName.of('Width')).asNumber();
+  const height = dict.lookup(PDFName.of('Height')).asNumber();
+  const bits = dict.lookup(PDFName.of('BitsPerComponent'));
+  const filter = dict.lookup(PDFName.of('Filter'));
+  const filterName = filter instanceof PDFArray ? filter.lookup(filter.size() - 1) : filter;
+  const decodeParms = dict.lookup(PDFName.of('DecodeParms'));
+
+  const isJpeg = filterName instanceof PDFName && filterName.decodeText() === 'DCTDecode';
+  let pixels;
+  let components;
+
+  if (isJpeg) {
+    if (filter instanceof PDFArray && filter.size() > 1) return null;
+    const decoded = jpeg.decode(Buffer.from(image.getContents()), { useTArray: true, formatAsRGBA: false });
+    pixels = decoded.data;
+    components = pixels.length / (decoded.width * decoded.height);
+    if (decoded.width !== width || decoded.height !== height || (components !== 1 && components !== 3)) return null;
+  } else {
+    if (!(bits instanceof PDFNumber) || bits.asNumber() !== 8) return null;
+    if (decodeParms instanceof PDFDict && decodeParms.lookup(PDFName.of('Predictor'))) return null;
+    try {
+      pixels = decodeStreamContents(image);
+    } catch (error) {
+      return null;
+    }
+    components = pixels.length / (width * height);
+    if (![1, 3, 4].includes(components)) return null;
+  }
+
+  // Black is zero in Gray and RGB, and full ink in CMYK
+  const black = components === 4 ? [0, 0, 0, 255] : new Array(components).fill(0);
+  pixelRects.forEach(rect => {
+    for (let row = rect.top; row < rect.bottom; row++) {
+      for (let col = rect.left; col < rect.right; col++) {
+        const offset = (row * width + col) * components;
+        for (let c = 0; c < components; c++) pixels[offset + c] = black[c];
+      }
+    }
+  });
+
+  const newDict = dict.clone(context);
+  newDict.delete(PDFName.of('Length'));
+  if (isJpeg) {
+    // Decoded JPEG samples are stored uncompressed-by-DCT from here on
+    newDict.set(PDFName.of('ColorSpace'), PDFName.of(components === 1 ? 'DeviceGray' : 'DeviceRGB'));
+    newDict.set(PDFName.of('BitsPerComponent'), PDFNumber.of(8));
+    newDict.delete(PDFName.of('Decode'));
+  }
+
+  // A soft mask can hold the shape of what was redacted (e.g. a signature), so it is redacted too
+  const softMask = dict.lookup(PDFName.of('SMask'));
+  if (softMask instanceof PDFRawStream) {
+    const maskWidth = softMask.dict.lookup(PDFName.of('Width')).asNumber();
+    const maskHeight = softMask.dict.lookup(PDFName.of('Height')).asNumber();
+    const maskRects = pixelRects.map(rect => ({
+      left: Math.floor(rect.left * maskWidth / width),
+      right: Math.ceil(rect.right * maskWidth / width),
+      top: Math.floor(rect.top * maskHeight / height),
+      bottom: Math.ceil(rect.bottom * maskHeight / height)
+    }));
+    const maskRef = redactImagePixels(context, softMask, maskRects);
+    if (maskRef) {
+      newDict.set(PDFName.of('SMask'), maskRef);
+    } else {
+      newDict.delete(PDFName.of('SMask'));
+    }
+  }
+
+  return context.register(createFlateStream(context, newDict, pixels));
+}
+
+// Interpret a content stream, tracking the graphics and text state, and report
+// shown text, images and form XObjects to the handlers in page space.
+// Returns the parsed operations.
+function interpretContentStream(context, src, resources, initialCtm, handlers) {
+  const operations = parseContentStream(src);
+  const fontCache = new Map();
+  const stack = [];
+
+  let ctm = initialCtm;
+  let fillColor = [0, 0, 0];
+  let text = { font: null, fontSize: 0, charSpacing: 0, wordSpacing: 0, hScale: 1, leading: 0, rise: 0 };
+  let tm = IDENTITY_MATRIX;
+  let tlm = IDENTITY_MATRIX;
+
+  const num = (op, i) => (op.operands[i] && op.operands[i].type === 'number' ? op.operands[i].value : 0);
+
+  const lookupResource = (category, name) => {
+    const dict = resources instanceof PDFDict ? resources.lookup(PDFName.of(category)) : null;
+    if (!(dict instanceof PDFDict)) return null;
+    const ref = dict.get(PDFName.of(name));
+    return ref ? { ref, object: context.lookup(ref) } : null;
+  };
+
+  const moveLine = (tx, ty) => {
+    tlm = multiplyMatrix([1, 0, 0, 1, tx, ty], tlm);
+    tm = tlm;
+  };
+
+  // Walk a text-showing operation glyph by glyph. Each piece is either a TJ
+  // position adjustment or a glyph with its box, advance and Unicode text.
+  const showText = (op, items) => {
+    const fontInfo = text.font || getFontInfo(context, null);
+    const scaleX = text.fontSize * text.hScale;
+    const pieces = [];
+
+    items.forEach(item => {
+      if (item.type === 'number') {
+        tm = multiplyMatrix([1, 0, 0, 1, -item.value / 1000 * scaleX, 0], tm);
+        pieces.push({ adjustment: item.value });
+        return;
+      }
+      if (item.type !== 'string') return;
+
+      const step = fontInfo.twoByte ? 2 : 1;
+      for (let i = 0; i < item.bytes.length; i += step) {
+        const bytes = item.bytes.slice(i, i + step);
+        const code = fontInfo.twoByte ? (bytes[0] << 8) | (bytes[1] || 0) : bytes[0];
+        const glyphWidth = getGlyphWidth(fontInfo, code);
+
+        const trm = multiplyMatrix([scaleX, 0, 0, text.fontSize, 0, text.rise], multiplyMatrix(tm, ctm));
+        const box = transformBox(trm, 0, fontInfo.descent, glyphWidth, fontInfo.ascent);
+
+        let advance = glyphWidth * text.fontSize + text.charSpacing;
+        if (!fontInfo.twoByte && code === 32) advance += text.wordSpacing;
+        advance *= text.hScale;
+
+        pieces.push({
+          bytes,
+          box,
+          advance,
+          text: decodeGlyphText(fontInfo, code),
+          origin: transformPoint(trm, 0, 0),
+          size: Math.hypot(trm[2], trm[3]),
+          fontName: fontInfo.baseFont,
+          color: fillColor,
+          op
+        });
+        tm = multiplyMatrix([1, 0, 0, 1, advance, 0], tm);
+      }
+    });
+
+    if (handlers.onText) handlers.onText(op, pieces, { ...text, scaleX });
+  };
+
+  operations.forEach(op => {
+    switch (op.operator) {
+      case 'q':
+        stack.push({ ctm, fillColor, text: { ...text } });
+        break;
+      case 'Q':
+        if (stack.length > 0) {
+          const saved = stack.pop();
+          ctm = saved.ctm;
+          fillColor = saved.fillColor;
+          text = saved.text;
+        }
+        break;
+      case 'g':
+        fillColor = [num(op, 0), num(op, 0), num(op, 0)];
+        break;
+      case 'rg':
+        fillColor = [num(op, 0), num(op, 1), num(op, 2)];
+        break;
+      case 'k': {
+        const black = 1 - num(op, 3);
+        fillColor = [0, 1, 2].map(i => (1 - num(op, i)) * black);
+        break;
+      }
+      case 'cm':
+        ctm = multiplyMatrix([0, 1, 2, 3, 4, 5].map(i => num(op, i)), ctm);
+        break;
+      case 'BT':
+        tm = IDENTITY_MATRIX;
+        tlm = IDENTITY_MATRIX;
+        break;
+      case 'Tf': {
+        const fontName = op.operands[0] && op.operands[0].value;
+        if (!fontCache.has(fontName)) {
+          const resource = lookupResource('Font', fontName);
+          fontCache.set(fontName, getFontInfo(context, resource && resource.object));
+        }
+        text.font = fontCache.get(fontName);
+        text.fontSize = num(op, 1);
+        break;
+      }
+      case 'Tc':
+        text.charSpacing = num(op, 0);
+        break;
+      case 'Tw':
+        text.wordSpacing = num(op, 0);
+        break;
+      case 'Tz':
+        text.hScale = num(op, 0) / 100;
+        break;
+      case 'TL':
+        text.leading = num(op, 0);
+        break;
+      case 'Ts':
+        text.rise = num(op, 0);
+        break;
+      case 'Td':
+        moveLine(num(op, 0), num(op, 1));
+        break;
+      case 'TD':
+        text.leading = -num(op, 1);
+        moveLine(num(op, 0), num(op, 1));
+        break;
+      case 'Tm':
+        tlm = [0, 1, 2, 3, 4, 5].map(i => num(op, i));
+        tm = tlm;
+        break;
+      case 'T*':
+        moveLine(0, -text.leading);
+        break;
+      case 'Tj':
+        showText(op, op.operands.slice(0, 1));
+        break;
+      case 'TJ': {
+        const array = op.operands[0];
+        showText(op, array && array.type === 'array' ? array.items : []);
+        break;
+      }
+      case "'":
+        moveLine(0, -text.leading);
+        showText(op, op.operands.slice(0, 1));
+        break;
+      case '"':
+        text.wordSpacing = num(op, 0);
+        text.charSpacing = num(op, 1);
+        moveLine(0, -text.leading);
+        showText(op, op.operands.slice(2, 3));
+        break;
+      case 'BI':
+        if (handlers.onInlineImage) handlers.onInlineImage(op, ctm);
+        break;
+      case 'Do': {
+        const name = op.operands[0] && op.operands[0].value;
+        const resource = lookupResource('XObject', name);
+        if (!resource || !(resource.object instanceof PDFStream || resource.object instanceof PDFRawStream)) break;
+
+        const xObject = resource.object;
+        const subtype = xObject.dict.lookup(PDFName.of('Subtype'));
+
+        if (subtype === PDFName.of('Image')) {
+          if (handlers.onImage) handlers.onImage(op, xObject, ctm);
+        } else if (subtype === PDFName.of('Form') && handlers.onForm) {
+          const matrixArray = xObject.dict.lookup(PDFName.of('Matrix'));
+          const matrix = matrixArray instanceof PDFArray
+            ? matrixArray.asArray().map(v => context.lookup(v).asNumber())
+            : IDENTITY_MATRIX;
+          const formCtm = multiplyMatrix(matrix, ctm);
+
+          const bboxArray = xObject.dict.lookup(PDFName.of('BBox'));
+          let box = null;
+          if (bboxArray instanceof PDFArray) {
+            const [x1, y1, x2, y2] = bboxArray.asArray().map(v => context.lookup(v).asNumber());
+            box = transformBox(formCtm, x1, y1, x2, y2);
+          }
+          handlers.onForm(op, xObject, formCtm, box);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  return operations;
+}
+
+// Redact one content stream. `scope` carries the resources, the dictionary
+// that owns them, the redaction areas and running statistics.
+function redactContentStream(context, src, scope, initialCtm, depth) {
+  const replacements = [];
+
+  // Rebuild a text-showing operation without the redacted glyphs, returning
+  // null when nothing in it was redacted
+  const rewriteText = (pieces, state) => {
+    const scaleX = state.scaleX;
+    const output = [];
+    let redacted = 0;
+
+    const pushAdjustment = value => {
+      const last = output[output.length - 1];
+      if (typeof last === 'number') output[output.length - 1] = last + value;
+      else output.push(value);
+    };
+
+    pieces.forEach(piece => {
+      const rect = piece.adjustment === undefined ? findRedactingRect(piece.box, scope.rects) : null;
+      if (piece.adjustment !== undefined) {
+        pushAdjustment(piece.adjustment);
+      } else if (rect) {
+        redacted++;
+        if (scaleX === 0) return;
+
+        if (rect.insertWidth === undefined) {
+          // Shift the following glyphs by the removed glyph's advance so they stay in place
+          pushAdjustment(-piece.advance * 1000 / scaleX);
+        } else if (!rect.inserted) {
+          // Areas with an insert width open a gap of that width (in page units) instead
+          rect.inserted = true;
+          const userScale = state.fontSize ? piece.size / Math.abs(state.fontSize) : 1;
+          pushAdjustment(-(rect.insertWidth / userScale) * 1000 / scaleX);
+        }
+      } else {
+        const last = output[output.length - 1];
+        if (Array.isArray(last)) last.push(...piece.bytes);
+        else output.push([...piece.bytes]);
+      }
+    });
+
+    if (redacted === 0) return null;
+    scope.stats.glyphs += redacted;
+
+    const parts = output
+      .filter(part => typeof part !== 'number' || Math.abs(part) > 0.0001)
+      .map(part => (typeof part === 'number' ? formatPdfNumber(part) : toHexString(part)));
+    return `[${parts.join(' ')}] TJ`;
+  };
+
+  const operations = interpretContentStream(context, src, scope.resources, initialCtm, {
+    onText: (op, pieces, state) => {
+      const rewritten = rewriteText(pieces, state);
+      if (!rewritten) return;
+
+      // ' and " also move to the next line (and " sets spacing) before showing text
+      let prefix = '';
+      if (op.operator === "'") {
+        prefix = 'T* ';
+      } else if (op.operator === '"') {
+        prefix = `${formatPdfNumber(state.wordSpacing)} Tw ${formatPdfNumber(state.charSpacing)} Tc T* `;
+      }
+      replacements.push({ op, text: prefix + rewritten });
+    },
+
+    onInlineImage: (op, ctm) => {
+      if (scope.textOnly) return;
+      // Inline images are small; drop any that touch a redaction area
+      const box = transformBox(ctm, 0, 0, 1, 1);
+      if (scope.rects.some(rect => boxesIntersect(box, rect))) {
+        replacements.push({ op, text: '' });
+        scope.stats.images++;
+      }
+    },
+
+    onImage: (op, xObject, ctm) => {
+      if (scope.textOnly) return;
+      const box = transformBox(ctm, 0, 0, 1, 1);
+      const hits = scope.rects.filter(rect => boxesIntersect(box, rect));
+      if (hits.length === 0) return;
+
+      const inverse = invertMatrix(ctm);
+      const width = xObject.dict.lookup(PDFName.of('Width')).asNumber();
+      const height = xObject.dict.lookup(PDFName.of('Height')).asNumber();
+      const pixelRects = inverse ? hits.map(rect => {
+        const unit = transformBox(inverse, rect.x1, rect.y1, rect.x2, rect.y2);
+        const clamp = v => Math.min(Math.max(v, 0), 1);
+        return {
+          left: Math.floor(clamp(unit.x1) * width),
+          right: Math.ceil(clamp(unit.x2) * width),
+          top: Math.floor((1 - clamp(unit.y2)) * height),
+          bottom: Math.ceil((1 - clamp(unit.y1)) * height)
+        };
+      }) : null;
+
+      const newRef = pixelRects ? redactImagePixels(context, xObject, pixelRects) : null;
+      if (newRef) {
+        replacements.push({ op, text: `/${addPrivateXObject(context, scope, newRef)} Do` });
+      } else {
+        // Encodings we can't edit are removed outright rather than left readable
+        replacements.push({ op, text: '' });
+      }
+      scope.stats.images++;
+    },
+
+    onForm: (op, xObject, formCtm, box) => {
+      if (depth >= MAX_FORM_DEPTH) return;
+      if (box && !scope.rects.some(rect => boxesIntersect(box, rect))) return;
+
+      const formDict = xObject.dict.clone(context);
+      formDict.delete(PDFName.of('Length'));
+      const formResources = xObject.dict.lookup(PDFName.of('Resources'));
+      const formScope = {
+        resources: formResources instanceof PDFDict ? formResources : scope.resources,
+        owner: formDict,
+        rects: scope.rects,
+        stats: scope.stats,
+        textOnly: scope.textOnly
+      };
+      if (!(formResources instanceof PDFDict) && scope.resources instanceof PDFDict) {
+        formDict.set(PDFName.of('Resources'), scope.resources);
+      }
+
+      const formSrc = Buffer.from(decodeStreamContents(xObject)).toString('latin1');
+      const result = redactContentStream(context, formSrc, formScope, formCtm, depth + 1);
+      if (result.changed) {
+        const newRef = context.register(createFlateStream(context, formDict, Buffer.from(result.content, 'latin1')));
+        replacements.push({ op, text: `/${addPrivateXObject(context, scope, newRef)} Do` });
+      }
+    }
+  });
+
+  if (replacements.length === 0) {
+    return { changed: false, content: src };
+  }
+
+  // XObjects that were replaced or removed everywhere in this stream are
+  // unlinked so the originals are no longer reachable from the document
+  const replacedOps = new Set(replacements.map(r => r.op));
+  const doNames = op => (op.operator === 'Do' && op.operands[0] ? op.operands[0].value : null);
+  const stillUsed = new Set(operations.filter(op => !replacedOps.has(op)).map(doNames).filter(Boolean));
+  const unlinked = [...new Set(replacements.map(r => doNames(r.op)).filter(Boolean))]
+    .filter(name => !stillUsed.has(name));
+  if (unlinked.length > 0) {
+    ensurePrivateXObjects(context, scope);
+    unlinked.forEach(name => scope.privateXObjects.delete(PDFName.of(name)));
+  }
+
+  let content = '';
+  let cursor = 0;
+  replacements.forEach(({ op, text: replacement }) => {
+    content += src.slice(cursor, op.start) + replacement;
+    cursor = op.end;
+  });
+  content += src.slice(cursor);
+
+  return { changed: true, content };
+}
+
+// Remove annotations over redacted areas, clearing form field values they show
+function redactAnnotations(context, pageNode, rects) {
+  const annots = pageNode.lookup(PDFName.of('Annots'));
+  if (!(annots instanceof PDFArray)) return 0;
+
+  const kept = [];
+  let removed = 0;
+
+  annots.asArray().forEach(ref => {
+    const annot = context.lookup(ref);
+    const rectArray = annot instanceof PDFDict ? annot.lookup(PDFName.of('Rect')) : null;
+    if (!(rectArray instanceof PDFArray)) {
+      kept.push(ref);
+      return;
+    }
+
+    const [ax1, ay1, ax2, ay2] = rectArray.asArray().map(v => context.lookup(v).asNumber());
+    const box = { x1: Math.min(ax1, ax2), y1: Math.min(ay1, ay2), x2: Math.max(ax1, ax2), y2: Math.max(ay1, ay2) };
+    if (!rects.some(rect => boxesIntersect(box, rect))) {
+      kept.push(ref);
+      return;
+    }
+
+    // Widgets carry the field value; clear it on the widget and its parent field
+    [annot, annot.lookup(PDFName.of('Parent'))].forEach(dict => {
+      if (dict instanceof PDFDict) {
+        dict.delete(PDFName.of('V'));
+        dict.delete(PDFName.of('AP'));
+      }
+    });
+    removed++;
+  });
+
+  if (removed > 0) {
+    pageNode.set(PDFName.of('Annots'), context.obj(kept));
+  }
+  return removed;
+}
+
+// Drop every indirect object that can no longer be reached from the trailer
+function removeUnreachableObjects(context) {
+  const reachable = new Set();
+  const queue = [context.trailerInfo.Root, context.trailerInfo.Info, context.trailerInfo.Encrypt].filter(Boolean);
+
+  while (queue.length > 0) {
+    const object = queue.pop();
+    if (object instanceof PDFRef) {
+      if (reachable.has(object.tag)) continue;
+      reachable.add(object.tag);
+      const target = context.lookup(object);
+      if (target) queue.push(target);
+    } else if (object instanceof PDFDict) {
+      object.values().forEach(value => queue.push(value));
+    } else if (object instanceof PDFArray) {
+      object.asArray().forEach(value => queue.push(value));
+    } else if (object instanceof PDFStream || object instanceof PDFRawStream) {
+      queue.push(object.dict);
+    }
+  }
+
+  context.enumerateIndirectObjects().forEach(([ref]) => {
+    if (!reachable.has(ref.tag)) context.delete(ref);
+  });
+}
+
+// Convert a rectangle drawn on a rendered page (viewport pixels, top-left
+// origin) into PDF user space, honouring the crop box and page rotation
+function viewportRectToPdfRect(page, redaction) {
+  const { x, y, width, height } = page.getCropBox();
+  const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+
+  const toPdf = (vx, vy) => {
+    const u = vx / redaction.viewportWidth;
+    const v = vy / redaction.viewportHeight;
+    switch (rotation) {
+      case 90: return { x: x + v * width, y: y + u * height };
+      case 180: return { x: x + (1 - u) * width, y: y + v * height };
+      case 270: return { x: x + (1 - v) * width, y: y + (1 - u) * height };
+      default: return { x: x + u * width, y: y + (1 - v) * height };
+    }
+  };
+
+  const a = toPdf(redaction.x, redaction.y);
+  const b = toPdf(redaction.x + redaction.width, redaction.y + redaction.height);
+  return { x1: Math.min(a.x, b.x), y1: Math.min(a.y, b.y), x2: Math.max(a.x, b.x), y2: Math.max(a.y, b.y) };
+}
+
+// Rewrite a page's content without what lies in the given PDF-space areas.
+// With `textOnly` set, images are left alone and only glyphs are removed.
+function redactPageContent(context, page, rects, stats, textOnly) {
+  const scope = { resources: page.node.Resources(), owner: page.node, rects, stats, textOnly };
+
+  const result = redactContentStream(context, readPageContent(context, page.node), scope, IDENTITY_MATRIX, 0);
+  if (result.changed) {
+    // Keep the rewritten content's graphics state from leaking into anything drawn afterwards
+    const content = Buffer.from(`q\n${result.content}\nQ\n`, 'latin1');
+    const contentRef = context.register(createFlateStream(context, context.obj({}), content));
+    page.node.set(PDFName.of('Contents'), contentRef);
+  }
+  return result.changed;
+}
+
+// Why a requested redaction can't be applied, or null when it can. The page
+// must exist and the area be finite numbers, with a viewport of positive size.
+function findRedactionError(redaction, index, pageCount) {
+  const label = `Redaction ${index + 1}`;
+  if (!redaction || typeof redaction !== 'object' || Array.isArray(redaction)) {
+    return `${label} must be an object`;
+  }
+  if (!Number.isInteger(redaction.pageIndex) || redaction.pageIndex < 0 || redaction.pageIndex >= pageCount) {
+    return `${label} must have a pageIndex from 0 to ${pageCount - 1}`;
+  }
+
+  if (redaction.pdfRect !== undefined) {
+    const rect = redaction.pdfRect;
+    if (!rect || typeof rect !== 'object' || !['x1', 'y1', 'x2', 'y2'].every(key => Number.isFinite(rect[key]))) {
+      return `${label} must give pdfRect x1, y1, x2 and y2 as numbers`;
+    }
+    return null;
+  }
+
+  const fields = ['x', 'y', 'width', 'height', 'viewportWidth', 'viewportHeight'];
+  if (!fields.every(key => Number.isFinite(redaction[key]))) {
+    return `${label} must give ${fields.join(', ')} as numbers, or a pdfRect`;
+  }
+  if (redaction.viewportWidth <= 0 || redaction.viewportHeight <= 0) {
+    return `${label} must have a positive viewportWidth and viewportHeight`;
+  }
+  return null;
+}
+
+// Apply redactions to a loaded PDF and save it. Each redaction names a page
+// and either viewport coordinates (x, y, width, height, viewportWidth,
+// viewportHeight) from the redaction UI or PDF coordinates
+// ({ pdfRect: { x1, y1, x2, y2 } }); check them with findRedactionError first.
+async function redactPdf(pdfDoc, outputPath, redactions) {
+  const context = pdfDoc.context;
+  const pages = pdfDoc.getPages();
+  const stats = { pages: 0, areas: 0, glyphs: 0, images: 0, annotations: 0 };
+
+  const rectsByPage = {};
+  redactions.forEach(redaction => {
+    const page = pages[redaction.pageIndex];
+    const area = redaction.pdfRect || viewportRectToPdfRect(page, redaction);
+    const rect = {
+      x1: Math.min(area.x1, area.x2),
+      y1: Math.min(area.y1, area.y2),
+      x2: Math.max(area.x1, area.x2),
+      y2: Math.max(area.y1, area.y2)
+    };
+    (rectsByPage[redaction.pageIndex] = rectsByPage[redaction.pageIndex] || []).push(rect);
+  });
+
+  for (const [pageIndex, rects] of Object.entries(rectsByPage)) {
+    const page = pages[pageIndex];
+    redactPageContent(context, page, rects, stats, false);
+    stats.annotations += redactAnnotations(context, page.node, rects);
+
+    rects.forEach(rect => {
+      page.drawRectangle({
+        x: rect.x1,
+        y: rect.y1,
+        width: rect.x2 - rect.x1,
+        height: rect.y2 - rect.y1,
+        color: rgb(0, 0, 0)
+      });
+    });
+
+    stats.pages++;
+    stats.areas += rects.length;
+  }
+
+  removeUnreachableObjects(context);
+
+  const pdfBytes = await pdfDoc.save();
+  fs.writeFileSync(outputPath, pdfBytes);
+  return stats;
+}
+
+// ---------------------------------------------------------------------------
+// Search-and-redact
+//
+// Page text is rebuilt from the same glyph walk used for redaction, so every
+// character of a match maps back to the exact glyph boxes that will be removed.
+// ---------------------------------------------------------------------------
+
+const MAX_CUSTOM_PATTERN_LENGTH = 500;
+const MAX_MATCHES_PER_PAGE = 1000;
+// Total time custom patterns may spend matching across one search
+const CUSTOM_PATTERN_BUDGET_MS = 2000;
+
+// Runs a custom regex over page text in its own context. The vm timeout
+// interrupts catastrophic backtracking that would otherwise block the server.
+const customPatternScript = new vm.Script(`
+  const regex = new RegExp(source, flags);
+  const found = [];
+  let match;
+  while (found.length < limit && (match = regex.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      regex.lastIndex++;
+      continue;
+    }
+    found.push({ index: match.index, text: match[0] });
+  }
+  JSON.stringify(found);
+`);
+
+// Luhn checksum used by payment card numbers
+function isValidCardNumber(value) {
+  const digits = value.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) return false;
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// ISO 13616 mod-97 check for IBANs
+function isValidIban(value) {
+  const iban = value.replace(/\s/g, '').toUpperCase();
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  const numeric = rearranged.replace(/[A-Z]/g, ch => String(ch.charCodeAt(0) - 55));
+
+  let remainder = 0;
+  for (const digit of numeric) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
+
+// Built-in PII patterns; `validate` weeds out look-alikes such as order numbers
+const REDACTION_PATTERNS = {
+  email: {
+    label: 'Email address',
+    regex: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+  },
+  phone: {
+    label: 'Phone number',
+    // Not part of a longer digit group, so card numbers and IBANs don't match
+    regex: /(?<![\w+])(?<!\d[\s.-])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)|\d{2,4})[\s.-]?\d{3,4}[\s.-]?\d{3,4}\b(?![\s.-]?\d)/g,
+    validate: value => {
+      const digits = value.replace(/\D/g, '').length;
+      return digits >= 10 && digits <= 15;
+    }
+  },
+  ssn: {
+    label: 'Social Security number',
+    regex: /\b(?!000|666|9\d\d)\d{3}[- ](?!00)\d{2}[- ](?!0000)\d{4}\b/g
+  },
+  creditCard: {
+    label: 'Credit card number',
+    regex: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate: isValidCardNumber
+  },
+  iban: {
+    label: 'IBAN',
+    regex: /\b[A-Z]{2}\d{2}(?:[ ]?[A-Z0-9]){11,30}\b/g,
+    validate: isValidIban
+  }
+};
+
+// Collect the glyphs drawn on a page, including those inside form XObjects
+function collectPageGlyphs(context, page) {
+  const glyphs = [];
+
+  const walk = (src, resources, ctm, depth) => {
+    interpretContentStream(context, src, resources, ctm, {
+      onText: (op, pieces) => {
+        pieces.forEach(piece => {
+          if (piece.adjustment === undefined) glyphs.push(piece);
+        });
+      },
+      onForm: (op, xObject, formCtm) => {
+        if (depth >= MAX_FORM_DEPTH) return;
+        const formResources = xObject.dict.lookup(PDFName.of('Resources'));
+        const formSrc = Buffer.from(decodeStreamContents(xObject)).toString('latin1');
+        walk(formSrc, formResources instanceof PDFDict ? formResources : resources, formCtm, depth + 1);
+      }
+    });
+  };
+
+  walk(readPageContent(context, page.node), page.node.Resources(), IDENTITY_MATRIX, 0);
+  return glyphs;
+}
+
+// Turn page glyphs into searchable text. Line breaks and spaces are inserted
+// where the layout implies them; `owners` maps each character to its glyph.
+function buildPageText(glyphs) {
+  let text = '';
+  const owners = [];
+  let previous = null;
+
+  glyphs.forEach((glyph, index) => {
+    if (!glyph.text) return;
+    const height = glyph.box.y2 - glyph.box.y1;
+
+    if (previous) {
+      const previousMid = (previous.box.y1 + previous.box.y2) / 2;
+      const mid = (glyph.box.y1 + glyph.box.y2) / 2;
+      const sameLine = Math.abs(mid - previousMid) < height / 2 && glyph.box.x1 > previous.box.x1 - height;
+
+      if (!sameLine) {
+        text += '\n';
+        owners.push(null);
+      } else if (glyph.box.x1 - previous.box.x2 > height * 0.2 && !/\s$/.test(previous.text) && !/^\s/.test(glyph.text)) {
+        text += ' ';
+        owners.push(null);
+      }
+    }
+
+    for (let i = 0; i < glyph.text.length; i++) {
+      text += glyph.text[i];
+      owners.push(index);
+    }
+    previous = glyph;
+  });
+
+  return { text, owners };
+}
+
+// Position of a PDF rectangle on the rendered page, as fractions of the
+// displayed width and height (the inverse of viewportRectToPdfRect)
+function pdfRectToViewportFraction(page, rect) {
+  const { x, y, width, height } = page.getCropBox();
+  const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+
+  const toViewport = (px, py) => {
+    const fx = (px - x) / width;
+    const fy = (py - y) / height;
+    switch (rotation) {
+      case 90: return { u: fy, v: fx };
+      case 180: return { u: 1 - fx, v: fy };
+      case 270: return { u: 1 - fy, v: 1 - fx };
+      default: return { u: fx, v: 1 - fy };
+    }
+  };
+
+  const a = toViewport(rect.x1, rect.y1);
+  const b = toViewport(rect.x2, rect.y2);
+  return {
+    x: Math.min(a.u, b.u),
+    y: Math.min(a.v, b.v),
+    width: Math.abs(a.u - b.u),
+    height: Math.abs(a.v - b.v)
+  };
+}
+
+// Compile the requested built-in pattern ids and custom regexes
+function buildSearchPatterns(patternIds, customPatterns) {
+  if (patternIds !== undefined && !Array.isArray(patternIds)) {
+    throw new Error('"patterns" must be an array of pattern ids');
+  }
+  if (customPatterns !== undefined && !Array.isArray(customPatterns)) {
+    throw new Error('"customPatterns" must be an array');
+  }
+  const patterns = [];
+
+  (patternIds || []).forEach(id => {
+    if (typeof id !== 'string' || !Object.prototype.hasOwnProperty.call(REDACTION_PATTERNS, id)) {
+      throw new Error(`Unknown redaction pattern: ${id}`);
+    }
+    const builtIn = REDACTION_PATTERNS[id];
+    patterns.push({ type: id, label: builtIn.label, regex: builtIn.regex, validate: builtIn.validate });
+  });
+
+  (customPatterns || []).forEach((custom, index) => {
+    if (typeof custom !== 'string' && (!custom || typeof custom !== 'object' || Array.isArray(custom))) {
+      throw new Error(`Custom pattern ${index + 1} must be a string or an object with a "pattern"`);
+    }
+    const source = typeof custom === 'string' ? custom : custom.pattern;
+    if (typeof source !== 'string' || !source || source.length > MAX_CUSTOM_PATTERN_LENGTH) {
+      throw new Error(`Custom pattern ${index + 1} must be between 1 and ${MAX_CUSTOM_PATTERN_LENGTH} characters`);
+    }
+
+    const flags = (typeof custom.flags === 'string' ? custom.flags : '').replace(/[^imsu]/g, '');
+    let regex;
+    try {
+      regex = new RegExp(source, flags + 'g');
+    } catch (error) {
+      throw new Error(`Invalid custom pattern "${source}": ${error.message}`);
+    }
+    const label = typeof custom.label === 'string' && custom.label ? custom.label : source;
+    patterns.push({ type: 'custom', label, regex });
+  });
+
+  if (patterns.length === 0) {
+    throw new Error('Select at least one pattern to search for');
+  }
+  return patterns;
+}
+
+// Up to `limit` matches of one pattern in page text, as { index, text }.
+// Custom patterns run under what is left of the search's time budget.
+function findPatternMatches(pattern, text, limit, deadline) {
+  if (pattern.type === 'custom') {
+    const context = vm.createContext({
+      source: pattern.regex.source,
+      flags: pattern.regex.flags,
+      text,
+      limit
+    });
+    const timeout = Math.max(1, deadline - Date.now());
+    return JSON.parse(customPatternScript.runInContext(context, { timeout }));
+  }
+
+  const regex = new RegExp(pattern.regex.source, pattern.regex.flags);
+  const found = [];
+  let match;
+  while (found.length < limit && (match = regex.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      regex.lastIndex++;
+      continue;
+    }
+    if (pattern.validate && !pattern.validate(match[0])) continue;
+    found.push({ index: match.index, text: match[0] });
+  }
+  return found;
+}
+
+// Find every match of the patterns across all pages of a PDF. Each match
+// carries one box per text line it spans, in PDF space and as viewport fractions.
+async function findRedactionMatches(inputPath, patterns) {
+  const pdfDoc = await PDFLib.load(fs.readFileSync(inputPath));
+  const pages = pdfDoc.getPages();
+  const matches = [];
+  const deadline = Date.now() + CUSTOM_PATTERN_BUDGET_MS;
+
+  pages.forEach((page, pageIndex) => {
+    const glyphs = collectPageGlyphs(pdfDoc.context, page);
+    const { text, owners } = buildPageText(glyphs);
+    let pageMatches = 0;
+
+    patterns.forEach(pattern => {
+      const found = findPatternMatches(pattern, text, MAX_MATCHES_PER_PAGE - pageMatches, deadline);
+      for (const match of found) {
+        // Group the matched glyphs by line and union each group's boxes
+        const lines = [];
+        let current = null;
+        for (let i = match.index; i < match.index + match.text.length; i++) {
+          if (text[i] === '\n') {
+            current = null;
+            continue;
+          }
+          const owner = owners[i];
+          if (owner === null) continue;
+
+          const box = glyphs[owner].box;
+          if (!current) {
+            current = { ...box };
+            lines.push(current);
+          } else {
+            current.x1 = Math.min(current.x1, box.x1);
+            current.y1 = Math.min(current.y1, box.y1);
+            current.x2 = Math.max(current.x2, box.x2);
+            current.y2 = Math.max(current.y2, box.y2);
+          }
+        }
+
+        if (lines.length === 0) continue;
+        pageMatches++;
+        matches.push({
+          id: `${pageIndex}-${matches.length}`,
+          pageIndex,
+          type: pattern.type,
+          label: pattern.label,
+          text: match.text,
+          boxes: lines.map(line => ({
+            pdfRect: line,
+            viewport: pdfRectToViewportFraction(page, line)
+          }))
+        });
+      }
+    });
+  });
+
+  return { pageCount: pages.length, matches };
+}
+
+// ---------------------------------------------------------------------------
+// Batch generation
+//
+// A dataset (CSV, XLSX or a JSON array) provides one set of variables per row.
+// Columns are matched to the template's variables by name, each row is
+// validated and generated on its own, and the documents are zipped together
+// with a report of which rows failed and why.
+// ---------------------------------------------------------------------------
+
+const MAX_BATCH_ROWS = parseInt(process.env.MAX_BATCH_ROWS, 10) || 1000;
+
+// Parse CSV text into rows of cells. Handles quoted cells with embedded
+// separators, quotes and line breaks; the separator is a comma, semicolon or
+// tab, whichever the header line uses most.
+function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const headerLine = source.split(/\r?\n/, 1)[0];
+  const separator = [',', ';', '\t'].reduce((best, candidate) => (
+    headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best
+  ), ',');
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw new Error('CSV has an unterminated quoted cell');
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Blank lines aren't rows
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+function xlsxElements(node, name) {
+  return node ? Array.from(node.getElementsByTagNameNS('*', name)) : [];
+}
+
+// Built-in number formats that display dates
+const XLSX_DATE_FORMAT_IDS = [14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47];
+
+// Style indexes whose number format shows a date or time
+function readXlsxDateStyles(zip) {
+  const xml = readZipXml(zip, 'xl/styles.xml');
+  if (!xml) return new Set();
+
+  const customFormats = {};
+  xlsxElements(xml, 'numFmt').forEach(format => {
+    customFormats[format.getAttribute('numFmtId')] = format.getAttribute('formatCode');
+  });
+
+  // Strip quoted text, escapes and [colour]/[condition] parts before looking for date tokens
+  const isDateFormat = code => /[dmyhs]/i.test(code.replace(/"[^"]*"|\\.|\[[^\]]*\]/g, ''));
+  const dateStyles = new Set();
+  const cellXfs = xlsxElements(xml, 'cellXfs')[0];
+  xlsxElements(cellXfs, 'xf').forEach((xf, index) => {
+    const id = parseInt(xf.getAttribute('numFmtId'), 10) || 0;
+    if (XLSX_DATE_FORMAT_IDS.includes(id) || (customFormats[id] && isDateFormat(customFormats[id]))) {
+      dateStyles.add(index);
+    }
+  });
+  return dateStyles;
+}
+
+// Convert an Excel date serial to an ISO date, with the time when it has one
+function xlsxSerialToDate(serial, date1904) {
+  const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+  const date = new Date(epoch + Math.round(serial * 86400) * 1000);
+  const iso = date.toISOString();
+  return serial % 1 === 0 ? iso.substring(0, 10) : iso.substring(0, 19);
+}
+
+// Read the cells of the first worksheet of an XLSX workbook into rows
+function parseXlsx(buffer) {
+  let zip;
+  try {
+    zip = new PizZip(buffer);
+  } catch (error) {
+    throw new Error('XLSX file could not be read: ' + error.message);
+  }
+
+  const workbook = readZipXml(zip, 'xl/workbook.xml');
+  const sheet = workbook && xlsxElements(workbook, 'sheet')[0];
+  if (!sheet) {
+    throw new Error('XLSX file has no worksheets');
+  }
+  const relationships = readDocxRelationships(zip, 'xl/workbook.xml');
+  const relationship = relationships[sheet.getAttribute('r:id')];
+  const worksheet = relationship && readZipXml(zip, relationship.target);
+  if (!worksheet) {
+    throw new Error('XLSX worksheet could not be found');
+  }
+
+  const workbookPr = xlsxElements(workbook, 'workbookPr')[0];
+  const date1904 = ['1', 'true'].includes(xmlAttr(workbookPr, 'date1904'));
+  const sharedStringsXml = readZipXml(zip, 'xl/sharedStrings.xml');
+  const sharedStrings = xlsxElements(sharedStringsXml, 'si')
+    .map(si => xlsxElements(si, 't').map(t => t.textContent).join(''));
+  const dateStyles = readXlsxDateStyles(zip);
+
+  const columnIndex = ref => ref.replace(/\d+$/, '').split('')
+    .reduce((index, letter) => index * 26 + letter.toUpperCase().charCodeAt(0) - 64, 0) - 1;
+
+  return xlsxElements(worksheet, 'row').map(rowNode => {
+    const cells = [];
+    xlsxElements(rowNode, 'c').forEach((cellNode, position) => {
+      const ref = cellNode.getAttribute('r');
+      const index = ref ? columnIndex(ref) : position;
+      const type = cellNode.getAttribute('t') || 'n';
+      const valueNode = xlsxElements(cellNode, 'v')[0];
+      const raw = valueNode ? valueNode.textContent : '';
+
+      let value;
+      if (type === 's') {
+        value = sharedStrings[parseInt(raw, 10)] || '';
+      } else if (type === 'inlineStr') {
+        value = xlsxElements(cellNode, 't').map(t => t.textContent).join('');
+      } else if (type === 'b') {
+        value = raw === '1';
+      } else if (type === 'n' && raw !== '') {
+        const style = parseInt(cellNode.getAttribute('s'), 10) || 0;
+        value = dateStyles.has(style) ? xlsxSerialToDate(Number(raw), date1904) : Number(raw);
+      } else {
+        // Formula strings, errors and empty cells
+        value = type === 'e' ? '' : raw;
+      }
+      cells[index] = value;
+    });
+    return Array.from(cells, value => (value === undefined ? '' : value));
+  }).filter(cells => cells.some(value => value !== ''));
+}
+
+// Read a dataset file into row objects keyed by column name
+function parseDataset(buffer, fileName) {
+  const ext = path.extname(fileName || '').toLowerCase();
+
+  if (ext === '.json') {
+    let data;
+    try {
+      data = JSON.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+    } catch (error) {
+      throw new Error('JSON dataset is not valid JSON: ' + error.message);
+    }
+    const rows = Array.isArray(data) ? data : data && data.rows;
+    if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+      throw new Error('JSON dataset must be an array of objects');
+    }
+    return rows;
+  }
+
+  let table;
+  if (ext === '.csv' || ext === '.tsv') {
+    table = parseCsv(buffer.toString('utf8'));
+  } else if (ext === '.xlsx') {
+    table = parseXlsx(buffer);
+  } else {
+    throw new Error('Unsupported dataset type. Please upload a .csv, .tsv, .xlsx or .json file.');
+  }
+
+  if (table.length < 2) {
+    throw new Error('Dataset needs a header row and at least one data row');
+  }
+  const headers = table[0].map(header => String(header).trim());
+  return table.slice(1).map(cells => {
+    const row = {};
+    headers.forEach((header, index) => {
+      if (header) row[header] = cells[index] === undefined ? '' : cells[index];
+    });
+    return row;
+  });
+}
+
+// Map a dataset row to template variables. Explicit mappings (variable to
+// column) come first, then columns named like the variable, ignoring case,
+// spaces and punctuation. Unmatched columns are kept under their own names.
+function mapDatasetRow(row, variables, mapping = {}) {
+  const normalize = name => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+  const columns = Object.keys(row);
+  const values = { ...row };
+
+  variables.forEach(variable => {
+    const column = mapping[variable] !== undefined
+      ? mapping[variable]
+      : columns.find(name => name === variable) || columns.find(name => normalize(name) === normalize(variable));
+    if (column !== undefined && column in row) {
+      values[variable] = row[column];
+    }
+  });
+  return values;
+}
+
+// File name for a row's document from a pattern such as "{{name}}-offer.pdf".
+// Characters that aren't safe in file names are replaced and the extension of
+// the output format is added when the pattern doesn't end with it.
+function buildBatchFileName(pattern, values, index, total, extension) {
+  const rendered = renderTemplateNodes(parseTemplate(pattern), [{
+    value: values,
+    loop: { index, number: index + 1, first: index === 0, last: index === total - 1 }
+  }]);
+  let name = rendered
+    .replace(/\{\{[^{}]*\}\}/g, '')
+    .replace(/[\\/:*?"<>|\x00-\x1f]+/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^[.-]+/, '');
+  if (name.toLowerCase().endsWith(extension)) {
+    name = name.substring(0, name.length - extension.length);
+  }
+  return (name || `document-${index + 1}`).substring(0, 150) + extension;
+}
+
+// Generate one document per row into a ZIP archive. Rows are generated one at
+// a time; a failing row is reported and skipped. `onProgress` is called after
+// each row and `isCancelled` stops the batch early, keeping the rows done so
+// far; `onDocument` gets the values, name and contents of each document.
+// Returns the report.
+async function generateBatch(versionData, rows, options) {
+  const { format, fileNamePattern, mapping, zipPath, flatten, pageSetup, onProgress, onDocument, isCancelled } = options;
+  const extension = OUTPUT_EXTENSIONS[format];
+  const zip = new JSZip();
+  const usedNames = new Set();
+  const report = [];
+
+  for (let index = 0; index < rows.length; index++) {
+    if (isCancelled && isCancelled()) break;
+    if (onProgress) onProgress(index, rows.length);
+
+    const entry = { row: index + 1 };
+    report.push(entry);
+
+    const { values, errors } = validateVersionVariables(
+      versionData,
+      mapDatasetRow(rows[index], versionData.variables, mapping)
+    );
+    if (errors.length > 0) {
+      entry.status = 'error';
+      entry.errors = errors;
+      continue;
+    }
+
+    // Rows whose names collide get a numeric suffix
+    let fileName = buildBatchFileName(fileNamePattern, values, index, rows.length, extension);
+    const base = fileName.substring(0, fileName.length - extension.length);
+    for (let copy = 2; usedNames.has(fileName.toLowerCase()); copy++) {
+      fileName = `${base}-${copy}${extension}`;
+    }
+    usedNames.add(fileName.toLowerCase());
+
+    const outputPath = path.join('generated', `${path.basename(zipPath, '.zip')}-${index}${extension}`);
+    try {
+      await generateFormattedDocument(versionData.contentData, values, format, outputPath, { flatten, pageSetup });
+      const contents = fs.readFileSync(outputPath);
+      zip.file(fileName, contents);
+      entry.status = 'success';
+      entry.filename = fileName;
+      if (onDocument) onDocument(values, fileName, contents);
+    } catch (error) {
+      entry.status = 'error';
+      entry.errors = [{ rule: 'generation', message: error.message }];
+    } finally {
+      if (fs.existsSync(outputPath)) {
+        fs.unlinkSync(outputPath);
+      }
+    }
+  }
+
+  zip.file('report.json', JSON.stringify(report, null, 2));
+  const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  fs.writeFileSync(zipPath, buffer);
+  if (onProgress) onProgress(report.length, rows.length);
+  return report;
+}
+
+// Multipart fields arrive as strings, JSON bodies as values
+function parseJsonField(value, name) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`"${name}" is not valid JSON`);
+  }
+}
+
+// Response body for a finished batch
+function summarizeBatch(report, total, zipFileName, versionData) {
+  const succeeded = report.filter(entry => entry.status === 'success').length;
+  return {
+    ...(succeeded === 0 && { error: 'None of the rows could be generated' }),
+    total: total,
+    succeeded: succeeded,
+    failed: report.length - succeeded,
+    skipped: total - report.length,
+    downloadUrl: downloadUrlFor(zipFileName),
+    filename: zipFileName,
+    templateVersion: versionData.version,
+    report: report
+  };
+}
+
+// Generate a single document into generated/ and return its file name
+async function generateDocumentFile(versionData, variables, format, fileName, options = {}) {
+  if (!fs.existsSync('generated')) {
+    fs.mkdirSync('generated');
+  }
+  await generateFormattedDocument(versionData.contentData, variables, format, path.join('generated', fileName), options);
+  return fileName;
+}
+
+// ---------------------------------------------------------------------------
+// Live preview
+//
+// Previews render a template with whatever values have been entered so far.
+// Nothing is required: defaults fill in, values that are missing or break
+// their field's rules are left out, and the {{placeholders}} they leave
+// behind are highlighted. The mode picks how the document is shown:
+//   html   the HTML output, with placeholders marked up
+//   pages  PNG images of the PDF output's first pages, made by pdf2pic
+//          (which needs GraphicsMagick and Ghostscript), with placeholders
+//          highlighted on the page
+//   docx   the DOCX output, for the browser to lay out with docx-preview
+// When page images can't be made the preview falls back to HTML.
+// ---------------------------------------------------------------------------
+
+const PREVIEW_MODES = ['html', 'pages', 'docx'];
+const MAX_PREVIEW_PAGES = 10;
+const PREVIEW_PAGE_WIDTH = 816; // pixels; a Letter page at 96 dpi
+const UNFILLED_PLACEHOLDER_REGEX = /\{\{[^{}]*\}\}/g;
+
+// Values for a preview. Like validateTemplateVariables, but fields that are
+// missing or invalid are left unset so their placeholders stay in place;
+// they're returned as `unfilled`, and the rules broken as `errors`.
+function previewTemplateVariables(fields, variables) {
+  const values = { ...(variables || {}) };
+  const unfilled = [];
+  const errors = [];
+
+  Object.entries(fields || {}).forEach(([variable, definition]) => {
+    const value = lookupTemplatePath([{ value: values }], variable);
+    if (isMissingFieldValue(value)) {
+      if (definition.default !== undefined) {
+        values[variable] = definition.default;
+      } else {
+        values[variable] = undefined;
+        unfilled.push(variable);
+      }
+      return;
+    }
+
+    const checked = checkFieldValue(definition, value);
+    if (checked.error) {
+      values[variable] = undefined;
+      unfilled.push(variable);
+      errors.push({ field: variable, rule: checked.error.rule, message: `${variable} ${checked.error.message}` });
+    } else if (checked.value !== value) {
+      values[variable] = checked.value;
+    }
+  });
+
+  return { values, unfilled, errors };
+}
+
+// Wrap the placeholders left in the text of an HTML page in <mark>s
+function markUnfilledPlaceholders(html) {
+  const bodyStart = html.indexOf('<body>');
+  const body = html.substring(bodyStart).replace(/>[^<]+</g, text => text.replace(
+    UNFILLED_PLACEHOLDER_REGEX,
+    placeholder => `<mark class="unfilled-placeholder" title="Not filled in yet">${placeholder}</mark>`
+  ));
+  const style = '<style>mark.unfilled-placeholder { background: #fff1b8; outline: 1px dashed #c23934; }</style>';
+  return html.substring(0, bodyStart).replace('</head>', `${style}\n</head>`) + body;
+}
+
+// Highlight the placeholders left on the pages of a PDF and turn its first
+// pages into PNG data URLs. Pages are rendered at the first page's aspect.
+async function renderPdfPreviewPages(pdfBytes) {
+  const pdfDoc = await PDFLib.load(pdfBytes);
+  pdfDoc.getPages().forEach(page => {
+    findPdfPlaceholders(pdfDoc.context, page).forEach(({ box }) => {
+      page.drawRectangle({
+        x: box.x1 - 1,
+        y: box.y1 - 1,
+        width: box.x2 - box.x1 + 2,
+        height: box.y2 - box.y1 + 2,
+        color: rgb(1, 0.85, 0.2),
+        opacity: 0.45
+      });
+    });
+  });
+
+  const { width, height } = pdfDoc.getPage(0).getSize();
+  const pageCount = pdfDoc.getPageCount();
+  const convert = pdfToImages(Buffer.from(await pdfDoc.save()), {
+    format: 'png',
+    density: Math.ceil(72 * PREVIEW_PAGE_WIDTH / width),
+    width: PREVIEW_PAGE_WIDTH,
+    height: Math.round(PREVIEW_PAGE_WIDTH * height / width)
+  });
+  const pageNumbers = Array.from({ length: Math.min(pageCount, MAX_PREVIEW_PAGES) }, (_, index) => index + 1);
+  const images = await convert.bulk(pageNumbers, true);
+  // pdf2pic answers with empty images rather than failing when GraphicsMagick is missing
+  if (images.some(image => !image.base64)) {
+    throw new Error('no page images were made; GraphicsMagick and Ghostscript need to be installed');
+  }
+
+  return {
+    pageCount,
+    pages: images.map(image => ({ page: image.page, image: `data:image/png;base64,${image.base64}` }))
+  };
+}
+
+// Render a template version for preview in one of PREVIEW_MODES. Documents
+// are generated into a scratch directory that is removed afterwards.
+async function renderTemplatePreview(versionData, values, mode, pageSetup) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'preview-'));
+  const options = { pageSetup, keepUnfilled: true };
+  const generate = async format => {
+    const outputPath = path.join(workDir, `preview${OUTPUT_EXTENSIONS[format]}`);
+    await generateFormattedDocument(versionData.contentData, values, format, outputPath, options);
+    return fs.readFileSync(outputPath);
+  };
+
+  try {
+    if (mode === 'docx') {
+      return { mode, docx: (await generate('docx')).toString('base64') };
+    }
+
+    let notice;
+    if (mode === 'pages') {
+      try {
+        return { mode, ...(await renderPdfPreviewPages(await generate('pdf'))) };
+      } catch (error) {
+        console.warn('Page preview failed, previewing as HTML:', error.message);
+        notice = `Page images could not be made (${error.message}); showing HTML instead`;
+      }
+    }
+
+    const html = markUnfilledPlaceholders((await generate('html')).toString('utf8'));
+    return { mode: 'html', html, ...(notice && { notice }) };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// PDF packets
+//
+// A packet merges several documents into one PDF. Each section is either a
+// template generated as PDF, with its own variables on top of the packet's
+// shared ones, or an uploaded static PDF. Sections get a bookmark each, an
+// optional table of contents is put in front and page numbers run through
+// the whole packet, contents pages included. Form fields are flattened since
+// the merged pages can't keep their forms.
+// ---------------------------------------------------------------------------
+
+const MAX_PACKET_SECTIONS = 50;
+const PACKET_MARGIN = 72;
+const PACKET_TOC_LINE_HEIGHT = 20;
+const PACKET_TOC_ENTRIES_PER_PAGE = 28;
+
+// Check the sections of a packet request. Malformed sections throw; the
+// variable problems of template sections are returned as errors that name
+// the section they belong to. Template sections must be templates the user
+// can see.
+async function resolvePacketSections(requested, sharedVariables, files, user) {
+  if (!Array.isArray(requested) || requested.length === 0) {
+    throw new Error('Send a non-empty "sections" array');
+  }
+  if (requested.length > MAX_PACKET_SECTIONS) {
+    throw new Error(`Packets are limited to ${MAX_PACKET_SECTIONS} sections; this one has ${requested.length}`);
+  }
+  if (sharedVariables !== undefined && (typeof sharedVariables !== 'object' || Array.isArray(sharedVariables))) {
+    throw new Error('"variables" must be an object');
+  }
+
+  const sections = [];
+  const errors = [];
+  for (let index = 0; index < requested.length; index++) {
+    const entry = requested[index];
+    const number = index + 1;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error(`Section ${number} must be an object`);
+    }
+    if (entry.title !== undefined && (typeof entry.title !== 'string' || !entry.title.trim())) {
+      throw new Error(`Section ${number} has an empty or non-text title`);
+    }
+
+    // Static PDFs are uploaded with the request and named by their file name
+    if (entry.file !== undefined) {
+      const file = files.find(upload => upload.originalname === entry.file);
+      if (!file) {
+        throw new Error(`Section ${number} names "${entry.file}", which wasn't uploaded`);
+      }
+      try {
+        const pdfDoc = await PDFLib.load(fs.readFileSync(file.path));
+        if (pdfDoc.getPageCount() === 0) {
+          throw new Error('it has no pages');
+        }
+      } catch (error) {
+        throw new Error(`Section ${number}: "${entry.file}" can't be used (${error.message})`);
+      }
+      sections.push({
+        title: entry.title || path.basename(file.originalname, path.extname(file.originalname)),
+        file: file.path
+      });
+      continue;
+    }
+
+    const template = templates[entry.templateId];
+    if (!template || !canReadTemplate(user, template)) {
+      throw new Error(`Section ${number}: template not found`);
+    }
+    const versionData = getTemplateVersion(template, entry.version);
+    if (!versionData) {
+      throw new Error(`Section ${number}: template version not found`);
+    }
+    if (entry.variables !== undefined && (typeof entry.variables !== 'object' || Array.isArray(entry.variables))) {
+      throw new Error(`Section ${number}: "variables" must be an object`);
+    }
+
+    const { values, errors: sectionErrors } = validateVersionVariables(
+      versionData,
+      { ...sharedVariables, ...entry.variables }
+    );
+    sectionErrors.forEach(error => errors.push({ section: number, ...error }));
+    sections.push({
+      title: entry.title || path.basename(template.name, path.extname(template.name)),
+      templateId: template.id,
+      version: versionData.version,
+      variables: values
+    });
+  }
+  return { sections, errors };
+}
+
+// PDF bytes of a packet section; templates are generated through a temporary file
+async function renderPacketSection(section, tempPath) {
+  if (section.file) {
+    return fs.readFileSync(section.file);
+  }
+
+  const template = templates[section.templateId];
+  const versionData = template && getTemplateVersion(template, section.version);
+  if (!versionData) {
+    throw new Error(`Template of section "${section.title}" no longer exists`);
+  }
+  try {
+    await generateFormattedDocument(versionData.contentData, section.variables, 'pdf', tempPath, {
+      flatten: true,
+      pageSetup: template.pageSetup
+    });
+    return fs.readFileSync(tempPath);
+  } finally {
+    if (fs.existsSync(tempPath)) {
+      fs.unlinkSync(tempPath);
+    }
+  }
+}
+
+// Shorten text with an ellipsis until it fits the width
+function fitTextToWidth(text, font, size, maxWidth) {
+  if (font.widthOfTextAtSize(text, size) <= maxWidth) {
+    return text;
+  }
+  let fitted = text;
+  while (fitted.length > 0 && font.widthOfTextAtSize(fitted + '...', size) > maxWidth) {
+    fitted = fitted.substring(0, fitted.length - 1);
+  }
+  return fitted.trimEnd() + '...';
+}
+
+// Fill the reserved contents pages: one line per section with dot leaders,
+// its first page number and a link to it
+function drawPacketContents(packet, contentsPages, entries, fonts) {
+  contentsPages.forEach((page, pageIndex) => {
+    const { width, height } = page.getSize();
+    page.drawText(pageIndex === 0 ? 'Contents' : 'Contents (continued)', {
+      x: PACKET_MARGIN,
+      y: height - PACKET_MARGIN,
+      size: 20,
+      font: fonts.bold
+    });
+
+    const pageEntries = entries.slice(pageIndex * PACKET_TOC_ENTRIES_PER_PAGE, (pageIndex + 1) * PACKET_TOC_ENTRIES_PER_PAGE);
+    pageEntries.forEach((entry, index) => {
+      const size = 12;
+      const y = height - PACKET_MARGIN - 40 - index * PACKET_TOC_LINE_HEIGHT;
+      const right = width - PACKET_MARGIN;
+      const pageLabel = String(entry.startPage + 1);
+      const labelWidth = fonts.regular.widthOfTextAtSize(pageLabel, size);
+      const title = fitTextToWidth(toWinAnsiText(entry.title), fonts.regular, size, right - PACKET_MARGIN - labelWidth - 24);
+      const titleWidth = fonts.regular.widthOfTextAtSize(title, size);
+
+      page.drawText(title, { x: PACKET_MARGIN, y, size, font: fonts.regular });
+      page.drawText(pageLabel, { x: right - labelWidth, y, size, font: fonts.regular });
+
+      const dotWidth = fonts.regular.widthOfTextAtSize('.', size);
+      const dotsStart = PACKET_MARGIN + titleWidth + 6;
+      const dots = Math.floor((right - labelWidth - 6 - dotsStart) / dotWidth);
+      if (dots > 0) {
+        page.drawText('.'.repeat(dots), { x: dotsStart, y, size, font: fonts.regular, color: rgb(0.5, 0.5, 0.5) });
+      }
+
+      const link = packet.context.obj({
+        Type: 'Annot',
+        Subtype: 'Link',
+        Rect: [PACKET_MARGIN, y - 4, right, y + size],
+        Border: [0, 0, 0],
+        Dest: [packet.getPage(entry.startPage).ref, 'Fit']
+      });
+      page.node.addAnnot(packet.context.register(link));
+    });
+  });
+}
+
+// Add a bookmark per entry, shown when the packet is opened
+function addPacketOutline(packet, entries) {
+  const context = packet.context;
+  const outlinesRef = context.nextRef();
+  const itemRefs = entries.map(() => context.nextRef());
+
+  entries.forEach((entry, index) => {
+    const item = context.obj({
+      Title: PDFHexString.fromText(entry.title),
+      Parent: outlinesRef,
+      Dest: [packet.getPage(entry.startPage).ref, 'Fit']
+    });
+    if (index > 0) item.set(PDFName.of('Prev'), itemRefs[index - 1]);
+    if (index < entries.length - 1) item.set(PDFName.of('Next'), itemRefs[index + 1]);
+    context.assign(itemRefs[index], item);
+  });
+
+  context.assign(outlinesRef, context.obj({
+    Type: 'Outlines',
+    First: itemRefs[0],
+    Last: itemRefs[itemRefs.length - 1],
+    Count: entries.length
+  }));
+  packet.catalog.set(PDFName.of('Outlines'), outlinesRef);
+  packet.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+}
+
+// Draw "Page n of total" centred at the bottom of each page as it is viewed,
+// so rotated pages get their number along the edge that ends up at the bottom
+function drawPacketPageNumbers(packet, font) {
+  const pages = packet.getPages();
+  const size = 9;
+  const offset = 24;
+  pages.forEach((page, index) => {
+    const text = `Page ${index + 1} of ${pages.length}`;
+    const textWidth = font.widthOfTextAtSize(text, size);
+    const { x, y, width, height } = page.getCropBox();
+    const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+
+    let position;
+    switch (rotation) {
+      case 90: position = { x: x + width - offset, y: y + (height - textWidth) / 2 }; break;
+      case 180: position = { x: x + (width + textWidth) / 2, y: y + height - offset }; break;
+      case 270: position = { x: x + offset, y: y + (height + textWidth) / 2 }; break;
+      default: position = { x: x + (width - textWidth) / 2, y: y + offset };
+    }
+    page.drawText(text, {
+      ...position,
+      size,
+      font,
+      color: rgb(0.35, 0.35, 0.35),
+      rotate: degrees(rotation)
+    });
+  });
+}
+
+// Merge the sections into one PDF at outputPath. `onSection` gets each
+// template section and its generated PDF. Returns the page count and where
+// each section starts (zero-based page index) and how many pages it has.
+async function buildPdfPacket(sections, options) {
+  const { outputPath, title, tableOfContents, pageNumbers, onProgress, onSection, isCancelled } = options;
+  const packet = await PDFLib.create();
+  packet.setTitle(title);
+  const fonts = {
+    regular: await packet.embedFont(StandardFonts.Helvetica),
+    bold: await packet.embedFont(StandardFonts.HelveticaBold)
+  };
+
+  // Contents pages are reserved first so section page numbers are final
+  const contentsPages = [];
+  if (tableOfContents) {
+    const count = Math.ceil(sections.length / PACKET_TOC_ENTRIES_PER_PAGE);
+    for (let i = 0; i < count; i++) {
+      contentsPages.push(packet.addPage(PageSizes.Letter));
+    }
+  }
+
+  if (!fs.existsSync('generated')) {
+    fs.mkdirSync('generated');
+  }
+  const tempPrefix = path.join('generated', path.basename(outputPath, '.pdf'));
+  const entries = [];
+  for (let index = 0; index < sections.length; index++) {
+    if (isCancelled && isCancelled()) {
+      throw new Error('Packet was cancelled');
+    }
+    if (onProgress) onProgress(index, sections.length);
+
+    const section = sections[index];
+    let source;
+    try {
+      const contents = await renderPacketSection(section, `${tempPrefix}-${index}.pdf`);
+      if (section.templateId && onSection) onSection(section, contents);
+      source = await PDFLib.load(contents);
+      if (source.getForm().getFields().length > 0) {
+        flattenPdfForm(source);
+      }
+    } catch (error) {
+      throw new Error(`Section ${index + 1} ("${section.title}"): ${error.message}`);
+    }
+
+    const pages = await packet.copyPages(source, source.getPageIndices());
+    entries.push({
+      title: section.title,
+      startPage: packet.getPageCount(),
+      pageCount: pages.length,
+      ...(section.templateId && { templateId: section.templateId, templateVersion: section.version })
+    });
+    pages.forEach(page => packet.addPage(page));
+  }
+
+  if (contentsPages.length > 0) {
+    drawPacketContents(packet, contentsPages, entries, fonts);
+  }
+  addPacketOutline(packet, [
+    ...(contentsPages.length > 0 ? [{ title: 'Contents', startPage: 0 }] : []),
+    ...entries
+  ]);
+  if (pageNumbers) {
+    drawPacketPageNumbers(packet, fonts.regular);
+  }
+
+  fs.writeFileSync(outputPath, await packet.save());
+  if (onProgress) onProgress(sections.length, sections.length);
+  return { pageCount: packet.getPageCount(), sections: entries };
+}
+
+// Response body for a finished packet; page numbers are one-based
+function summarizePacket(packetInfo, fileName) {
+  return {
+    downloadUrl: downloadUrlFor(fileName),
+    filename: fileName,
+    pageCount: packetInfo.pageCount,
+    sections: packetInfo.sections.map(entry => ({ ...entry, startPage: entry.startPage + 1 }))
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Download links and retention
+//
+// Generated files are downloaded through links signed with an HMAC of the
+// file name and the expiry time:
+//   /download/<file>?expires=<unix seconds>&signature=<hex>
+// Links last DOWNLOAD_LINK_TTL_MINUTES unless asked otherwise. One-time links
+// also carry a nonce ("once") that is spent on first use. Without a link,
+// signed in users can download the files of the documents they can see in
+// the history. The signing key is DOWNLOAD_LINK_SECRET, or one generated on
+// first start and kept in data/download-secret so links survive restarts.
+//
+// Generated files, uploads and redaction uploads older than RETENTION_DAYS
+// (30 by default; 0 keeps them forever) are purged every
+// RETENTION_SWEEP_MINUTES, except the originals and letterheads of templates
+// and the files of unfinished jobs.
+// ---------------------------------------------------------------------------
+
+const DOWNLOAD_SECRET_PATH = path.join(DATA_DIR, 'download-secret');
+const SPENT_LINKS_PATH = path.join(DATA_DIR, 'spent-links.json');
+const DOWNLOAD_LINK_TTL_MINUTES = parseFloat(process.env.DOWNLOAD_LINK_TTL_MINUTES) || 60;
+const MAX_DOWNLOAD_LINK_TTL_MINUTES = 7 * 24 * 60;
+const RETENTION_DAYS = process.env.RETENTION_DAYS !== undefined && parseFloat(process.env.RETENTION_DAYS) >= 0
+  ? parseFloat(process.env.RETENTION_DAYS)
+  : 30;
+const RETENTION_SWEEP_MINUTES = 60;
+const RETAINED_DIRS = ['generated', 'uploads', REDACTION_DIR];
+
+let downloadSecret = null;
+// Nonces of spent one-time links, with the time their link expires
+let spentLinks = {};
+let lastRetentionSweep = null;
+
+// Read or create the signing key and restore the spent one-time links
+function loadDownloadLinksFromDisk() {
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR);
+  }
+
+  if (process.env.DOWNLOAD_LINK_SECRET) {
+    downloadSecret = process.env.DOWNLOAD_LINK_SECRET;
+  } else if (fs.existsSync(DOWNLOAD_SECRET_PATH)) {
+    downloadSecret = fs.readFileSync(DOWNLOAD_SECRET_PATH, 'utf8').trim();
+  } else {
+    downloadSecret = crypto.randomBytes(32).toString('hex');
+    fs.writeFileSync(DOWNLOAD_SECRET_PATH, downloadSecret, { mode: 0o600 });
+  }
+
+  if (fs.existsSync(SPENT_LINKS_PATH)) {
+    try {
+      spentLinks = JSON.parse(fs.readFileSync(SPENT_LINKS_PATH, 'utf8'));
+    } catch (error) {
+      console.error('Failed to read spent download links:', error);
+    }
+  }
+}
+
+// Save the spent one-time links, forgetting those that have expired anyway
+function saveSpentLinks() {
+  const now = Date.now() / 1000;
+  Object.keys(spentLinks).forEach(nonce => {
+    if (spentLinks[nonce] < now) delete spentLinks[nonce];
+  });
+
+  const tempPath = SPENT_LINKS_PATH + '.tmp';
+  fs.writeFileSync(tempPath, JSON.stringify(spentLinks, null, 2));
+  fs.renameSync(tempPath, SPENT_LINKS_PATH);
+}
+
+// Absolute path of a file in one of the storage directories. Only plain
+// file names are accepted, so a name from a request can't reach other files.
+function resolveStoredFile(directory, fileName) {
+  if (typeof fileName !== 'string' || !fileName || fileName === '.' || fileName === '..'
+    || fileName !== path.basename(fileName) || /[\\/\0]/.test(fileName)) {
+    return null;
+  }
+  const root = path.resolve(directory);
+  const filePath = path.resolve(root, fileName);
+  return path.dirname(filePath) === root ? filePath : null;
+}
+
+function signDownload(fileName, expires, nonce) {
+  return crypto.createHmac('sha256', downloadSecret).update(`${fileName}\n${expires}\n${nonce || ''}`).digest('hex');
+}
+
+// Signed download link of a generated file. Options: expiresInMinutes and oneTime.
+function downloadUrlFor(fileName, options = {}) {
+  const expires = Math.floor(Date.now() / 1000 + (options.expiresInMinutes || DOWNLOAD_LINK_TTL_MINUTES) * 60);
+  const nonce = options.oneTime ? crypto.randomBytes(12).toString('hex') : null;
+  const params = new URLSearchParams({ expires: String(expires) });
+  if (nonce) params.set('once', nonce);
+  params.set('signature', signDownload(fileName, expires, nonce));
+  return `/download/${encodeURIComponent(fileName)}?${params}`;
+}
+
+// Why the signed link of a download request can't be used, or null when it can
+function checkDownloadSignature(fileName, query) {
+  const expires = parseInt(query.expires, 10);
+  const nonce = typeof query.once === 'string' ? query.once : null;
+  const expected = Buffer.from(signDownload(fileName, expires, nonce), 'hex');
+  const given = Buffer.from(String(query.signature), 'hex');
+  if (!expires || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return 'This download link is invalid';
+  }
+  if (expires * 1000 < Date.now()) {
+    return 'This download link has expired';
+  }
+  if (nonce && spentLinks[nonce]) {
+    return 'This download link has already been used';
+  }
+  return null;
+}
+
+// Files that must outlive the retention period: the originals and
+// letterheads of templates, and the files unfinished jobs read or write
+function retainedFiles() {
+  const files = new Set();
+  Object.values(templates).forEach(template => {
+    template.versions.forEach(versionData => files.add(path.resolve(versionData.filePath)));
+    if (template.pageSetup && template.pageSetup.letterhead) {
+      files.add(path.resolve(template.pageSetup.letterhead.filePath));
+    }
+  });
+  Object.values(jobs).filter(job => !FINISHED_JOB_STATUSES.includes(job.status)).forEach(job => {
+    [job.params.fileName, job.params.zipFileName].filter(Boolean).forEach(name => files.add(path.resolve('generated', name)));
+    (job.params.sections || []).filter(section => section.file).forEach(section => files.add(path.resolve(section.file)));
+  });
+  return files;
+}
+
+// Delete generated files and uploads older than the retention period, and
+// the input of jobs that finished before it; returns how many files were
+// deleted from each directory
+function purgeExpiredFiles() {
+  lastRetentionSweep = new Date().toISOString();
+  const purged = { generated: 0, uploads: 0, [REDACTION_DIR]: 0 };
+  if (RETENTION_DAYS === 0) return purged;
+
+  const cutoff = Date.now() - RETENTION_DAYS * 24 * 3600 * 1000;
+  const retained = retainedFiles();
+  RETAINED_DIRS.filter(directory => fs.existsSync(directory)).forEach(directory => {
+    fs.readdirSync(directory).forEach(name => {
+      const filePath = path.resolve(directory, name);
+      try {
+        const stats = fs.statSync(filePath);
+        if (!stats.isFile() || stats.mtimeMs >= cutoff || retained.has(filePath)) return;
+        fs.unlinkSync(filePath);
+        purged[directory]++;
+      } catch (error) {
+        console.error(`Could not purge ${filePath}:`, error.message);
+      }
+    });
+  });
+
+  const expiredJobs = Object.values(jobs).filter(job => (
+    FINISHED_JOB_STATUSES.includes(job.status) && !job.inputDropped && Date.parse(job.finishedAt) < cutoff
+  ));
+  if (expiredJobs.length > 0) {
+    expiredJobs.forEach(dropJobInput);
+    saveJobs();
+  }
+
+  if (purged.generated + purged.uploads + purged[REDACTION_DIR] > 0) {
+    console.log(`Purged ${purged.generated} generated file(s), ${purged.uploads} upload(s) and ${purged[REDACTION_DIR]} redaction upload(s) older than ${RETENTION_DAYS} day(s)`);
+  }
+  return purged;
+}
+
+function startRetentionSweeps() {
+  purgeExpiredFiles();
+  setInterval(purgeExpiredFiles, RETENTION_SWEEP_MINUTES * 60 * 1000).unref();
+}
+
+// ---------------------------------------------------------------------------
+// Salesforce connector
+//
+// Reads the record a document is generated for straight from Salesforce, so
+// callers only send objectType and recordId. The connector signs in with the
+// OAuth JWT bearer flow when SALESFORCE_USERNAME and
+// SALESFORCE_PRIVATE_KEY_PATH are set. Otherwise a template admin connects
+// it once with the web server flow (GET /api/salesforce/oauth/authorize),
+// and the refresh token is kept in data/salesforce.json. Both flows need the
+// connected app's SALESFORCE_CLIENT_ID; the web server flow also needs
+// SALESFORCE_CLIENT_SECRET.
+//
+// A record is read with one SOQL query. It asks for all fields of the
+// object, the name of every record it looks up (Account.Name, Owner.Name,
+// ...), the extra field paths the caller asks for and, as lists of rows, the
+// child records of the relationships the caller names. The result is
+// flattened to "Account.Name" style keys, which mapSalesforceFields expects.
+//
+// Generated documents can be attached back to their record as Salesforce
+// Files, optionally setting fields on the record and logging a Task, when
+// generating with "attach" or later with POST /api/documents/:id/salesforce.
+//
+// SALESFORCE_LOGIN_URL points the connector at another login server, such
+// as the local mock in salesforce-mock.js (npm run salesforce-mock).
+// ---------------------------------------------------------------------------
+
+const SALESFORCE_PATH = path.join(DATA_DIR, 'salesforce.json');
+const SALESFORCE_LOGIN_URL = (process.env.SALESFORCE_LOGIN_URL || 'https://login.salesforce.com').replace(/\/+$/, '');
+const SALESFORCE_API_VERSION = process.env.SALESFORCE_API_VERSION || 'v59.0';
+const SALESFORCE_REDIRECT_URI = process.env.SALESFORCE_REDIRECT_URI || `http://localhost:${PORT}/api/salesforce/oauth/callback`;
+const SALESFORCE_ID_REGEX = /^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$/;
+const SALESFORCE_NAME_REGEX = /^[A-Za-z]\w*$/;
+const SALESFORCE_FIELD_PATH_REGEX = /^[A-Za-z]\w*(\.[A-Za-z]\w*){0,4}$/;
+const OAUTH_STATE_TTL_MINUTES = 10;
+
+// Connection made with the web server flow:
+// { instanceUrl, refreshToken, connectedBy, connectedAt }
+let salesforceConnection = null;
+// The access token in use: { instanceUrl, accessToken }
+let salesforceSession = null;
+const salesforceDescribes = new Map();
+const oauthStates = new Map();
+
+function saveSalesforceConnection() {
+  if (!salesforceConnection) {
+    if (fs.existsSync(SALESFORCE_PATH)) fs.unlinkSync(SALESFORCE_PATH);
+    return;
+  }
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR);
+  }
+
+  const tempPath = SALESFORCE_PATH + '.tmp';
+  fs.writeFileSync(tempPath, JSON.stringify(salesforceConnection, null, 2), { mode: 0o600 });
+  fs.renameSync(tempPath, SALESFORCE_PATH);
+}
+
+function loadSalesforceConnectionFromDisk() {
+  if (!fs.existsSync(SALESFORCE_PATH)) return;
+  try {
+    salesforceConnection = JSON.parse(fs.readFileSync(SALESFORCE_PATH, 'utf8'));
+    console.log(`Restored the Salesforce connection to ${salesforceConnection.instanceUrl}`);
+  } catch (error) {
+    console.error('Failed to read the Salesforce connection:', error);
+  }
+}
+
+function usesJwtBearerFlow() {
+  return Boolean(process.env.SALESFORCE_USERNAME && process.env.SALESFORCE_PRIVATE_KEY_PATH);
+}
+
+function isSalesforceConnected() {
+  return usesJwtBearerFlow() || Boolean(salesforceConnection);
+}
+
+// Post a grant to the OAuth token endpoint and return the token response
+async function requestSalesforceToken(grant) {
+  const response = await fetch(`${SALESFORCE_LOGIN_URL}/services/oauth2/token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: new URLSearchParams(grant)
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok || !body.access_token) {
+    throw new Error(`Salesforce sign in failed: ${body.error_description || body.error || `HTTP ${response.status}`}`);
+  }
+  return body;
+}
+
+// Sign in as SALESFORCE_USERNAME with a JWT signed by the key of the
+// connected app's certificate
+async function requestJwtBearerToken() {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: 'RS256' })}.${encode({
+    iss: process.env.SALESFORCE_CLIENT_ID,
+    sub: process.env.SALESFORCE_USERNAME,
+    aud: SALESFORCE_LOGIN_URL,
+    exp: Math.floor(Date.now() / 1000) + 180
+  })}`;
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(unsigned), fs.readFileSync(process.env.SALESFORCE_PRIVATE_KEY_PATH, 'utf8'));
+
+  return requestSalesforceToken({
+    grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+    assertion: `${unsigned}.${signature.toString('base64url')}`
+  });
+}
+
+// The access token to call Salesforce with, signing in when there is none
+async function getSalesforceSession() {
+  if (salesforceSession) return salesforceSession;
+
+  let token;
+  if (usesJwtBearerFlow()) {
+    token = await requestJwtBearerToken();
+  } else if (salesforceConnection) {
+    token = await requestSalesforceToken({
+      grant_type: 'refresh_token',
+      refresh_token: salesforceConnection.refreshToken,
+      client_id: process.env.SALESFORCE_CLIENT_ID,
+      client_secret: process.env.SALESFORCE_CLIENT_SECRET
+    });
+  } else {
+    throw new Error('Salesforce is not connected');
+  }
+  salesforceSession = { instanceUrl: token.instance_url, accessToken: token.access_token };
+  return salesforceSession;
+}
+
+// Call the REST API: GET unless options name another method, with "body"
+// sent as JSON. An expired access token is renewed once.
+async function salesforceRequest(resource, options = {}, retry = true) {
+  const session = await getSalesforceSession();
+  const headers = { Authorization: `Bearer ${session.accessToken}`, Accept: 'application/json' };
+  if (options.body !== undefined) headers['Content-Type'] = 'application/json';
+  const response = await fetch(`${session.instanceUrl}/services/data/${SALESFORCE_API_VERSION}${resource}`, {
+    method: options.method || 'GET',
+    headers,
+    body: options.body !== undefined ? JSON.stringify(options.body) : undefined
+  });
+  if (response.status === 401 && retry) {
+    salesforceSession = null;
+    return salesforceRequest(resource, options, false);
+  }
+
+  // Updates answer 204 without a body
+  const body = response.status === 204 ? null : await response.json().catch(() => null);
+  if (!response.ok) {
+    const message = Array.isArray(body) && body[0] && body[0].message ? body[0].message : `HTTP ${response.status}`;
+    throw new Error(`Salesforce request failed: ${message}`);
+  }
+  return body;
+}
+
+// Object metadata, kept for as long as the server runs
+async function describeSalesforceObject(objectType) {
+  if (!salesforceDescribes.has(objectType)) {
+    salesforceDescribes.set(objectType, await salesforceRequest(`/sobjects/${objectType}/describe`));
+  }
+  return salesforceDescribes.get(objectType);
+}
+
+// Check what a record request names: { objectType, recordId, fields, children }
+// where "fields" are extra field paths and "children" maps child
+// relationship names to the field paths of their rows (true for all fields)
+function parseSalesforceRecordRequest(input) {
+  const { objectType, recordId } = input;
+  if (typeof objectType !== 'string' || !SALESFORCE_NAME_REGEX.test(objectType)) {
+    throw new Error('"objectType" must be the API name of a Salesforce object, such as Opportunity');
+  }
+  if (typeof recordId !== 'string' || !SALESFORCE_ID_REGEX.test(recordId)) {
+    throw new Error('"recordId" must be a 15 or 18 character Salesforce ID');
+  }
+
+  const fields = typeof input.fields === 'string' ? input.fields.split(',').map(field => field.trim()).filter(Boolean) : input.fields || [];
+  if (!Array.isArray(fields) || !fields.every(field => typeof field === 'string' && SALESFORCE_FIELD_PATH_REGEX.test(field))) {
+    throw new Error('"fields" must be a list of field paths such as Account.Owner.Email');
+  }
+
+  const children = parseJsonField(input.children, 'children') || {};
+  if (typeof children !== 'object' || Array.isArray(children)) {
+    throw new Error('"children" must map child relationship names to lists of fields');
+  }
+  Object.entries(children).forEach(([name, childFields]) => {
+    const valid = childFields === true
+      || (Array.isArray(childFields) && childFields.length > 0 && childFields.every(field => typeof field === 'string' && SALESFORCE_FIELD_PATH_REGEX.test(field)));
+    if (!SALESFORCE_NAME_REGEX.test(name) || !valid) {
+      throw new Error(`"children.${name}" must be a list of field paths, or true for all fields`);
+    }
+  });
+
+  return { objectType, recordId, fields, children };
+}
+
+// Fields of an object with the name of each record it looks up. Lookups to
+// more than one object, such as Owner, reach the name through Name.
+async function salesforceRecordFields(objectType) {
+  const describe = await describeSalesforceObject(objectType);
+  const fields = describe.fields.map(field => field.name);
+
+  for (const field of describe.fields) {
+    if (field.type !== 'reference' || !field.relationshipName || field.referenceTo.length === 0) continue;
+    if (field.referenceTo.length > 1) {
+      fields.push(`${field.relationshipName}.Name`);
+      continue;
+    }
+    try {
+      const nameField = (await describeSalesforceObject(field.referenceTo[0])).fields.find(candidate => candidate.nameField);
+      if (nameField) fields.push(`${field.relationshipName}.${nameField.name}`);
+    } catch (error) {
+      // Objects the integration user can't see are left out
+    }
+  }
+  return fields;
+}
+
+// Flatten a record of a query result: lookups become "Account.Name" keys
+// and child relationships lists of flattened rows
+function flattenSalesforceRecord(record, prefix = '', flat = {}) {
+  Object.entries(record).forEach(([key, value]) => {
+    if (key === 'attributes') return;
+    if (value && typeof value === 'object' && Array.isArray(value.records)) {
+      flat[prefix + key] = value.records.map(child => flattenSalesforceRecord(child));
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flattenSalesforceRecord(value, `${prefix}${key}.`, flat);
+    } else {
+      flat[prefix + key] = value;
+    }
+  });
+  return flat;
+}
+
+// Read a record as parseSalesforceRecordRequest describes it, flattened for
+// mapSalesforceFields; null when there is no such record
+async function fetchSalesforceRecord({ objectType, recordId, fields, children }) {
+  const describe = await describeSalesforceObject(objectType);
+  const selected = [...new Set([...(await salesforceRecordFields(objectType)), ...fields])];
+
+  for (const [name, childFields] of Object.entries(children)) {
+    const relationship = describe.childRelationships.find(candidate => candidate.relationshipName === name);
+    if (!relationship) {
+      throw new Error(`${objectType} has no child relationship "${name}"`);
+    }
+    const rowFields = childFields === true ? await salesforceRecordFields(relationship.childSObject) : childFields;
+    selected.push(`(SELECT ${rowFields.join(', ')} FROM ${name})`);
+  }
+
+  const soql = `SELECT ${selected.join(', ')} FROM ${objectType} WHERE Id = '${recordId}' LIMIT 1`;
+  const result = await salesforceRequest(`/query?q=${encodeURIComponent(soql)}`);
+  return result.records.length > 0 ? flattenSalesforceRecord(result.records[0]) : null;
+}
+
+// Check how a document should be attached to its record:
+// { title, fields, task } where "fields" are values to set on the record and
+// "task" is true or { subject, status, description } for a Task noting the
+// generation. Returns null when nothing should be attached.
+function parseSalesforceAttachOptions(input) {
+  if (input === undefined || input === false || input === 'false') return null;
+  const options = input === true || input === 'true' ? {} : input;
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('"attach" must be true or an object with "title", "fields" and "task"');
+  }
+
+  if (options.title !== undefined && (typeof options.title !== 'string' || !options.title.trim() || options.title.length > 255)) {
+    throw new Error('"attach.title" must be text of at most 255 characters');
+  }
+  const fields = options.fields === undefined ? {} : options.fields;
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw new Error('"attach.fields" must be an object of field values');
+  }
+  Object.entries(fields).forEach(([name, value]) => {
+    if (!SALESFORCE_NAME_REGEX.test(name)) {
+      throw new Error(`"attach.fields" names an invalid field "${name}"`);
+    }
+    if (value !== null && !['string', 'number', 'boolean'].includes(typeof value)) {
+      throw new Error(`"attach.fields.${name}" must be text, a number, true/false or null`);
+    }
+  });
+
+  let task = null;
+  if (options.task === true || options.task === 'true') {
+    task = {};
+  } else if (options.task !== undefined && options.task !== false) {
+    task = options.task;
+    if (!task || typeof task !== 'object' || Array.isArray(task)
+      || ['subject', 'status', 'description'].some(key => task[key] !== undefined && typeof task[key] !== 'string')) {
+      throw new Error('"attach.task" must be true or an object with text "subject", "status" and "description"');
+    }
+  }
+
+  return assignDefined({ fields }, { title: options.title && options.title.trim(), task });
+}
+
+// Upload a recorded document as a file of its Salesforce record, then set the
+// record fields and create the Task the options ask for. The ContentVersion
+// is published to the record, which links its ContentDocument there, so it
+// shows in the record's Files list. What was created is returned and kept on
+// the history entry; when the fields or the Task fail, the error says which
+// file was attached already.
+async function attachDocumentToSalesforce(entry, { objectType, recordId }, options, attachedBy) {
+  // Catch misspelt fields before anything is created
+  const { fields } = await describeSalesforceObject(objectType);
+  const unknown = Object.keys(options.fields).filter(name => !fields.some(field => field.name === name));
+  if (unknown.length > 0) {
+    throw new Error(`${objectType} has no field ${unknown.map(name => `"${name}"`).join(', ')}`);
+  }
+
+  const contents = fs.readFileSync(path.join('generated', entry.fileName));
+  const version = await salesforceRequest('/sobjects/ContentVersion', {
+    method: 'POST',
+    body: {
+      Title: options.title || path.basename(entry.fileName, path.extname(entry.fileName)),
+      PathOnClient: entry.fileName,
+      VersionData: contents.toString('base64'),
+      FirstPublishLocationId: recordId
+    }
+  });
+  const soql = `SELECT ContentDocumentId FROM ContentVersion WHERE Id = '${version.id}'`;
+  const { records } = await salesforceRequest(`/query?q=${encodeURIComponent(soql)}`);
+  const attachment = {
+    objectType,
+    recordId,
+    contentVersionId: version.id,
+    contentDocumentId: records[0].ContentDocumentId,
+    attachedAt: new Date().toISOString(),
+    attachedBy
+  };
+  entry.salesforceAttachments = [...(entry.salesforceAttachments || []), attachment];
+  saveDocuments();
+
+  try {
+    if (Object.keys(options.fields).length > 0) {
+      await salesforceRequest(`/sobjects/${objectType}/${recordId}`, { method: 'PATCH', body: options.fields });
+      attachment.updatedFields = Object.keys(options.fields);
+    }
+    if (options.task) {
+      const task = await salesforceRequest('/sobjects/Task', {
+        method: 'POST',
+        body: {
+          Subject: options.task.subject || `Generated ${entry.fileName}`,
+          Status: options.task.status || 'Completed',
+          Description: options.task.description
+            || `Generated from template "${entry.templateName}" (version ${entry.templateVersion})${attachedBy ? ` by ${attachedBy}` : ''}`,
+          ActivityDate: new Date().toISOString().substring(0, 10),
+          // Tasks refer to people (contacts and leads) by WhoId, other records by WhatId
+          [['Contact', 'Lead'].includes(objectType) ? 'WhoId' : 'WhatId']: recordId
+        }
+      });
+      attachment.taskId = task.id;
+    }
+  } catch (error) {
+    throw new Error(`The file was attached as ContentDocument ${attachment.contentDocumentId}, but ${error.message}`);
+  } finally {
+    saveDocuments();
+  }
+  return attachment;
+}
+
+// ---------------------------------------------------------------------------
+// Users and access
+//
+// People sign in to the app with a user name and password and get a session
+// cookie; integrations such as Salesforce send an API key as a bearer token
+// ("Authorization: Bearer <key>" or an X-API-Key header). Every user has one
+// of ROLES:
+//   viewer          reads the templates shared with them and their documents
+//   generator       also generates documents
+//   template-admin  also uploads and edits templates and manages users
+// An API key belongs to a user and carries scopes, which can't go beyond the
+// user's own permissions. Templates belong to whoever uploaded them and are
+// private, shared with one of the owner's teams, or public. Templates from
+// before there were owners are seen only by template admins until one of
+// them takes them over.
+//
+// Users and keys are kept in data/users.json, passwords as scrypt hashes and
+// keys as SHA-256 hashes. Sessions are kept in memory and end after
+// SESSION_TTL_HOURS or when the server restarts. While there are no users the
+// first template admin is created with POST /api/auth/setup, or on start
+// from ADMIN_USERNAME and ADMIN_PASSWORD.
+// ---------------------------------------------------------------------------
+
+const USERS_PATH = path.join(DATA_DIR, 'users.json');
+const SESSION_COOKIE = 'docgen_session';
+const SESSION_TTL_HOURS = parseFloat(process.env.SESSION_TTL_HOURS) || 12;
+const API_KEY_PREFIX = 'dgk_';
+const ROLES = ['viewer', 'generator', 'template-admin'];
+const ROLE_PERMISSIONS = {
+  viewer: ['templates:read', 'documents:read'],
+  generator: ['templates:read', 'documents:read', 'documents:generate'],
+  'template-admin': ['templates:read', 'documents:read', 'documents:generate', 'templates:write', 'users:manage']
+};
+const PERMISSIONS = ROLE_PERMISSIONS['template-admin'];
+const TEMPLATE_VISIBILITIES = ['private', 'team', 'public'];
+const USERNAME_REGEX = /^[A-Za-z0-9._@-]{2,64}$/;
+const TEAM_REGEX = /^[\w .-]{1,64}$/;
+const MIN_PASSWORD_LENGTH = 10;
+
+let users = {};
+let apiKeys = {};
+const sessions = new Map();
+
+function saveUsers() {
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR);
+  }
+
+  const tempPath = USERS_PATH + '.tmp';
+  fs.writeFileSync(tempPath, JSON.stringify({ users: Object.values(users), apiKeys: Object.values(apiKeys) }, null, 2));
+  fs.renameSync(tempPath, USERS_PATH);
+}
+
+// Restore users and API keys; without any users, create the first template
+// admin from ADMIN_USERNAME and ADMIN_PASSWORD when they are set
+function loadUsersFromDisk() {
+  if (fs.existsSync(USERS_PATH)) {
+    try {
+      const stored = JSON.parse(fs.readFileSync(USERS_PATH, 'utf8'));
+      stored.users.forEach(user => { users[user.id] = user; });
+      stored.apiKeys.forEach(key => { apiKeys[key.id] = key; });
+    } catch (error) {
+      console.error('Failed to read users:', error);
+    }
+  }
+
+  if (Object.keys(users).length === 0 && process.env.ADMIN_USERNAME && process.env.ADMIN_PASSWORD) {
+    try {
+      createUser({ username: process.env.ADMIN_USERNAME, password: process.env.ADMIN_PASSWORD, role: 'template-admin' });
+      console.log(`Created template admin "${process.env.ADMIN_USERNAME}" from ADMIN_USERNAME`);
+    } catch (error) {
+      console.error('Could not create the admin from ADMIN_USERNAME:', error.message);
+    }
+  }
+  if (Object.keys(users).length === 0) {
+    console.log('No users yet: create the first template admin with POST /api/auth/setup or in the app');
+  }
+}
+
+function newId() {
+  return `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// scrypt hash of a password as "salt:hash" in hex
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  return `${salt.toString('hex')}:${crypto.scryptSync(password, salt, 64).toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [salt, hash] = stored.split(':');
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Check the fields of a new user, or the changes to an existing one, and
+// return them cleaned up
+function normalizeUserInput(input, existing) {
+  const user = {};
+  if (!existing) {
+    if (typeof input.username !== 'string' || !USERNAME_REGEX.test(input.username)) {
+      throw new Error('"username" must be 2 to 64 letters, digits or . _ @ -');
+    }
+    if (Object.values(users).some(other => other.username.toLowerCase() === input.username.toLowerCase())) {
+      throw new Error(`User "${input.username}" already exists`);
+    }
+    user.username = input.username;
+  }
+  if (input.password !== undefined || !existing) {
+    if (typeof input.password !== 'string' || input.password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`"password" must have at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    user.passwordHash = hashPassword(input.password);
+  }
+  if (input.role !== undefined || !existing) {
+    if (!ROLES.includes(input.role)) throw new Error(`"role" must be one of ${ROLES.join(', ')}`);
+    user.role = input.role;
+  }
+  if (input.teams !== undefined || !existing) {
+    const teams = input.teams === undefined ? [] : input.teams;
+    if (!Array.isArray(teams) || !teams.every(team => typeof team === 'string' && TEAM_REGEX.test(team))) {
+      throw new Error('"teams" must be a list of team names');
+    }
+    user.teams = [...new Set(teams)];
+  }
+  return user;
+}
+
+function createUser(input) {
+  const user = { id: newId(), ...normalizeUserInput(input), createdAt: new Date().toISOString() };
+  users[user.id] = user;
+  saveUsers();
+  return user;
+}
+
+// User details for clients, without the password hash
+function toUserSummary(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    teams: user.teams,
+    permissions: ROLE_PERMISSIONS[user.role],
+    createdAt: user.createdAt
+  };
+}
+
+// API key details for clients; the key itself is only shown when created
+function toApiKeySummary(key) {
+  const owner = users[key.userId];
+  return {
+    id: key.id,
+    name: key.name,
+    prefix: key.prefix,
+    scopes: key.scopes,
+    user: owner ? owner.username : null,
+    createdAt: key.createdAt,
+    lastUsedAt: key.lastUsedAt || null,
+    revokedAt: key.revokedAt || null
+  };
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  (header || '').split(';').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index === -1) return;
+    try {
+      cookies[pair.substring(0, index).trim()] = decodeURIComponent(pair.substring(index + 1).trim());
+    } catch (error) {
+      // Ignore cookies that aren't ours and aren't URI-encoded
+    }
+  });
+  return cookies;
+}
+
+// Start a session; returns the Set-Cookie value that carries it
+function startSession(req, user) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const maxAge = Math.round(SESSION_TTL_HOURS * 3600);
+  sessions.set(hashToken(token), { userId: user.id, expiresAt: Date.now() + maxAge * 1000 });
+  return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${req.secure ? '; Secure' : ''}`;
+}
+
+// Work out who is making a request, from an API key or a session cookie.
+// Sets req.user and req.permissions; requests without credentials are left
+// anonymous for requirePermission to turn away, bad API keys are refused.
+function authenticate(req, res, next) {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  const token = bearer ? bearer[1] : req.get('X-API-Key');
+  if (token) {
+    const hash = hashToken(token);
+    const key = Object.values(apiKeys).find(candidate => candidate.hash === hash);
+    const user = key && !key.revokedAt && users[key.userId];
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid or revoked API key' });
+    }
+
+    // Last use is saved at most once a minute
+    const now = new Date();
+    if (!key.lastUsedAt || now - new Date(key.lastUsedAt) > 60000) {
+      key.lastUsedAt = now.toISOString();
+      saveUsers();
+    }
+    req.user = user;
+    req.apiKey = key;
+    req.permissions = key.scopes.filter(scope => ROLE_PERMISSIONS[user.role].includes(scope));
+    return next();
+  }
+
+  const sessionToken = parseCookies(req.get('Cookie'))[SESSION_COOKIE];
+  const sessionHash = sessionToken && hashToken(sessionToken);
+  const session = sessionHash && sessions.get(sessionHash);
+  if (session && session.expiresAt > Date.now() && users[session.userId]) {
+    req.user = users[session.userId];
+    req.permissions = ROLE_PERMISSIONS[req.user.role];
+    req.sessionHash = sessionHash;
+  } else if (session) {
+    sessions.delete(sessionHash);
+  }
+  next();
+}
+
+// Sign a user out everywhere, except from the session given
+function endUserSessions(userId, keepHash) {
+  sessions.forEach((session, hash) => {
+    if (session.userId === userId && hash !== keepHash) sessions.delete(hash);
+  });
+}
+
+// Route guard: the request must come from a user with the permission
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Sign in or send an API key' });
+    }
+    if (!req.permissions.includes(permission)) {
+      return res.status(403).json({ error: `This needs the "${permission}" permission` });
+    }
+    next();
+  };
+}
+
+function canReadTemplate(user, template) {
+  if (!template.ownerId) return user.role === 'template-admin';
+  return template.ownerId === user.id
+    || template.visibility === 'public'
+    || (template.visibility === 'team' && user.teams.includes(template.team));
+}
+
+// Owners change their templates; template admins of the team share team
+// templates, and any template admin can take over templates without an owner
+function canManageTemplate(user, template) {
+  if (user.role !== 'template-admin') return false;
+  return !template.ownerId
+    || template.ownerId === user.id
+    || (template.visibility === 'team' && user.teams.includes(template.team));
+}
+
+// The template a request names when its user may see it. Templates that
+// aren't shared with them look the same as ones that don't exist.
+function findReadableTemplate(req, templateId) {
+  const template = templates[templateId];
+  return template && canReadTemplate(req.user, template) ? template : null;
+}
+
+// Sharing details of a template for clients
+function toTemplateAccess(user, template) {
+  const owner = users[template.ownerId];
+  return {
+    owner: owner ? owner.username : null,
+    visibility: template.visibility || 'private',
+    team: template.team || null,
+    canManage: canManageTemplate(user, template)
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Document history
+//
+// Every generated document is recorded in data/documents.json: the template
+// version and variables it was made from, the output format, who asked for it
+// and from where (the app, the API, Salesforce, a batch or a packet), and the
+// SHA-256 checksum of the file, so old documents can be found, checked and
+// generated again. Documents from a batch are recorded one per row and name
+// the ZIP archive they're in; packets likewise record one document per
+// template section, named after the section, and the packet they're in. Lists leave the variables out; they can hold personal
+// data and only come with a single document.
+// ---------------------------------------------------------------------------
+
+const DOCUMENTS_PATH = path.join(DATA_DIR, 'documents.json');
+const DOCUMENT_SOURCES = ['ui', 'api', 'salesforce', 'batch', 'packet'];
+const DEFAULT_DOCUMENT_PAGE_SIZE = 50;
+const MAX_DOCUMENT_PAGE_SIZE = 200;
+
+let documents = {};
+
+function saveDocuments() {
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR);
+  }
+
+  const tempPath = DOCUMENTS_PATH + '.tmp';
+  fs.writeFileSync(tempPath, JSON.stringify(Object.values(documents), null, 2));
+  fs.renameSync(tempPath, DOCUMENTS_PATH);
+}
+
+function loadDocumentsFromDisk() {
+  if (!fs.existsSync(DOCUMENTS_PATH)) {
+    return;
+  }
+
+  let migrated = false;
+  try {
+    JSON.parse(fs.readFileSync(DOCUMENTS_PATH, 'utf8')).forEach(entry => {
+      if (entry.requestedById === undefined) {
+        entry.requestedById = requesterIdByName(entry.requestedBy);
+        migrated = true;
+      }
+      documents[entry.id] = entry;
+    });
+  } catch (error) {
+    console.error('Failed to read document history:', error);
+    return;
+  }
+  if (migrated) saveDocuments();
+  console.log(`Restored ${Object.keys(documents).length} document record(s) from ${DOCUMENTS_PATH}`);
+}
+
+// Who asked for a generation: the signed in user, or the owner of the API key
+function requesterOf(req) {
+  return req.user ? req.user.username : null;
+}
+
+// ID of the requester. Ownership is checked on it, since a removed user's
+// name can be taken by a new account.
+function requesterIdOf(req) {
+  return req.user ? req.user.id : null;
+}
+
+// User ID for a record saved with only the requester's name. Names are
+// unique among current users; records of removed users belong to no one.
+function requesterIdByName(username) {
+  const user = username && Object.values(users).find(candidate => candidate.username === username);
+  return user ? user.id : null;
+}
+
+// Where a generation request came from; the app says so itself
+function generationSourceOf(req) {
+  return req.body && req.body.source === 'ui' ? 'ui' : 'api';
+}
+
+// Record a generated document. The checksum is taken from its contents.
+function recordDocument(template, versionData, details, contents) {
+  const entry = assignDefined({
+    id: `${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+    fileName: details.fileName,
+    templateId: template.id,
+    templateName: template.name,
+    templateVersion: versionData.version,
+    format: details.format,
+    source: details.source,
+    requestedBy: details.requestedBy || null,
+    requestedById: details.requestedById || null
+  }, {
+    archive: details.archive,
+    recordId: details.recordId,
+    objectType: details.objectType,
+    regeneratedFrom: details.regeneratedFrom
+  });
+  Object.assign(entry, {
+    variables: details.variables,
+    checksum: crypto.createHash('sha256').update(contents).digest('hex'),
+    size: contents.length,
+    createdAt: new Date().toISOString()
+  });
+
+  documents[entry.id] = entry;
+  saveDocuments();
+  return entry;
+}
+
+// Record a document that was generated into generated/
+function recordGeneratedFile(template, versionData, details) {
+  return recordDocument(template, versionData, details, fs.readFileSync(path.join('generated', details.fileName)));
+}
+
+// Callback for generateBatch that records each row's document as part of its archive
+function batchDocumentRecorder(template, versionData, { zipFileName, format, requestedBy, requestedById }) {
+  return (variables, fileName, contents) => recordDocument(template, versionData, {
+    fileName,
+    archive: zipFileName,
+    format,
+    source: 'batch',
+    requestedBy,
+    requestedById,
+    variables
+  }, contents);
+}
+
+// Callback for buildPdfPacket that records each template section as part of its packet
+function packetDocumentRecorder({ fileName, requestedBy, requestedById }) {
+  return (section, contents) => {
+    const template = templates[section.templateId];
+    recordDocument(template, getTemplateVersion(template, section.version), {
+      fileName: `${section.title}.pdf`,
+      archive: fileName,
+      format: 'pdf',
+      source: 'packet',
+      requestedBy,
+      requestedById,
+      variables: section.variables
+    }, contents);
+  };
+}
+
+// Document details for lists, without the variables
+function toDocumentSummary(entry) {
+  const { variables, ...summary } = entry;
+  return { ...summary, downloadUrl: downloadUrlFor(entry.archive || entry.fileName) };
+}
+
+// Text of a document's variables for searching; images are left out
+function documentVariablesText(variables) {
+  return JSON.stringify(variables, (key, value) => (
+    typeof value === 'string' && value.startsWith('data:') ? undefined : value
+  )) || '';
+}
+
+// Filter documents by the query parameters of a history request. "q"
+// searches file and template names, requester, record ID and variable values.
+function filterDocuments(query) {
+  const date = name => {
+    if (query[name] === undefined) return undefined;
+    const parsed = parseTemplateDate(query[name]);
+    if (!parsed) throw new Error(`"${name}" must be a date`);
+    // A plain date as "to" includes the whole day
+    if (name === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) parsed.setDate(parsed.getDate() + 1);
+    return parsed.toISOString();
+  };
+  const from = date('from');
+  const to = date('to');
+  if (query.source !== undefined && !DOCUMENT_SOURCES.includes(query.source)) {
+    throw new Error(`"source" must be one of ${DOCUMENT_SOURCES.join(', ')}`);
+  }
+  const text = query.q ? String(query.q).toLowerCase() : '';
+
+  return Object.values(documents)
+    .filter(entry => !query.templateId || entry.templateId === query.templateId)
+    .filter(entry => !query.format || entry.format === query.format)
+    .filter(entry => !query.source || entry.source === query.source)
+    .filter(entry => !query.requestedBy || (entry.requestedBy || '').toLowerCase() === String(query.requestedBy).toLowerCase())
+    .filter(entry => !query.recordId || entry.recordId === query.recordId)
+    .filter(entry => !from || entry.createdAt >= from)
+    .filter(entry => !to || entry.createdAt < to)
+    .filter(entry => !text || [
+      entry.fileName, entry.archive, entry.templateName, entry.requestedBy, entry.recordId,
+      documentVariablesText(entry.variables)
+    ].some(value => value && value.toLowerCase().includes(text)))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Users see the documents they generated, template admins those of the
+// templates they manage and user admins all of them. Reading a template
+// isn't enough: its documents hold other people's values.
+function canSeeDocument(req, entry) {
+  const template = templates[entry.templateId];
+  return entry.requestedById === req.user.id
+    || req.permissions.includes('users:manage')
+    || Boolean(template && canManageTemplate(req.user, template));
+}
+
+// Whether a recorded document's file is still there and unchanged
+function checkDocumentFile(entry) {
+  const filePath = path.join('generated', entry.archive || entry.fileName);
+  if (!fs.existsSync(filePath)) return { available: false };
+  if (entry.archive) return { available: true };
+  const checksum = crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+  return { available: true, unchanged: checksum === entry.checksum };
+}
+
+// ---------------------------------------------------------------------------
+// Generation jobs
+//
+// Generation requests made with "async" return a job ID straight away and run
+// in an in-process queue, at most JOB_CONCURRENCY at a time. Jobs are saved to
+// data/jobs.json on every change, progress at most every JOB_PROGRESS_SAVE_MS;
+// jobs that were running when the server stopped are queued again on start.
+// The rows, variables and sections a job was given can be large, with images
+// as data URLs, so each job's input is written once to its own file in
+// data/job-inputs/ and jobs.json only holds the rest.
+// Queued jobs can be cancelled outright, running ones stop at the next row or
+// document; failed and cancelled jobs can be retried. The rows, variables and
+// sections a job was given can hold personal data, so they're dropped once it
+// succeeds, and from failed and cancelled jobs after the retention period.
+// ---------------------------------------------------------------------------
+
+const JOBS_PATH = path.join(DATA_DIR, 'jobs.json');
+const JOB_INPUTS_DIR = path.join(DATA_DIR, 'job-inputs');
+const JOB_CONCURRENCY = Math.max(parseInt(process.env.JOB_CONCURRENCY, 10) || 2, 1);
+const MAX_FINISHED_JOBS = 500;
+const FINISHED_JOB_STATUSES = ['succeeded', 'failed', 'cancelled'];
+const JOB_PROGRESS_SAVE_MS = 1000;
+const JOB_INPUT_PARAMS = ['rows', 'variables', 'sections'];
+
+let jobs = {};
+let runningJobCount = 0;
+let lastJobProgressSave = 0;
+let jobsSaving = false;
+let jobsSaveAgain = false;
+
+// Template version a job was created for
+function resolveJobTemplate(job) {
+  const template = templates[job.params.templateId];
+  if (!template) {
+    throw new Error('Template not found');
+  }
+  const versionData = getTemplateVersion(template, job.params.version);
+  if (!versionData) {
+    throw new Error('Template version not found');
+  }
+  return { template, versionData };
+}
+
+// Job types and how to run them; each returns the job's result
+const jobHandlers = {
+  generate: async job => {
+    const { template, versionData } = resolveJobTemplate(job);
+    const { variables, format, flatten, fileName, source, requestedBy, requestedById, regeneratedFrom } = job.params;
+    await generateDocumentFile(versionData, variables, format, fileName, { flatten, pageSetup: template.pageSetup });
+    const record = recordGeneratedFile(template, versionData, {
+      fileName, format, source: source || 'api', requestedBy, requestedById, regeneratedFrom, variables
+    });
+    return {
+      downloadUrl: downloadUrlFor(fileName),
+      format: format,
+      filename: fileName,
+      templateVersion: versionData.version,
+      documentId: record.id
+    };
+  },
+
+  salesforce: async job => {
+    const { template, versionData } = resolveJobTemplate(job);
+    const { variables, format, flatten, fileName, recordId, objectType, attach, requestedBy, requestedById } = job.params;
+    await generateDocumentFile(versionData, variables, format, fileName, { flatten, pageSetup: template.pageSetup });
+    const record = recordGeneratedFile(template, versionData, {
+      fileName, format, source: 'salesforce', requestedBy, requestedById, recordId, objectType, variables
+    });
+    let attachment;
+    if (attach) {
+      try {
+        attachment = await attachDocumentToSalesforce(record, { objectType, recordId }, attach, requestedBy);
+      } catch (error) {
+        throw new Error(`Document ${record.id} was generated but attaching it to Salesforce failed: ${error.message}`);
+      }
+    }
+    return assignDefined({
+      success: true,
+      filename: fileName,
+      downloadUrl: downloadUrlFor(fileName),
+      format: format,
+      recordId: recordId,
+      templateName: template.name,
+      templateVersion: versionData.version,
+      documentId: record.id
+    }, { attachment });
+  },
+
+  batch: async job => {
+    const { template, versionData } = resolveJobTemplate(job);
+    const { rows, format, fileNamePattern, mapping, flatten, zipFileName, requestedBy, requestedById } = job.params;
+    const report = await generateBatch(versionData, rows, {
+      format,
+      fileNamePattern,
+      mapping,
+      flatten,
+      pageSetup: template.pageSetup,
+      zipPath: path.join('generated', zipFileName),
+      onProgress: (completed, total) => updateJobProgress(job, completed, total),
+      onDocument: batchDocumentRecorder(template, versionData, { zipFileName, format, requestedBy, requestedById }),
+      isCancelled: () => job.cancelRequested
+    });
+    return summarizeBatch(report, rows.length, zipFileName, versionData);
+  },
+
+  packet: async job => {
+    const { sections, title, tableOfContents, pageNumbers, fileName, requestedBy, requestedById } = job.params;
+    const packetInfo = await buildPdfPacket(sections, {
+      title,
+      tableOfContents,
+      pageNumbers,
+      outputPath: path.join('generated', fileName),
+      onProgress: (completed, total) => updateJobProgress(job, completed, total),
+      onSection: packetDocumentRecorder({ fileName, requestedBy, requestedById }),
+      isCancelled: () => job.cancelRequested
+    });
+    return summarizePacket(packetInfo, fileName);
+  }
+};
+
+// Write the jobs to disk without their input, dropping the oldest finished
+// jobs beyond the limit. Writes don't block requests; changes made while one
+// is under way are saved by a single write after it.
+function saveJobs() {
+  const finished = Object.values(jobs)
+    .filter(job => FINISHED_JOB_STATUSES.includes(job.status))
+    .sort((a, b) => b.finishedAt.localeCompare(a.finishedAt));
+  finished.slice(MAX_FINISHED_JOBS).forEach(job => {
+    removeJobInput(job);
+    delete jobs[job.id];
+  });
+
+  if (jobsSaving) {
+    jobsSaveAgain = true;
+    return;
+  }
+  jobsSaving = true;
+
+  const saved = Object.values(jobs).map(job => {
+    const params = { ...job.params };
+    JOB_INPUT_PARAMS.forEach(name => delete params[name]);
+    return { ...job, params };
+  });
+  const tempPath = JOBS_PATH + '.tmp';
+  fs.promises.mkdir(DATA_DIR, { recursive: true })
+    .then(() => fs.promises.writeFile(tempPath, JSON.stringify(saved, null, 2)))
+    .then(() => fs.promises.rename(tempPath, JOBS_PATH))
+    .catch(error => console.error('Failed to save jobs:', error))
+    .finally(() => {
+      jobsSaving = false;
+      if (jobsSaveAgain) {
+        jobsSaveAgain = false;
+        saveJobs();
+      }
+    });
+}
+
+function jobInputPath(job) {
+  return path.join(JOB_INPUTS_DIR, `${job.id}.json`);
+}
+
+// Write the input of a new job to its own file
+function spoolJobInput(job) {
+  const input = {};
+  JOB_INPUT_PARAMS.forEach(name => {
+    if (job.params[name] !== undefined) input[name] = job.params[name];
+  });
+  fs.promises.mkdir(JOB_INPUTS_DIR, { recursive: true })
+    .then(() => fs.promises.writeFile(jobInputPath(job), JSON.stringify(input)))
+    // A job that was quick to finish may have dropped its input already
+    .then(() => job.inputDropped && removeJobInput(job))
+    .catch(error => console.error(`Failed to save the input of job ${job.id}:`, error));
+}
+
+function removeJobInput(job) {
+  fs.promises.unlink(jobInputPath(job)).catch(error => {
+    if (error.code !== 'ENOENT') console.error(`Failed to delete the input of job ${job.id}:`, error);
+  });
+}
+
+// Restore saved jobs; interrupted jobs go back into the queue
+function loadJobsFromDisk() {
+  if (!fs.existsSync(JOBS_PATH)) {
+    return;
+  }
+
+  let migrated = false;
+  try {
+    JSON.parse(fs.readFileSync(JOBS_PATH, 'utf8')).forEach(job => {
+      // Jobs saved before requesters were recorded by ID, or before inputs were dropped on success
+      if (job.params.requestedById === undefined) {
+        job.params.requestedById = requesterIdByName(job.params.requestedBy);
+        migrated = true;
+      }
+      if (job.status === 'running') {
+        job.status = job.cancelRequested ? 'cancelled' : 'queued';
+        if (job.status === 'cancelled') job.finishedAt = new Date().toISOString();
+      }
+      if (job.status === 'succeeded' && !job.inputDropped) {
+        dropJobInput(job);
+        migrated = true;
+      } else if (!job.inputDropped) {
+        if (JOB_INPUT_PARAMS.some(name => job.params[name] !== undefined)) {
+          // Saved before inputs had files of their own
+          spoolJobInput(job);
+          migrated = true;
+        } else if (fs.existsSync(jobInputPath(job))) {
+          Object.assign(job.params, JSON.parse(fs.readFileSync(jobInputPath(job), 'utf8')));
+        } else {
+          // The server stopped before the input was written
+          job.inputDropped = true;
+          if (job.status === 'queued') {
+            job.status = 'failed';
+            job.error = 'The input of this job was lost when the server stopped; start it again';
+            job.finishedAt = new Date().toISOString();
+          }
+          migrated = true;
+        }
+      }
+      jobs[job.id] = job;
+    });
+  } catch (error) {
+    console.error('Failed to read saved jobs:', error);
+    return;
+  }
+  if (migrated) saveJobs();
+
+  const queued = Object.values(jobs).filter(job => job.status === 'queued').length;
+  console.log(`Restored ${Object.keys(jobs).length} job(s) from ${JOBS_PATH}, ${queued} queued`);
+}
+
+// Queue a job and start it if a slot is free
+function enqueueJob(type, params, total = 1) {
+  const job = {
+    id: `${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+    type: type,
+    status: 'queued',
+    params: params,
+    progress: { completed: 0, total: total, percent: 0 },
+    attempts: 0,
+    createdAt: new Date().toISOString()
+  };
+  jobs[job.id] = job;
+  spoolJobInput(job);
+  saveJobs();
+  processJobQueue();
+  return job;
+}
+
+// Progress is kept in memory and saved now and then; saving rewrites every job
+function updateJobProgress(job, completed, total) {
+  job.progress = { completed, total, percent: total > 0 ? Math.round(completed / total * 100) : 0 };
+  if (Date.now() - lastJobProgressSave >= JOB_PROGRESS_SAVE_MS) {
+    lastJobProgressSave = Date.now();
+    saveJobs();
+  }
+}
+
+// Drop the input of a job that won't run again
+function dropJobInput(job) {
+  JOB_INPUT_PARAMS.forEach(name => delete job.params[name]);
+  job.inputDropped = true;
+  removeJobInput(job);
+}
+
+// Start queued jobs, oldest first, while there are free slots
+function processJobQueue() {
+  while (runningJobCount < JOB_CONCURRENCY) {
+    const next = Object.values(jobs)
+      .filter(job => job.status === 'queued')
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0];
+    if (!next) return;
+    runJob(next);
+  }
+}
+
+async function runJob(job) {
+  runningJobCount++;
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  job.attempts++;
+  saveJobs();
+
+  try {
+    job.result = await jobHandlers[job.type](job);
+    job.status = job.cancelRequested ? 'cancelled' : 'succeeded';
+    if (job.status === 'succeeded') {
+      job.progress = { ...job.progress, completed: job.progress.total, percent: 100 };
+    }
+  } catch (error) {
+    console.error(`Job ${job.id} failed:`, error);
+    job.status = job.cancelRequested ? 'cancelled' : 'failed';
+    job.error = error.message;
+  } finally {
+    job.finishedAt = new Date().toISOString();
+    if (job.status === 'succeeded') dropJobInput(job);
+    runningJobCount--;
+    saveJobs();
+    processJobQueue();
+  }
+}
+
+// Job details for clients; parameters can hold personal data and stay private
+function toJobSummary(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    templateId: job.params.templateId,
+    progress: job.progress,
+    attempts: job.attempts,
+    cancelRequested: job.cancelRequested || false,
+    // Download links expire, so results get a fresh one whenever they're looked at
+    result: job.result && job.result.filename ? { ...job.result, downloadUrl: downloadUrlFor(job.result.filename) } : job.result || null,
+    error: job.error || null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    finishedAt: job.finishedAt || null,
+    statusUrl: `/api/jobs/${job.id}`
+  };
+}
+
+// Users see the jobs they started; user admins see every job
+function canSeeJob(req, job) {
+  return job.params.requestedById === req.user.id || req.permissions.includes('users:manage');
+}
+
+// Whether a generation request asked to run as a job
+function wantsAsync(req) {
+  return [req.body.async, req.query.async].some(value => value === true || value === 'true');
+}
+
+// Routes
+
+// Whether a user is the only template admin left, who can't be removed or demoted
+function isLastTemplateAdmin(user) {
+  return user.role === 'template-admin'
+    && Object.values(users).filter(other => other.role === 'template-admin').length === 1;
+}
+
+// Create the first template admin and sign them in; only while there are no users
+app.post('/api/auth/setup', (req, res) => {
+  if (Object.keys(users).length > 0) {
+    return res.status(409).json({ error: 'The app is already set up; sign in instead' });
+  }
+
+  let user;
+  try {
+    user = createUser({ username: req.body.username, password: req.body.password, role: 'template-admin', teams: req.body.teams });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  res.setHeader('Set-Cookie', startSession(req, user));
+  res.status(201).json(toUserSummary(user));
+});
+
+// Sign in with a user name and password; the session travels in a cookie
+app.post('/api/auth/login', (req, res) => {
+  const { username, password } = req.body;
+  const user = typeof username === 'string'
+    && Object.values(users).find(candidate => candidate.username.toLowerCase() === username.toLowerCase());
+  if (!user || typeof password !== 'string' || !verifyPassword(password, user.passwordHash)) {
+    return res.status(401).json({ error: 'Invalid user name or password' });
+  }
+
+  res.setHeader('Set-Cookie', startSession(req, user));
+  res.json(toUserSummary(user));
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  const token = parseCookies(req.get('Cookie'))[SESSION_COOKIE];
+  if (token) {
+    sessions.delete(hashToken(token));
+  }
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`);
+  res.json({ success: true });
+});
+
+// The signed in user, with the permissions of the request. "setupRequired"
+// tells the app to offer creating the first template admin.
+app.get('/api/auth/me', (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not signed in', setupRequired: Object.keys(users).length === 0 });
+  }
+  res.json({ ...toUserSummary(req.user), permissions: req.permissions, apiKey: req.apiKey ? toApiKeySummary(req.apiKey) : null });
+});
+
+app.get('/api/users', requirePermission('users:manage'), (req, res) => {
+  res.json(Object.values(users).sort((a, b) => a.username.localeCompare(b.username)).map(toUserSummary));
+});
+
+// Add a user: { username, password, role, teams }
+app.post('/api/users', requirePermission('users:manage'), (req, res) => {
+  try {
+    res.status(201).json(toUserSummary(createUser(req.body)));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Change a user's password, role or teams
+app.put('/api/users/:id', requirePermission('users:manage'), (req, res) => {
+  const user = users[req.params.id];
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  let changes;
+  try {
+    changes = normalizeUserInput(req.body, user);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (changes.role && changes.role !== 'template-admin' && isLastTemplateAdmin(user)) {
+    return res.status(409).json({ error: 'The last template admin keeps their role' });
+  }
+
+  // A new password or role takes effect at once: the user signs in again,
+  // apart from admins changing themselves, who keep the session they're using
+  const revokeSessions = changes.passwordHash !== undefined || (changes.role !== undefined && changes.role !== user.role);
+  Object.assign(user, changes);
+  if (revokeSessions) {
+    endUserSessions(user.id, user.id === req.user.id ? req.sessionHash : undefined);
+  }
+  saveUsers();
+  res.json(toUserSummary(user));
+});
+
+// Remove a user with their sessions and API keys. Their templates stay and
+// can be taken over by a template admin.
+app.delete('/api/users/:id', requirePermission('users:manage'), (req, res) => {
+  const user = users[req.params.id];
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  if (user.id === req.user.id) {
+    return res.status(409).json({ error: 'You can\'t remove yourself' });
+  }
+  if (isLastTemplateAdmin(user)) {
+    return res.status(409).json({ error: 'The last template admin can\'t be removed' });
+  }
+
+  delete users[user.id];
+  Object.values(apiKeys).filter(key => key.userId === user.id).forEach(key => { delete apiKeys[key.id]; });
+  endUserSessions(user.id);
+  Object.values(templates).filter(template => template.ownerId === user.id).forEach(template => { delete template.ownerId; });
+  saveUsers();
+  saveTemplateIndex();
+  res.json({ success: true, id: user.id });
+});
+
+// The caller's API keys; user admins see everyone's
+app.get('/api/api-keys', requirePermission('templates:read'), (req, res) => {
+  const manageAll = req.permissions.includes('users:manage');
+  res.json(Object.values(apiKeys)
+    .filter(key => manageAll || key.userId === req.user.id)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(toApiKeySummary));
+});
+
+// Create an API key for the signed in user: { name, scopes }. Scopes default
+// to all of the user's permissions. The key is in the response and can't be
+// shown again.
+app.post('/api/api-keys', requirePermission('templates:read'), (req, res) => {
+  if (req.apiKey) {
+    return res.status(403).json({ error: 'API keys can only be created when signed in' });
+  }
+
+  const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+  if (!name) {
+    return res.status(400).json({ error: 'Give the key a "name"' });
+  }
+  const allowed = ROLE_PERMISSIONS[req.user.role];
+  const scopes = req.body.scopes === undefined ? allowed : req.body.scopes;
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => PERMISSIONS.includes(scope))) {
+    return res.status(400).json({ error: `"scopes" must be a list of ${PERMISSIONS.join(', ')}` });
+  }
+  const beyond = scopes.filter(scope => !allowed.includes(scope));
+  if (beyond.length > 0) {
+    return res.status(403).json({ error: `Your role doesn't have ${beyond.join(', ')}` });
+  }
+
+  const token = API_KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+  const key = {
+    id: newId(),
+    name,
+    prefix: token.substring(0, API_KEY_PREFIX.length + 6),
+    hash: hashToken(token),
+    scopes: [...new Set(scopes)],
+    userId: req.user.id,
+    createdAt: new Date().toISOString()
+  };
+  apiKeys[key.id] = key;
+  saveUsers();
+  res.status(201).json({ ...toApiKeySummary(key), key: token });
+});
+
+// Revoke an API key; it stays listed with the time it was revoked
+app.delete('/api/api-keys/:id', requirePermission('templates:read'), (req, res) => {
+  const key = apiKeys[req.params.id];
+  if (!key || (key.userId !== req.user.id && !req.permissions.includes('users:manage'))) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+
+  if (!key.revokedAt) {
+    key.revokedAt = new Date().toISOString();
+    saveUsers();
+  }
+  res.json(toApiKeySummary(key));
+});
+
+// Upload template
+// The uploaded file is deleted on every path that doesn't keep it as a version
+app.post('/api/upload-template', requirePermission('templates:write'), upload.single('template'), async (req, res) => {
+  let kept = false;
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const filePath = req.file.path;
+    const originalName = req.file.originalname;
+    // Template names are shown to everyone the template is shared with
+    if (/[<>"'`&]/.test(originalName)) {
+      return res.status(400).json({ error: 'Template file names can\'t contain < > " \' ` or &' });
+    }
+    
+    // Extract content and formatting from file
+    const contentData = await extractContentFromFile(filePath, originalName);
+    let variables;
+    let schema;
+    try {
+      variables = extractTemplateVariables(contentData);
+      schema = extractTemplateSchema(contentData);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    const fileExt = path.extname(originalName).toLowerCase();
+
+    // A re-upload becomes a new version of the template it names, or of the
+    // user's existing template with the same file name
+    let template = null;
+    if (req.body.templateId) {
+      template = findReadableTemplate(req, req.body.templateId);
+      if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+      if (!canManageTemplate(req.user, template)) {
+        return res.status(403).json({ error: 'Only the owner of this template can change it' });
+      }
+    } else {
+      template = Object.values(templates).find(t => t.name === originalName && canManageTemplate(req.user, t)) || null;
+    }
+
+    const uploadedAt = new Date().toISOString();
+    if (!template) {
+      template = {
+        id: Date.now().toString(),
+        name: originalName,
+        createdAt: uploadedAt,
+        ownerId: req.user.id,
+        visibility: 'private',
+        team: null,
+        versions: []
+      };
+    }
+
+    // Field definitions edited on the previous version carry over to variables that remain
+    const previousVersion = getTemplateVersion(template);
+    const fields = mergeFieldDefinitions(
+      inferFieldDefinitions(variables, schema, contentData.formFields),
+      previousVersion && editedFieldDefinitions(previousVersion)
+    );
+
+    const versionData = {
+      version: template.versions.reduce((max, v) => Math.max(max, v.version), 0) + 1,
+      name: originalName,
+      contentData: contentData, // Store full content data including formatting
+      variables: variables,
+      schema: schema,
+      fields: fields,
+      filePath: filePath,
+      originalFormat: fileExt.substring(1), // Remove the dot
+      uploadedAt: uploadedAt
+    };
+    template.versions.push(versionData);
+    templates[template.id] = template;
+    kept = true;
+    setCurrentVersion(template, versionData);
+    saveTemplateIndex();
+
+    res.json({
+      templateId: template.id,
+      version: versionData.version,
+      name: originalName,
+      variables: variables,
+      schema: schema,
+      fields: fields,
+      formFields: contentData.formFields || [],
+      format: fileExt.substring(1),
+      hasFormatting: contentData.hasRichFormatting || false
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  } finally {
+    if (req.file && !kept) {
+      fs.promises.unlink(req.file.path).catch(error => {
+        if (error.code !== 'ENOENT') console.error(`Could not delete upload ${req.file.path}:`, error.message);
+      });
+    }
+  }
+});
+
+// Get all templates
+app.get('/api/templates', requirePermission('templates:read'), (req, res) => {
+  const templateList = Object.values(templates).filter(t => canReadTemplate(req.user, t)).map(t => ({
+    id: t.id,
+    name: t.name,
+    variables: t.variables,
+    originalFormat: t.originalFormat,
+    hasFormatting: t.contentData.hasRichFormatting || false,
+    currentVersion: t.currentVersion,
+    versionCount: t.versions.length,
+    ...toTemplateAccess(req.user, t)
+  }));
+  res.json(templateList);
+});
+
+// Get specific template
+app.get('/api/templates/:id', requirePermission('templates:read'), (req, res) => {
+  const template = findReadableTemplate(req, req.params.id);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+
+  const { versions, ...details } = template;
+  res.json({
+    ...details,
+    ...toTemplateAccess(req.user, template),
+    pageSetup: toPageSetupResponse(template.pageSetup || DEFAULT_PAGE_SETUP),
+    versions: versions.map(v => toVersionSummary(template, v))
+  });
+});
+
+// List the versions of a template
+app.get('/api/templates/:id/versions', requirePermission('templates:read'), (req, res) => {
+  const template = findReadableTemplate(req, req.params.id);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  res.json(template.versions.map(v => toVersionSummary(template, v)));
+});
+
+// Get a specific template version including its extracted text
+app.get('/api/templates/:id/versions/:version', requirePermission('templates:read'), (req, res) => {
+  const template = findReadableTemplate(req, req.params.id);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+
+  const versionData = getTemplateVersion(template, req.params.version);
+  if (!versionData) {
+    return res.status(404).json({ error: 'Template version not found' });
+  }
+
+  res.json({
+    ...toVersionSummary(template, versionData),
+    templateId: template.id,
+    schema: versionData.schema,
+    fields: versionData.fields,
+    contentData: versionData.contentData
+  });
+});
+
+// Diff the extracted text and variable sets of two template versions
+app.get('/api/templates/:id/diff', requirePermission('templates:read'), (req, res) => {
+  const template = findReadableTemplate(req, req.params.id);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+
+  const { from, to } = req.query;
+  if (!from || !to) {
+    return res.status(400).json({ error: 'Both "from" and "to" versions are required' });
+  }
+
+  const fromVersion = getTemplateVersion(template, from);
+  const toVersion = getTemplateVersion(template, to);
+  if (!fromVersion || !toVersion) {
+    return res.status(404).json({ error: 'Template version not found' });
+  }
+
+  const changes = diffLines(fromVersion.contentData.text, toVersion.contentData.text).map(part => ({
+    type: part.added ? 'added' : part.removed ? 'removed' : 'unchanged',
+    lines: part.value.replace(/\n$/, '').split('\n')
+  }));
+
+  res.json({
+    templateId: template.id,
+    from: fromVersion.version,
+    to: toVersion.version,
+    text: changes,
+    variables: {
+      added: toVersion.variables.filter(v => !fromVersion.variables.includes(v)),
+      removed: fromVersion.variables.filter(v => !toVersion.variables.includes(v)),
+      unchanged: toVersion.variables.filter(v => fromVersion.variables.includes(v))
+    }
+  });
+});
+
+// Roll a template back to an earlier version
+app.post('/api/templates/:id/rollback', requirePermission('templates:write'), (req, res) => {
+  const template = findReadableTemplate(req, req.params.id);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  if (!canManageTemplate(req.user, template)) {
+    return res.status(403).json({ error: 'Only the owner of this template can change it' });
+  }
+
+  const versionData = getTemplateVersion(template, req.body.version);
+  if (!req.body.version || !versionData) {
+    return res.status(404).json({ error: 'Template version not found' });
+  }
+
+  setCurrentVersion(template, versionData);
+  saveTemplateIndex();
+
+  res.json({
+    templateId: template.id,
+    currentVersion: template.currentVersion,
+    variables: template.variables
+  });
+});
+
+// Update the field definitions of a template version (the current one unless
+// a version is given). Definitions replace those of the variables they name.
+app.put('/api/templates/:id/fields', requirePermission('templates:write'), (req, res) => {
+  const template = findReadableTemplate(req, req.params.id);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  if (!canManageTemplate(req.user, template)) {
+    return res.status(403).json({ error: 'Only the owner of this template can change it' });
+  }
+
+  const versionData = getTemplateVersion(template, req.body.version);
+  if (!versionData) {
+    return res.status(404).json({ error: 'Template version not found' });
+  }
+
+  const updates = req.body.fields;
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+    return res.status(400).json({ error: '"fields" must be an object keyed by variable name' });
+  }
+
+  const fields = { ...versionData.fields };
+  try {
+    Object.entries(updates).forEach(([variable, definition]) => {
+      if (!versionData.variables.includes(variable)) {
+        throw new Error(`"${variable}" is not a variable of this template version`);
+      }
+      // Item definitions are kept unless the client sends its own
+      const current = fields[variable];
+      fields[variable] = normalizeFieldDefinition(variable, current && current.items && definition && typeof definition === 'object' && definition.items === undefined
+        ? { ...definition, items: current.items }
+        : definition);
+    });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  versionData.fields = fields;
+  if (versionData.version === template.currentVersion) {
+    template.fields = fields;
+  }
+  saveTemplateIndex();
+
+  res.json({
+    templateId: template.id,
+    version: versionData.version,
+    fields: fields
+  });
+});
+
+// Page setup used when the template's text is rendered as PDF
+app.get('/api/templates/:id/page-setup', requirePermission('templates:read'), (req, res) => {
+  const template = findReadableTemplate(req, req.params.id);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  res.json({
+    templateId: template.id,
+    pageSetup: toPageSetupResponse(template.pageSetup || DEFAULT_PAGE_SETUP)
+  });
+});
+
+// Change the page setup. Takes a JSON "pageSetup" object of the settings to
+// change; a letterhead image is uploaded as multipart "letterhead" with
+// "pageSetup" sent as a JSON string field.
+app.put('/api/templates/:id/page-setup', requirePermission('templates:write'), letterheadUpload.single('letterhead'), (req, res) => {
+  const discardUpload = () => {
+    if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+  };
+
+  const template = findReadableTemplate(req, req.params.id);
+  if (!template) {
+    discardUpload();
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  if (!canManageTemplate(req.user, template)) {
+    discardUpload();
+    return res.status(403).json({ error: 'Only the owner of this template can change it' });
+  }
+
+  let setup;
+  try {
+    setup = normalizePageSetup(
+      req.body.pageSetup === undefined ? {} : parseJsonField(req.body.pageSetup, 'pageSetup'),
+      template.pageSetup || DEFAULT_PAGE_SETUP
+    );
+    if (req.file) {
+      if (!isLetterheadImage(req.file.path)) {
+        throw new Error('The letterhead is not a PNG or JPEG image');
+      }
+      setup.letterhead = { name: req.file.originalname, filePath: req.file.path };
+    }
+  } catch (error) {
+    discardUpload();
+    return res.status(400).json({ error: error.message });
+  }
+
+  // A replaced or removed letterhead image is no longer needed
+  const previous = template.pageSetup && template.pageSetup.letterhead;
+  if (previous && (!setup.letterhead || setup.letterhead.filePath !== previous.filePath) && fs.existsSync(previous.filePath)) {
+    fs.unlinkSync(previous.filePath);
+  }
+
+  template.pageSetup = setup;
+  saveTemplateIndex();
+
+  res.json({
+    templateId: template.id,
+    pageSetup: toPageSetupResponse(setup)
+  });
+});
+
+// Change who can see a template. "visibility" is private, team or public;
+// team templates name one of the owner's teams as "team". "owner" hands the
+// template to another template admin, and templates without an owner become
+// the caller's.
+app.put('/api/templates/:id/sharing', requirePermission('templates:write'), (req, res) => {
+  const template = findReadableTemplate(req, req.params.id);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  if (!canManageTemplate(req.user, template)) {
+    return res.status(403).json({ error: 'Only the owner of this template can change it' });
+  }
+
+  const visibility = req.body.visibility !== undefined ? req.body.visibility : template.visibility;
+  if (!TEMPLATE_VISIBILITIES.includes(visibility)) {
+    return res.status(400).json({ error: `"visibility" must be one of ${TEMPLATE_VISIBILITIES.join(', ')}` });
+  }
+
+  let owner = users[template.ownerId] || req.user;
+  if (req.body.owner !== undefined) {
+    owner = Object.values(users).find(user => user.username === req.body.owner);
+    if (!owner || owner.role !== 'template-admin') {
+      return res.status(400).json({ error: '"owner" must be the user name of a template admin' });
+    }
+  }
+
+  let team = null;
+  if (visibility === 'team') {
+    team = req.body.team !== undefined ? req.body.team : template.team;
+    if (!owner.teams.includes(team)) {
+      return res.status(400).json({ error: `"team" must be one of the owner's teams (${owner.teams.join(', ') || 'they have none'})` });
+    }
+  }
+
+  template.ownerId = owner.id;
+  template.visibility = visibility;
+  template.team = team;
+  saveTemplateIndex();
+
+  res.json({ templateId: template.id, ...toTemplateAccess(req.user, template) });
+});
+
+// Delete template and all of its stored versions
+app.delete('/api/templates/:id', requirePermission('templates:write'), (req, res) => {
+  const template = findReadableTemplate(req, req.params.id);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  if (!canManageTemplate(req.user, template)) {
+    return res.status(403).json({ error: 'Only the owner of this template can change it' });
+  }
+
+  delete templates[req.params.id];
+  saveTemplateIndex();
+
+  template.versions.forEach(v => {
+    if (fs.existsSync(v.filePath)) {
+      fs.unlinkSync(v.filePath);
+    }
+  });
+  const letterhead = template.pageSetup && template.pageSetup.letterhead;
+  if (letterhead && fs.existsSync(letterhead.filePath)) {
+    fs.unlinkSync(letterhead.filePath);
+  }
+
+  res.json({ success: true, id: req.params.id });
+});
+
+// Generate document from template
+// Image variables can also be uploaded in a multipart request, one file per
+// variable with the variable's name as the field name and the other
+// variables as a JSON "variables" field.
+app.post('/api/generate/:templateId', requirePermission('documents:generate'), imageUpload.any(), async (req, res) => {
+  try {
+    const template = findReadableTemplate(req, req.params.templateId);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    // Generation can be pinned to a specific version, otherwise the current one is used
+    const versionData = getTemplateVersion(template, req.body.version);
+    if (!versionData) {
+      return res.status(404).json({ error: 'Template version not found' });
+    }
+
+    const outputFormat = req.body.format || 'txt';
+    if (!isOutputFormat(outputFormat)) {
+      return res.status(400).json({ error: `"format" must be one of ${Object.keys(OUTPUT_EXTENSIONS).join(', ')}` });
+    }
+
+    let input;
+    try {
+      input = parseJsonField(req.body.variables, 'variables') || {};
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    (req.files || []).forEach(file => {
+      input = { ...input, [file.fieldname]: `data:${file.mimetype};base64,${file.buffer.toString('base64')}` };
+    });
+
+    const { values: variables, errors } = validateVersionVariables(versionData, input);
+    if (errors.length > 0) {
+      return res.status(422).json({ error: 'Some variables are missing or invalid', errors });
+    }
+
+    const flatten = req.body.flatten === true || req.body.flatten === 'true';
+    const generatedText = toPlainText(replaceVariables(versionData.contentData.text, variables));
+    const outputFileName = `generated-${Date.now()}${OUTPUT_EXTENSIONS[outputFormat]}`;
+
+    if (wantsAsync(req)) {
+      const job = enqueueJob('generate', {
+        templateId: template.id,
+        version: versionData.version,
+        variables,
+        format: outputFormat,
+        flatten,
+        fileName: outputFileName,
+        source: generationSourceOf(req),
+        requestedBy: requesterOf(req),
+        requestedById: requesterIdOf(req)
+      });
+      return res.status(202).json({ jobId: job.id, ...toJobSummary(job) });
+    }
+    
+    // Generate document with preserved formatting
+    await generateDocumentFile(versionData, variables, outputFormat, outputFileName, { flatten, pageSetup: template.pageSetup });
+    const record = recordGeneratedFile(template, versionData, {
+      fileName: outputFileName,
+      format: outputFormat,
+      source: generationSourceOf(req),
+      requestedBy: requesterOf(req),
+      requestedById: requesterIdOf(req),
+      variables
+    });
+
+    res.json({
+      content: generatedText,
+      downloadUrl: downloadUrlFor(outputFileName),
+      format: outputFormat,
+      filename: outputFileName,
+      templateVersion: versionData.version,
+      documentId: record.id,
+      preservedFormatting: versionData.contentData.formatting !== null
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Preview a template with the values entered so far, as HTML, page images or
+// DOCX ("mode"). Missing and invalid values don't fail the request; they're
+// listed with the preview as "unfilled" and "errors".
+app.post('/api/preview/:templateId', requirePermission('templates:read'), imageUpload.any(), async (req, res) => {
+  try {
+    const template = findReadableTemplate(req, req.params.templateId);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const versionData = getTemplateVersion(template, req.body.version);
+    if (!versionData) {
+      return res.status(404).json({ error: 'Template version not found' });
+    }
+
+    const mode = req.body.mode || 'html';
+    if (!PREVIEW_MODES.includes(mode)) {
+      return res.status(400).json({ error: `"mode" must be one of ${PREVIEW_MODES.join(', ')}` });
+    }
+
+    let input;
+    try {
+      input = parseJsonField(req.body.variables, 'variables') || {};
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    (req.files || []).forEach(file => {
+      input = { ...input, [file.fieldname]: `data:${file.mimetype};base64,${file.buffer.toString('base64')}` };
+    });
+
+    const { values, unfilled, errors } = previewTemplateVariables(versionData.fields, input);
+    const preview = await renderTemplatePreview(versionData, values, mode, template.pageSetup);
+
+    res.json({
+      ...preview,
+      unfilled,
+      errors,
+      templateVersion: versionData.version
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Generate one document per row of an uploaded dataset (CSV, XLSX or JSON) or
+// of a JSON "rows" array; responds with the ZIP's download link and a
+// per-row report
+app.post('/api/batch/:templateId', requirePermission('documents:generate'), datasetUpload.single('dataset'), async (req, res) => {
+  try {
+    const template = findReadableTemplate(req, req.params.templateId);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const versionData = getTemplateVersion(template, req.body.version);
+    if (!versionData) {
+      return res.status(404).json({ error: 'Template version not found' });
+    }
+
+    const format = req.body.format || 'pdf';
+    if (!isOutputFormat(format)) {
+      return res.status(400).json({ error: `Unsupported format "${format}"` });
+    }
+
+    let rows;
+    let mapping;
+    try {
+      rows = req.file
+        ? parseDataset(req.file.buffer, req.file.originalname)
+        : parseJsonField(req.body.rows, 'rows');
+      mapping = parseJsonField(req.body.mapping, 'mapping') || {};
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({ error: 'Upload a dataset file or send a non-empty "rows" array' });
+    }
+    if (rows.length > MAX_BATCH_ROWS) {
+      return res.status(400).json({ error: `Datasets are limited to ${MAX_BATCH_ROWS} rows; this one has ${rows.length}` });
+    }
+    if (typeof mapping !== 'object' || Array.isArray(mapping)) {
+      return res.status(400).json({ error: '"mapping" must be an object of variable names to column names' });
+    }
+
+    const fileNamePattern = req.body.fileNamePattern
+      || `${path.basename(template.name, path.extname(template.name))}-{{@number}}`;
+    try {
+      parseTemplate(fileNamePattern);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid file name pattern: ' + error.message });
+    }
+
+    const zipFileName = `batch-${Date.now()}-${Math.random().toString(36).substring(2, 8)}.zip`;
+    const flatten = req.body.flatten === true || req.body.flatten === 'true';
+    if (wantsAsync(req)) {
+      const job = enqueueJob('batch', {
+        templateId: template.id,
+        version: versionData.version,
+        rows,
+        format,
+        fileNamePattern,
+        mapping,
+        flatten,
+        zipFileName,
+        requestedBy: requesterOf(req),
+        requestedById: requesterIdOf(req)
+      }, rows.length);
+      return res.status(202).json({ jobId: job.id, ...toJobSummary(job) });
+    }
+
+    if (!fs.existsSync('generated')) {
+      fs.mkdirSync('generated');
+    }
+    const report = await generateBatch(versionData, rows, {
+      format,
+      fileNamePattern,
+      mapping,
+      zipPath: path.join('generated', zipFileName),
+      flatten,
+      pageSetup: template.pageSetup,
+      onDocument: batchDocumentRecorder(template, versionData, { zipFileName, format, requestedBy: requesterOf(req), requestedById: requesterIdOf(req) })
+    });
+
+    const summary = summarizeBatch(report, rows.length, zipFileName, versionData);
+    res.status(summary.succeeded > 0 ? 200 : 422).json(summary);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Merge generated templates and static PDFs into one PDF packet. Sections come
+// as a JSON array, or as a JSON string field when static PDFs are uploaded as
+// "pdfs" in a multipart request:
+//   [{ "templateId": "...", "variables": {...}, "title": "..." }, { "file": "policy.pdf" }]
+// Top-level "variables" are shared by all template sections.
+app.post('/api/packets', requirePermission('documents:generate'), pdfUpload.array('pdfs', MAX_PACKET_SECTIONS), async (req, res) => {
+  try {
+    let resolved;
+    try {
+      resolved = await resolvePacketSections(
+        parseJsonField(req.body.sections, 'sections'),
+        parseJsonField(req.body.variables, 'variables') || {},
+        req.files || [],
+        req.user
+      );
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (resolved.errors.length > 0) {
+      return res.status(422).json({ error: 'Some variables are missing or invalid', errors: resolved.errors });
+    }
+
+    const title = typeof req.body.title === 'string' && req.body.title.trim() ? req.body.title.trim() : 'Document packet';
+    const tableOfContents = req.body.tableOfContents !== false && req.body.tableOfContents !== 'false';
+    const pageNumbers = req.body.pageNumbers !== false && req.body.pageNumbers !== 'false';
+    const fileName = `packet-${Date.now()}-${Math.random().toString(36).substring(2, 8)}.pdf`;
+
+    if (wantsAsync(req)) {
+      const job = enqueueJob('packet', {
+        sections: resolved.sections,
+        title,
+        tableOfContents,
+        pageNumbers,
+        fileName,
+        requestedBy: requesterOf(req),
+        requestedById: requesterIdOf(req)
+      }, resolved.sections.length);
+      return res.status(202).json({ jobId: job.id, ...toJobSummary(job) });
+    }
+
+    const packetInfo = await buildPdfPacket(resolved.sections, {
+      title,
+      tableOfContents,
+      pageNumbers,
+      outputPath: path.join('generated', fileName),
+      onSection: packetDocumentRecorder({ fileName, requestedBy: requesterOf(req), requestedById: requesterIdOf(req) })
+    });
+    res.json(summarizePacket(packetInfo, fileName));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List generation jobs, newest first, optionally filtered by status
+app.get('/api/jobs', requirePermission('documents:read'), (req, res) => {
+  const list = Object.values(jobs)
+    .filter(job => canSeeJob(req, job))
+    .filter(job => !req.query.status || job.status === req.query.status)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(toJobSummary);
+  res.json(list);
+});
+
+// Status, progress and result of a generation job
+app.get('/api/jobs/:id', requirePermission('documents:read'), (req, res) => {
+  const job = jobs[req.params.id];
+  if (!job || !canSeeJob(req, job)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(toJobSummary(job));
+});
+
+// Cancel a job; queued jobs stop at once, running ones at the next step
+app.post('/api/jobs/:id/cancel', requirePermission('documents:generate'), (req, res) => {
+  const job = jobs[req.params.id];
+  if (!job || !canSeeJob(req, job)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (FINISHED_JOB_STATUSES.includes(job.status)) {
+    return res.status(409).json({ error: `Job has already ${job.status === 'cancelled' ? 'been cancelled' : job.status}` });
+  }
+
+  job.cancelRequested = true;
+  if (job.status === 'queued') {
+    job.status = 'cancelled';
+    job.finishedAt = new Date().toISOString();
+  }
+  saveJobs();
+  res.json(toJobSummary(job));
+});
+
+// Run a failed or cancelled job again
+app.post('/api/jobs/:id/retry', requirePermission('documents:generate'), (req, res) => {
+  const job = jobs[req.params.id];
+  if (!job || !canSeeJob(req, job)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (!['failed', 'cancelled'].includes(job.status)) {
+    return res.status(409).json({ error: 'Only failed or cancelled jobs can be retried' });
+  }
+  if (job.inputDropped) {
+    return res.status(409).json({ error: 'The input of this job has been deleted under the retention policy; start it again' });
+  }
+
+  job.status = 'queued';
+  job.progress = { completed: 0, total: job.progress.total, percent: 0 };
+  delete job.cancelRequested;
+  delete job.result;
+  delete job.error;
+  delete job.startedAt;
+  delete job.finishedAt;
+  saveJobs();
+  processJobQueue();
+  res.json(toJobSummary(job));
+});
+
+// Search the document history. Filters: templateId, format, source,
+// requestedBy, recordId, from and to (dates) and q (free text); results are
+// newest first and paged with limit and offset.
+app.get('/api/documents', requirePermission('documents:read'), (req, res) => {
+  let matches;
+  try {
+    matches = filterDocuments(req.query).filter(entry => canSeeDocument(req, entry));
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_DOCUMENT_PAGE_SIZE, MAX_DOCUMENT_PAGE_SIZE);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  res.json({
+    total: matches.length,
+    offset: offset,
+    limit: limit,
+    documents: matches.slice(offset, offset + limit).map(toDocumentSummary)
+  });
+});
+
+// A recorded document with its variables and whether its file is still unchanged
+app.get('/api/documents/:id', requirePermission('documents:read'), (req, res) => {
+  const entry = documents[req.params.id];
+  if (!entry || !canSeeDocument(req, entry)) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  res.json({ ...toDocumentSummary(entry), variables: entry.variables, file: checkDocumentFile(entry) });
+});
+
+// A download link to share for a recorded document, valid for
+// "expiresInMinutes" (up to a week) and, with "oneTime", for one download
+app.post('/api/documents/:id/link', requirePermission('documents:read'), (req, res) => {
+  const entry = documents[req.params.id];
+  if (!entry || !canSeeDocument(req, entry)) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  if (!checkDocumentFile(entry).available) {
+    return res.status(410).json({ error: 'The file of this document has been purged' });
+  }
+
+  const expiresInMinutes = req.body.expiresInMinutes === undefined ? DOWNLOAD_LINK_TTL_MINUTES : Number(req.body.expiresInMinutes);
+  if (!(expiresInMinutes > 0 && expiresInMinutes <= MAX_DOWNLOAD_LINK_TTL_MINUTES)) {
+    return res.status(400).json({ error: `"expiresInMinutes" must be more than 0 and at most ${MAX_DOWNLOAD_LINK_TTL_MINUTES}` });
+  }
+  const oneTime = req.body.oneTime === true || req.body.oneTime === 'true';
+
+  res.json({
+    downloadUrl: downloadUrlFor(entry.archive || entry.fileName, { expiresInMinutes, oneTime }),
+    expiresAt: new Date(Date.now() + expiresInMinutes * 60000).toISOString(),
+    oneTime: oneTime
+  });
+});
+
+// Attach a recorded document to a Salesforce record, by default the one it
+// was generated for. Takes the options of parseSalesforceAttachOptions, plus
+// objectType and recordId for documents that weren't generated for a record.
+app.post('/api/documents/:id/salesforce', requirePermission('documents:generate'), async (req, res) => {
+  const entry = documents[req.params.id];
+  if (!entry || !canSeeDocument(req, entry)) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  if (entry.archive) {
+    return res.status(400).json({ error: 'Documents in a batch archive or packet can\'t be attached; generate them on their own to attach them' });
+  }
+  if (!checkDocumentFile(entry).available) {
+    return res.status(410).json({ error: 'The file of this document has been purged' });
+  }
+
+  const objectType = req.body.objectType || entry.objectType;
+  const recordId = req.body.recordId || entry.recordId;
+  let options;
+  try {
+    parseSalesforceRecordRequest({ objectType, recordId });
+    options = parseSalesforceAttachOptions({ title: req.body.title, fields: req.body.fields, task: req.body.task });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (!isSalesforceConnected()) {
+    return res.status(503).json({ error: 'Salesforce is not connected' });
+  }
+
+  try {
+    const attachment = await attachDocumentToSalesforce(entry, { objectType, recordId }, options, requesterOf(req));
+    res.json({ success: true, documentId: entry.id, attachment });
+  } catch (error) {
+    res.status(502).json({ error: error.message });
+  }
+});
+
+// Generate a recorded document again with the same template version and
+// variables. "variables" are changes laid over the recorded ones; "format"
+// and "version" pick another output format or template version.
+app.post('/api/documents/:id/regenerate', requirePermission('documents:generate'), async (req, res) => {
+  try {
+    const entry = documents[req.params.id];
+    if (!entry || !canSeeDocument(req, entry)) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    const template = findReadableTemplate(req, entry.templateId);
+    if (!template) {
+      return res.status(404).json({ error: 'The template of this document no longer exists' });
+    }
+    const versionData = getTemplateVersion(template, req.body.version !== undefined ? req.body.version : entry.templateVersion);
+    if (!versionData) {
+      return res.status(404).json({ error: 'Template version not found' });
+    }
+
+    const edits = req.body.variables || {};
+    if (typeof edits !== 'object' || Array.isArray(edits)) {
+      return res.status(400).json({ error: '"variables" must be an object' });
+    }
+    const format = req.body.format || entry.format;
+    if (!isOutputFormat(format)) {
+      return res.status(400).json({ error: `"format" must be one of ${Object.keys(OUTPUT_EXTENSIONS).join(', ')}` });
+    }
+
+    const { values: variables, errors } = validateVersionVariables(versionData, { ...entry.variables, ...edits });
+    if (errors.length > 0) {
+      return res.status(422).json({ error: 'Some variables are missing or invalid', errors });
+    }
+
+    const flatten = req.body.flatten === true || req.body.flatten === 'true';
+    const outputFileName = `generated-${Date.now()}${OUTPUT_EXTENSIONS[format]}`;
+    if (wantsAsync(req)) {
+      const job = enqueueJob('generate', {
+        templateId: template.id,
+        version: versionData.version,
+        variables,
+        format,
+        flatten,
+        fileName: outputFileName,
+        source: generationSourceOf(req),
+        requestedBy: requesterOf(req),
+        requestedById: requesterIdOf(req),
+        regeneratedFrom: entry.id
+      });
+      return res.status(202).json({ jobId: job.id, ...toJobSummary(job) });
+    }
+
+    await generateDocumentFile(versionData, variables, format, outputFileName, { flatten, pageSetup: template.pageSetup });
+    const record = recordGeneratedFile(template, versionData, {
+      fileName: outputFileName,
+      format,
+      source: generationSourceOf(req),
+      requestedBy: requesterOf(req),
+      requestedById: requesterIdOf(req),
+      regeneratedFrom: entry.id,
+      variables
+    });
+
+    res.json({
+      content: toPlainText(replaceVariables(versionData.contentData.text, variables)),
+      downloadUrl: downloadUrlFor(outputFileName),
+      format: format,
+      filename: outputFileName,
+      templateVersion: versionData.version,
+      documentId: record.id,
+      regeneratedFrom: entry.id,
+      // Formats that embed a creation time, such as PDF and DOCX, differ even when nothing changed
+      identical: record.checksum === entry.checksum
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download a generated file with a signed link, or as a signed in user who
+// can see the file's document in the history
+app.get('/download/:filename', (req, res) => {
+  const filePath = resolveStoredFile('generated', req.params.filename);
+  if (!filePath) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  if (req.query.signature !== undefined) {
+    const problem = checkDownloadSignature(req.params.filename, req.query);
+    if (problem) {
+      return res.status(403).json({ error: problem });
+    }
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    if (req.query.once) {
+      spentLinks[req.query.once] = parseInt(req.query.expires, 10);
+      saveSpentLinks();
+    }
+    return res.download(filePath);
+  }
+
+  if (!req.user) {
+    return res.status(401).json({ error: 'Sign in or use a signed download link' });
+  }
+  // Documents inside a batch archive or packet are only named, not stored on their own
+  const record = Object.values(documents).find(entry => (entry.archive || entry.fileName) === req.params.filename);
+  if (!record || !req.permissions.includes('documents:read') || !canSeeDocument(req, record)) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  if (fs.existsSync(filePath)) {
+    res.download(filePath);
+  } else {
+    res.status(404).json({ error: 'File not found' });
+  }
+});
+
+// The retention policy and when it last ran
+app.get('/api/retention', requirePermission('users:manage'), (req, res) => {
+  res.json({
+    retentionDays: RETENTION_DAYS,
+    sweepMinutes: RETENTION_SWEEP_MINUTES,
+    downloadLinkMinutes: DOWNLOAD_LINK_TTL_MINUTES,
+    lastSweep: lastRetentionSweep
+  });
+});
+
+// Purge expired generated files and uploads now
+app.post('/api/retention/purge', requirePermission('users:manage'), (req, res) => {
+  res.json({ retentionDays: RETENTION_DAYS, purged: purgeExpiredFiles() });
+});
+
+// A PDF the caller uploaded for redaction; null for other users' uploads
+// and for anything a template uses
+function resolveRedactionFile(req, fileName) {
+  const filePath = resolveStoredFile(REDACTION_DIR, fileName);
+  if (!filePath || !fileName.startsWith(`${req.user.id}.`) || path.extname(filePath).toLowerCase() !== '.pdf'
+    || !fs.existsSync(filePath)) {
+    return null;
+  }
+  const isTemplateFile = Object.values(templates).some(template => (
+    template.versions.some(versionData => path.resolve(versionData.filePath) === filePath)
+  ));
+  return isTemplateFile ? null : filePath;
+}
+
+// Upload a PDF for redaction
+app.post('/upload', requirePermission('documents:generate'), redactionUpload.single('pdf'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
+  res.json({
+    filename: req.file.filename,
+    path: `/redaction/files/${encodeURIComponent(req.file.filename)}`,
+    size: req.file.size
+  });
+});
+
+// Serve an uploaded PDF to the redaction viewer
+app.get('/redaction/files/:filename', requirePermission('documents:generate'), (req, res) => {
+  const filePath = resolveRedactionFile(req, req.params.filename);
+  if (!filePath) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  res.sendFile(filePath);
+});
+
+// Apply redactions to an uploaded PDF and return the redacted copy
+app.post('/redact', requirePermission('documents:generate'), async (req, res) => {
+  try {
+    const { filename, redactions } = req.body;
+    if (!filename) {
+      return res.status(400).json({ error: 'No filename provided' });
+    }
+    if (!Array.isArray(redactions) || redactions.length === 0) {
+      return res.status(400).json({ error: 'No redactions provided' });
+    }
+
+    // Only files the caller stored with the upload route are eligible
+    const inputPath = resolveRedactionFile(req, filename);
+    if (!inputPath) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (!fs.existsSync('generated')) {
+      fs.mkdirSync('generated');
+    }
 
-// Upload template
-app.post('/api/upload-template', upload.single('template'), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+    const pdfDoc = await PDFLib.load(fs.readFileSync(inputPath));
+    const pageCount = pdfDoc.getPageCount();
+    for (let i = 0; i < redactions.length; i++) {
+      const error = findRedactionError(redactions[i], i, pageCount);
+      if (error) {
+        return res.status(400).json({ error });
+      }
     }
 
-    const filePath = req.file.path;
-    const originalName = req.file.originalname;
-    
-    // Extract content and formatting from file
-    const contentData = await extractContentFromFile(filePath, originalName);
-    const variables = extractVariables(contentData.text);
-    
-    const templateId = Date.now().toString();
-    const fileExt = path.extname(originalName).toLowerCase();
-    
-    templates[templateId] = {
-      id: templateId,
-      name: originalName,
-      contentData: contentData, // Store full content data including formatting
-      variables: variables,
-      filePath: filePath,
-      originalFormat: fileExt.substring(1) // Remove the dot
-    };
+    const redactedFilename = `redacted-${Date.now()}.pdf`;
+    const outputPath = path.join('generated', redactedFilename);
+    const summary = await redactPdf(pdfDoc, outputPath, redactions);
 
     res.json({
-      templateId: templateId,
-      name: originalName,
-      variables: variables,
-      format: fileExt.substring(1),
-      hasFormatting: contentData.hasRichFormatting || false
+      success: true,
+      redactedFilename: redactedFilename,
+      downloadPath: downloadUrlFor(redactedFilename),
+      summary: summary
     });
   } catch (error) {
+    console.error('Redaction failed:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get all templates
-app.get('/api/templates', (req, res) => {
-  const templateList = Object.values(templates).map(t => ({
-    id: t.id,
-    name: t.name,
-    variables: t.variables,
-    originalFormat: t.originalFormat,
-    hasFormatting: t.contentData.hasRichFormatting || false
-  }));
-  res.json(templateList);
-});
-
-// Get specific template
-app.get('/api/templates/:id', (req, res) => {
-  const template = templates[req.params.id];
-  if (!template) {
-    return res.status(404).json({ error: 'Template not found' });
-  }
-  res.json(template);
+// List the built-in search-and-redact patterns
+app.get('/redact/patterns', requirePermission('documents:generate'), (req, res) => {
+  res.json(Object.entries(REDACTION_PATTERNS).map(([id, pattern]) => ({ id, label: pattern.label })));
 });
 
-// Generate document from template
-app.post('/api/generate/:templateId', async (req, res) => {
+// Find pattern matches in an uploaded PDF and propose redaction boxes for review.
+// With `apply: true` the matches are redacted straight away.
+app.post('/redact/search', requirePermission('documents:generate'), async (req, res) => {
   try {
-    const template = templates[req.params.templateId];
-    if (!template) {
-      return res.status(404).json({ error: 'Template not found' });
+    const { filename, patterns, customPatterns, apply } = req.body;
+    if (!filename) {
+      return res.status(400).json({ error: 'No filename provided' });
+    }
+
+    const inputPath = resolveRedactionFile(req, filename);
+    if (!inputPath) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    let searchPatterns;
+    try {
+      searchPatterns = buildSearchPatterns(patterns, customPatterns);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    let result;
+    try {
+      result = await findRedactionMatches(inputPath, searchPatterns);
+    } catch (error) {
+      if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+      return res.status(422).json({ error: 'A custom pattern took too long to search this PDF; simplify it and try again' });
+    }
+    if (!apply) {
+      return res.json(result);
+    }
+
+    if (result.matches.length === 0) {
+      return res.json({ ...result, success: true, summary: null });
     }
 
-    const variables = req.body.variables || {};
-    const outputFormat = req.body.format || 'txt'; // Default to txt
-    const generatedText = replaceVariables(template.contentData.text, variables);
-    
-    // Determine file extension for output
-    const fileExtensions = {
-      'txt': '.txt',
-      'docx': '.docx',
-      'pdf': '.pdf'
-    };
-    
-    const fileExt = fileExtensions[outputFormat] || '.txt';
-    const outputFileName = `generated-${Date.now()}${fileExt}`;
-    const outputPath = path.join('generated', outputFileName);
-    
     if (!fs.existsSync('generated')) {
       fs.mkdirSync('generated');
     }
-    
-    // Generate document with preserved formatting
-    await generateFormattedDocument(template.contentData, variables, outputFormat, outputPath);
+
+    const redactions = [];
+    result.matches.forEach(match => {
+      match.boxes.forEach(box => redactions.push({ pageIndex: match.pageIndex, pdfRect: box.pdfRect }));
+    });
+
+    const redactedFilename = `redacted-${Date.now()}.pdf`;
+    const pdfDoc = await PDFLib.load(fs.readFileSync(inputPath));
+    const summary = await redactPdf(pdfDoc, path.join('generated', redactedFilename), redactions);
 
     res.json({
-      content: generatedText,
-      downloadUrl: `/download/${outputFileName}`,
-      format: outputFormat,
-      filename: outputFileName,
-      preservedFormatting: template.contentData.formatting !== null
+      ...result,
+      success: true,
+      redactedFilename: redactedFilename,
+      downloadPath: downloadUrlFor(redactedFilename),
+      summary: summary
     });
   } catch (error) {
+    console.error('Redaction search failed:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Download generated document
-app.get('/download/:filename', (req, res) => {
-  const filePath = path.join('generated', req.params.filename);
-  if (fs.existsSync(filePath)) {
-    res.download(filePath);
-  } else {
-    res.status(404).json({ error: 'File not found' });
-  }
-});
-
 // Get example variables for demonstration
-app.get('/api/example-variables', (req, res) => {
+app.get('/api/example-variables', requirePermission('templates:read'), (req, res) => {
   const examples = {
     name: "John Doe",
     company: "Acme Corporation",
-    date: new Date().toLocaleDateString(),
+    date: new Date().toISOString().substring(0, 10),
     position: "Software Developer",
-    salary: "$75,000",
+    salary: 75000,
     address: "123 Main Street, Anytown, USA",
     phone: "(555) 123-4567",
     email: "john.doe@email.com",
-    startDate: "January 15, 2024",
+    startDate: "2024-01-15",
     department: "Engineering",
     manager: "Jane Smith",
     projectName: "Website Redesign",
-    amount: "$10,000",
-    dueDate: "December 31, 2024"
+    amount: 10000,
+    dueDate: "2024-12-31",
+    items: [
+      { description: "Discovery workshop", quantity: 1, price: 2500 },
+      { description: "Design and build", quantity: 1, price: 7500 }
+    ],
+    paid: false
   };
   
   res.json(examples);
@@ -531,15 +10343,15 @@ app.use((req, res, next) => {
   }
   
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.setHeader('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key');
   res.setHeader('X-Frame-Options', 'SAMEORIGIN'); // Allow iframe embedding from same origin
   next();
 });
 
 // New route: Get templates with Salesforce-specific metadata
-app.get('/api/salesforce/templates', (req, res) => {
+app.get('/api/salesforce/templates', requirePermission('templates:read'), (req, res) => {
   try {
-    const salesforceTemplates = Object.values(templates).map(template => ({
+    const salesforceTemplates = Object.values(templates).filter(template => canReadTemplate(req.user, template)).map(template => ({
       id: template.id,
       name: template.name,
       variables: template.variables,
@@ -547,7 +10359,8 @@ app.get('/api/salesforce/templates', (req, res) => {
       hasFormatting: template.contentData.hasRichFormatting || false,
       variableCount: template.variables.length,
       salesforceCompatible: true,
-      mappableFields: getSalesforceFieldMappings(template.variables)
+      mappableFields: getSalesforceFieldMappings(template.variables),
+      mappedObjects: Object.keys(template.salesforceMappings || {})
     }));
     
     res.json(salesforceTemplates);
@@ -556,42 +10369,244 @@ app.get('/api/salesforce/templates', (req, res) => {
   }
 });
 
+// Saved field mappings of a template, one per Salesforce object
+app.get('/api/salesforce/mappings/:templateId', requirePermission('templates:read'), (req, res) => {
+  const template = findReadableTemplate(req, req.params.templateId);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  res.json({ templateId: template.id, mappings: template.salesforceMappings || {} });
+});
+
+// A template's mapping for one object with the suggestions to review. While
+// Salesforce is connected the suggestions only name fields the object has,
+// and "fields" lists the field paths to choose from.
+app.get('/api/salesforce/mappings/:templateId/:objectType', requirePermission('templates:read'), async (req, res) => {
+  const template = findReadableTemplate(req, req.params.templateId);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  const { objectType } = req.params;
+  if (!SALESFORCE_NAME_REGEX.test(objectType)) {
+    return res.status(400).json({ error: 'The object must be the API name of a Salesforce object, such as Opportunity' });
+  }
+
+  let fields = null;
+  if (isSalesforceConnected()) {
+    try {
+      const describe = await describeSalesforceObject(objectType);
+      fields = [
+        ...await salesforceRecordFields(objectType),
+        ...describe.childRelationships.map(relationship => relationship.relationshipName).filter(Boolean)
+      ];
+    } catch (error) {
+      return res.status(502).json({ error: error.message });
+    }
+  }
+
+  res.json({
+    templateId: template.id,
+    objectType,
+    variables: template.variables,
+    mapping: getSalesforceMappingProfile(template, objectType),
+    suggestions: getSalesforceFieldMappings(template.variables, fields),
+    fields
+  });
+});
+
+app.put('/api/salesforce/mappings/:templateId/:objectType', requirePermission('templates:write'), (req, res) => {
+  const template = findReadableTemplate(req, req.params.templateId);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  if (!canManageTemplate(req.user, template)) {
+    return res.status(403).json({ error: 'Only the owner of this template can change it' });
+  }
+  const { objectType } = req.params;
+  if (!SALESFORCE_NAME_REGEX.test(objectType)) {
+    return res.status(400).json({ error: 'The object must be the API name of a Salesforce object, such as Opportunity' });
+  }
+
+  let profile;
+  try {
+    profile = normalizeSalesforceMappingProfile(req.body, template.variables, template.fields);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  profile.updatedBy = requesterOf(req);
+  profile.updatedAt = new Date().toISOString();
+  template.salesforceMappings = { ...(template.salesforceMappings || {}), [objectType]: profile };
+  saveTemplateIndex();
+
+  res.json({ templateId: template.id, objectType, mapping: profile });
+});
+
+app.delete('/api/salesforce/mappings/:templateId/:objectType', requirePermission('templates:write'), (req, res) => {
+  const template = findReadableTemplate(req, req.params.templateId);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  if (!canManageTemplate(req.user, template)) {
+    return res.status(403).json({ error: 'Only the owner of this template can change it' });
+  }
+  if (!getSalesforceMappingProfile(template, req.params.objectType)) {
+    return res.status(404).json({ error: `This template has no mapping for ${req.params.objectType}` });
+  }
+
+  const { [req.params.objectType]: removed, ...remaining } = template.salesforceMappings;
+  template.salesforceMappings = Object.keys(remaining).length > 0 ? remaining : undefined;
+  saveTemplateIndex();
+  res.json({ success: true });
+});
+
 // New route: Generate document with Salesforce record data
-app.post('/api/salesforce/generate/:templateId', async (req, res) => {
+// Without "recordData" the record is read from Salesforce by objectType and
+// recordId, with the "fields" and "children" of parseSalesforceRecordRequest.
+// "attach" uploads the document to the record, see parseSalesforceAttachOptions.
+// Variables are filled by the template's saved mapping for objectType when it
+// has one; "strict" overrides whether the mapping has to fill every required
+// variable.
+app.post('/api/salesforce/generate/:templateId', requirePermission('documents:generate'), async (req, res) => {
   try {
-    const template = templates[req.params.templateId];
+    const template = findReadableTemplate(req, req.params.templateId);
     if (!template) {
       return res.status(404).json({ error: 'Template not found' });
     }
 
-    const { recordData, outputFormat = 'pdf', recordId, objectType } = req.body;
+    const { outputFormat = 'pdf', recordId, objectType, flatten } = req.body;
+    const versionData = getTemplateVersion(template);
+    if (!isOutputFormat(outputFormat)) {
+      return res.status(400).json({ success: false, error: `"outputFormat" must be one of ${Object.keys(OUTPUT_EXTENSIONS).join(', ')}` });
+    }
+
+    let attachOptions;
+    try {
+      attachOptions = parseSalesforceAttachOptions(req.body.attach);
+      // Attaching needs the record even when its data is sent along
+      if (attachOptions) parseSalesforceRecordRequest({ objectType, recordId });
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (attachOptions && !isSalesforceConnected()) {
+      return res.status(503).json({ success: false, error: 'Connect Salesforce to attach documents to records' });
+    }
+
+    const profile = getSalesforceMappingProfile(template, objectType);
+    const strict = req.body.strict !== undefined ? req.body.strict === true || req.body.strict === 'true' : Boolean(profile && profile.strict);
+
+    let recordData = req.body.recordData;
+    if (recordData === undefined) {
+      let request;
+      try {
+        request = parseSalesforceRecordRequest(req.body);
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      if (!isSalesforceConnected()) {
+        return res.status(503).json({ success: false, error: 'Send "recordData" or connect Salesforce first' });
+      }
+      try {
+        recordData = await fetchSalesforceRecord(profile ? await withMappedSalesforceFields(request, profile) : request);
+      } catch (error) {
+        return res.status(502).json({ success: false, error: error.message });
+      }
+      if (!recordData) {
+        return res.status(404).json({ success: false, error: `${objectType} ${recordId} was not found in Salesforce` });
+      }
+    } else if (!recordData || typeof recordData !== 'object' || Array.isArray(recordData)) {
+      return res.status(400).json({ success: false, error: '"recordData" must be an object of field values' });
+    }
     
     // Map Salesforce fields to template variables
-    const mappedVariables = mapSalesforceFields(recordData, template.variables);
+    const mapped = mapSalesforceFields(recordData, versionData.variables, profile);
+    const mappingErrors = strict ? [
+      ...mapped.missing
+        .filter(variable => isRequiredSalesforceVariable(versionData.fields, variable))
+        .map(variable => ({
+          field: variable,
+          rule: 'mapping',
+          message: profile && profile.mappings[variable]
+            ? `${variable} is empty on the ${objectType} record and its mapping has no default`
+            : `${variable} has no Salesforce mapping${objectType ? ` for ${objectType}` : ''}`
+        })),
+      ...findUnmappedRowFields(versionData.fields, mapped.values)
+    ] : [];
+    const { values: mappedVariables, errors: validationErrors } = validateVersionVariables(versionData, mapped.values);
+    // A mapping error stands for the validation errors of the variable and its items
+    const errors = [...mappingErrors, ...validationErrors.filter(error => !mappingErrors.some(mappingError => (
+      error.field === mappingError.field || error.field.startsWith(`${mappingError.field}[`)
+    )))];
+    if (errors.length > 0) {
+      return res.status(422).json({ success: false, error: 'Some variables are missing or invalid', errors });
+    }
     
     // Generate the document
-    const outputFileName = `${objectType}-${recordId}-${Date.now()}.${outputFormat}`;
-    const outputPath = path.join('generated', outputFileName);
-    
-    if (!fs.existsSync('generated')) {
-      fs.mkdirSync('generated');
+    // Record details from the caller only keep characters that are safe in a file name
+    const outputFileName = `${[objectType, recordId].map(part => String(part).replace(/[^\w-]/g, '_')).join('-')}-${Date.now()}${OUTPUT_EXTENSIONS[outputFormat]}`;
+
+    // Callers that can't wait out a long generation poll the job instead
+    if (wantsAsync(req)) {
+      const job = enqueueJob('salesforce', {
+        templateId: template.id,
+        version: versionData.version,
+        variables: mappedVariables,
+        format: outputFormat,
+        flatten: flatten === true || flatten === 'true',
+        fileName: outputFileName,
+        recordId,
+        objectType,
+        attach: attachOptions,
+        requestedBy: requesterOf(req),
+        requestedById: requesterIdOf(req)
+      });
+      return res.status(202).json({ success: true, jobId: job.id, ...toJobSummary(job) });
     }
     
-    await generateFormattedDocument(template.contentData, mappedVariables, outputFormat, outputPath);
+    await generateDocumentFile(versionData, mappedVariables, outputFormat, outputFileName, {
+      flatten: flatten === true || flatten === 'true',
+      pageSetup: template.pageSetup
+    });
     
     // Convert to base64 for Salesforce
-    const fileBuffer = fs.readFileSync(outputPath);
+    const fileBuffer = fs.readFileSync(path.join('generated', outputFileName));
     const base64Data = fileBuffer.toString('base64');
+    const record = recordDocument(template, versionData, {
+      fileName: outputFileName,
+      format: outputFormat,
+      source: 'salesforce',
+      requestedBy: requesterOf(req),
+      requestedById: requesterIdOf(req),
+      recordId,
+      objectType,
+      variables: mappedVariables
+    }, fileBuffer);
+
+    let attachment;
+    if (attachOptions) {
+      try {
+        attachment = await attachDocumentToSalesforce(record, { objectType, recordId }, attachOptions, requesterOf(req));
+      } catch (error) {
+        return res.status(502).json({
+          success: false,
+          error: `The document was generated but attaching it to Salesforce failed: ${error.message}`,
+          filename: outputFileName,
+          downloadUrl: downloadUrlFor(outputFileName),
+          documentId: record.id
+        });
+      }
+    }
     
-    res.json({
+    res.json(assignDefined({
       success: true,
       documentData: base64Data,
       filename: outputFileName,
-      downloadUrl: `/download/${outputFileName}`,
+      downloadUrl: downloadUrlFor(outputFileName),
       format: outputFormat,
       recordId: recordId,
-      templateName: template.name
-    });
+      templateName: template.name,
+      templateVersion: versionData.version,
+      documentId: record.id
+    }, { attachment }));
     
   } catch (error) {
     res.status(500).json({ 
@@ -607,76 +10622,289 @@ app.get('/api/salesforce/health', (req, res) => {
     status: 'healthy',
     timestamp: new Date().toISOString(),
     templatesCount: Object.keys(templates).length,
+    salesforceConnected: isSalesforceConnected(),
     version: '1.0.0'
   });
 });
 
-// Helper function to map Salesforce fields to template variables
-function mapSalesforceFields(recordData, templateVariables) {
-  const mappedVariables = {};
-  
-  // Common Salesforce field mappings
-  const fieldMappings = {
-    'name': ['Name', 'FirstName', 'LastName', 'Subject'],
-    'company': ['Account.Name', 'Company', 'CompanyName'],
-    'email': ['Email', 'Contact.Email'],
-    'phone': ['Phone', 'MobilePhone', 'WorkPhone'],
-    'address': ['BillingStreet', 'MailingStreet', 'Street'],
-    'city': ['BillingCity', 'MailingCity', 'City'],
-    'state': ['BillingState', 'MailingState', 'State'],
-    'postalcode': ['BillingPostalCode', 'MailingPostalCode', 'PostalCode'],
-    'country': ['BillingCountry', 'MailingCountry', 'Country'],
-    'date': ['CreatedDate', 'LastModifiedDate', 'CloseDate'],
-    'owner': ['Owner.Name', 'OwnerName'],
-    'amount': ['Amount', 'AnnualRevenue'],
-    'status': ['Status', 'StageName', 'Priority'],
-    'description': ['Description', 'Notes'],
-    'casenumber': ['CaseNumber'],
-    'priority': ['Priority'],
-    'type': ['Type'],
-    'industry': ['Industry'],
-    'title': ['Title'],
-    'department': ['Department']
-  };
-  
-  // First, try direct mapping
-  templateVariables.forEach(variable => {
-    const lowerVar = variable.toLowerCase();
-    
-    // Direct field match
-    if (recordData[variable]) {
-      mappedVariables[variable] = recordData[variable];
-      return;
+// A record as the connector reads it, to check what templates will get.
+// "fields" is a comma separated list and "children" JSON.
+app.get('/api/salesforce/records/:objectType/:recordId', requirePermission('documents:generate'), async (req, res) => {
+  let request;
+  try {
+    request = parseSalesforceRecordRequest({ ...req.query, ...req.params });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (!isSalesforceConnected()) {
+    return res.status(503).json({ error: 'Salesforce is not connected' });
+  }
+
+  try {
+    const recordData = await fetchSalesforceRecord(request);
+    if (!recordData) {
+      return res.status(404).json({ error: `${request.objectType} ${request.recordId} was not found in Salesforce` });
     }
-    
-    // Field mapping match
-    if (fieldMappings[lowerVar]) {
-      for (const fieldName of fieldMappings[lowerVar]) {
-        if (recordData[fieldName]) {
-          mappedVariables[variable] = recordData[fieldName];
-          break;
+    res.json(recordData);
+  } catch (error) {
+    res.status(502).json({ error: error.message });
+  }
+});
+
+// How the connector signs in to Salesforce
+app.get('/api/salesforce/connection', requirePermission('users:manage'), (req, res) => {
+  res.json({
+    connected: isSalesforceConnected(),
+    flow: usesJwtBearerFlow() ? 'jwt-bearer' : salesforceConnection ? 'web-server' : null,
+    loginUrl: SALESFORCE_LOGIN_URL,
+    instanceUrl: salesforceSession ? salesforceSession.instanceUrl : salesforceConnection ? salesforceConnection.instanceUrl : null,
+    connectedBy: salesforceConnection ? salesforceConnection.connectedBy : null,
+    connectedAt: salesforceConnection ? salesforceConnection.connectedAt : null
+  });
+});
+
+// Forget the connection made with the web server flow
+app.delete('/api/salesforce/connection', requirePermission('users:manage'), (req, res) => {
+  salesforceConnection = null;
+  salesforceSession = null;
+  salesforceDescribes.clear();
+  saveSalesforceConnection();
+  res.json({ success: true, connected: isSalesforceConnected() });
+});
+
+// Connect Salesforce with the OAuth web server flow: sends the browser to
+// the Salesforce login, which comes back to the callback below
+app.get('/api/salesforce/oauth/authorize', requirePermission('users:manage'), (req, res) => {
+  if (usesJwtBearerFlow()) {
+    return res.status(409).json({ error: 'Salesforce signs in with the JWT bearer flow; there is nothing to connect' });
+  }
+  if (!process.env.SALESFORCE_CLIENT_ID || !process.env.SALESFORCE_CLIENT_SECRET) {
+    return res.status(503).json({ error: 'Set SALESFORCE_CLIENT_ID and SALESFORCE_CLIENT_SECRET to connect Salesforce' });
+  }
+
+  const state = crypto.randomBytes(16).toString('hex');
+  oauthStates.set(state, { userId: req.user.id, expiresAt: Date.now() + OAUTH_STATE_TTL_MINUTES * 60000 });
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: process.env.SALESFORCE_CLIENT_ID,
+    redirect_uri: SALESFORCE_REDIRECT_URI,
+    scope: 'api refresh_token',
+    state
+  });
+  res.redirect(`${SALESFORCE_LOGIN_URL}/services/oauth2/authorize?${params}`);
+});
+
+// Salesforce sends the browser back here with an authorization code, which
+// is traded for the refresh token the connector keeps
+app.get('/api/salesforce/oauth/callback', async (req, res) => {
+  const pending = oauthStates.get(req.query.state);
+  oauthStates.delete(req.query.state);
+  if (!pending || pending.expiresAt < Date.now() || !req.user || req.user.id !== pending.userId) {
+    return res.status(400).json({ error: 'This Salesforce sign in has expired or wasn\'t started here; start it again' });
+  }
+  if (req.query.error) {
+    return res.status(400).json({ error: `Salesforce refused the connection: ${req.query.error_description || req.query.error}` });
+  }
+
+  try {
+    const token = await requestSalesforceToken({
+      grant_type: 'authorization_code',
+      code: req.query.code,
+      client_id: process.env.SALESFORCE_CLIENT_ID,
+      client_secret: process.env.SALESFORCE_CLIENT_SECRET,
+      redirect_uri: SALESFORCE_REDIRECT_URI
+    });
+    if (!token.refresh_token) {
+      return res.status(502).json({ error: 'Salesforce sent no refresh token; give the connected app the refresh_token scope' });
+    }
+
+    salesforceConnection = {
+      instanceUrl: token.instance_url,
+      refreshToken: token.refresh_token,
+      connectedBy: req.user.username,
+      connectedAt: new Date().toISOString()
+    };
+    salesforceSession = { instanceUrl: token.instance_url, accessToken: token.access_token };
+    salesforceDescribes.clear();
+    saveSalesforceConnection();
+    res.redirect('/?salesforce=connected');
+  } catch (error) {
+    res.status(502).json({ error: error.message });
+  }
+});
+
+// Fields tried, best first, for common variable names when a template has
+// no saved mapping for the object
+const SALESFORCE_FIELD_SUGGESTIONS = {
+  'name': ['Name', 'FirstName', 'LastName', 'Subject'],
+  'company': ['Account.Name', 'Company', 'CompanyName'],
+  'email': ['Email', 'Contact.Email'],
+  'phone': ['Phone', 'MobilePhone', 'WorkPhone'],
+  'address': ['BillingStreet', 'MailingStreet', 'Street'],
+  'city': ['BillingCity', 'MailingCity', 'City'],
+  'state': ['BillingState', 'MailingState', 'State'],
+  'postalcode': ['BillingPostalCode', 'MailingPostalCode', 'PostalCode'],
+  'country': ['BillingCountry', 'MailingCountry', 'Country'],
+  'date': ['CreatedDate', 'LastModifiedDate', 'CloseDate'],
+  'owner': ['Owner.Name', 'OwnerName'],
+  'amount': ['Amount', 'AnnualRevenue'],
+  'status': ['Status', 'StageName', 'Priority'],
+  'description': ['Description', 'Notes'],
+  'casenumber': ['CaseNumber'],
+  'priority': ['Priority'],
+  'type': ['Type'],
+  'industry': ['Industry'],
+  'title': ['Title'],
+  'department': ['Department']
+};
+
+// Check a mapping profile: { strict, mappings } where "mappings" maps
+// template variables to a field path, or to { field, transform, default }
+// with "transform" a filter chain such as "upper" or "date:DD/MM/YYYY" and
+// "default" used when the field is empty. Table and list variables mapped to
+// a child relationship take "columns", mapping each column key or item
+// property to a field of the child rows. Strict profiles fail generation when
+// a required variable gets no value or child rows lack what they need.
+function normalizeSalesforceMappingProfile(input, variables, fields) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('The mapping must be an object with "mappings" and "strict"');
+  }
+  if (input.strict !== undefined && typeof input.strict !== 'boolean') {
+    throw new Error('"strict" must be true or false');
+  }
+  const mappings = input.mappings;
+  if (!mappings || typeof mappings !== 'object' || Array.isArray(mappings)) {
+    throw new Error('"mappings" must be an object keyed by template variable');
+  }
+
+  const normalized = {};
+  Object.entries(mappings).forEach(([variable, mapping]) => {
+    if (!variables.includes(variable)) {
+      throw new Error(`"${variable}" is not a variable of this template`);
+    }
+    const definition = typeof mapping === 'string' ? { field: mapping } : mapping;
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new Error(`"${variable}" must map to a field path or an object with "field", "transform" and "default"`);
+    }
+    if (definition.field !== undefined && (typeof definition.field !== 'string' || !SALESFORCE_FIELD_PATH_REGEX.test(definition.field))) {
+      throw new Error(`"${variable}" must map to a field path such as Account.Owner.Email`);
+    }
+    if (definition.default !== undefined && !['string', 'number', 'boolean'].includes(typeof definition.default)) {
+      throw new Error(`"${variable}" default must be text, a number or true/false`);
+    }
+    if (definition.field === undefined && definition.default === undefined) {
+      throw new Error(`"${variable}" needs a "field", a "default" or both`);
+    }
+    if (definition.transform !== undefined) {
+      try {
+        if (typeof definition.transform !== 'string') throw new Error('it must be a filter chain');
+        parseTemplateExpression(`value | ${definition.transform}`);
+      } catch (error) {
+        throw new Error(`"${variable}" has an invalid transform: ${error.message}`);
+      }
+    }
+    if (definition.columns !== undefined) {
+      const table = (fields || {})[variable];
+      if (!table || !(table.type === 'table' || (table.type === 'array' && table.items))) {
+        throw new Error(`"${variable}" isn't a table or a list of items, so it has no columns to map`);
+      }
+      if (definition.field === undefined) {
+        throw new Error(`"${variable}" needs the child relationship its rows come from as "field"`);
+      }
+      if (!definition.columns || typeof definition.columns !== 'object' || Array.isArray(definition.columns)) {
+        throw new Error(`"${variable}" columns must map column keys to fields of the child rows`);
+      }
+      Object.entries(definition.columns).forEach(([key, field]) => {
+        if ((table.columns || table.items) && !childRowKeys(table).includes(key)) {
+          throw new Error(`"${variable}" has no ${table.type === 'table' ? 'column' : 'item property'} "${key}"`);
         }
+        if (typeof field !== 'string' || !SALESFORCE_FIELD_PATH_REGEX.test(field)) {
+          throw new Error(`"${variable}" column "${key}" must map to a field path such as Product2.Name`);
+        }
+      });
+    }
+
+    normalized[variable] = assignDefined({}, {
+      field: definition.field,
+      columns: definition.columns && { ...definition.columns },
+      transform: definition.transform,
+      default: definition.default
+    });
+  });
+
+  return { strict: input.strict === true, mappings: normalized };
+}
+
+// Saved mapping of a template for an object, if there is one
+function getSalesforceMappingProfile(template, objectType) {
+  const mappings = template.salesforceMappings || {};
+  return typeof objectType === 'string' && Object.prototype.hasOwnProperty.call(mappings, objectType) ? mappings[objectType] : null;
+}
+
+// Ask for the fields a mapping profile uses along with the record. Mapped
+// child relationships come as lists of rows with the fields their columns
+// are mapped to, or with all their fields.
+async function withMappedSalesforceFields(request, profile) {
+  const describe = await describeSalesforceObject(request.objectType);
+  const fields = [...request.fields];
+  const children = { ...request.children };
+  Object.values(profile.mappings).forEach(({ field, columns }) => {
+    if (!field) return;
+    if (describe.childRelationships.some(relationship => relationship.relationshipName === field)) {
+      const columnFields = columns ? Object.values(columns) : [];
+      if (!(field in children)) {
+        children[field] = columnFields.length > 0 ? [...new Set(columnFields)] : true;
+      } else if (Array.isArray(children[field])) {
+        children[field] = [...new Set([...children[field], ...columnFields])];
       }
+    } else if (!fields.includes(field)) {
+      fields.push(field);
     }
-    
-    // Fuzzy match
-    if (!mappedVariables[variable]) {
-      const fuzzyMatch = findFuzzyMatch(lowerVar, Object.keys(recordData));
-      if (fuzzyMatch && recordData[fuzzyMatch]) {
-        mappedVariables[variable] = recordData[fuzzyMatch];
+  });
+  return { ...request, fields, children };
+}
+
+// Value of a variable under a saved mapping: the transformed field value, or
+// the default when the field is empty. Child rows are rebuilt with the
+// table's column keys when the mapping has columns.
+function mapSalesforceValue(recordData, mapping) {
+  let value = mapping.field ? lookupTemplatePath([{ value: recordData }], mapping.field) : undefined;
+  if (isMissingFieldValue(value)) return mapping.default;
+  if (mapping.columns && Array.isArray(value)) {
+    value = value.map(row => (row && typeof row === 'object'
+      ? Object.fromEntries(Object.entries(mapping.columns).map(([key, field]) => [key, lookupTemplatePath([{ value: row }], field)]))
+      : row));
+  }
+  return mapping.transform ? applyTemplateFilters(value, parseTemplateExpression(`value | ${mapping.transform}`).filters) : value;
+}
+
+// Map Salesforce fields to template variables. With a saved mapping profile
+// only its mappings are used; without one a variable takes the field of the
+// same name or the first of its suggested fields that has a value. Returns
+// { values, missing } with the variables that got no value.
+function mapSalesforceFields(recordData, templateVariables, profile) {
+  const mappedVariables = {};
+  
+  templateVariables.forEach(variable => {
+    if (profile) {
+      if (profile.mappings[variable]) {
+        mappedVariables[variable] = mapSalesforceValue(recordData, profile.mappings[variable]);
       }
+      return;
     }
-    
-    // Default value if no match
-    if (!mappedVariables[variable]) {
-      mappedVariables[variable] = `{{${variable}}}`;
+    const fieldName = getSuggestedFields(variable).find(field => !isMissingFieldValue(recordData[field]));
+    if (fieldName) {
+      mappedVariables[variable] = recordData[fieldName];
     }
   });
   
-  // Add special computed fields
-  mappedVariables['currentDate'] = new Date().toLocaleDateString();
-  mappedVariables['currentDateTime'] = new Date().toLocaleString();
-  mappedVariables['recordUrl'] = recordData.Id ? `https://yourinstance.salesforce.com/${recordData.Id}` : '';
+  // Add special computed fields to the variables that have no mapped value
+  const instanceUrl = (salesforceSession && salesforceSession.instanceUrl) || (salesforceConnection && salesforceConnection.instanceUrl);
+  const computed = {
+    currentDate: new Date().toLocaleDateString(),
+    currentDateTime: new Date().toLocaleString(),
+    recordUrl: recordData.Id && instanceUrl ? `${instanceUrl}/${recordData.Id}` : undefined
+  };
   
   // Build full address if components exist
   const addressComponents = [
@@ -688,76 +10916,86 @@ function mapSalesforceFields(recordData, templateVariables) {
   ].filter(Boolean);
   
   if (addressComponents.length > 0) {
-    mappedVariables['fullAddress'] = addressComponents.join(', ');
+    computed['fullAddress'] = addressComponents.join(', ');
   }
+  Object.entries(computed).forEach(([variable, value]) => {
+    if (value !== undefined && isMissingFieldValue(mappedVariables[variable])) mappedVariables[variable] = value;
+  });
   
-  return mappedVariables;
+  return {
+    values: mappedVariables,
+    missing: templateVariables.filter(variable => isMissingFieldValue(mappedVariables[variable]))
+  };
 }
 
-// Helper function for fuzzy matching
-function findFuzzyMatch(target, candidates) {
-  const targetLower = target.toLowerCase();
-  
-  // Exact match
-  let exactMatch = candidates.find(c => c.toLowerCase() === targetLower);
-  if (exactMatch) return exactMatch;
-  
-  // Contains match
-  let containsMatch = candidates.find(c => 
-    c.toLowerCase().includes(targetLower) || targetLower.includes(c.toLowerCase())
-  );
-  if (containsMatch) return containsMatch;
-  
-  // Similar match (simple algorithm)
-  let bestMatch = null;
-  let bestScore = 0;
-  
-  candidates.forEach(candidate => {
-    const candLower = candidate.toLowerCase();
-    let score = 0;
-    
-    // Character similarity
-    for (let char of targetLower) {
-      if (candLower.includes(char)) score++;
-    }
-    
-    // Length similarity bonus
-    const lengthDiff = Math.abs(targetLower.length - candLower.length);
-    score -= lengthDiff * 0.1;
-    
-    if (score > bestScore && score > targetLower.length * 0.6) {
-      bestScore = score;
-      bestMatch = candidate;
+// Variables a strict mapping has to fill: required ones without a default,
+// and those without a definition, which would stay {{placeholders}}
+function isRequiredSalesforceVariable(fields, variable) {
+  const definition = (fields || {})[variable];
+  return !definition || (definition.required && definition.default === undefined);
+}
+
+// The keys the child rows of a variable are read by: a table's column keys
+// or the item properties of a list
+function childRowKeys(definition) {
+  if (definition.type === 'table') return (definition.columns || []).map(column => column.key);
+  if (definition.type === 'array') return Object.keys(definition.items || {});
+  return [];
+}
+
+// Table and list variables whose rows lack some of the table's columns or
+// the list's required item properties, as mapping errors. Child rows mapped
+// without columns keep their Salesforce field names, so the table would
+// render them as empty cells and a loop as literal {{placeholders}}.
+function findUnmappedRowFields(fields, values) {
+  const errors = [];
+  Object.entries(fields || {}).forEach(([variable, definition]) => {
+    const value = values[variable];
+    if (!value || (definition.type === 'table' && value.columns)) return;
+    const rows = Array.isArray(value) ? value : value.rows;
+    if (!Array.isArray(rows)) return;
+
+    const needed = definition.type === 'array'
+      ? childRowKeys(definition).filter(key => definition.items[key].required && definition.items[key].default === undefined)
+      : childRowKeys(definition);
+    const missing = needed.filter(key => rows.some(row => (
+      row && typeof row === 'object' && lookupTemplatePath([{ value: row }], key) === undefined
+    )));
+    if (missing.length > 0) {
+      const what = definition.type === 'table' ? "table's columns" : "list's item properties";
+      errors.push({
+        field: variable,
+        rule: 'mapping',
+        message: `${variable} rows have no ${missing.join(', ')}; map the ${what} to fields of its child rows`
+      });
     }
   });
-  
-  return bestMatch;
+  return errors;
 }
 
-// Helper function to get Salesforce field mappings for a template
-function getSalesforceFieldMappings(templateVariables) {
-  return templateVariables.map(variable => ({
-    templateVariable: variable,
-    suggestedSalesforceFields: getSuggestedFields(variable),
-    mappingConfidence: getMappingConfidence(variable)
-  }));
+// Helper function to get Salesforce field mappings for a template. Given the
+// field paths an object has, suggestions are limited to those.
+function getSalesforceFieldMappings(templateVariables, objectFields) {
+  return templateVariables.map(variable => {
+    const suggestions = getSuggestedFields(variable, objectFields);
+    return {
+      templateVariable: variable,
+      suggestedSalesforceFields: suggestions,
+      mappingConfidence: suggestions.length > 0 ? getMappingConfidence(variable) : 'none'
+    };
+  });
 }
 
-function getSuggestedFields(variable) {
+function getSuggestedFields(variable, objectFields) {
   const lowerVar = variable.toLowerCase();
-  
-  const suggestions = {
-    'name': ['Name', 'FirstName + LastName', 'Subject'],
-    'company': ['Account.Name', 'CompanyName'],
-    'email': ['Email', 'Contact.Email'],
-    'phone': ['Phone', 'MobilePhone'],
-    'address': ['BillingStreet', 'MailingStreet'],
-    'amount': ['Amount', 'AnnualRevenue'],
-    'date': ['CreatedDate', 'CloseDate'],
-    'owner': ['Owner.Name']
-  };
-  
-  return suggestions[lowerVar] || [variable];
+  const candidates = [variable, ...(SALESFORCE_FIELD_SUGGESTIONS[lowerVar] || [])];
+  if (!objectFields) return [...new Set(candidates)];
+
+  // Use the object's own spelling of each field it has
+  const suggestions = candidates
+    .map(candidate => objectFields.find(field => field.toLowerCase() === candidate.toLowerCase()))
+    .filter(Boolean);
+  return [...new Set(suggestions)];
 }
 
 function getMappingConfidence(variable) {
@@ -793,7 +11031,7 @@ app.get('/salesforce', (req, res) => {
                     Document Generator - Salesforce Mode
                 </h2>
                 <p class="slds-text-body_small">
-                    Record ID: ${recordId || 'Not provided'} | Object: ${objectType || 'Not provided'}
+                    Record ID: ${escapeHtml(recordId || 'Not provided')} | Object: ${escapeHtml(objectType || 'Not provided')}
                 </p>
             </div>
             <div class="slds-card__body slds-card__body_inner">
@@ -802,6 +11040,8 @@ app.get('/salesforce', (req, res) => {
         </div>
         
         <script>
+            var pageContext = ${JSON.stringify({ recordId: recordId || null, objectType: objectType || null }).replace(/</g, '\\u003c')};
+
             // Listen for messages from Salesforce LWC
             window.addEventListener('message', function(event) {
                 console.log('Received message:', event.data);
@@ -825,9 +11065,39 @@ app.get('/salesforce', (req, res) => {
                 }
             }
             
+            // Show the fields of the record; child records are counted
             function populateRecordData(data) {
                 console.log('Record data received:', data);
-                // Implement your UI updates here
+                var table = document.createElement('table');
+                table.className = 'slds-table slds-table_bordered slds-table_cell-buffer';
+                Object.keys(data).sort().forEach(function(field) {
+                    var value = data[field];
+                    var row = table.insertRow();
+                    row.insertCell().textContent = field;
+                    row.insertCell().textContent = Array.isArray(value)
+                        ? value.length + ' record(s)'
+                        : value === null || value === undefined ? '' : String(value);
+                });
+
+                var app = document.getElementById('app');
+                app.innerHTML = '';
+                app.appendChild(table);
+                notifySalesforce('recordLoaded', { fieldCount: Object.keys(data).length });
+            }
+
+            // Read the record through the server's Salesforce connector
+            function loadRecord() {
+                var url = '/api/salesforce/records/' + encodeURIComponent(pageContext.objectType) + '/' + encodeURIComponent(pageContext.recordId);
+                fetch(url, { credentials: 'same-origin' })
+                    .then(function(response) {
+                        return response.json().then(function(body) {
+                            if (!response.ok) throw new Error(body.error);
+                            populateRecordData(body);
+                        });
+                    })
+                    .catch(function(error) {
+                        document.getElementById('app').textContent = 'Could not load the record: ' + error.message;
+                    });
             }
             
             function selectTemplate(templateId) {
@@ -851,7 +11121,12 @@ app.get('/salesforce', (req, res) => {
             
             // Initialize
             document.addEventListener('DOMContentLoaded', function() {
-                notifySalesforce('ready', { recordId: '${recordId}', objectType: '${objectType}' });
+                notifySalesforce('ready', pageContext);
+                if (pageContext.recordId && pageContext.objectType) {
+                    loadRecord();
+                } else {
+                    document.getElementById('app').textContent = 'Waiting for record data from Salesforce...';
+                }
             });
         </script>
     </body>
@@ -859,7 +11134,18 @@ app.get('/salesforce', (req, res) => {
   `);
 });
 
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-  console.log('Upload templates and generate documents!');
+// Restore persisted templates before accepting requests
+loadTemplatesFromDisk().then(() => {
+  // Users first: older documents and jobs are matched to them by name
+  loadUsersFromDisk();
+  loadJobsFromDisk();
+  loadDocumentsFromDisk();
+  loadDownloadLinksFromDisk();
+  loadSalesforceConnectionFromDisk();
+  startRetentionSweeps();
+  processJobQueue();
+  app.listen(PORT, () => {
+    console.log(`Server running on http://localhost:${PORT}`);
+    console.log('Upload templates and generate documents!');
+  });
 });